@@ -1,42 +1,131 @@
-// Import core framework
+// Import core framework and the HTTP server it runs on
+import http from "http";
 import express from "express";
 
+// WebSocket handshakes for the event streams
+import { WebSocketServer } from "ws";
+
 // Enable Cross-Origin Resource Sharing (CORS)
 import cors from "cors";
 
 // Import currency-related routes
 import currencyRoutes from "./routes/currencyMod.js";
 
-// Import PostgreSQL database instance (connection pool)
-import { db } from "../db/index.js";
+// Import admin routes (balance corrections, freezes, reversals)
+import adminRoutes from "./routes/admin.js";
+
+// Import health, readiness and metrics routes for monitoring
+import healthRoutes from "./routes/health.js";
+
+// Request, auth and payment metrics served by /metrics
+import { trackRequests, trackTransfers } from "./utils/metrics.js";
+
+// Reverse proxies allowed to report the client address
+import { isTrustedProxy } from "../config/ipAllowlist/index.js";
+
+// Leaderboards and economy events shared by the currency and admin routes
+import { createLeaderboardCache } from "./utils/currency/leaderboards.js";
+import { createEventBus } from "./utils/currency/events.js";
+
+// Runs scheduled payments in the background while the server listens
+import { createPaymentScheduler } from "./utils/currency/scheduler.js";
+
+/**
+ * Creates the Express application.
+ *
+ * @param {import('../db/index.js').Store} store - Currency store for the configured database.
+ * @param {ReturnType<typeof createEventBus>} [events] - Bus the routes publish on; a new one by default.
+ * @returns {import('express').Express} Configured Express app instance.
+ */
+export default function createApp(store, events = createEventBus()) {
+  // Create an Express application instance
+  const app = express();
+
+  // -----------------------
+  // Middleware Registration
+  // -----------------------
+
+  // Records the count and latency of every request, including rejected ones
+  app.use(trackRequests);
+
+  // Derives req.ip from X-Forwarded-For only for hops that are trusted proxies
+  // Checked per request, so reloading the IP allowlist applies immediately
+  app.set("trust proxy", (address) => isTrustedProxy(address));
+
+  // Parses incoming requests with JSON payloads
+  app.use(express.json());
+
+  // Enables CORS with default permissive settings
+  // `origin: true` — reflects the request origin in the CORS headers
+  // `credentials: true` — allows sending cookies and auth headers
+  app.use(
+    cors({
+      origin: true,
+      credentials: true,
+    })
+  );
+
+  // -----------------------
+  // Route Registration
+  // -----------------------
+
+  // Probes and metrics live at the root, outside the /api prefix
+  app.use(healthRoutes(store));
+
+  // One cache per app, so admin exclusions clear the boards players see
+  const leaderboards = createLeaderboardCache(store);
+
+  // Events published by both route sets (and the payment scheduler) reach every stream of this app
+  // All currency-related endpoints are mounted under the /api path
+  // The currencyRoutes function receives the store to inject as needed
+  app.use("/api", currencyRoutes(store, leaderboards, events));
+
+  // Admin endpoints live under /api/admin and use separate admin credentials
+  app.use("/api", adminRoutes(store, leaderboards, events));
+
+  // Payments published by the routes and the scheduler count towards the transfer volume
+  trackTransfers(events);
 
-// Create an Express application instance
-const app = express();
+  return app;
+}
 
-// -----------------------
-// Middleware Registration
-// -----------------------
+/**
+ * Creates the HTTP server for the app, with WebSocket support for the event streams.
+ *
+ * WebSocket handshakes are dispatched to the Express routes like any other
+ * request, so they pass the same IP and auth checks and get the same error
+ * responses. Routes that stream events accept them with `req.upgradeWebSocket()`;
+ * the socket is closed once any other response was sent.
+ *
+ * The payment scheduler runs from when the server starts listening until it closes.
+ *
+ * @param {import('../db/index.js').Store} store - Currency store for the configured database.
+ * @returns {import('http').Server} Server that is not listening yet.
+ */
+export function createServer(store) {
+  const events = createEventBus();
+  const app = createApp(store, events);
+  const server = http.createServer(app);
+  const sockets = new WebSocketServer({ noServer: true });
 
-// Parses incoming requests with JSON payloads
-app.use(express.json());
+  const scheduler = createPaymentScheduler(store, events);
+  server.on("listening", () => scheduler.start());
+  server.on("close", () => scheduler.stop());
 
-// Enables CORS with default permissive settings
-// `origin: true` — reflects the request origin in the CORS headers
-// `credentials: true` — allows sending cookies and auth headers
-app.use(
-  cors({
-    origin: true,
-    credentials: true,
-  })
-);
+  server.on("upgrade", (req, socket, head) => {
+    const res = new http.ServerResponse(req);
+    res.assignSocket(socket);
+    res.on("finish", () => socket.destroy());
+    socket.on("error", () => socket.destroy());
 
-// -----------------------
-// Route Registration
-// -----------------------
+    req.upgradeWebSocket = () =>
+      new Promise((resolve) => {
+        res.detachSocket(socket);
+        sockets.handleUpgrade(req, socket, head, resolve);
+      });
 
-// All currency-related endpoints are mounted under the /api path
-// The currencyRoutes function receives the DB instance to inject as needed
-app.use("/api", currencyRoutes(db));
+    app(req, res);
+  });
 
-// Export the configured Express app instance
-export default app;
+  return server;
+}
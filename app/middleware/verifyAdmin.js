@@ -0,0 +1,67 @@
+import crypto from "crypto";
+import logger from "../../logger.js";
+import { recordAuthFailure } from "../utils/metrics.js";
+
+/**
+ * Parses `ADMIN_API_KEYS` ("name:key,name:key") into a list of admin credentials.
+ *
+ * @returns {{name: string, key: Buffer}[]}
+ */
+function loadAdminKeys() {
+  return (process.env.ADMIN_API_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(":");
+      return {
+        name: entry.slice(0, separator),
+        key: Buffer.from(entry.slice(separator + 1)),
+      };
+    })
+    .filter(({ name, key }) => name && key.length > 0);
+}
+
+const adminKeys = loadAdminKeys();
+
+/**
+ * Express middleware to authenticate admin requests.
+ *
+ * - Expects `Authorization: Bearer <admin key>` format.
+ * - Admin keys are configured in `process.env.ADMIN_API_KEYS` and are separate from player JWTs.
+ * - Attaches `{ name }` of the matching admin to `req.admin`.
+ *
+ * @param {import('express').Request} req - The incoming HTTP request.
+ * @param {import('express').Response} res - The HTTP response object.
+ * @param {Function} next - Function to call the next middleware.
+ */
+export default function verifyAdmin(req, res, next) {
+  const reject = (status, error) => {
+    recordAuthFailure("admin");
+    return res.status(status).json({ error });
+  };
+
+  const authHeader = req.headers["authorization"];
+  if (!authHeader) {
+    return reject(401, "Missing Authorization header");
+  }
+
+  const token = authHeader.split(" ")[1];
+  if (!token) {
+    return reject(401, "Invalid Authorization format");
+  }
+
+  const received = Buffer.from(token);
+  const admin = adminKeys.find(
+    ({ key }) =>
+      key.length === received.length && crypto.timingSafeEqual(key, received)
+  );
+
+  if (!admin) {
+    logger.warn(`Rejected admin request to ${req.originalUrl}`);
+    return reject(403, "Invalid admin credentials");
+  }
+
+  req.admin = { name: admin.name };
+  next();
+}
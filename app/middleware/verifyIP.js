@@ -1,30 +1,89 @@
 import logger from "../../logger.js";
+import { isAllowedIp } from "../../config/ipAllowlist/index.js";
+import { normalizeIp } from "../../config/ipAllowlist/ipRanges.js";
+import { recordBlockedRequest } from "../utils/metrics.js";
 
-const allowedIp = process.env.ALLOWED_IP_ADDRESS;
-const allowedIpLocal = process.env.ALLOWED_IP_ADDRESS_LOCAL;
+// Each blocked IP is logged at most once per window
+const BLOCKED_LOG_WINDOW_MS = 60 * 1000;
+
+// Distinct IPs logged per window; a scanner rotating addresses only gets counted after that
+const MAX_LOGGED_IPS_PER_WINDOW = 50;
+
+// Blocked IP -> { loggedAt, suppressed } for the IPs logged recently
+const blockedIps = new Map();
+
+// Current window: when it started, IPs logged in it, attempts not logged at all
+let logWindow = { start: 0, logged: 0, dropped: 0 };
+
+/**
+ * Logs a blocked request without letting repeated attempts flood the logs.
+ *
+ * Repeats from the same IP within `BLOCKED_LOG_WINDOW_MS` are counted and
+ * reported with its next log line. Once `MAX_LOGGED_IPS_PER_WINDOW` IPs were
+ * logged in a window, further ones are only counted and summarized. Shared
+ * with `verifyMetricsAccess`, so blocked scrapes count towards the same limits.
+ *
+ * @param {string} ip - Blocked client address.
+ * @param {number} [now=Date.now()] - Current time in milliseconds.
+ */
+export function logBlockedRequest(ip, now = Date.now()) {
+  const entry = blockedIps.get(ip);
+
+  if (entry && now - entry.loggedAt < BLOCKED_LOG_WINDOW_MS) {
+    entry.suppressed++;
+    return;
+  }
+
+  if (now - logWindow.start >= BLOCKED_LOG_WINDOW_MS) {
+    if (logWindow.dropped > 0) {
+      logger.warn(
+        `Blocked ${logWindow.dropped} more request(s) from other IPs without logging them`
+      );
+    }
+
+    for (const [blockedIp, { loggedAt }] of blockedIps) {
+      if (now - loggedAt >= BLOCKED_LOG_WINDOW_MS) blockedIps.delete(blockedIp);
+    }
+
+    logWindow = { start: now, logged: 0, dropped: 0 };
+  }
+
+  if (logWindow.logged >= MAX_LOGGED_IPS_PER_WINDOW) {
+    logWindow.dropped++;
+    return;
+  }
+
+  const suppressed = entry?.suppressed ?? 0;
+
+  logWindow.logged++;
+  blockedIps.set(ip, { loggedAt: now, suppressed: 0 });
+
+  logger.warn(
+    suppressed > 0
+      ? `Blocked request from IP: ${ip} (${suppressed} more since last logged)`
+      : `Blocked request from IP: ${ip}`
+  );
+}
 
 /**
  * Express middleware to verify the IP address of incoming requests.
  *
- * Allows only IPs defined in ALLOWED_IP_ADDRESS and ALLOWED_IP_ADDRESS_LOCAL.
+ * Allows only addresses and CIDR ranges on the IP allowlist (see `config/ipAllowlist/`).
+ * The client address is `req.ip`, which honors `X-Forwarded-For` only when the
+ * request came through a trusted proxy (see the "trust proxy" setting in `app/index.js`).
  *
  * @param {import('express').Request} req - The incoming HTTP request.
  * @param {import('express').Response} res - The HTTP response object.
  * @param {Function} next - Function to call the next middleware.
  */
 export default function verifyIP(req, res, next) {
-  const rawIp = req.headers["x-forwarded-for"] || req.connection.remoteAddress;
-  const normalizedIp = (rawIp || "")
-    .replace("::ffff:", "")
-    .split(",")[0]
-    .trim();
-
-  const allowed = [allowedIp, allowedIpLocal].filter(Boolean);
+  const ip = normalizeIp(req.ip);
 
-  if (allowed.includes(normalizedIp)) {
+  if (isAllowedIp(ip)) {
     return next();
   }
 
-  logger.warn(`Blocked request from IP: ${normalizedIp}`);
+  recordBlockedRequest();
+  logBlockedRequest(ip);
   return res.status(403).json({ error: "Forbidden: Your IP is not allowed." });
 }
@@ -1,32 +1,68 @@
-import jwt from "jsonwebtoken";
+import logger from "../../logger.js";
+import { DEFAULT_SERVER_ID, getGameServer } from "../../config/gameServers.js";
+import { verifyAccessToken } from "../utils/currency/sessions.js";
+import { recordAuthFailure } from "../utils/metrics.js";
 
 /**
- * Express middleware to verify JWT tokens from the Authorization header.
+ * Builds the Express middleware that verifies player access tokens.
  *
  * - Expects `Authorization: Bearer <token>` format.
- * - Verifies the token using `process.env.JWT_SECRET`.
- * - Attaches the decoded payload to `req.user` if valid.
+ * - Verifies the token with the keyring key named in its `kid` header (see `config/jwtKeys/`).
+ * - Resolves the game server named in the token (tokens from before per-server
+ *   keys have none and use the default server) and its economy.
+ * - Rejects tokens whose `ver` is behind the player's token version, so a
+ *   freeze, kick or logout revokes them immediately.
+ * - Attaches the decoded payload to `req.user` and the economy's store to `req.economy`.
  *
- * @param {import('express').Request} req - The incoming HTTP request object.
- * @param {import('express').Response} res - The HTTP response object.
- * @param {Function} next - Function to pass control to the next middleware.
+ * @param {import('../../db/index.js').Store} store - Currency store for the configured database.
+ * @returns {import('express').RequestHandler}
  */
-export default function verifyJWT(req, res, next) {
-  const authHeader = req.headers["authorization"];
-  if (!authHeader) {
-    return res.status(401).json({ error: "Missing Authorization header" });
-  }
-
-  const token = authHeader.split(" ")[1];
-  if (!token) {
-    return res.status(401).json({ error: "Invalid Authorization format" });
-  }
-
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+export default function verifyJWT(store) {
+  return async (req, res, next) => {
+    const reject = (status, error) => {
+      recordAuthFailure("player");
+      return res.status(status).json({ error });
+    };
+
+    const authHeader = req.headers["authorization"];
+    if (!authHeader) {
+      return reject(401, "Missing Authorization header");
+    }
+
+    const token = authHeader.split(" ")[1];
+    if (!token) {
+      return reject(401, "Invalid Authorization format");
+    }
+
+    let decoded;
+    try {
+      decoded = verifyAccessToken(token);
+    } catch (error) {
+      return reject(403, "Invalid or expired token");
+    }
+
+    const server = getGameServer(decoded.server ?? DEFAULT_SERVER_ID);
+    if (!server) {
+      logger.warn(`Rejected token for unknown server ${decoded.server}`);
+      return reject(403, "Unknown server");
+    }
+
+    const economy = store.forEconomy(server.economy);
+
+    try {
+      // Unknown players pass through, so routes can answer with their own 404
+      const version = await economy.getTokenVersion(decoded.uuid);
+
+      if (version !== null && (decoded.ver ?? 0) !== version) {
+        return reject(401, "Token revoked");
+      }
+    } catch (error) {
+      logger.error(`verifyJWT error: ${error}`);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+
     req.user = decoded;
+    req.economy = economy;
     next();
-  } catch (error) {
-    return res.status(403).json({ error: "Invalid or expired token" });
-  }
+  };
 }
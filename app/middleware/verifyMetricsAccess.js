@@ -0,0 +1,110 @@
+import crypto from "crypto";
+import logger from "../../logger.js";
+import {
+  IpAllowlistError,
+  isAllowedIp,
+} from "../../config/ipAllowlist/index.js";
+import {
+  buildIpMatcher,
+  matchesIp,
+  normalizeIp,
+} from "../../config/ipAllowlist/ipRanges.js";
+import { logBlockedRequest } from "./verifyIP.js";
+
+/**
+ * Parses `METRICS_ALLOWED_IPS` (comma-separated addresses and CIDR ranges).
+ *
+ * @returns {import('net').BlockList|null} Null when the variable is not set.
+ * @throws {IpAllowlistError} If an entry is not an address or CIDR range.
+ */
+export function loadMetricsIps() {
+  const entries = (process.env.METRICS_ALLOWED_IPS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  if (entries.length === 0) return null;
+
+  const { list, errors } = buildIpMatcher(entries, "METRICS_ALLOWED_IPS");
+  if (errors.length > 0) {
+    throw new IpAllowlistError(errors);
+  }
+
+  return list;
+}
+
+const metricsToken = process.env.METRICS_TOKEN
+  ? Buffer.from(process.env.METRICS_TOKEN)
+  : null;
+
+// Parsed on first use, which `validateMetricsAccess` makes happen at startup
+let metricsIps;
+
+const getMetricsIps = () => {
+  if (metricsIps === undefined) metricsIps = loadMetricsIps();
+  return metricsIps;
+};
+
+/**
+ * Validates `METRICS_ALLOWED_IPS` at startup.
+ *
+ * Logs every invalid entry and exits the process, like `validateIpAllowlist`.
+ *
+ * @function
+ * @returns {void}
+ */
+export function validateMetricsAccess() {
+  try {
+    getMetricsIps();
+  } catch (error) {
+    for (const message of error.errors ?? [error.message]) {
+      logger.error(`Invalid metrics allowlist: ${message}`);
+    }
+
+    logger.error("Metrics allowlist validation failed. Exiting");
+    process.exit(1);
+  }
+}
+
+/**
+ * Express middleware that guards `GET /metrics`.
+ *
+ * - With `METRICS_TOKEN` set, expects `Authorization: Bearer <token>`.
+ * - With `METRICS_ALLOWED_IPS` set, allows only those addresses and CIDR ranges.
+ * - With both set, a scrape has to pass both checks; with neither, the
+ *   IP allowlist of `/currency` applies (see `config/ipAllowlist/`).
+ *
+ * Blocked scrapes are logged like blocked `/currency` requests (see `verifyIP`).
+ *
+ * @param {import('express').Request} req - The incoming HTTP request.
+ * @param {import('express').Response} res - The HTTP response object.
+ * @param {Function} next - Function to call the next middleware.
+ */
+export default function verifyMetricsAccess(req, res, next) {
+  const ip = normalizeIp(req.ip);
+  const allowedIps = getMetricsIps();
+  const ipAllowed = allowedIps
+    ? matchesIp(allowedIps, ip)
+    : metricsToken !== null || isAllowedIp(ip);
+
+  if (!ipAllowed) {
+    logBlockedRequest(ip);
+    return res
+      .status(403)
+      .json({ error: "Forbidden: Your IP is not allowed." });
+  }
+
+  if (metricsToken) {
+    const token = req.headers["authorization"]?.split(" ")[1];
+    const received = Buffer.from(token ?? "");
+
+    if (
+      received.length !== metricsToken.length ||
+      !crypto.timingSafeEqual(received, metricsToken)
+    ) {
+      return res.status(401).json({ error: "Invalid metrics token" });
+    }
+  }
+
+  next();
+}
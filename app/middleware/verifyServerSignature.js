@@ -0,0 +1,119 @@
+import crypto from "crypto";
+import logger from "../../logger.js";
+import { DEFAULT_SERVER_ID, getGameServer } from "../../config/gameServers.js";
+import { recordAuthFailure } from "../utils/metrics.js";
+
+// Signed requests older (or newer) than this are rejected
+const SIGNATURE_WINDOW_MS = 60 * 1000;
+
+// Nonces seen within the signature window -> expiry timestamp
+const seenNonces = new Map();
+
+/**
+ * Removes nonces whose signature window has passed.
+ *
+ * @param {number} now - Current time in milliseconds.
+ */
+function pruneNonces(now) {
+  for (const [nonce, expiresAt] of seenNonces) {
+    if (expiresAt <= now) seenNonces.delete(nonce);
+  }
+}
+
+/**
+ * Builds the HMAC-SHA256 signature the Minecraft server is expected to send.
+ *
+ * The signed payload is `uuid.name.timestamp.nonce`, hex encoded.
+ *
+ * @param {Buffer|string} key - Signing key of the game server.
+ * @param {string} uuid - Minecraft player's UUID.
+ * @param {string} name - Minecraft username.
+ * @param {string} timestamp - Unix timestamp in milliseconds.
+ * @param {string} nonce - Random, single-use value.
+ * @returns {string} Hex-encoded signature.
+ */
+export function signLoginPayload(key, uuid, name, timestamp, nonce) {
+  return crypto
+    .createHmac("sha256", key)
+    .update(`${uuid}.${name}.${timestamp}.${nonce}`)
+    .digest("hex");
+}
+
+/**
+ * Express middleware to verify that a login request was issued by one of our game servers.
+ *
+ * - Expects `X-Server-Timestamp`, `X-Server-Nonce` and `X-Server-Signature` headers.
+ * - `X-Server-Id` picks the server (see `config/gameServers.js`); without it the "default" server is used.
+ * - Verifies the signature with that server's key.
+ * - Rejects timestamps that are not whole milliseconds, requests outside the
+ *   signature window and replayed nonces.
+ * - Attaches `{ id, economy }` of the server to `req.server`.
+ *
+ * @param {import('express').Request} req - The incoming HTTP request.
+ * @param {import('express').Response} res - The HTTP response object.
+ * @param {Function} next - Function to call the next middleware.
+ */
+export default function verifyServerSignature(req, res, next) {
+  const reject = (error) => {
+    recordAuthFailure("server");
+    return res.status(401).json({ error });
+  };
+
+  const { uuid, name } = req.body;
+  const timestamp = req.headers["x-server-timestamp"];
+  const nonce = req.headers["x-server-nonce"];
+  const signature = req.headers["x-server-signature"];
+  const server = getGameServer(req.headers["x-server-id"] || DEFAULT_SERVER_ID);
+
+  if (!timestamp || !nonce || !signature) {
+    logger.warn(`Rejected unsigned login for uuid: ${uuid}`);
+    return reject("Missing server signature");
+  }
+
+  if (!server) {
+    logger.warn(
+      `Rejected login from unknown server "${req.headers["x-server-id"]}" for uuid: ${uuid}`
+    );
+    return reject("Unknown server");
+  }
+
+  const sentAt = Number(timestamp);
+  if (!Number.isSafeInteger(sentAt)) {
+    logger.warn(`Rejected login with invalid timestamp for uuid: ${uuid}`);
+    return reject("Invalid server timestamp");
+  }
+
+  const now = Date.now();
+  if (Math.abs(now - sentAt) > SIGNATURE_WINDOW_MS) {
+    logger.warn(`Rejected expired login signature for uuid: ${uuid}`);
+    return reject("Signature expired");
+  }
+
+  const expected = Buffer.from(
+    signLoginPayload(server.key, uuid, name, timestamp, nonce),
+    "hex"
+  );
+  const received = Buffer.from(String(signature), "hex");
+
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    logger.warn(
+      `Rejected invalid login signature from server "${server.id}" for uuid: ${uuid}`
+    );
+    return reject("Invalid server signature");
+  }
+
+  pruneNonces(now);
+  if (seenNonces.has(nonce)) {
+    logger.warn(`Rejected replayed login nonce for uuid: ${uuid}`);
+    return reject("Replayed request");
+  }
+  // Kept for as long as the signature is valid, which for a timestamp
+  // ahead of our clock is longer than the window from now
+  seenNonces.set(nonce, sentAt + SIGNATURE_WINDOW_MS);
+
+  req.server = { id: server.id, economy: server.economy };
+  next();
+}
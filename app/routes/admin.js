@@ -0,0 +1,941 @@
+import express from "express";
+import { DateTime } from "luxon";
+import logger from "../../logger.js";
+
+// middleware
+import verifyAdmin from "../middleware/verifyAdmin.js";
+
+// utils
+import { CurrencyError } from "../utils/currency/errors.js";
+import {
+  EconomyConfigError,
+  getEconomy,
+  reloadEconomy,
+} from "../../config/economy/index.js";
+import { DEFAULT_ECONOMY, listEconomies } from "../../config/gameServers.js";
+import {
+  IpAllowlistError,
+  getIpAllowlist,
+  reloadIpAllowlist,
+} from "../../config/ipAllowlist/index.js";
+import {
+  JwtKeyError,
+  listJwtKeys,
+  reloadJwtKeys,
+} from "../../config/jwtKeys/index.js";
+import {
+  parseBalanceCorrection,
+  parseReason,
+  planReversal,
+} from "../utils/currency/admin.js";
+import { UUID_PATTERN } from "../utils/currency/history.js";
+import { parseLastEventId } from "../utils/currency/events.js";
+import {
+  formatScheduledPayment,
+  parseScheduledPayment,
+  parseScheduledPaymentQuery,
+} from "../utils/currency/scheduledPayments.js";
+import { openEventStream } from "../utils/currency/eventStream.js";
+import { TREASURY_NAME, TREASURY_UUID } from "../utils/currency/treasury.js";
+import {
+  formatStatsDay,
+  parseStatsRange,
+  parseTopEarnersQuery,
+} from "../utils/currency/stats.js";
+
+/**
+ * Sets up admin API routes (balance corrections, freezes, reversals, leaderboard exclusions,
+ * scheduled payments, the treasury, economy stats, event streams, economy config, IP allowlist,
+ * JWT keys). Every action is recorded in `currency_transactions` with the admin's name and reason.
+ * Player, transaction, leaderboard, scheduled payment, treasury, stats and event routes act on the
+ * economy named by `?economy=` (default "default").
+ *
+ * @param {import('../../db/index.js').Store} store - Currency store for the configured database.
+ * @param {ReturnType<typeof import('../utils/currency/leaderboards.js').createLeaderboardCache>} leaderboards
+ *   Cached leaderboards, cleared when an exclusion changes.
+ * @param {ReturnType<typeof import('../utils/currency/events.js').createEventBus>} events
+ *   Bus that balance corrections and reversals are published on.
+ * @returns {import('express').Router} Express router with admin routes.
+ */
+export default function adminRoutes(store, leaderboards, events) {
+  const router = express.Router();
+
+  // Protect all /admin/* routes with admin credentials
+  router.use("/admin", verifyAdmin);
+
+  // Resolve the economy that player and transaction routes act on
+  router.use(
+    [
+      "/admin/players",
+      "/admin/transactions",
+      "/admin/leaderboard",
+      "/admin/scheduled-payments",
+      "/admin/treasury",
+      "/admin/stats",
+      "/admin/events",
+    ],
+    (req, res, next) => {
+      const economy = req.query.economy ?? DEFAULT_ECONOMY;
+
+      if (!listEconomies().includes(economy)) {
+        return res.status(404).json({ error: "Unknown economy" });
+      }
+
+      req.economy = store.forEconomy(economy);
+      next();
+    }
+  );
+
+  /**
+   * Sends a rejected admin action back to the client, or a 500 for unexpected errors.
+   *
+   * @param {import('express').Response} res - The HTTP response object.
+   * @param {string} route - Route name used in the error log.
+   * @param {Error} error - The error thrown by the transaction.
+   */
+  const sendError = (res, route, error) => {
+    if (error instanceof CurrencyError) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, ...error.details });
+    }
+
+    logger.error(`${route} error: ${error}`);
+    res.status(500).json({ error: "Internal server error" });
+  };
+
+  /**
+   * POST /admin/players/:uuid/balance
+   * Sets or adjusts a player's balance.
+   * @body {number} [balance] - New absolute balance.
+   * @body {number} [adjust] - Signed amount to add to the balance.
+   * @body {string} reason - Why the correction was made.
+   */
+  router.post("/admin/players/:uuid/balance", async (req, res) => {
+    const { uuid } = req.params;
+    const correction = parseBalanceCorrection(req.body);
+
+    if (correction.error) {
+      return res.status(400).json({ error: correction.error });
+    }
+
+    try {
+      const { previousBalance, newBalance } = await req.economy.transaction(
+        async (tx) => {
+          const account = await tx.getAccount(uuid);
+
+          if (!account) {
+            throw new CurrencyError("Player not found", 404);
+          }
+
+          const previousBalance = account.balance;
+          const newBalance =
+            correction.mode === "set"
+              ? correction.value
+              : previousBalance + correction.value;
+
+          if (newBalance < 0) {
+            throw new CurrencyError("Balance cannot be negative");
+          }
+
+          await tx.setBalance(uuid, newBalance);
+
+          await tx.logTransaction({
+            uuid,
+            action: correction.mode === "set" ? "admin_set" : "admin_adjust",
+            amount: newBalance - previousBalance,
+            balance_after: newBalance,
+            admin: req.admin.name,
+            reason: correction.reason,
+          });
+
+          await tx.addNotification({
+            uuid,
+            type: "admin_adjustment",
+            data: {
+              amount: newBalance - previousBalance,
+              balance: newBalance,
+              reason: correction.reason,
+            },
+          });
+
+          return { previousBalance, newBalance };
+        }
+      );
+
+      logger.info(
+        `Admin ${req.admin.name} changed balance of ${uuid} from ${previousBalance} to ${newBalance}: ${correction.reason}`
+      );
+
+      events.publish(req.economy.economy, [
+        {
+          type: "admin_adjustment",
+          uuid,
+          amount: newBalance - previousBalance,
+          balance: newBalance,
+        },
+      ]);
+
+      res.json({
+        success: true,
+        previous_balance: previousBalance,
+        new_balance: newBalance,
+      });
+    } catch (error) {
+      sendError(res, "/admin/players/balance", error);
+    }
+  });
+
+  /**
+   * Builds the handler that freezes or unfreezes a player's account.
+   * Frozen accounts cannot pay, withdraw or claim daily rewards. Freezing also
+   * revokes the player's tokens, so the mod has to log in again.
+   *
+   * @param {boolean} frozen - Whether the account should end up frozen.
+   * @returns {import('express').RequestHandler}
+   */
+  const setFrozen = (frozen) => async (req, res) => {
+    const { uuid } = req.params;
+    const reason = parseReason(req.body);
+    const action = frozen ? "admin_freeze" : "admin_unfreeze";
+
+    if (!reason) {
+      return res.status(400).json({ error: "A reason is required" });
+    }
+
+    try {
+      await req.economy.transaction(async (tx) => {
+        const account = await tx.setFrozen(uuid, frozen);
+
+        if (!account) {
+          throw new CurrencyError("Player not found", 404);
+        }
+
+        if (frozen) {
+          await tx.bumpTokenVersion(uuid);
+          await tx.revokePlayerRefreshTokens(uuid);
+        }
+
+        await tx.logTransaction({
+          uuid,
+          action,
+          amount: 0,
+          balance_after: account.balance,
+          admin: req.admin.name,
+          reason,
+        });
+
+        await tx.addNotification({
+          uuid,
+          type: frozen ? "account_frozen" : "account_unfrozen",
+          data: { reason },
+        });
+      });
+
+      if (frozen) events.revoke(req.economy.economy, uuid);
+
+      logger.info(
+        `Admin ${req.admin.name} ran ${action} on ${uuid}: ${reason}`
+      );
+
+      res.json({ success: true, frozen });
+    } catch (error) {
+      sendError(res, `/admin/players/${action}`, error);
+    }
+  };
+
+  /**
+   * POST /admin/players/:uuid/freeze
+   * Freezes a player's account.
+   * @body {string} reason - Why the account was frozen.
+   */
+  router.post("/admin/players/:uuid/freeze", setFrozen(true));
+
+  /**
+   * POST /admin/players/:uuid/unfreeze
+   * Lifts a freeze from a player's account.
+   * @body {string} reason - Why the account was unfrozen.
+   */
+  router.post("/admin/players/:uuid/unfreeze", setFrozen(false));
+
+  /**
+   * POST /admin/players/:uuid/kick
+   * Revokes every access and refresh token of a player without freezing the account.
+   * @body {string} reason - Why the player was kicked.
+   */
+  router.post("/admin/players/:uuid/kick", async (req, res) => {
+    const { uuid } = req.params;
+    const reason = parseReason(req.body);
+
+    if (!reason) {
+      return res.status(400).json({ error: "A reason is required" });
+    }
+
+    try {
+      await req.economy.transaction(async (tx) => {
+        const account = await tx.getAccount(uuid);
+
+        if (!account) {
+          throw new CurrencyError("Player not found", 404);
+        }
+
+        await tx.bumpTokenVersion(uuid);
+        await tx.revokePlayerRefreshTokens(uuid);
+
+        await tx.logTransaction({
+          uuid,
+          action: "admin_kick",
+          amount: 0,
+          balance_after: account.balance,
+          admin: req.admin.name,
+          reason,
+        });
+      });
+
+      events.revoke(req.economy.economy, uuid);
+
+      logger.info(`Admin ${req.admin.name} kicked ${uuid}: ${reason}`);
+
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, "/admin/players/kick", error);
+    }
+  });
+
+  /**
+   * Builds the handler that hides a player from, or shows them on, every leaderboard
+   * (e.g. staff or alt accounts). Takes effect immediately; cached boards are cleared.
+   *
+   * @param {boolean} excluded - Whether the player should end up excluded.
+   * @returns {import('express').RequestHandler}
+   */
+  const setLeaderboardExcluded = (excluded) => async (req, res) => {
+    const { uuid } = req.params;
+    const reason = parseReason(req.body);
+    const action = excluded ? "admin_exclude" : "admin_include";
+
+    if (!reason) {
+      return res.status(400).json({ error: "A reason is required" });
+    }
+
+    try {
+      await req.economy.transaction(async (tx) => {
+        const account = await tx.setLeaderboardExcluded(uuid, excluded);
+
+        if (!account) {
+          throw new CurrencyError("Player not found", 404);
+        }
+
+        await tx.logTransaction({
+          uuid,
+          action,
+          amount: 0,
+          balance_after: account.balance,
+          admin: req.admin.name,
+          reason,
+        });
+      });
+
+      leaderboards.invalidate(req.economy.economy);
+
+      logger.info(
+        `Admin ${req.admin.name} ran ${action} on ${uuid}: ${reason}`
+      );
+
+      res.json({ success: true, excluded });
+    } catch (error) {
+      sendError(res, `/admin/players/${action}`, error);
+    }
+  };
+
+  /**
+   * POST /admin/players/:uuid/leaderboard/exclude
+   * Hides an account from every leaderboard.
+   * @body {string} reason - Why the account was excluded.
+   */
+  router.post(
+    "/admin/players/:uuid/leaderboard/exclude",
+    setLeaderboardExcluded(true)
+  );
+
+  /**
+   * POST /admin/players/:uuid/leaderboard/include
+   * Puts an excluded account back on the leaderboards.
+   * @body {string} reason - Why the exclusion was lifted.
+   */
+  router.post(
+    "/admin/players/:uuid/leaderboard/include",
+    setLeaderboardExcluded(false)
+  );
+
+  /**
+   * GET /admin/leaderboard/exclusions
+   * Lists the accounts hidden from the leaderboards.
+   */
+  router.get("/admin/leaderboard/exclusions", async (req, res) => {
+    try {
+      const exclusions = await req.economy.listLeaderboardExclusions();
+
+      res.json({ exclusions });
+    } catch (error) {
+      sendError(res, "/admin/leaderboard/exclusions", error);
+    }
+  });
+
+  /**
+   * POST /admin/transactions/:id/reverse
+   * Reverses a transaction by posting a compensating entry. The original row is never modified.
+   * @body {string} reason - Why the transaction was reversed.
+   * @body {boolean} [allow_negative=false] - Allow the debited player to go below zero.
+   */
+  router.post("/admin/transactions/:id/reverse", async (req, res) => {
+    const { id } = req.params;
+    const reason = parseReason(req.body);
+    const allowNegative = req.body.allow_negative === true;
+
+    if (!store.idPattern.test(id)) {
+      return res.status(400).json({ error: "Invalid transaction id" });
+    }
+
+    if (!reason) {
+      return res.status(400).json({ error: "A reason is required" });
+    }
+
+    try {
+      const reversed = await req.economy.transaction(async (tx) => {
+        const original = await tx.getTransaction(id);
+
+        if (!original) {
+          throw new CurrencyError("Transaction not found", 404);
+        }
+
+        const reversal = planReversal(original);
+        if (reversal.error) {
+          throw new CurrencyError(reversal.error);
+        }
+
+        const reversalId = await tx.findReversal(id);
+
+        if (reversalId) {
+          throw new CurrencyError("Transaction was already reversed", 409, {
+            reversal_id: reversalId,
+          });
+        }
+
+        if (reversal.void_bills) {
+          const { bills, redeemed } = await tx.voidWithdrawalBills(id);
+
+          if (redeemed > 0) {
+            throw new CurrencyError(
+              `${redeemed} bill(s) of this withdrawal were already deposited`,
+              409
+            );
+          }
+          if (bills === 0) {
+            throw new CurrencyError(
+              "The bills of this withdrawal are not on record",
+              409
+            );
+          }
+        }
+
+        const { from_uuid, to_uuid, amount } = reversal;
+        const balances = {};
+
+        if (from_uuid) {
+          const sender = await tx.getAccount(from_uuid);
+
+          if (!sender) {
+            throw new CurrencyError("Player not found", 404);
+          }
+
+          if (sender.balance < amount && !allowNegative) {
+            throw new CurrencyError("Insufficient funds", 409);
+          }
+
+          balances[from_uuid] = await tx.adjustBalance(from_uuid, -amount);
+        }
+
+        if (to_uuid) {
+          const newBalance = await tx.adjustBalance(to_uuid, amount);
+
+          if (newBalance === null) {
+            throw new CurrencyError("Player not found", 404);
+          }
+          balances[to_uuid] = newBalance;
+        }
+
+        const uuid = from_uuid ?? to_uuid;
+
+        await tx.logTransaction({
+          uuid,
+          action: "reversal",
+          amount,
+          from_uuid,
+          to_uuid,
+          balance_after: balances[uuid],
+          admin: req.admin.name,
+          reason,
+          reverses_id: id,
+        });
+
+        for (const [account, balance] of Object.entries(balances)) {
+          await tx.addNotification({
+            uuid: account,
+            type: "admin_adjustment",
+            data: {
+              amount: account === to_uuid ? amount : -amount,
+              balance,
+              reason,
+              reverses_id: id,
+            },
+          });
+        }
+
+        return { balances, amount, to_uuid };
+      });
+
+      logger.info(
+        `Admin ${req.admin.name} reversed transaction ${id}: ${reason}`
+      );
+
+      const { balances, amount, to_uuid } = reversed;
+
+      events.publish(
+        req.economy.economy,
+        Object.entries(balances).map(([uuid, balance]) => ({
+          type: "admin_adjustment",
+          uuid,
+          amount: uuid === to_uuid ? amount : -amount,
+          balance,
+          reverses_id: id,
+        }))
+      );
+
+      res.json({ success: true, reversed: id, balances });
+    } catch (error) {
+      sendError(res, "/admin/transactions/reverse", error);
+    }
+  });
+
+  /**
+   * POST /admin/scheduled-payments
+   * Schedules a payment from any player or shared account, e.g. staff salaries
+   * out of a server account. Logged as an "admin_schedule" transaction on the
+   * paying account. Same body as `/currency/scheduled-payments`, plus:
+   * @body {string} from_uuid - Account the payment is taken from.
+   * @body {string} reason - Why the payment was scheduled.
+   */
+  router.post("/admin/scheduled-payments", async (req, res) => {
+    const { from_uuid } = req.body;
+    const reason = parseReason(req.body);
+
+    if (typeof from_uuid !== "string" || !UUID_PATTERN.test(from_uuid)) {
+      return res.status(400).json({ error: "Invalid from_uuid" });
+    }
+
+    if (!reason) {
+      return res.status(400).json({ error: "A reason is required" });
+    }
+
+    const parsed = parseScheduledPayment(
+      req.body,
+      from_uuid,
+      getEconomy().scheduled_payments
+    );
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    try {
+      const payment = await req.economy.transaction(async (tx) => {
+        const payer = await tx.getAccount(from_uuid);
+        const payee = await tx.getAccount(parsed.payee_uuid);
+
+        if (!payer || !payee) {
+          throw new CurrencyError("Player not found", 404);
+        }
+
+        const payment = await tx.createScheduledPayment({
+          payer_uuid: from_uuid,
+          ...parsed,
+          created_by: req.admin.name,
+        });
+
+        await tx.logTransaction({
+          uuid: from_uuid,
+          action: "admin_schedule",
+          amount: 0,
+          balance_after: payer.balance,
+          admin: req.admin.name,
+          reason,
+        });
+
+        return { ...payment, payer_name: payer.name, payee_name: payee.name };
+      });
+
+      logger.info(
+        `Admin ${req.admin.name} scheduled payment ${payment.id} from ${from_uuid} to ${parsed.payee_uuid}: ${reason}`
+      );
+
+      res
+        .status(201)
+        .json({ scheduled_payment: formatScheduledPayment(payment) });
+    } catch (error) {
+      sendError(res, "/admin/scheduled-payments", error);
+    }
+  });
+
+  /**
+   * GET /admin/scheduled-payments
+   * Lists the economy's scheduled payments, newest first.
+   * @query {string} [uuid] - Only payments this account makes or receives.
+   * @query {string} [status] - "active", "completed", "cancelled" or "failed".
+   * @query {number} [limit=20] - Page size (max 100).
+   * @query {string} [cursor] - `next_cursor` from the previous page.
+   */
+  router.get("/admin/scheduled-payments", async (req, res) => {
+    const uuid = req.query.uuid ?? null;
+    const filters = parseScheduledPaymentQuery(req.query, store.idPattern);
+
+    if (uuid !== null && !UUID_PATTERN.test(uuid)) {
+      return res.status(400).json({ error: "Invalid uuid" });
+    }
+
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    try {
+      const rows = await req.economy.listScheduledPayments(uuid, filters);
+
+      const payments = rows.map(formatScheduledPayment);
+      const nextCursor =
+        payments.length === filters.limit
+          ? payments[payments.length - 1].id
+          : null;
+
+      res.json({ scheduled_payments: payments, next_cursor: nextCursor });
+    } catch (error) {
+      sendError(res, "/admin/scheduled-payments", error);
+    }
+  });
+
+  /**
+   * POST /admin/scheduled-payments/:id/cancel
+   * Stops an active scheduled payment. Logged as an "admin_unschedule"
+   * transaction on the paying account.
+   * @body {string} reason - Why the payment was cancelled.
+   */
+  router.post("/admin/scheduled-payments/:id/cancel", async (req, res) => {
+    const { id } = req.params;
+    const reason = parseReason(req.body);
+
+    if (!store.idPattern.test(id)) {
+      return res.status(400).json({ error: "Invalid scheduled payment id" });
+    }
+
+    if (!reason) {
+      return res.status(400).json({ error: "A reason is required" });
+    }
+
+    try {
+      const payment = await req.economy.transaction(async (tx) => {
+        const payment = await tx.getScheduledPayment(id);
+
+        if (!payment) {
+          throw new CurrencyError("Scheduled payment not found", 404);
+        }
+
+        if (payment.status !== "active") {
+          throw new CurrencyError(
+            `Scheduled payment is ${payment.status}`,
+            409
+          );
+        }
+
+        await tx.updateScheduledPayment(id, { status: "cancelled" });
+
+        const payer = await tx.getAccount(payment.payer_uuid);
+        await tx.logTransaction({
+          uuid: payment.payer_uuid,
+          action: "admin_unschedule",
+          amount: 0,
+          balance_after: payer.balance,
+          admin: req.admin.name,
+          reason,
+        });
+
+        return { ...payment, status: "cancelled" };
+      });
+
+      logger.info(
+        `Admin ${req.admin.name} cancelled scheduled payment ${id}: ${reason}`
+      );
+
+      res.json({
+        success: true,
+        scheduled_payment: formatScheduledPayment(payment),
+      });
+    } catch (error) {
+      sendError(res, "/admin/scheduled-payments/cancel", error);
+    }
+  });
+
+  /**
+   * GET /admin/treasury
+   * Shows the treasury that fees and wealth taxes are paid into, and the last
+   * wealth tax run. The treasury's UUID works with the player and scheduled
+   * payment routes to spend from it.
+   */
+  router.get("/admin/treasury", async (req, res) => {
+    try {
+      const balance = await req.economy.getBalance(TREASURY_UUID);
+      const lastRun = await req.economy.getLastWealthTaxRun();
+
+      res.json({
+        uuid: TREASURY_UUID,
+        name: TREASURY_NAME,
+        balance: balance ?? 0,
+        last_wealth_tax: lastRun && {
+          period_start: lastRun.period_start,
+          accounts: lastRun.accounts,
+          collected: lastRun.collected,
+          ran_at: lastRun.ran_at,
+        },
+      });
+    } catch (error) {
+      sendError(res, "/admin/treasury", error);
+    }
+  });
+
+  /**
+   * Start of today in the economy timezone, the day stats are not rolled up for yet.
+   *
+   * @returns {DateTime}
+   */
+  const startOfToday = () =>
+    DateTime.now().setZone(getEconomy().timezone).startOf("day");
+
+  /**
+   * GET /admin/stats
+   * Shows the money supply now and the latest rolled-up day, with its wealth
+   * distribution. The payment scheduler rolls up each day once it is over.
+   */
+  router.get("/admin/stats", async (req, res) => {
+    try {
+      const { supply, change } = await req.economy.getMoneySupply(
+        startOfToday().toJSDate()
+      );
+
+      const lastDay = await req.economy.getLastStatsDay();
+      const [latest] = lastDay
+        ? await req.economy.listStatsDays(lastDay, lastDay)
+        : [];
+
+      res.json({
+        supply,
+        supply_change_today: change,
+        latest_day: latest ? formatStatsDay(latest) : null,
+      });
+    } catch (error) {
+      sendError(res, "/admin/stats", error);
+    }
+  });
+
+  /**
+   * GET /admin/stats/daily
+   * Lists the rolled-up days in a range, oldest first: supply, minted and
+   * burned money, active players and volume by action.
+   * @query {string} [from] - First day (ISO date); 30 days up to `to` by default.
+   * @query {string} [to] - Last day; today by default.
+   */
+  router.get("/admin/stats/daily", async (req, res) => {
+    const range = parseStatsRange(req.query, 30, startOfToday());
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    try {
+      const days = await req.economy.listStatsDays(range.from, range.to);
+      res.json({ ...range, days: days.map(formatStatsDay) });
+    } catch (error) {
+      sendError(res, "/admin/stats/daily", error);
+    }
+  });
+
+  /**
+   * GET /admin/stats/top-earners
+   * Lists the players who earned the most from payments, daily rewards and mob
+   * drops over the rolled-up days in a range.
+   * @query {string} [from] - First day (ISO date); 7 days up to `to` by default.
+   * @query {string} [to] - Last day; today by default.
+   * @query {number} [limit=10] - Number of players (max 100).
+   */
+  router.get("/admin/stats/top-earners", async (req, res) => {
+    const query = parseTopEarnersQuery(req.query, startOfToday());
+    if (query.error) {
+      return res.status(400).json({ error: query.error });
+    }
+
+    try {
+      const earners = await req.economy.listTopEarners(
+        query.from,
+        query.to,
+        query.limit
+      );
+      res.json({ from: query.from, to: query.to, earners });
+    } catch (error) {
+      sendError(res, "/admin/stats/top-earners", error);
+    }
+  });
+
+  /**
+   * GET /admin/events
+   * Streams the economy's events like `/currency/events`, over Server-Sent
+   * Events or a WebSocket. Every player's events by default, for bots and dashboards.
+   * @header {string} [Last-Event-ID] - Resumes after this event.
+   * @query {string} [uuid] - Only this player's or shared account's events.
+   * @query {number} [last_event_id] - Same as `Last-Event-ID`.
+   */
+  router.get("/admin/events", async (req, res) => {
+    const uuid = req.query.uuid ?? null;
+    const { error, lastEventId } = parseLastEventId(req);
+
+    if (uuid !== null && !UUID_PATTERN.test(uuid)) {
+      return res.status(400).json({ error: "Invalid uuid" });
+    }
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      await openEventStream(
+        req,
+        res,
+        events,
+        { economy: req.economy.economy, uuid },
+        lastEventId
+      );
+    } catch (error) {
+      logger.error(`/admin/events error: ${error}`);
+      if (!res.headersSent) {
+        res.status(500).json({ error: "Internal server error" });
+      }
+    }
+  });
+
+  /**
+   * GET /admin/economy
+   * Returns the economy config currently in effect.
+   */
+  router.get("/admin/economy", (req, res) => {
+    res.json(getEconomy());
+  });
+
+  /**
+   * POST /admin/economy/reload
+   * Re-reads the economy config file without a restart.
+   * An invalid config is rejected and the current one stays in effect.
+   */
+  router.post("/admin/economy/reload", (req, res) => {
+    try {
+      const { previous, current } = reloadEconomy();
+
+      logger.info(
+        `Admin ${req.admin.name} reloaded the economy config: ${JSON.stringify(current)}`
+      );
+
+      res.json({ success: true, previous, economy: current });
+    } catch (error) {
+      if (error instanceof EconomyConfigError) {
+        logger.warn(
+          `Admin ${req.admin.name} tried to load an invalid economy config: ${error.message}`
+        );
+        return res.status(400).json({
+          error: "Invalid economy config",
+          errors: error.errors,
+        });
+      }
+
+      sendError(res, "/admin/economy/reload", error);
+    }
+  });
+
+  /**
+   * GET /admin/ip-allowlist
+   * Returns the allowed addresses and trusted proxies currently in effect.
+   */
+  router.get("/admin/ip-allowlist", (req, res) => {
+    res.json(getIpAllowlist());
+  });
+
+  /**
+   * POST /admin/ip-allowlist/reload
+   * Re-reads the IP allowlist file without a restart.
+   * An invalid entry rejects the whole reload and the current allowlist stays in effect.
+   */
+  router.post("/admin/ip-allowlist/reload", (req, res) => {
+    try {
+      const { previous, current } = reloadIpAllowlist();
+
+      logger.info(
+        `Admin ${req.admin.name} reloaded the IP allowlist: ${JSON.stringify(current)}`
+      );
+
+      res.json({ success: true, previous, ip_allowlist: current });
+    } catch (error) {
+      if (error instanceof IpAllowlistError) {
+        logger.warn(
+          `Admin ${req.admin.name} tried to load an invalid IP allowlist: ${error.message}`
+        );
+        return res.status(400).json({
+          error: "Invalid IP allowlist",
+          errors: error.errors,
+        });
+      }
+
+      sendError(res, "/admin/ip-allowlist/reload", error);
+    }
+  });
+
+  /**
+   * GET /admin/jwt-keys
+   * Lists the JWT keys in effect, without their secrets.
+   */
+  router.get("/admin/jwt-keys", (req, res) => {
+    res.json({ keys: listJwtKeys() });
+  });
+
+  /**
+   * POST /admin/jwt-keys/reload
+   * Re-reads the keyring file after `npm run jwt-keys -- rotate`, without a restart.
+   * An invalid keyring is rejected and the current one stays in effect.
+   */
+  router.post("/admin/jwt-keys/reload", (req, res) => {
+    try {
+      const { previous, current } = reloadJwtKeys();
+
+      logger.info(
+        `Admin ${req.admin.name} reloaded the JWT keyring: ${current.map((key) => key.kid).join(", ")}`
+      );
+
+      res.json({ success: true, previous, keys: current });
+    } catch (error) {
+      if (error instanceof JwtKeyError) {
+        logger.warn(
+          `Admin ${req.admin.name} tried to load an invalid JWT keyring: ${error.message}`
+        );
+        return res.status(400).json({
+          error: "Invalid JWT keyring",
+          errors: error.errors,
+        });
+      }
+
+      sendError(res, "/admin/jwt-keys/reload", error);
+    }
+  });
+
+  return router;
+}
@@ -1,62 +1,377 @@
 import express from "express";
 import logger from "../../logger.js";
-import jwt from "jsonwebtoken";
 import { DateTime } from "luxon";
+import { getEconomy } from "../../config/economy/index.js";
+import { ttlToMs } from "../../config/economy/durations.js";
+import { getGameServer } from "../../config/gameServers.js";
+import { getJwks } from "../../config/jwtKeys/index.js";
 
 // middleware
 import verifyJWT from "../middleware/verifyJWT.js";
 import verifyIP from "../middleware/verifyIP.js";
+import verifyServerSignature from "../middleware/verifyServerSignature.js";
+
+// routes
+import sharedAccountRoutes from "./sharedAccounts.js";
+import scheduledPaymentRoutes from "./scheduledPayments.js";
 
 // utils
-import { logTransactions } from "../utils/currency/logTransactions.js";
+import { CurrencyError } from "../utils/currency/errors.js";
+import {
+  claimIdempotencyKey,
+  saveIdempotentResponse,
+  replayIdempotentResponse,
+} from "../utils/currency/idempotency.js";
+import {
+  BillRedemptionError,
+  MAX_BILLS_PER_REQUEST,
+  generateBillSerial,
+  isValidBillList,
+  signBill,
+  verifyBillSignature,
+} from "../utils/currency/bills.js";
+import {
+  formatHistoryEntry,
+  parseHistoryQuery,
+} from "../utils/currency/history.js";
+import { issueSession, parseRefreshToken } from "../utils/currency/sessions.js";
+import {
+  formatPaymentRequest,
+  parsePaymentRequest,
+  parsePaymentRequestQuery,
+  paymentRequestStatus,
+} from "../utils/currency/paymentRequests.js";
+import {
+  getDailyReward,
+  getDailyStatus,
+  getLastReset,
+  getNextMilestone,
+} from "../utils/currency/daily.js";
+import { getMobAllowance, parseMobType } from "../utils/currency/mobRewards.js";
+import {
+  createLeaderboardCache,
+  findLeaderboardEntry,
+  parseLeaderboardQuery,
+} from "../utils/currency/leaderboards.js";
+import {
+  EVENT_TOPICS,
+  createEventBus,
+  parseLastEventId,
+  paymentEvents,
+} from "../utils/currency/events.js";
+import { openEventStream } from "../utils/currency/eventStream.js";
+import { transfer } from "../utils/currency/transfers.js";
+import { chargeFee, feeFor } from "../utils/currency/treasury.js";
+import {
+  formatNotification,
+  notifyExpiringRequests,
+  parseNotificationIds,
+  parseNotificationQuery,
+} from "../utils/currency/notifications.js";
 
 /**
  * Sets up currency-related API routes (authentication, balance, payments, etc.)
  *
- * @param {import('pg').Pool} db - PostgreSQL DB client or pool.
+ * @param {import('../../db/index.js').Store} store - Currency store for the configured database.
+ * @param {ReturnType<typeof createLeaderboardCache>} leaderboards - Cached leaderboards.
+ * @param {ReturnType<typeof createEventBus>} events - Bus that balance changes are published on.
  * @returns {import('express').Router} Express router with currency routes.
  */
-export default function currencyRoutes(db) {
+export default function currencyRoutes(store, leaderboards, events) {
   const router = express.Router();
 
   /**
    * POST /currency/login
-   * Authenticates a user and returns a short-lived JWT.
+   * Authenticates a user and returns a short-lived JWT plus a refresh token.
+   * Only accepts requests signed by a registered game server (see verifyServerSignature);
+   * the token carries that server's ID, which decides the player's economy.
+   * Notifications older than `notifications.retention` are deleted on login.
    * @body {string} uuid - Minecraft player's UUID.
    * @body {string} name - Minecraft username.
-   * @returns {string} token
+   * @returns {{token: string, refresh_token: string, refresh_expires_at: string, unread_notifications: number}}
    */
-  router.post("/currency/login", async (req, res) => {
+  router.post("/currency/login", verifyServerSignature, async (req, res) => {
     const { uuid, name } = req.body;
 
     if (!uuid || !name) {
       return res.status(400).json({ error: "Missing uuid or name" });
     }
 
+    const economy = store.forEconomy(req.server.economy);
+
     try {
       // Insert or update the user if already exists
-      await db.query(
-        `INSERT INTO user_funds (uuid, name, balance)
-       VALUES ($1, $2, 0)
-       ON CONFLICT (uuid) DO UPDATE SET name = EXCLUDED.name`,
-        [uuid, name]
-      );
+      await economy.upsertPlayer(uuid, name);
+
+      const retention = ttlToMs(getEconomy().notifications.retention);
+
+      const session = await economy.transaction(async (tx) => {
+        const account = await tx.getAccount(uuid);
 
-      const token = jwt.sign({ uuid, name }, process.env.JWT_SECRET, {
-        expiresIn: "10m",
+        await tx.deleteExpiredRefreshTokens(uuid);
+        await tx.deleteOldNotifications(uuid, new Date(Date.now() - retention));
+        return issueSession(tx, account, req.server.id);
       });
 
-      res.json({ token });
+      res.json({
+        ...session,
+        unread_notifications: await economy.countUnreadNotifications(uuid),
+      });
     } catch (error) {
       logger.error(`/currency/login error: ${error}`);
       res.status(500).json({ error: "Internal server error" });
     }
   });
 
-  // Protect all /currency/* routes with auth + IP check
-  router.use("/currency", verifyJWT);
+  /**
+   * POST /currency/refresh
+   * Exchanges a refresh token for a new access token and a new refresh token.
+   * Each refresh token works once; presenting a used one again revokes the whole
+   * session, since someone else must hold a copy.
+   * @body {string} refresh_token - Refresh token from login or the previous refresh.
+   * @returns {{token: string, refresh_token: string, refresh_expires_at: string}}
+   */
+  router.post("/currency/refresh", verifyIP, async (req, res) => {
+    const parsed = parseRefreshToken(req.body.refresh_token);
+
+    if (!parsed) {
+      return res
+        .status(400)
+        .json({ error: "Missing or malformed refresh_token" });
+    }
+
+    const server = getGameServer(parsed.server);
+
+    if (!server) {
+      return res.status(401).json({ error: "Invalid refresh token" });
+    }
+
+    try {
+      const outcome = await store
+        .forEconomy(server.economy)
+        .transaction(async (tx) => {
+          const stored = await tx.getRefreshToken(parsed.hash);
+
+          if (!stored || stored.revoked_at) {
+            throw new CurrencyError("Invalid refresh token", 401);
+          }
+
+          // Returned instead of thrown, so the revocation is committed
+          if (stored.used_at) {
+            await tx.revokeRefreshTokenFamily(stored.family_id);
+            return { reused: stored };
+          }
+
+          if (stored.expires_at <= new Date()) {
+            throw new CurrencyError("Refresh token expired", 401);
+          }
+
+          const account = await tx.getAccount(stored.uuid);
+
+          if (!account || account.token_version !== stored.token_version) {
+            throw new CurrencyError("Session revoked", 401);
+          }
+
+          await tx.markRefreshTokenUsed(parsed.hash);
+
+          return {
+            session: await issueSession(
+              tx,
+              account,
+              stored.server,
+              stored.family_id
+            ),
+          };
+        });
+
+      if (outcome.reused) {
+        logger.warn(
+          `Refresh token reused for ${outcome.reused.uuid}; revoked session ${outcome.reused.family_id}`
+        );
+        return res.status(401).json({ error: "Refresh token already used" });
+      }
+
+      res.json(outcome.session);
+    } catch (error) {
+      if (error instanceof CurrencyError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+
+      logger.error(`/currency/refresh error: ${error}`);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * POST /currency/logout
+   * Revokes the session a refresh token belongs to.
+   * With `all`, also revokes every other session and access token of the player in this economy.
+   * Unknown or already revoked tokens are accepted, so logging out twice is harmless.
+   * @body {string} refresh_token - The session's current refresh token.
+   * @body {boolean} [all=false] - Log out everywhere.
+   */
+  router.post("/currency/logout", verifyIP, async (req, res) => {
+    const parsed = parseRefreshToken(req.body.refresh_token);
+    const all = req.body.all === true;
+
+    if (!parsed) {
+      return res
+        .status(400)
+        .json({ error: "Missing or malformed refresh_token" });
+    }
+
+    const server = getGameServer(parsed.server);
+
+    try {
+      if (server) {
+        const revoked = await store
+          .forEconomy(server.economy)
+          .transaction(async (tx) => {
+            const stored = await tx.getRefreshToken(parsed.hash);
+            if (!stored || stored.revoked_at) return null;
+
+            await tx.revokeRefreshTokenFamily(stored.family_id);
+
+            if (!all) return null;
+
+            await tx.bumpTokenVersion(stored.uuid);
+            await tx.revokePlayerRefreshTokens(stored.uuid);
+            return stored.uuid;
+          });
+
+        if (revoked) events.revoke(server.economy, revoked);
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error(`/currency/logout error: ${error}`);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * GET /currency/jwks.json
+   * Public keys of the RS256/EdDSA signing keys as a JWK Set, so game servers
+   * can verify player tokens themselves. HS256 keys are never published.
+   * @returns {{keys: Object[]}}
+   */
+  router.get("/currency/jwks.json", (req, res) => {
+    res.json(getJwks());
+  });
+
+  // Protect all /currency/* routes with auth + IP check.
+  // verifyJWT also scopes everything below to the economy of the server that issued the token.
+  router.use("/currency", verifyJWT(store));
   router.use("/currency", verifyIP);
 
+  // Shared accounts for towns, teams and companies (/currency/accounts/*)
+  router.use(sharedAccountRoutes(store, events));
+
+  // One-off and recurring transfers run by the payment scheduler (/currency/scheduled-payments/*)
+  router.use(scheduledPaymentRoutes(store));
+
+  /**
+   * GET /currency/events
+   * Streams economy events as Server-Sent Events, or as JSON messages over a
+   * WebSocket when requested with a WebSocket handshake (see `openEventStream`).
+   * @header {string} [Last-Event-ID] - Resumes after this event; sent by `EventSource` on reconnect.
+   * @query {string} [topic=player] - "player" for the player's own events, "global" for the
+   *   whole economy, without the balances of other accounts.
+   * @query {number} [last_event_id] - Same as `Last-Event-ID`, for clients that cannot set headers.
+   */
+  router.get("/currency/events", async (req, res) => {
+    const topic = req.query.topic ?? "player";
+    const { error, lastEventId } = parseLastEventId(req);
+
+    if (!EVENT_TOPICS.includes(topic)) {
+      return res
+        .status(400)
+        .json({ error: `topic must be one of: ${EVENT_TOPICS.join(", ")}` });
+    }
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      await openEventStream(
+        req,
+        res,
+        events,
+        {
+          economy: req.economy.economy,
+          uuid: topic === "player" ? req.user.uuid : null,
+          viewer: req.user.uuid,
+        },
+        lastEventId
+      );
+    } catch (error) {
+      logger.error(`/currency/events error: ${error}`);
+      if (!res.headersSent) {
+        res.status(500).json({ error: "Internal server error" });
+      }
+    }
+  });
+
+  /**
+   * GET /currency/notifications
+   * Lists the player's notifications, newest first. Pending requests to the
+   * player that expire soon are added as `payment_request_expiring` first.
+   * @query {boolean} [unread=false] - Only list unread notifications.
+   * @query {number} [limit=20] - Page size (max 100).
+   * @returns {{notifications: Object[], unread: number}}
+   */
+  router.get("/currency/notifications", async (req, res) => {
+    const query = parseNotificationQuery(req.query);
+
+    if (query.error) {
+      return res.status(400).json({ error: query.error });
+    }
+
+    const { uuid } = req.user;
+
+    try {
+      await notifyExpiringRequests(req.economy, uuid);
+
+      const notifications = await req.economy.listNotifications(uuid, query);
+      const unread = await req.economy.countUnreadNotifications(uuid);
+
+      res.json({
+        notifications: notifications.map(formatNotification),
+        unread,
+      });
+    } catch (error) {
+      logger.error(`/currency/notifications error: ${error}`);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * POST /currency/notifications/read
+   * Marks notifications as read.
+   * @body {string[]} [ids] - Notifications to mark.
+   * @body {boolean} [all] - Mark every notification instead.
+   * @returns {{success: boolean, marked: number}} `marked` counts notifications that were unread.
+   */
+  router.post("/currency/notifications/read", async (req, res) => {
+    const { error, ids } = parseNotificationIds(req.body, store.idPattern);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      const marked = await req.economy.markNotificationsRead(
+        req.user.uuid,
+        ids
+      );
+      res.json({ success: true, marked });
+    } catch (error) {
+      logger.error(`/currency/notifications/read error: ${error}`);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
   /**
    * GET /currency/balance
    * Returns the player's current balance.
@@ -69,16 +384,12 @@ export default function currencyRoutes(db) {
     }
 
     try {
-      const result = await db.query(
-        `SELECT balance FROM user_funds WHERE uuid = $1 LIMIT 1`,
-        [uuid]
-      );
+      const balance = await req.economy.getBalance(uuid);
 
-      if (result.rows.length === 0) {
+      if (balance === null) {
         return res.status(404).json({ error: "Player not found" });
       }
 
-      const balance = result.rows[0].balance;
       res.json({ balance });
     } catch (error) {
       logger.error(`/currency/balance error: ${error}`);
@@ -86,9 +397,48 @@ export default function currencyRoutes(db) {
     }
   });
 
+  /**
+   * GET /currency/history
+   * Returns the player's transactions, newest first, including payments received.
+   * @query {number} [limit=20] - Page size (max 100).
+   * @query {string} [cursor] - `next_cursor` from the previous page.
+   * @query {string} [action] - Comma-separated action types (e.g., "pay,deposit").
+   * @query {string} [counterparty] - UUID of the other player in a payment.
+   * @query {string} [from] - ISO date/time, inclusive.
+   * @query {string} [to] - ISO date/time, exclusive.
+   */
+  router.get("/currency/history", async (req, res) => {
+    const uuid = req.user.uuid;
+
+    if (!uuid) {
+      return res.status(400).json({ error: "Missing uuid" });
+    }
+
+    const filters = parseHistoryQuery(req.query, store.idPattern);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    try {
+      const rows = await req.economy.getHistory(uuid, filters);
+
+      const transactions = rows.map((row) => formatHistoryEntry(row, uuid));
+      const nextCursor =
+        transactions.length === filters.limit
+          ? transactions[transactions.length - 1].id
+          : null;
+
+      res.json({ transactions, next_cursor: nextCursor });
+    } catch (error) {
+      logger.error(`/currency/history error: ${error}`);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
   /**
    * POST /currency/pay
-   * Sends money from one player to another.
+   * Sends money from one player to another. The sender pays `fees.pay` on top.
+   * @header {string} [Idempotency-Key] - Replays the original response on retry.
    * @body {string} to_uuid - UUID of the recipient.
    * @body {number} amount - Amount to transfer.
    */
@@ -104,187 +454,599 @@ export default function currencyRoutes(db) {
       return res.status(400).json({ error: "Amount must be positive" });
     }
 
-    const client = await db.connect();
+    if (to_uuid === from_uuid) {
+      return res.status(400).json({ error: "Cannot pay yourself" });
+    }
 
     try {
-      await client.query("BEGIN");
+      const outcome = await req.economy.transaction(async (tx) => {
+        const replay = await claimIdempotencyKey(tx, req, "pay");
+        if (replay) return { replay };
+
+        const { sender, recipient, fee, balances } = await transfer(tx, {
+          from_uuid,
+          to_uuid,
+          amount,
+        });
 
-      const senderRes = await client.query(
-        `SELECT balance FROM user_funds WHERE uuid = $1 FOR UPDATE`,
-        [from_uuid]
-      );
+        await tx.addNotification({
+          uuid: to_uuid,
+          type: "payment_received",
+          data: { amount, from: { uuid: from_uuid, name: sender.name } },
+        });
+
+        const response = {
+          success: true,
+          new_sender_balance: balances.from,
+          fee,
+        };
+        await saveIdempotentResponse(tx, req, "pay", 200, response);
+
+        return {
+          response,
+          events: paymentEvents(sender, recipient, amount, balances),
+        };
+      });
 
-      if (senderRes.rows.length === 0) {
-        throw new Error("Sender not found");
+      if (outcome.replay) {
+        return replayIdempotentResponse(res, outcome.replay);
       }
 
-      const senderBalance = senderRes.rows[0].balance;
+      events.publish(req.economy.economy, outcome.events);
+      res.json(outcome.response);
+    } catch (error) {
+      logger.error(`/currency/send error: ${error}`);
+      res
+        .status(error instanceof CurrencyError ? error.status : 400)
+        .json({ error: error.message });
+    }
+  });
 
-      const newSenderBal = senderBalance - amount;
+  /**
+   * POST /currency/requests
+   * Asks another player for money. The payer can accept, which transfers the
+   * amount like `/currency/pay`, or decline; the requester can cancel.
+   * @header {string} [Idempotency-Key] - Replays the original response on retry.
+   * @body {string} payer_uuid - UUID of the player asked to pay.
+   * @body {number} amount - Amount requested.
+   * @body {string} [memo] - Note shown to the payer (max 140 characters).
+   * @body {number} [expires_in] - Seconds until the request expires (default `payment_requests.default_ttl`).
+   */
+  router.post("/currency/requests", async (req, res) => {
+    const requesterUuid = req.user.uuid;
+    const settings = getEconomy().payment_requests;
 
-      if (senderBalance < amount) {
-        throw new Error("Insufficient funds");
-      }
+    const parsed = parsePaymentRequest(req.body, requesterUuid, settings);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
 
-      await client.query(
-        `UPDATE user_funds SET balance = balance - $1 WHERE uuid = $2`,
-        [amount, from_uuid]
-      );
+    try {
+      const outcome = await req.economy.transaction(async (tx) => {
+        const replay = await claimIdempotencyKey(tx, req, "requests");
+        if (replay) return { replay };
 
-      const recipientRes = await client.query(
-        `UPDATE user_funds SET balance = balance + $1 WHERE uuid = $2 RETURNING *`,
-        [amount, to_uuid]
-      );
+        const requester = await tx.getAccount(requesterUuid);
+
+        if (!requester) {
+          throw new CurrencyError("Player not found", 404);
+        }
+
+        if (requester.frozen) {
+          throw new CurrencyError("Account is frozen", 403);
+        }
+
+        const payer = await tx.getAccount(parsed.payer_uuid);
+
+        if (!payer) {
+          throw new CurrencyError("Payer not found", 404);
+        }
+
+        const pending = await tx.countPendingPaymentRequests(requesterUuid);
+
+        if (pending >= settings.max_pending) {
+          throw new CurrencyError(
+            `You already have ${settings.max_pending} pending payment requests`,
+            429
+          );
+        }
+
+        const request = await tx.createPaymentRequest({
+          requester_uuid: requesterUuid,
+          ...parsed,
+        });
 
-      if (recipientRes.rowCount === 0) {
-        throw new Error("Recipient not found");
+        const response = {
+          request: formatPaymentRequest({
+            ...request,
+            requester_name: requester.name,
+            payer_name: payer.name,
+          }),
+        };
+        await saveIdempotentResponse(tx, req, "requests", 201, response);
+
+        return { response };
+      });
+
+      if (outcome.replay) {
+        return replayIdempotentResponse(res, outcome.replay);
+      }
+
+      res.status(201).json(outcome.response);
+    } catch (error) {
+      if (error instanceof CurrencyError) {
+        return res.status(error.status).json({ error: error.message });
       }
 
-      await client.query("COMMIT");
-      await logTransactions(db, {
-        uuid: from_uuid,
-        action: "pay",
-        amount,
-        from_uuid,
-        to_uuid,
-        balance_after: newSenderBal,
+      logger.error(`/currency/requests error: ${error}`);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * Builds the handler that lists the player's incoming or outgoing payment requests.
+   *
+   * @param {"incoming"|"outgoing"} direction - Requests addressed to the player, or sent by them.
+   * @returns {import('express').RequestHandler}
+   */
+  const listPaymentRequests = (direction) => async (req, res) => {
+    const filters = parsePaymentRequestQuery(req.query, store.idPattern);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    try {
+      const rows = await req.economy.listPaymentRequests(req.user.uuid, {
+        ...filters,
+        direction,
       });
 
-      res.json({ success: true, new_sender_balance: newSenderBal });
+      const now = new Date();
+      const requests = rows.map((row) => formatPaymentRequest(row, now));
+      const nextCursor =
+        requests.length === filters.limit
+          ? requests[requests.length - 1].id
+          : null;
+
+      res.json({ requests, next_cursor: nextCursor });
     } catch (error) {
-      await client.query("ROLLBACK");
-      logger.error(`/currency/send error: ${error}`);
-      res.status(400).json({ error: error.message });
-    } finally {
-      client.release();
+      logger.error(`/currency/requests/${direction} error: ${error}`);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  };
+
+  /**
+   * GET /currency/requests/incoming
+   * Payment requests addressed to the player, newest first.
+   * @query {number} [limit=20] - Page size (max 100).
+   * @query {string} [cursor] - `next_cursor` from the previous page.
+   * @query {string} [status] - pending, accepted, declined, cancelled or expired.
+   */
+  router.get("/currency/requests/incoming", listPaymentRequests("incoming"));
+
+  /**
+   * GET /currency/requests/outgoing
+   * Payment requests the player sent, newest first. Same query as incoming.
+   */
+  router.get("/currency/requests/outgoing", listPaymentRequests("outgoing"));
+
+  /**
+   * Reads a payment request the player takes part in and checks it can still be resolved.
+   *
+   * @param {import('../../db/index.js').StoreTransaction} tx - Open store transaction.
+   * @param {string} id - Request ID from the URL.
+   * @param {string} uuid - Player acting on the request.
+   * @param {"requester"|"payer"} role - Side the player must be on.
+   * @returns {Promise<import('../../db/index.js').PaymentRequest>}
+   * @throws {CurrencyError} If the request does not exist for this player or is no longer pending.
+   */
+  const getPendingRequest = async (tx, id, uuid, role) => {
+    const request = store.idPattern.test(id)
+      ? await tx.getPaymentRequest(id)
+      : null;
+
+    if (!request || request[`${role}_uuid`] !== uuid) {
+      throw new CurrencyError("Payment request not found", 404);
+    }
+
+    const status = paymentRequestStatus(request);
+    if (status !== "pending") {
+      throw new CurrencyError(`Payment request is ${status}`, 409);
+    }
+
+    return request;
+  };
+
+  /**
+   * POST /currency/requests/:id/accept
+   * Pays a payment request addressed to the player. The transfer runs in the
+   * same transaction and with the same checks as `/currency/pay`.
+   * @header {string} [Idempotency-Key] - Replays the original response on retry.
+   */
+  router.post("/currency/requests/:id/accept", async (req, res) => {
+    const { id } = req.params;
+    const payerUuid = req.user.uuid;
+    const endpoint = `requests/${id}/accept`;
+
+    try {
+      const outcome = await req.economy.transaction(async (tx) => {
+        const replay = await claimIdempotencyKey(tx, req, endpoint);
+        if (replay) return { replay };
+
+        const request = await getPendingRequest(tx, id, payerUuid, "payer");
+        const { amount, requester_uuid } = request;
+
+        const {
+          sender: payer,
+          recipient: requester,
+          fee,
+          balances,
+          transactionId,
+        } = await transfer(tx, {
+          from_uuid: payerUuid,
+          to_uuid: requester_uuid,
+          amount,
+        });
+
+        const resolved = await tx.resolvePaymentRequest(
+          id,
+          "accepted",
+          transactionId
+        );
+
+        if (!resolved) {
+          throw new CurrencyError("Payment request is no longer pending", 409);
+        }
+
+        await tx.addNotification({
+          uuid: requester_uuid,
+          type: "payment_received",
+          data: {
+            amount,
+            from: { uuid: payerUuid, name: payer.name },
+            request_id: id,
+          },
+        });
+
+        const response = {
+          success: true,
+          request: formatPaymentRequest({ ...request, ...resolved }),
+          new_sender_balance: balances.from,
+          fee,
+        };
+        await saveIdempotentResponse(tx, req, endpoint, 200, response);
+
+        return {
+          response,
+          events: paymentEvents(payer, requester, amount, balances),
+        };
+      });
+
+      if (outcome.replay) {
+        return replayIdempotentResponse(res, outcome.replay);
+      }
+
+      events.publish(req.economy.economy, outcome.events);
+      res.json(outcome.response);
+    } catch (error) {
+      if (error instanceof CurrencyError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+
+      logger.error(`/currency/requests/accept error: ${error}`);
+      res.status(500).json({ error: "Internal server error" });
     }
   });
 
+  /**
+   * Builds the handler that closes a pending payment request without paying it.
+   *
+   * @param {"declined"|"cancelled"} status - "declined" by the payer, "cancelled" by the requester.
+   * @returns {import('express').RequestHandler}
+   */
+  const closePaymentRequest = (status) => async (req, res) => {
+    const { id } = req.params;
+    const role = status === "declined" ? "payer" : "requester";
+
+    try {
+      const request = await req.economy.transaction(async (tx) => {
+        const pending = await getPendingRequest(tx, id, req.user.uuid, role);
+        const resolved = await tx.resolvePaymentRequest(id, status);
+
+        if (!resolved) {
+          throw new CurrencyError("Payment request is no longer pending", 409);
+        }
+
+        return { ...pending, ...resolved };
+      });
+
+      res.json({ success: true, request: formatPaymentRequest(request) });
+    } catch (error) {
+      if (error instanceof CurrencyError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+
+      logger.error(`/currency/requests/${status} error: ${error}`);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  };
+
+  /**
+   * POST /currency/requests/:id/decline
+   * Declines a payment request addressed to the player.
+   */
+  router.post(
+    "/currency/requests/:id/decline",
+    closePaymentRequest("declined")
+  );
+
+  /**
+   * POST /currency/requests/:id/cancel
+   * Withdraws a payment request the player sent.
+   */
+  router.post(
+    "/currency/requests/:id/cancel",
+    closePaymentRequest("cancelled")
+  );
+
   /**
    * POST /currency/deposit
-   * Converts physical in-game currency to digital balance.
-   * @body {number} amount - Amount to deposit.
+   * Redeems physical bills into digital balance.
+   * Each bill is credited at its recorded denomination and can only be redeemed once.
+   * @header {string} [Idempotency-Key] - Replays the original response on retry.
+   * @body {{serial: string, signature: string}[]} bills - Bills to redeem.
    */
   router.post("/currency/deposit", async (req, res) => {
-    const { amount } = req.body;
+    const { bills } = req.body;
     const uuid = req.user.uuid;
 
-    if (!uuid || typeof amount !== "number" || amount <= 0) {
+    if (!uuid || !isValidBillList(bills)) {
       return res.status(400).json({ error: "Invalid input" });
     }
 
-    const client = await db.connect();
-
     try {
-      await client.query("BEGIN");
+      const outcome = await req.economy.transaction(async (tx) => {
+        const replay = await claimIdempotencyKey(tx, req, "deposit");
+        if (replay) return { replay };
+
+        let amount = 0;
+
+        for (const { serial, signature } of bills) {
+          const denomination = await tx.redeemBill(serial, uuid);
+
+          if (denomination === null) {
+            const status = await tx.getBillStatus(serial);
+
+            if (status === null) {
+              throw new BillRedemptionError(
+                `Unknown bill ${serial}`,
+                serial,
+                "unknown_serial"
+              );
+            }
+            throw status === "voided"
+              ? new BillRedemptionError(
+                  `Bill ${serial} was voided`,
+                  serial,
+                  "voided"
+                )
+              : new BillRedemptionError(
+                  `Bill ${serial} was already redeemed`,
+                  serial,
+                  "already_redeemed"
+                );
+          }
+
+          if (!verifyBillSignature(serial, denomination, signature)) {
+            throw new BillRedemptionError(
+              `Invalid signature for bill ${serial}`,
+              serial,
+              "invalid_signature"
+            );
+          }
+
+          amount += denomination;
+        }
+
+        const newBalance = await tx.adjustBalance(uuid, amount);
+
+        if (newBalance === null) {
+          throw new CurrencyError("User not found", 404);
+        }
+
+        await tx.logTransaction({
+          uuid,
+          action: "deposit",
+          amount,
+          count: bills.length,
+          balance_after: newBalance,
+        });
 
-      const result = await client.query(
-        `UPDATE user_funds SET balance = balance + $1 WHERE uuid = $2 RETURNING balance`,
-        [amount, uuid]
-      );
+        const response = {
+          success: true,
+          deposited: amount,
+          new_balance: newBalance,
+          count: bills.length,
+        };
+        await saveIdempotentResponse(tx, req, "deposit", 200, response);
 
-      if (result.rowCount === 0) {
-        return res.status(404).json({ error: "User not found" });
-      }
+        return { response };
+      });
 
-      const newBalance = result.rows[0].balance;
+      if (outcome.replay) {
+        return replayIdempotentResponse(res, outcome.replay);
+      }
 
-      await client.query("COMMIT");
-      await logTransactions(db, {
-        uuid,
-        action: "deposit",
-        amount,
-        balance_after: newBalance,
-      });
-      res.json({ success: true, new_balance: newBalance });
+      const { deposited, new_balance, count } = outcome.response;
+      events.publish(req.economy.economy, [
+        {
+          type: "deposit",
+          uuid,
+          amount: deposited,
+          count,
+          balance: new_balance,
+        },
+      ]);
+      res.json(outcome.response);
     } catch (error) {
-      await client.query("ROLLBACK");
+      if (error instanceof BillRedemptionError) {
+        logger.warn(
+          `Flagged bill ${error.serial} (${error.reason}) deposited by ${uuid}`
+        );
+        await req.economy
+          .flagBill(error.serial, uuid, error.reason)
+          .catch((flagError) =>
+            logger.error(`Failed to flag bill ${error.serial}: ${flagError}`)
+          );
+      }
+
       logger.error(`/currency/deposit error: ${error}`);
-      res.status(400).json({ error: error.message });
-    } finally {
-      client.release();
+      res
+        .status(error instanceof CurrencyError ? error.status : 400)
+        .json({ error: error.message });
     }
   });
 
   /**
    * POST /currency/withdraw
    * Withdraws virtual money into physical bills.
+   * Every bill gets a unique serial number and a server signature.
+   * `fees.withdraw` is charged on top of the bills' value.
+   * @header {string} [Idempotency-Key] - Replays the original response on retry.
    * @body {number} count - Number of bills to withdraw.
-   * @body {number} [denomination=1000] - Optional denomination per bill.
+   * @body {number} [denomination] - Value per bill; one of the configured denominations.
    */
   router.post("/currency/withdraw", async (req, res) => {
     const { count, denomination } = req.body;
     const uuid = req.user.uuid;
 
-    if (!uuid || typeof count !== "number" || count <= 0) {
+    if (
+      !uuid ||
+      !Number.isInteger(count) ||
+      count <= 0 ||
+      count > MAX_BILLS_PER_REQUEST
+    ) {
       return res.status(400).json({ error: "Invalid count or uuid" });
     }
 
-    const denom = typeof denomination === "number" ? denomination : 1000;
-    const amount = count * denom;
+    const { bills: billRules } = getEconomy();
+    const denom = denomination ?? billRules.default_denomination;
+
+    if (!billRules.denominations.includes(denom)) {
+      return res.status(400).json({
+        error: `Invalid denomination, expected one of: ${billRules.denominations.join(", ")}`,
+      });
+    }
 
-    const client = await db.connect();
+    const amount = count * denom;
 
     try {
-      await client.query("BEGIN");
+      const outcome = await req.economy.transaction(async (tx) => {
+        const replay = await claimIdempotencyKey(tx, req, "withdraw");
+        if (replay) return { replay };
 
-      const result = await client.query(
-        `SELECT balance FROM user_funds WHERE uuid = $1 FOR UPDATE`,
-        [uuid]
-      );
+        const account = await tx.getAccount(uuid);
 
-      if (result.rows.length === 0) throw new Error("User not found");
+        if (!account) throw new CurrencyError("User not found");
 
-      const currentBalance = result.rows[0].balance;
-      if (currentBalance < amount) throw new Error("Insufficient funds");
+        if (account.frozen) {
+          throw new CurrencyError("Account is frozen", 403);
+        }
 
-      const updateRes = await client.query(
-        `UPDATE user_funds SET balance = balance - $1 WHERE uuid = $2 RETURNING balance`,
-        [amount, uuid]
-      );
+        const fee = feeFor("withdraw", uuid, amount);
 
-      await client.query("COMMIT");
+        if (account.balance < amount + fee) {
+          throw new CurrencyError("Insufficient funds");
+        }
 
-      const newBalance = updateRes.rows[0].balance;
+        let newBalance = await tx.adjustBalance(uuid, -amount);
 
-      await logTransactions(db, {
-        uuid,
-        action: "withdraw",
-        amount,
-        denomination: denom,
-        count,
-        balance_after: newBalance,
-      });
+        const transactionId = await tx.logTransaction({
+          uuid,
+          action: "withdraw",
+          amount,
+          denomination: denom,
+          count,
+          balance_after: newBalance,
+        });
 
-      res.json({
-        success: true,
-        withdrawn: amount,
-        new_balance: newBalance,
-        denomination: denom,
-        count,
+        // Bills remember their withdrawal, so reversing it can void them
+        const issuedBills = [];
+        for (let i = 0; i < count; i++) {
+          const serial = generateBillSerial();
+          const signature = signBill(serial, denom);
+
+          await tx.issueBill({
+            serial,
+            denomination: denom,
+            signature,
+            issued_to: uuid,
+            withdrawal_id: transactionId,
+          });
+
+          issuedBills.push({ serial, denomination: denom, signature });
+        }
+
+        if (fee > 0) {
+          newBalance = await chargeFee(tx, {
+            uuid,
+            fee,
+            fee_for_id: transactionId,
+          });
+        }
+
+        const response = {
+          success: true,
+          withdrawn: amount,
+          fee,
+          new_balance: newBalance,
+          denomination: denom,
+          count,
+          bills: issuedBills,
+        };
+        await saveIdempotentResponse(tx, req, "withdraw", 200, response);
+
+        return { response };
       });
+
+      if (outcome.replay) {
+        return replayIdempotentResponse(res, outcome.replay);
+      }
+
+      events.publish(req.economy.economy, [
+        {
+          type: "withdraw",
+          uuid,
+          amount,
+          denomination: denom,
+          count,
+          balance: outcome.response.new_balance,
+        },
+      ]);
+      res.json(outcome.response);
     } catch (error) {
-      await client.query("ROLLBACK");
       logger.error(`/currency/withdraw error: ${error}`);
-      res.status(400).json({ error: error.message });
-    } finally {
-      client.release();
+      res
+        .status(error instanceof CurrencyError ? error.status : 400)
+        .json({ error: error.message });
     }
   });
 
   /**
    * GET /currency/top
-   * Returns top 10 richest players by balance.
+   * Returns the richest players and shared accounts by balance (`leaderboard.size` of them).
    */
   router.get("/currency/top", async (req, res) => {
     try {
-      const result = await db.query(
-        `SELECT name, balance FROM user_funds ORDER BY balance DESC LIMIT 10`
+      const { entries } = await leaderboards.get(
+        req.economy.economy,
+        "balance"
       );
 
-      const top = result.rows.map((r) => ({
+      const top = entries.slice(0, getEconomy().leaderboard.size).map((r) => ({
         name: r.name,
-        balance: r.balance,
+        balance: r.value,
+        type: r.type,
       }));
 
       res.json(top);
@@ -294,9 +1056,149 @@ export default function currencyRoutes(db) {
     }
   });
 
+  /**
+   * GET /currency/leaderboard
+   * Returns one page of a leaderboard plus the caller's rank and the accounts around them.
+   * Boards are cached for `leaderboard.cache_ttl`.
+   * @query {string} [board=balance] - "balance", "earned_week", "daily_streak" or "shared".
+   * @query {number} [page=1] - Page number, from 1.
+   * @query {number} [limit] - Page size (1-100, default `leaderboard.size`).
+   */
+  router.get("/currency/leaderboard", async (req, res) => {
+    const query = parseLeaderboardQuery(
+      req.query,
+      getEconomy().leaderboard.size
+    );
+
+    if (query.error) {
+      return res.status(400).json({ error: query.error });
+    }
+
+    const { board, page, limit } = query;
+
+    try {
+      const { entries, updated_at } = await leaderboards.get(
+        req.economy.economy,
+        board
+      );
+
+      res.json({
+        board,
+        page,
+        limit,
+        total: entries.length,
+        entries: entries.slice((page - 1) * limit, page * limit),
+        me: findLeaderboardEntry(entries, req.user.uuid),
+        updated_at,
+      });
+    } catch (error) {
+      logger.error(`/currency/leaderboard error: ${error}`);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * POST /currency/mob-reward
+   * Pays the reward for a mob the player killed, as set in the `mob_rewards`
+   * reward table. Payouts stop at the player's daily cap and the mob's own cap;
+   * the last kill before a cap pays only what is left.
+   * @header {string} [Idempotency-Key] - Replays the original response on retry.
+   * @body {string} mob - Entity type of the killed mob, e.g. "minecraft:zombie".
+   */
+  router.post("/currency/mob-reward", async (req, res) => {
+    const uuid = req.user.uuid;
+
+    if (!uuid) {
+      return res.status(400).json({ error: "Missing uuid" });
+    }
+
+    const economy = getEconomy();
+    const parsed = parseMobType(economy.mob_rewards, req.body.mob);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const { mob } = parsed;
+    const lastReset = getLastReset(economy);
+    const day = lastReset.toISODate();
+
+    try {
+      const outcome = await req.economy.transaction(async (tx) => {
+        const replay = await claimIdempotencyKey(tx, req, "mob-reward");
+        if (replay) return { replay };
+
+        const account = await tx.getAccount(uuid);
+
+        if (!account) {
+          throw new CurrencyError("User not found.", 404);
+        }
+
+        if (account.frozen) {
+          throw new CurrencyError("Account is frozen", 403);
+        }
+
+        const allowance = getMobAllowance(
+          economy.mob_rewards,
+          await tx.getMobEarnings(uuid, day),
+          await tx.hasReachedMobLimit(uuid, day)
+        );
+        const { reward: fullReward, remaining: mobRemaining } =
+          allowance.mobs[mob];
+        const reward = Math.min(fullReward, mobRemaining);
+
+        if (reward === 0) {
+          throw new CurrencyError("Daily mob reward limit reached", 429, {
+            remaining: allowance.remaining,
+            mob_remaining: mobRemaining,
+            resets_at: lastReset.plus({ days: 1 }).toUTC().toISO(),
+          });
+        }
+
+        const newBalance = await tx.adjustBalance(uuid, reward);
+        await tx.addMobEarnings(uuid, day, mob, reward);
+
+        await tx.logTransaction({
+          uuid,
+          action: "mob_reward",
+          amount: reward,
+          balance_after: newBalance,
+          reason: mob,
+        });
+
+        const response = {
+          success: true,
+          mob,
+          reward,
+          new_balance: newBalance,
+          remaining: allowance.remaining - reward,
+          mob_remaining: mobRemaining - reward,
+        };
+        await saveIdempotentResponse(tx, req, "mob-reward", 200, response);
+
+        return { response };
+      });
+
+      if (outcome.replay) {
+        return replayIdempotentResponse(res, outcome.replay);
+      }
+
+      res.json(outcome.response);
+    } catch (error) {
+      if (error instanceof CurrencyError) {
+        return res
+          .status(error.status)
+          .json({ error: error.message, ...error.details });
+      }
+
+      logger.error(`/currency/mob-reward error: ${error}`);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
   /**
    * POST /currency/mob-limit
-   * Marks a user as having reached their mob drop limit for the day.
+   * Gives up the rest of the player's mob drop allowance until the next reset.
+   * Kept for older mod builds; caps are enforced by `/currency/mob-reward` itself.
    */
   router.post("/currency/mob-limit", async (req, res) => {
     const uuid = req.user.uuid;
@@ -305,13 +1207,10 @@ export default function currencyRoutes(db) {
       return res.status(400).json({ error: "Missing uuid" });
     }
 
+    const day = getLastReset(getEconomy()).toISODate();
+
     try {
-      await db.query(
-        `INSERT INTO mob_limit_reached (uuid, date_reached) 
-         VALUES ($1, CURRENT_DATE)
-         ON CONFLICT (uuid) DO UPDATE SET date_reached = CURRENT_DATE`,
-        [uuid]
-      );
+      await req.economy.markMobLimit(uuid, day);
 
       res.json({ success: true, message: "Mob limit marked for user" });
     } catch (error) {
@@ -322,7 +1221,8 @@ export default function currencyRoutes(db) {
 
   /**
    * GET /currency/mob-limit
-   * Checks if a user has reached their mob drop limit for the day.
+   * Reports how much the player can still earn from mob drops today, overall and
+   * per mob type, and when the caps reset.
    */
   router.get("/currency/mob-limit", async (req, res) => {
     const uuid = req.user.uuid;
@@ -331,15 +1231,20 @@ export default function currencyRoutes(db) {
       return res.status(400).json({ error: "Missing uuid" });
     }
 
+    const economy = getEconomy();
+    const lastReset = getLastReset(economy);
+    const day = lastReset.toISODate();
+
     try {
-      const result = await db.query(
-        `SELECT 1 FROM mob_limit_reached WHERE uuid = $1 AND date_reached = CURRENT_DATE LIMIT 1`,
-        [uuid]
-      );
+      const [earnings, limitMarked] = await Promise.all([
+        req.economy.getMobEarnings(uuid, day),
+        req.economy.hasReachedMobLimit(uuid, day),
+      ]);
 
-      logger.info("Checked limit reached");
-      const limitReached = result.rowCount > 0;
-      res.json({ limitReached });
+      res.json({
+        ...getMobAllowance(economy.mob_rewards, earnings, limitMarked),
+        resets_at: lastReset.plus({ days: 1 }).toUTC().toISO(),
+      });
     } catch (error) {
       logger.error(`/currency/mob-limit GET error: ${error}`);
       res.status(500).json({ error: "Internal server error" });
@@ -347,100 +1252,169 @@ export default function currencyRoutes(db) {
   });
 
   /**
-   * POST /currency/daily
-   * Allows a user to claim a once-daily reward.
+   * GET /currency/daily
+   * Reports whether the player already claimed the daily reward in the current
+   * window, their streak, what the next claim pays and when the window resets.
    */
-  router.post("/currency/daily", async (req, res) => {
+  router.get("/currency/daily", async (req, res) => {
     const uuid = req.user.uuid;
 
     if (!uuid) {
       return res.status(400).json({ error: "Missing uuid" });
     }
 
-    const DAILY_REWARD_AMOUNT = 50;
-    const TIMEZONE = "Europe/Berlin";
-    const now = DateTime.now().setZone(TIMEZONE);
-
-    const getLastReset = (now) => {
-      let resetTime = now.set({
-        hour: 6,
-        minute: 30,
-        second: 0,
-        millisecond: 0,
-      });
-      if (now < resetTime) resetTime = resetTime.minus({ days: 1 });
-      return resetTime;
-    };
-
-    const lastReset = getLastReset(now);
-    const client = await db.connect();
+    const economy = getEconomy();
+    const now = DateTime.now().setZone(economy.timezone);
 
     try {
-      await client.query("BEGIN");
-
-      const userRes = await client.query(
-        `SELECT balance FROM user_funds WHERE uuid = $1 FOR UPDATE`,
-        [uuid]
+      const claim = await req.economy.getDailyClaim(uuid);
+      const { claimed, streak, lastReset } = getDailyStatus(
+        economy,
+        claim,
+        now
       );
-      if (userRes.rowCount === 0) {
-        await client.query("ROLLBACK");
-        return res.status(404).json({ error: "User not found." });
-      }
-
-      const currentBal = userRes.rows[0].balance;
-
-      const rewardRes = await client.query(
-        `SELECT last_claim_at FROM daily_rewards WHERE uuid = $1 FOR UPDATE`,
-        [uuid]
+      const nextReset = lastReset.plus({ days: 1 });
+      const { reward, milestone_bonus } = getDailyReward(
+        economy.daily,
+        streak + 1
       );
 
-      const alreadyClaimed =
-        rewardRes.rowCount > 0 &&
-        DateTime.fromJSDate(rewardRes.rows[0].last_claim_at).setZone(
-          TIMEZONE
-        ) >= lastReset;
+      res.json({
+        claimed,
+        streak,
+        // What the next claim pays: now if unclaimed, otherwise after the reset
+        reward: reward + milestone_bonus,
+        next_milestone: getNextMilestone(economy.daily, streak),
+        resets_at: nextReset.toUTC().toISO(),
+        seconds_until_reset: Math.ceil(nextReset.diff(now, "seconds").seconds),
+      });
+    } catch (error) {
+      logger.error(`/currency/daily GET error: ${error}`);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * POST /currency/daily
+   * Claims the daily reward. Claims in consecutive reset windows build a streak
+   * that raises the reward along `daily.streak_bonus` and pays `daily.milestones`.
+   * @header {string} [Idempotency-Key] - Replays the original response on retry.
+   */
+  router.post("/currency/daily", async (req, res) => {
+    const uuid = req.user.uuid;
 
-      if (alreadyClaimed) {
-        await client.query("ROLLBACK");
+    if (!uuid) {
+      return res.status(400).json({ error: "Missing uuid" });
+    }
 
-        const nextReset = lastReset.plus({ days: 1 });
-        const diff = nextReset.diff(now, ["hours", "minutes"]).toObject();
-        const hours = Math.floor(diff.hours);
-        const minutes = Math.floor(diff.minutes);
+    const economy = getEconomy();
+    const now = DateTime.now().setZone(economy.timezone);
 
-        return res.status(429).json({
-          error: `You already claimed your daily reward. Next reset in ${hours}h ${minutes}m.`,
+    try {
+      const outcome = await req.economy.transaction(async (tx) => {
+        const replay = await claimIdempotencyKey(tx, req, "daily");
+        if (replay) return { replay };
+
+        const account = await tx.getAccount(uuid);
+
+        if (!account) {
+          throw new CurrencyError("User not found.", 404);
+        }
+
+        if (account.frozen) {
+          throw new CurrencyError("Account is frozen", 403);
+        }
+
+        const status = getDailyStatus(
+          economy,
+          await tx.getDailyClaim(uuid),
+          now
+        );
+        const nextReset = status.lastReset.plus({ days: 1 });
+
+        if (status.claimed) {
+          const diff = nextReset.diff(now, ["hours", "minutes"]).toObject();
+          const hours = Math.floor(diff.hours);
+          const minutes = Math.floor(diff.minutes);
+
+          throw new CurrencyError(
+            `You already claimed your daily reward. Next reset in ${hours}h ${minutes}m.`,
+            429,
+            { streak: status.streak, resets_at: nextReset.toUTC().toISO() }
+          );
+        }
+
+        const streak = status.streak + 1;
+        const { reward, milestone_bonus } = getDailyReward(
+          economy.daily,
+          streak
+        );
+        const amount = reward + milestone_bonus;
+
+        const newBalance = await tx.adjustBalance(uuid, amount);
+        await tx.setDailyClaim(uuid, { last_claim_at: now.toJSDate(), streak });
+
+        const formatted = newBalance.toLocaleString("en-US");
+
+        await tx.logTransaction({
+          uuid,
+          action: "daily",
+          amount,
+          balance_after: newBalance,
         });
-      }
 
-      await client.query(
-        `UPDATE user_funds SET balance = balance + $1 WHERE uuid = $2`,
-        [DAILY_REWARD_AMOUNT, uuid]
-      );
-      await client.query(
-        `INSERT INTO daily_rewards (uuid, last_claim_at)
-       VALUES ($1, $2)
-       ON CONFLICT (uuid) DO UPDATE SET last_claim_at = EXCLUDED.last_claim_at`,
-        [uuid, now.toJSDate()]
-      );
-
-      await client.query("COMMIT");
+        const lines = [
+          `You claimed your daily reward of $${amount}!`,
+          `🔥 Streak: ${streak} day${streak === 1 ? "" : "s"}`,
+          ...(milestone_bonus > 0
+            ? [
+                `🏆 Includes a $${milestone_bonus} bonus for ${streak} days in a row`,
+              ]
+            : []),
+          `💰 New Balance: $${formatted}`,
+        ];
+
+        const response = {
+          message: lines.join("\n"),
+          new_balance: newBalance,
+          reward: amount,
+          milestone_bonus,
+          streak,
+          next_milestone: getNextMilestone(economy.daily, streak),
+          resets_at: nextReset.toUTC().toISO(),
+        };
+        await saveIdempotentResponse(tx, req, "daily", 200, response);
+
+        return { response };
+      });
 
-      const newBalance = currentBal + DAILY_REWARD_AMOUNT;
-      const formatted = newBalance.toLocaleString("en-US");
+      if (outcome.replay) {
+        return replayIdempotentResponse(res, outcome.replay);
+      }
 
-      res.json({
-        message: `You claimed your daily reward of $${DAILY_REWARD_AMOUNT}!\n💰 New Balance: $${formatted}`,
-        new_balance: newBalance,
-      });
+      const { reward, milestone_bonus, streak, new_balance } = outcome.response;
+      events.publish(req.economy.economy, [
+        {
+          type: "daily_claimed",
+          uuid,
+          amount: reward,
+          milestone_bonus,
+          streak,
+          balance: new_balance,
+        },
+      ]);
+      res.json(outcome.response);
     } catch (error) {
-      await client.query("ROLLBACK");
+      if (error instanceof CurrencyError) {
+        return res
+          .status(error.status)
+          .json({ error: error.message, ...error.details });
+      }
+
       logger.error(`/currency/daily error: ${error}`);
       res.status(500).json({
         error: "Something went wrong while claiming your daily reward.",
       });
-    } finally {
-      client.release();
     }
   });
 
@@ -0,0 +1,124 @@
+import express from "express";
+import logger from "../../logger.js";
+import { getMigrationStatus } from "../../db/migrate.js";
+import verifyMetricsAccess from "../middleware/verifyMetricsAccess.js";
+
+// utils
+import { PROMETHEUS_CONTENT_TYPE, renderMetrics } from "../utils/metrics.js";
+
+// A database that does not answer within this time counts as down
+const READINESS_TIMEOUT_MS = 5000;
+
+/**
+ * Rejects if `promise` does not settle within `ms`.
+ *
+ * @template T
+ * @param {Promise<T>} promise - Work to wait for.
+ * @param {number} ms - Time limit in milliseconds.
+ * @returns {Promise<T>}
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Sets up the endpoints for load balancers and monitoring, mounted at the root
+ * rather than under `/api`:
+ * - `/healthz` answers while the process is up, without touching the database
+ * - `/readyz` checks that the database answers and its schema is current
+ * - `/metrics` serves Prometheus metrics, guarded by `verifyMetricsAccess`
+ *
+ * @param {import('../../db/index.js').Store} store - Currency store for the configured database.
+ * @returns {import('express').Router} Express router with the health routes.
+ */
+export default function healthRoutes(store) {
+  const router = express.Router();
+
+  /**
+   * GET /healthz
+   * Liveness probe.
+   */
+  router.get("/healthz", (req, res) => {
+    res.json({ status: "ok", uptime: Math.floor(process.uptime()) });
+  });
+
+  /**
+   * GET /readyz
+   * Readiness probe: 200 once the database is reachable and every migration
+   * is applied, 503 otherwise.
+   */
+  router.get("/readyz", async (req, res) => {
+    const checks = { database: "ok", migrations: "ok" };
+
+    try {
+      await withTimeout(store.ping(), READINESS_TIMEOUT_MS);
+    } catch (error) {
+      logger.warn(`Readiness check failed, database unreachable: ${error}`);
+      checks.database = "unreachable";
+      checks.migrations = "unchecked";
+    }
+
+    if (checks.database === "ok") {
+      try {
+        const status = await withTimeout(
+          getMigrationStatus(store),
+          READINESS_TIMEOUT_MS
+        );
+
+        // Applied versions without a file mean the schema is newer than this code
+        if (status.some((migration) => migration.missing)) {
+          checks.migrations = "unknown_versions";
+        } else if (status.some((migration) => !migration.applied_at)) {
+          checks.migrations = "pending";
+        }
+      } catch (error) {
+        logger.warn(`Readiness check failed reading migrations: ${error}`);
+        checks.migrations = "unchecked";
+      }
+    }
+
+    const ready = checks.database === "ok" && checks.migrations === "ok";
+    res.status(ready ? 200 : 503).json({
+      status: ready ? "ready" : "not_ready",
+      checks,
+    });
+  });
+
+  /**
+   * GET /metrics
+   * Prometheus metrics: request counts and latency per route, rejected
+   * credentials, blocked IPs, payment volume and database pool usage.
+   */
+  router.get("/metrics", verifyMetricsAccess, (req, res) => {
+    const pool = store.getPoolStats();
+
+    const gauges = pool
+      ? [
+          {
+            name: "db_pool_connections",
+            help: "Connections the database pool holds.",
+            value: pool.total,
+          },
+          {
+            name: "db_pool_idle_connections",
+            help: "Pool connections not checked out.",
+            value: pool.idle,
+          },
+          {
+            name: "db_pool_waiting_clients",
+            help: "Queries waiting for a free pool connection.",
+            value: pool.waiting,
+          },
+        ]
+      : [];
+
+    res.type(PROMETHEUS_CONTENT_TYPE).send(renderMetrics(gauges));
+  });
+
+  return router;
+}
@@ -0,0 +1,204 @@
+import express from "express";
+import logger from "../../logger.js";
+import { getEconomy } from "../../config/economy/index.js";
+
+// utils
+import { CurrencyError } from "../utils/currency/errors.js";
+import {
+  claimIdempotencyKey,
+  saveIdempotentResponse,
+  replayIdempotentResponse,
+} from "../utils/currency/idempotency.js";
+import {
+  formatScheduledPayment,
+  parseScheduledPayment,
+  parseScheduledPaymentQuery,
+} from "../utils/currency/scheduledPayments.js";
+
+/**
+ * Sets up scheduled payment routes: one-off transfers at a future time and
+ * recurring ones such as rent, run by the payment scheduler
+ * (`app/utils/currency/scheduler.js`) with the same checks as `/currency/pay`.
+ * Mounted behind the `/currency` JWT and IP checks, so `req.user` and
+ * `req.economy` are always set.
+ *
+ * @param {import('../../db/index.js').Store} store - Currency store for the configured database.
+ * @returns {import('express').Router} Express router with scheduled payment routes.
+ */
+export default function scheduledPaymentRoutes(store) {
+  const router = express.Router();
+
+  /**
+   * Sends a rejected request back to the client, or a 500 for unexpected errors.
+   *
+   * @param {import('express').Response} res - The HTTP response object.
+   * @param {string} route - Route name used in the error log.
+   * @param {Error} error - The error thrown by the handler.
+   */
+  const sendError = (res, route, error) => {
+    if (error instanceof CurrencyError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    logger.error(`${route} error: ${error}`);
+    res.status(500).json({ error: "Internal server error" });
+  };
+
+  /**
+   * POST /currency/scheduled-payments
+   * Schedules a payment from the player, once at `run_at` or every `interval`.
+   * @header {string} [Idempotency-Key] - Replays the original response on retry.
+   * @body {string} to_uuid - UUID of the player or shared account to pay.
+   * @body {number} amount - Amount per run.
+   * @body {string} [memo] - Note shown to both sides (max 140 characters).
+   * @body {string} [run_at] - ISO time of the (first) run; defaults to one interval from now.
+   * @body {number|string} [interval] - Seconds or a duration like "7d" between runs; one-off without it.
+   */
+  router.post("/currency/scheduled-payments", async (req, res) => {
+    const payerUuid = req.user.uuid;
+    const settings = getEconomy().scheduled_payments;
+
+    const parsed = parseScheduledPayment(req.body, payerUuid, settings);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    try {
+      const outcome = await req.economy.transaction(async (tx) => {
+        const replay = await claimIdempotencyKey(tx, req, "scheduled-payments");
+        if (replay) return { replay };
+
+        const payer = await tx.getAccount(payerUuid);
+
+        if (!payer) {
+          throw new CurrencyError("Player not found", 404);
+        }
+
+        if (payer.frozen) {
+          throw new CurrencyError("Account is frozen", 403);
+        }
+
+        const payee = await tx.getAccount(parsed.payee_uuid);
+
+        if (!payee) {
+          throw new CurrencyError("Recipient not found", 404);
+        }
+
+        const active = await tx.countActiveScheduledPayments(payerUuid);
+
+        if (active >= settings.max_active) {
+          throw new CurrencyError(
+            `You already have ${settings.max_active} active scheduled payments`,
+            429
+          );
+        }
+
+        const payment = await tx.createScheduledPayment({
+          payer_uuid: payerUuid,
+          ...parsed,
+          created_by: null,
+        });
+
+        const response = {
+          scheduled_payment: formatScheduledPayment({
+            ...payment,
+            payer_name: payer.name,
+            payee_name: payee.name,
+          }),
+        };
+        await saveIdempotentResponse(
+          tx,
+          req,
+          "scheduled-payments",
+          201,
+          response
+        );
+
+        return { response };
+      });
+
+      if (outcome.replay) {
+        return replayIdempotentResponse(res, outcome.replay);
+      }
+
+      res.status(201).json(outcome.response);
+    } catch (error) {
+      sendError(res, "/currency/scheduled-payments", error);
+    }
+  });
+
+  /**
+   * GET /currency/scheduled-payments
+   * Lists scheduled payments the player makes or receives, newest first.
+   * @query {string} [direction] - "outgoing" or "incoming"; both by default.
+   * @query {string} [status] - "active", "completed", "cancelled" or "failed".
+   * @query {number} [limit=20] - Page size (max 100).
+   * @query {string} [cursor] - `next_cursor` from the previous page.
+   */
+  router.get("/currency/scheduled-payments", async (req, res) => {
+    const filters = parseScheduledPaymentQuery(req.query, store.idPattern);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    try {
+      const rows = await req.economy.listScheduledPayments(
+        req.user.uuid,
+        filters
+      );
+
+      const payments = rows.map(formatScheduledPayment);
+      const nextCursor =
+        payments.length === filters.limit
+          ? payments[payments.length - 1].id
+          : null;
+
+      res.json({ scheduled_payments: payments, next_cursor: nextCursor });
+    } catch (error) {
+      sendError(res, "/currency/scheduled-payments", error);
+    }
+  });
+
+  /**
+   * POST /currency/scheduled-payments/:id/cancel
+   * Stops an active scheduled payment. Either side can cancel it.
+   */
+  router.post("/currency/scheduled-payments/:id/cancel", async (req, res) => {
+    const { id } = req.params;
+    const { uuid } = req.user;
+
+    try {
+      const payment = await req.economy.transaction(async (tx) => {
+        const payment = store.idPattern.test(id)
+          ? await tx.getScheduledPayment(id)
+          : null;
+
+        if (
+          !payment ||
+          (payment.payer_uuid !== uuid && payment.payee_uuid !== uuid)
+        ) {
+          throw new CurrencyError("Scheduled payment not found", 404);
+        }
+
+        if (payment.status !== "active") {
+          throw new CurrencyError(
+            `Scheduled payment is ${payment.status}`,
+            409
+          );
+        }
+
+        await tx.updateScheduledPayment(id, { status: "cancelled" });
+        return { ...payment, status: "cancelled" };
+      });
+
+      res.json({
+        success: true,
+        scheduled_payment: formatScheduledPayment(payment),
+      });
+    } catch (error) {
+      sendError(res, "/currency/scheduled-payments/:id/cancel", error);
+    }
+  });
+
+  return router;
+}
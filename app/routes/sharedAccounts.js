@@ -0,0 +1,478 @@
+import crypto from "crypto";
+import express from "express";
+import logger from "../../logger.js";
+
+// utils
+import { CurrencyError } from "../utils/currency/errors.js";
+import {
+  claimIdempotencyKey,
+  saveIdempotentResponse,
+  replayIdempotentResponse,
+} from "../utils/currency/idempotency.js";
+import {
+  UUID_PATTERN,
+  formatHistoryEntry,
+  parseHistoryQuery,
+} from "../utils/currency/history.js";
+import { paymentEvents } from "../utils/currency/events.js";
+import { transfer } from "../utils/currency/transfers.js";
+import {
+  SHARED_ACCOUNT_ROLES,
+  SPENDING_WINDOW_MS,
+  formatSharedAccount,
+  parseSharedAccountName,
+  parseSpendingLimits,
+  spendingLimit,
+} from "../utils/currency/sharedAccounts.js";
+
+/**
+ * Sets up shared account routes: bank accounts for towns, teams and companies.
+ *
+ * A shared account has its own balance and history, and members with a role:
+ * owners manage members and limits and spend without limit, treasurers and
+ * members spend up to their role's daily limit. Any member can deposit.
+ * Mounted behind the `/currency` JWT and IP checks, so `req.user` and
+ * `req.economy` are always set.
+ *
+ * @param {import('../../db/index.js').Store} store - Currency store for the configured database.
+ * @param {ReturnType<typeof import('../utils/currency/events.js').createEventBus>} events
+ *   Bus that deposits and payouts are published on.
+ * @returns {import('express').Router} Express router with shared account routes.
+ */
+export default function sharedAccountRoutes(store, events) {
+  const router = express.Router();
+
+  /**
+   * Reads a shared account the player is a member of.
+   *
+   * @param {import('../../db/index.js').StoreTransaction|import('../../db/index.js').EconomyStore} reader - Open transaction or economy store.
+   * @param {string} id - Account UUID from the URL.
+   * @param {string} uuid - Player acting on the account.
+   * @returns {Promise<{account: import('../../db/index.js').SharedAccount, role: string}>}
+   * @throws {CurrencyError} If the account does not exist or the player is not a member.
+   */
+  const getMembership = async (reader, id, uuid) => {
+    const account = UUID_PATTERN.test(id)
+      ? await reader.getSharedAccount(id)
+      : null;
+    const member = account?.members.find((entry) => entry.uuid === uuid);
+
+    if (!member) {
+      throw new CurrencyError("Shared account not found", 404);
+    }
+
+    return { account, role: member.role };
+  };
+
+  /**
+   * Throws unless the player owns the account.
+   *
+   * @param {string} role - The player's role.
+   * @throws {CurrencyError}
+   */
+  const requireOwner = (role) => {
+    if (role !== "owner") {
+      throw new CurrencyError("Only owners can manage this account", 403);
+    }
+  };
+
+  /**
+   * Sends a rejected request back to the client, or a 500 for unexpected errors.
+   *
+   * @param {import('express').Response} res - The HTTP response object.
+   * @param {string} route - Route name used in the error log.
+   * @param {Error} error - The error thrown by the handler.
+   */
+  const sendError = (res, route, error) => {
+    if (error instanceof CurrencyError) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, ...error.details });
+    }
+
+    logger.error(`${route} error: ${error}`);
+    res.status(500).json({ error: "Internal server error" });
+  };
+
+  /**
+   * POST /currency/accounts
+   * Opens a shared account owned by the player.
+   * @body {string} name - Account name shown in payments and the leaderboard.
+   */
+  router.post("/currency/accounts", async (req, res) => {
+    const parsed = parseSharedAccountName(req.body.name);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    try {
+      const account = await req.economy.transaction(async (tx) => {
+        const owner = await tx.getAccount(req.user.uuid);
+
+        if (!owner) {
+          throw new CurrencyError("Player not found", 404);
+        }
+
+        if (owner.frozen) {
+          throw new CurrencyError("Account is frozen", 403);
+        }
+
+        return tx.createSharedAccount({
+          uuid: crypto.randomUUID(),
+          name: parsed.name,
+          created_by: owner.uuid,
+        });
+      });
+
+      logger.info(
+        `${req.user.uuid} opened shared account "${account.name}" (${account.uuid})`
+      );
+      res.status(201).json({ account: formatSharedAccount(account, "owner") });
+    } catch (error) {
+      sendError(res, "/currency/accounts", error);
+    }
+  });
+
+  /**
+   * GET /currency/accounts
+   * Shared accounts the player is a member of, by name.
+   */
+  router.get("/currency/accounts", async (req, res) => {
+    try {
+      const accounts = await req.economy.listSharedAccounts(req.user.uuid);
+
+      res.json({
+        accounts: accounts.map((account) =>
+          formatSharedAccount(account, account.role)
+        ),
+      });
+    } catch (error) {
+      sendError(res, "/currency/accounts", error);
+    }
+  });
+
+  /**
+   * GET /currency/accounts/:id
+   * A shared account with its members and spending limits.
+   */
+  router.get("/currency/accounts/:id", async (req, res) => {
+    try {
+      const { account, role } = await getMembership(
+        req.economy,
+        req.params.id,
+        req.user.uuid
+      );
+
+      res.json({ account: formatSharedAccount(account, role) });
+    } catch (error) {
+      sendError(res, "/currency/accounts/:id", error);
+    }
+  });
+
+  /**
+   * GET /currency/accounts/:id/history
+   * The account's transactions, newest first. Same query as `/currency/history`;
+   * payments out of the account name the member who made them.
+   */
+  router.get("/currency/accounts/:id/history", async (req, res) => {
+    const { id } = req.params;
+
+    const filters = parseHistoryQuery(req.query, store.idPattern);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    try {
+      await getMembership(req.economy, id, req.user.uuid);
+      const rows = await req.economy.getHistory(id, filters);
+
+      const transactions = rows.map((row) => formatHistoryEntry(row, id));
+      const nextCursor =
+        transactions.length === filters.limit
+          ? transactions[transactions.length - 1].id
+          : null;
+
+      res.json({ transactions, next_cursor: nextCursor });
+    } catch (error) {
+      sendError(res, "/currency/accounts/:id/history", error);
+    }
+  });
+
+  /**
+   * POST /currency/accounts/:id/deposit
+   * Moves money from the player's balance into a shared account they are a member of.
+   * `fees.pay` is charged on top, like on any payment.
+   * @header {string} [Idempotency-Key] - Replays the original response on retry.
+   * @body {number} amount - Amount to deposit.
+   */
+  router.post("/currency/accounts/:id/deposit", async (req, res) => {
+    const { id } = req.params;
+    const { amount } = req.body;
+    const uuid = req.user.uuid;
+    const endpoint = `accounts/${id}/deposit`;
+
+    if (!Number.isInteger(amount) || amount <= 0) {
+      return res
+        .status(400)
+        .json({ error: "Amount must be a positive integer" });
+    }
+
+    try {
+      const outcome = await req.economy.transaction(async (tx) => {
+        const replay = await claimIdempotencyKey(tx, req, endpoint);
+        if (replay) return { replay };
+
+        await getMembership(tx, id, uuid);
+
+        const { sender, recipient, fee, balances } = await transfer(tx, {
+          from_uuid: uuid,
+          to_uuid: id,
+          amount,
+        });
+
+        const response = {
+          success: true,
+          fee,
+          new_balance: balances.from,
+          account_balance: balances.to,
+        };
+        await saveIdempotentResponse(tx, req, endpoint, 200, response);
+
+        return {
+          response,
+          events: paymentEvents(sender, recipient, amount, balances),
+        };
+      });
+
+      if (outcome.replay) {
+        return replayIdempotentResponse(res, outcome.replay);
+      }
+
+      events.publish(req.economy.economy, outcome.events);
+      res.json(outcome.response);
+    } catch (error) {
+      sendError(res, "/currency/accounts/:id/deposit", error);
+    }
+  });
+
+  /**
+   * POST /currency/accounts/:id/pay
+   * Pays a player or another shared account out of a shared account.
+   * Treasurers and members can spend up to their role's limit per rolling 24 hours.
+   * The account pays `fees.pay` on top; the fee does not count towards the limit.
+   * @header {string} [Idempotency-Key] - Replays the original response on retry.
+   * @body {string} to_uuid - UUID of the recipient.
+   * @body {number} amount - Amount to transfer.
+   */
+  router.post("/currency/accounts/:id/pay", async (req, res) => {
+    const { id } = req.params;
+    const { to_uuid, amount } = req.body;
+    const uuid = req.user.uuid;
+    const endpoint = `accounts/${id}/pay`;
+
+    if (typeof to_uuid !== "string" || !Number.isInteger(amount)) {
+      return res.status(400).json({ error: "Invalid input" });
+    }
+
+    if (amount <= 0) {
+      return res.status(400).json({ error: "Amount must be positive" });
+    }
+
+    if (to_uuid === id) {
+      return res.status(400).json({ error: "Cannot pay the account itself" });
+    }
+
+    try {
+      const outcome = await req.economy.transaction(async (tx) => {
+        const replay = await claimIdempotencyKey(tx, req, endpoint);
+        if (replay) return { replay };
+
+        const { account, role } = await getMembership(tx, id, uuid);
+        const player = await tx.getAccount(uuid);
+
+        if (player.frozen || account.frozen) {
+          throw new CurrencyError("Account is frozen", 403);
+        }
+
+        const limit = spendingLimit(account, role);
+        let remaining = null;
+
+        if (limit !== null) {
+          const since = new Date(Date.now() - SPENDING_WINDOW_MS);
+          const spent = await tx.getSharedAccountSpending(id, uuid, since);
+          remaining = Math.max(limit - spent, 0);
+
+          if (amount > remaining) {
+            throw new CurrencyError("Spending limit exceeded", 403, {
+              limit,
+              remaining,
+            });
+          }
+        }
+
+        const { recipient, fee, balances } = await transfer(tx, {
+          from_uuid: id,
+          to_uuid,
+          amount,
+          member_uuid: uuid,
+        });
+
+        await tx.addNotification({
+          uuid: to_uuid,
+          type: "payment_received",
+          data: { amount, from: { uuid: id, name: account.name } },
+        });
+
+        const response = {
+          success: true,
+          fee,
+          account_balance: balances.from,
+          remaining_limit: remaining === null ? null : remaining - amount,
+        };
+        await saveIdempotentResponse(tx, req, endpoint, 200, response);
+
+        return {
+          response,
+          events: paymentEvents(account, recipient, amount, balances),
+        };
+      });
+
+      if (outcome.replay) {
+        return replayIdempotentResponse(res, outcome.replay);
+      }
+
+      events.publish(req.economy.economy, outcome.events);
+      res.json(outcome.response);
+    } catch (error) {
+      sendError(res, "/currency/accounts/:id/pay", error);
+    }
+  });
+
+  /**
+   * PUT /currency/accounts/:id/members/:uuid
+   * Adds a player to the account or changes their role. Owners only.
+   * @body {string} role - "owner", "treasurer" or "member".
+   */
+  router.put("/currency/accounts/:id/members/:uuid", async (req, res) => {
+    const { id, uuid } = req.params;
+    const { role } = req.body;
+
+    if (!SHARED_ACCOUNT_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `role must be one of ${SHARED_ACCOUNT_ROLES.join(", ")}`,
+      });
+    }
+
+    try {
+      const account = await req.economy.transaction(async (tx) => {
+        const { account, role: actorRole } = await getMembership(
+          tx,
+          id,
+          req.user.uuid
+        );
+        requireOwner(actorRole);
+
+        if (!UUID_PATTERN.test(uuid) || !(await tx.getAccount(uuid))) {
+          throw new CurrencyError("Player not found", 404);
+        }
+
+        if (await tx.getSharedAccount(uuid)) {
+          throw new CurrencyError("A shared account cannot be a member");
+        }
+
+        assertOwnerRemains(account, uuid, role);
+
+        await tx.setSharedAccountMember(id, uuid, role);
+        return tx.getSharedAccount(id);
+      });
+
+      res.json({
+        success: true,
+        account: formatSharedAccount(account, "owner"),
+      });
+    } catch (error) {
+      sendError(res, "/currency/accounts/:id/members", error);
+    }
+  });
+
+  /**
+   * DELETE /currency/accounts/:id/members/:uuid
+   * Removes a member. Owners can remove anyone; other members can only leave.
+   */
+  router.delete("/currency/accounts/:id/members/:uuid", async (req, res) => {
+    const { id, uuid } = req.params;
+
+    try {
+      await req.economy.transaction(async (tx) => {
+        const { account, role } = await getMembership(tx, id, req.user.uuid);
+
+        if (uuid !== req.user.uuid) {
+          requireOwner(role);
+        }
+
+        assertOwnerRemains(account, uuid, null);
+
+        if (!(await tx.removeSharedAccountMember(id, uuid))) {
+          throw new CurrencyError("Member not found", 404);
+        }
+      });
+
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, "/currency/accounts/:id/members", error);
+    }
+  });
+
+  /**
+   * PUT /currency/accounts/:id/limits
+   * Sets how much treasurers and members can spend per rolling 24 hours. Owners only.
+   * @body {number|null} [treasurer] - Limit for treasurers; null for none.
+   * @body {number|null} [member] - Limit for members; 0 lets them deposit only.
+   */
+  router.put("/currency/accounts/:id/limits", async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const account = await req.economy.transaction(async (tx) => {
+        const { account, role } = await getMembership(tx, id, req.user.uuid);
+        requireOwner(role);
+
+        const limits = parseSpendingLimits(req.body, account.limits);
+        if (limits.error) {
+          throw new CurrencyError(limits.error);
+        }
+
+        await tx.setSharedAccountLimits(id, limits);
+        return { ...account, limits };
+      });
+
+      res.json({
+        success: true,
+        account: formatSharedAccount(account, "owner"),
+      });
+    } catch (error) {
+      sendError(res, "/currency/accounts/:id/limits", error);
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Throws if changing a member's role would leave the account without an owner.
+ *
+ * @param {import('../../db/index.js').SharedAccount} account - Account before the change.
+ * @param {string} uuid - Member being changed.
+ * @param {string|null} role - New role, or null if the member is removed.
+ * @throws {CurrencyError}
+ */
+function assertOwnerRemains(account, uuid, role) {
+  const owners = account.members.filter(
+    (member) =>
+      member.role === "owner" && (member.uuid !== uuid || role === "owner")
+  );
+
+  if (owners.length === 0) {
+    throw new CurrencyError("The account needs at least one owner", 409);
+  }
+}
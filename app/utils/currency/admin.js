@@ -0,0 +1,86 @@
+/**
+ * Works out the compensating balance changes for a `currency_transactions` row.
+ *
+ * - pay, fee, tax: the recipient (the treasury for fees and taxes) pays the amount back
+ * - deposit: the depositor is debited
+ * - withdraw: the withdrawer is credited and the withdrawal's bills are voided
+ * - admin_set / admin_adjust: the signed delta is undone
+ *
+ * @param {Object} row - Transaction row to reverse.
+ * @returns {{error: string}|{from_uuid: string|null, to_uuid: string|null, amount: number, void_bills?: boolean}}
+ *   Money moves from `from_uuid` to `to_uuid`; either side may be null for mints and burns.
+ *   `void_bills` marks withdrawals, whose bills must not stay redeemable.
+ */
+export function planReversal(row) {
+  switch (row.action) {
+    case "pay":
+    case "fee":
+    case "tax":
+      return {
+        from_uuid: row.to_uuid,
+        to_uuid: row.from_uuid,
+        amount: row.amount,
+      };
+    case "deposit":
+      return { from_uuid: row.uuid, to_uuid: null, amount: row.amount };
+    case "withdraw":
+      return {
+        from_uuid: null,
+        to_uuid: row.uuid,
+        amount: row.amount,
+        void_bills: true,
+      };
+    case "admin_set":
+    case "admin_adjust":
+      return row.amount >= 0
+        ? { from_uuid: row.uuid, to_uuid: null, amount: row.amount }
+        : { from_uuid: null, to_uuid: row.uuid, amount: -row.amount };
+    default:
+      return {
+        error: `Transactions of type "${row.action}" cannot be reversed`,
+      };
+  }
+}
+
+/**
+ * Validates the body of an admin balance correction.
+ * Exactly one of `balance` (set) or `adjust` (add/subtract) must be given.
+ *
+ * @param {Object} body - Parsed request body.
+ * @returns {{error: string}|{mode: "set"|"adjust", value: number, reason: string}}
+ */
+export function parseBalanceCorrection(body) {
+  const { balance, adjust } = body;
+  const reason = parseReason(body);
+
+  if (!reason) {
+    return { error: "A reason is required" };
+  }
+
+  if ((balance === undefined) === (adjust === undefined)) {
+    return { error: "Provide either balance or adjust" };
+  }
+
+  if (balance !== undefined) {
+    if (!Number.isInteger(balance) || balance < 0) {
+      return { error: "balance must be a non-negative integer" };
+    }
+    return { mode: "set", value: balance, reason };
+  }
+
+  if (!Number.isInteger(adjust) || adjust === 0) {
+    return { error: "adjust must be a non-zero integer" };
+  }
+  return { mode: "adjust", value: adjust, reason };
+}
+
+/**
+ * Validates the mandatory `reason` of an admin action.
+ *
+ * @param {Object} body - Parsed request body.
+ * @returns {string|null} Trimmed reason, or null if missing.
+ */
+export function parseReason(body) {
+  const { reason } = body;
+  return typeof reason === "string" && reason.trim() ? reason.trim() : null;
+}
@@ -0,0 +1,84 @@
+import crypto from "crypto";
+import { CurrencyError } from "./errors.js";
+
+// One in-game stack of bills
+export const MAX_BILLS_PER_REQUEST = 64;
+
+/**
+ * Error thrown when a bill cannot be redeemed.
+ * Carries the serial and reason so the attempt can be flagged after rollback.
+ */
+export class BillRedemptionError extends CurrencyError {
+  /**
+   * @param {string} message - Message returned to the client.
+   * @param {string} serial - Serial number of the offending bill.
+   * @param {"unknown_serial"|"already_redeemed"|"voided"|"invalid_signature"} reason - Why redemption failed.
+   */
+  constructor(message, serial, reason) {
+    super(message, 400);
+    this.name = "BillRedemptionError";
+    this.serial = serial;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Generates a new unique bill serial number.
+ *
+ * @returns {string} Serial number (UUID v4).
+ */
+export function generateBillSerial() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Signs a bill's serial and denomination with `process.env.BILL_SIGNING_SECRET`.
+ *
+ * @param {string} serial - Bill serial number.
+ * @param {number} denomination - Value of the bill.
+ * @returns {string} Hex-encoded HMAC-SHA256 signature.
+ */
+export function signBill(serial, denomination) {
+  return crypto
+    .createHmac("sha256", process.env.BILL_SIGNING_SECRET)
+    .update(`${serial}.${denomination}`)
+    .digest("hex");
+}
+
+/**
+ * Checks a bill signature presented by the client against the expected one.
+ *
+ * @param {string} serial - Bill serial number.
+ * @param {number} denomination - Recorded value of the bill.
+ * @param {string} signature - Signature presented by the client.
+ * @returns {boolean} True if the signature is valid.
+ */
+export function verifyBillSignature(serial, denomination, signature) {
+  const expected = Buffer.from(signBill(serial, denomination), "hex");
+  const received = Buffer.from(String(signature), "hex");
+
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+}
+
+/**
+ * Validates the `bills` array of a deposit request body.
+ *
+ * @param {any} bills - Value of `req.body.bills`.
+ * @returns {boolean} True if it is a non-empty array of `{ serial, signature }`.
+ */
+export function isValidBillList(bills) {
+  return (
+    Array.isArray(bills) &&
+    bills.length > 0 &&
+    bills.length <= MAX_BILLS_PER_REQUEST &&
+    bills.every(
+      (bill) =>
+        bill &&
+        typeof bill.serial === "string" &&
+        typeof bill.signature === "string"
+    )
+  );
+}
@@ -0,0 +1,95 @@
+import { DateTime } from "luxon";
+
+/**
+ * Start of the current economy day: the latest `daily.reset_time` in the
+ * economy timezone. Daily rewards and mob drop caps both reset at this time.
+ *
+ * @param {{timezone: string, daily: {reset_time: string}}} economy - Active economy config.
+ * @param {DateTime} [now=DateTime.now()] - Current time.
+ * @returns {DateTime} Last reset, in the economy timezone.
+ */
+export function getLastReset({ timezone, daily }, now = DateTime.now()) {
+  const [hour, minute] = daily.reset_time.split(":").map(Number);
+  const local = now.setZone(timezone);
+  const reset = local.set({ hour, minute, second: 0, millisecond: 0 });
+
+  return local < reset ? reset.minus({ days: 1 }) : reset;
+}
+
+/**
+ * Works out where a player's streak stands in the current reset window.
+ *
+ * A claim in the previous window keeps the streak alive; every window missed
+ * since then ends it or takes `daily.streak_decay` days off it.
+ *
+ * @param {Object} economy - Active economy config.
+ * @param {{last_claim_at: Date, streak: number}|null} claim - Stored daily claim.
+ * @param {DateTime} [now=DateTime.now()] - Current time.
+ * @returns {{claimed: boolean, streak: number, lastReset: DateTime}} `streak`
+ *   includes the current window only if it was already claimed.
+ */
+export function getDailyStatus(economy, claim, now = DateTime.now()) {
+  const lastReset = getLastReset(economy, now);
+
+  if (!claim) {
+    return { claimed: false, streak: 0, lastReset };
+  }
+
+  const claimWindow = getLastReset(
+    economy,
+    DateTime.fromJSDate(claim.last_claim_at)
+  );
+  // Rounded, since a window is 23 or 25 hours long when the clocks change
+  const missed = Math.round(lastReset.diff(claimWindow, "days").days) - 1;
+
+  if (missed < 0) {
+    return { claimed: true, streak: claim.streak, lastReset };
+  }
+
+  const decay = economy.daily.streak_decay;
+  const streak =
+    missed === 0
+      ? claim.streak
+      : decay === "reset"
+        ? 0
+        : Math.max(claim.streak - missed * decay, 0);
+
+  return { claimed: false, streak, lastReset };
+}
+
+/**
+ * Reward for the claim that brings the streak to `streak` days.
+ *
+ * @param {Object} daily - `daily` section of the economy config.
+ * @param {number} streak - Streak day being claimed, from 1.
+ * @returns {{reward: number, milestone_bonus: number}} `reward` includes the streak
+ *   bonus but not the milestone bonus.
+ */
+export function getDailyReward(daily, streak) {
+  const bonuses = daily.streak_bonus;
+  const bonus =
+    bonuses.length > 0 ? bonuses[Math.min(streak, bonuses.length) - 1] : 0;
+
+  return {
+    reward: daily.reward + bonus,
+    milestone_bonus: daily.milestones[streak] ?? 0,
+  };
+}
+
+/**
+ * First milestone after a streak of `streak` days.
+ *
+ * @param {Object} daily - `daily` section of the economy config.
+ * @param {number} streak - Current streak.
+ * @returns {{day: number, bonus: number, in_days: number}|null} Null once every milestone is behind.
+ */
+export function getNextMilestone(daily, streak) {
+  const day = Object.keys(daily.milestones)
+    .map(Number)
+    .filter((milestone) => milestone > streak)
+    .sort((a, b) => a - b)[0];
+
+  if (day === undefined) return null;
+
+  return { day, bonus: daily.milestones[day], in_days: day - streak };
+}
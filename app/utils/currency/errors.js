@@ -0,0 +1,17 @@
+/**
+ * Error thrown to reject a currency request from inside a store transaction.
+ * Throwing rolls the transaction back; the route turns it into an HTTP response.
+ */
+export class CurrencyError extends Error {
+  /**
+   * @param {string} message - Message returned to the client.
+   * @param {number} [status=400] - HTTP status code of the response.
+   * @param {Object} [details] - Extra fields merged into the JSON response body.
+   */
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = "CurrencyError";
+    this.status = status;
+    this.details = details;
+  }
+}
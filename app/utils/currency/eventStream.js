@@ -0,0 +1,93 @@
+import logger from "../../../logger.js";
+
+// Keeps idle connections from being closed by proxies, and finds dead WebSocket peers
+const HEARTBEAT_MS = 30 * 1000;
+
+/**
+ * Streams a topic of the event bus to the client until it disconnects.
+ *
+ * WebSocket handshakes (see `createServer` in `app/index.js`) are upgraded and
+ * get one JSON message per event; other requests get Server-Sent Events with
+ * the event ID as `id`, so `EventSource` resumes on its own after a reconnect.
+ * Events missed since `lastEventId` are sent first; if they are no longer
+ * kept, a `reset` event tells the client to reload balances instead. A
+ * `revoked` event (see `revoke` on the event bus) is sent on and then ends the stream.
+ *
+ * @param {import('express').Request} req - Authenticated stream request.
+ * @param {import('express').Response} res - The HTTP response object.
+ * @param {ReturnType<typeof import('./events.js').createEventBus>} events - Event bus to read from.
+ * @param {{economy: string, uuid: string|null, viewer?: string}} topic - One player's events, or the whole
+ *   economy with `uuid: null`; `viewer` is the player who opened the stream.
+ * @param {number|null} lastEventId - Last event the client received.
+ */
+export async function openEventStream(req, res, events, topic, lastEventId) {
+  const stream = req.upgradeWebSocket
+    ? webSocketStream(await req.upgradeWebSocket())
+    : serverSentEventStream(req, res);
+
+  const subscription = events.subscribe(
+    topic,
+    (event) => {
+      stream.send(event);
+      if (event.type === "revoked") stream.close();
+    },
+    lastEventId
+  );
+
+  if (subscription.reset) stream.send({ type: "reset" });
+  subscription.missed.forEach(stream.send);
+
+  const heartbeat = setInterval(stream.heartbeat, HEARTBEAT_MS);
+
+  stream.onClose(() => {
+    clearInterval(heartbeat);
+    subscription.unsubscribe();
+  });
+}
+
+/**
+ * @param {import('express').Request} req - Stream request.
+ * @param {import('express').Response} res - Response kept open for the stream.
+ */
+function serverSentEventStream(req, res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  return {
+    send: ({ id, type, ...data }) =>
+      res.write(
+        `${id ? `id: ${id}\n` : ""}event: ${type}\ndata: ${JSON.stringify({ id, type, ...data })}\n\n`
+      ),
+    heartbeat: () => res.write(": heartbeat\n\n"),
+    close: () => res.end(),
+    onClose: (callback) => res.on("close", callback),
+  };
+}
+
+/**
+ * @param {import('ws').WebSocket} socket - Upgraded connection.
+ */
+function webSocketStream(socket) {
+  let alive = true;
+
+  socket.on("pong", () => {
+    alive = true;
+  });
+  socket.on("error", (error) => logger.warn(`Event stream error: ${error}`));
+
+  return {
+    send: (event) => socket.send(JSON.stringify(event)),
+    heartbeat: () => {
+      if (!alive) return socket.terminate();
+
+      alive = false;
+      socket.ping();
+    },
+    close: () => socket.close(1008, "Token revoked"),
+    onClose: (callback) => socket.on("close", callback),
+  };
+}
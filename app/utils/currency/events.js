@@ -0,0 +1,159 @@
+// Events kept in memory for clients resuming with a last event ID
+const HISTORY_SIZE = 1000;
+
+// Topics a stream can subscribe to
+export const EVENT_TOPICS = ["player", "global"];
+
+/**
+ * Builds the events published for a transfer between two accounts: one for
+ * the sender's topic and one for the recipient's.
+ *
+ * @param {{uuid: string, name: string}} from - Sending player or shared account.
+ * @param {{uuid: string, name: string}} to - Receiving player or shared account.
+ * @param {number} amount - Amount transferred.
+ * @param {{from: number, to: number}} balances - Balances of both accounts after the transfer.
+ * @returns {Object[]} `payment_sent` and `payment_received` events.
+ */
+export function paymentEvents(from, to, amount, balances) {
+  const sender = { uuid: from.uuid, name: from.name };
+  const recipient = { uuid: to.uuid, name: to.name };
+
+  return [
+    {
+      type: "payment_sent",
+      uuid: from.uuid,
+      amount,
+      to: recipient,
+      balance: balances.from,
+    },
+    {
+      type: "payment_received",
+      uuid: to.uuid,
+      amount,
+      from: sender,
+      balance: balances.to,
+    },
+  ];
+}
+
+/**
+ * Parses the ID a client last received, from the `Last-Event-ID` header that
+ * `EventSource` sends when it reconnects or the `last_event_id` query parameter.
+ *
+ * @param {import('express').Request} req - Stream request.
+ * @returns {{error: string}|{lastEventId: number|null}} Null when the client starts fresh.
+ */
+export function parseLastEventId(req) {
+  const value = req.get("Last-Event-ID") ?? req.query.last_event_id;
+  if (value === undefined || value === "") return { lastEventId: null };
+
+  const lastEventId = Number(value);
+  if (!Number.isInteger(lastEventId) || lastEventId < 0) {
+    return { error: "last_event_id must be a non-negative integer" };
+  }
+
+  return { lastEventId };
+}
+
+/**
+ * In-process publisher for economy events (payments, deposits, withdrawals,
+ * daily claims, admin adjustments), streamed to clients by `/currency/events`
+ * and `/admin/events`.
+ *
+ * Event IDs count up from 1 each time the server starts; the last
+ * `HISTORY_SIZE` events are kept so reconnecting clients can catch up.
+ *
+ * A topic opened by a player names them as `viewer`: other accounts' events
+ * reach them without `balance`, and `revoke` ends their subscriptions.
+ *
+ * @returns {{
+ *   publish: (economy: string, events: Object[]) => void,
+ *   subscribe: (topic: {economy: string, uuid: string|null, viewer?: string}, listener: (event: Object) => void, lastEventId?: number|null) =>
+ *     {missed: Object[], reset: boolean, unsubscribe: () => void},
+ *   revoke: (economy: string, uuid: string) => void
+ * }}
+ */
+export function createEventBus() {
+  const history = [];
+  const subscribers = new Set();
+  let lastId = 0;
+
+  const matches = (topic, event) =>
+    event.economy === topic.economy &&
+    (topic.uuid === null || event.uuid === topic.uuid);
+
+  const visibleTo = (topic, event) => {
+    if (!topic.viewer || event.uuid === topic.viewer) return event;
+
+    const { balance, ...visible } = event;
+    return visible;
+  };
+
+  return {
+    /**
+     * Numbers and delivers events. Call only after the transaction that
+     * caused them committed.
+     */
+    publish(economy, events) {
+      for (const data of events) {
+        const event = {
+          id: ++lastId,
+          economy,
+          ...data,
+          created_at: new Date().toISOString(),
+        };
+
+        history.push(event);
+        if (history.length > HISTORY_SIZE) history.shift();
+
+        for (const { topic, listener } of subscribers) {
+          if (matches(topic, event)) listener(visibleTo(topic, event));
+        }
+      }
+    },
+
+    /**
+     * Subscribes to one player's events (`uuid`) or every event of the economy
+     * (`uuid: null`). With `lastEventId`, `missed` holds the matching events
+     * published since; `reset` means they are no longer all kept (or the ID is
+     * from before a restart), so the client should reload its state instead.
+     */
+    subscribe(topic, listener, lastEventId = null) {
+      const subscriber = { topic, listener };
+      const oldestId = history[0]?.id ?? lastId + 1;
+
+      const reset =
+        lastEventId !== null &&
+        (lastEventId > lastId || lastEventId < oldestId - 1);
+      const missed =
+        lastEventId === null || reset
+          ? []
+          : history
+              .filter(
+                (event) => event.id > lastEventId && matches(topic, event)
+              )
+              .map((event) => visibleTo(topic, event));
+
+      subscribers.add(subscriber);
+
+      return {
+        missed,
+        reset,
+        unsubscribe: () => subscribers.delete(subscriber),
+      };
+    },
+
+    /**
+     * Sends a `revoked` event to every subscription the player opened, after
+     * their token version changed (freeze, kick or logout everywhere). The
+     * event is not numbered or kept; streams close when they receive it.
+     */
+    revoke(economy, uuid) {
+      for (const { topic, listener } of subscribers) {
+        if (topic.economy === economy && topic.viewer === uuid) {
+          listener({ type: "revoked" });
+        }
+      }
+    },
+  };
+}
@@ -0,0 +1,106 @@
+import { DateTime } from "luxon";
+
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+export const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Parses and validates the query string of `GET /currency/history`.
+ *
+ * @param {Object} query - `req.query` of the request.
+ * @param {string} [query.limit] - Page size (1-100, default 20).
+ * @param {string} [query.cursor] - `next_cursor` returned by the previous page.
+ * @param {string} [query.action] - Comma-separated action types (e.g., "pay,deposit").
+ * @param {string} [query.counterparty] - UUID of the other player in a payment.
+ * @param {string} [query.from] - ISO date/time, inclusive lower bound.
+ * @param {string} [query.to] - ISO date/time, exclusive upper bound.
+ * @param {RegExp} cursorPattern - Format of a valid cursor for the current database.
+ * @returns {{error: string}|{limit: number, cursor: string|null, actions: string[]|null, counterparty: string|null, from: Date|null, to: Date|null}}
+ */
+export function parseHistoryQuery(query, cursorPattern) {
+  const limit =
+    query.limit === undefined ? DEFAULT_HISTORY_LIMIT : Number(query.limit);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_HISTORY_LIMIT}` };
+  }
+
+  const cursor = query.cursor || null;
+  if (cursor && !cursorPattern.test(cursor)) {
+    return { error: "Invalid cursor" };
+  }
+
+  const actions = query.action
+    ? String(query.action)
+        .split(",")
+        .map((action) => action.trim())
+        .filter(Boolean)
+    : null;
+
+  const counterparty = query.counterparty ? String(query.counterparty) : null;
+  if (counterparty && !UUID_PATTERN.test(counterparty)) {
+    return { error: "Invalid counterparty" };
+  }
+
+  const dates = {};
+  for (const key of ["from", "to"]) {
+    if (!query[key]) {
+      dates[key] = null;
+      continue;
+    }
+
+    const date = DateTime.fromISO(String(query[key]), { zone: "utc" });
+    if (!date.isValid) {
+      return { error: `Invalid ${key} date` };
+    }
+    dates[key] = date.toJSDate();
+  }
+
+  return {
+    limit,
+    cursor,
+    actions: actions && actions.length > 0 ? actions : null,
+    counterparty,
+    from: dates.from,
+    to: dates.to,
+  };
+}
+
+/**
+ * Shapes a `currency_transactions` row from the perspective of one player.
+ *
+ * @param {Object} row - Transaction row with `from_name`/`to_name`/`member_name` joined from `user_funds`.
+ * @param {string} uuid - UUID of the player or shared account whose history is shown.
+ * @returns {Object} History entry returned by `GET /currency/history`.
+ */
+export function formatHistoryEntry(row, uuid) {
+  const isSender = row.from_uuid === uuid;
+  const isRecipient = !isSender && row.to_uuid === uuid;
+
+  let counterparty = null;
+  if (isSender && row.to_uuid) {
+    counterparty = { uuid: row.to_uuid, name: row.to_name ?? null };
+  } else if (isRecipient && row.from_uuid) {
+    counterparty = { uuid: row.from_uuid, name: row.from_name ?? null };
+  }
+
+  return {
+    id: String(row.id),
+    action: row.action,
+    amount: row.amount,
+    direction: isSender ? "sent" : isRecipient ? "received" : null,
+    counterparty,
+    // Member who paid out of a shared account
+    member: row.member_uuid
+      ? { uuid: row.member_uuid, name: row.member_name ?? null }
+      : null,
+    denomination: row.denomination ?? null,
+    count: row.count ?? null,
+    // Transaction a "fee" entry was charged on
+    fee_for_id: row.fee_for_id ? String(row.fee_for_id) : null,
+    // balance_after belongs to the player who initiated the transaction
+    balance_after: row.uuid === uuid ? (row.balance_after ?? null) : null,
+    created_at: row.created_at,
+  };
+}
@@ -0,0 +1,98 @@
+import crypto from "crypto";
+
+/**
+ * Hashes the endpoint and request body so a reused key can be matched
+ * against the request it was first used with.
+ *
+ * @param {string} endpoint - Endpoint name (e.g., "pay", "deposit").
+ * @param {Object} body - Parsed request body.
+ * @returns {string} Hex-encoded SHA-256 hash.
+ */
+function hashRequest(endpoint, body) {
+  return crypto
+    .createHash("sha256")
+    .update(`${endpoint}:${JSON.stringify(body ?? {})}`)
+    .digest("hex");
+}
+
+/**
+ * Claims the request's `Idempotency-Key` inside an open store transaction.
+ * Must be called before any balance change, so a retry never runs twice.
+ *
+ * @param {import('../../../db/index.js').StoreTransaction} tx - Open store transaction.
+ * @param {import('express').Request} req - The incoming HTTP request.
+ * @param {string} endpoint - Endpoint name (e.g., "pay", "deposit").
+ * @returns {Promise<null|{conflict: boolean, status_code?: number, response?: Object}>}
+ *   `null` if the request should be processed, otherwise the stored outcome.
+ */
+export async function claimIdempotencyKey(tx, req, endpoint) {
+  const key = req.headers["idempotency-key"];
+  if (!key) return null;
+
+  const requestHash = hashRequest(endpoint, req.body);
+
+  const row = await tx.claimIdempotencyKey({
+    uuid: req.user.uuid,
+    key,
+    endpoint,
+    request_hash: requestHash,
+  });
+
+  if (!row) return null;
+
+  if (row.request_hash !== requestHash) return { conflict: true };
+
+  return {
+    conflict: false,
+    status_code: row.status_code,
+    response: row.response,
+  };
+}
+
+/**
+ * Stores the response for the request's `Idempotency-Key`.
+ * Must be called in the same transaction as the balance change.
+ *
+ * @param {import('../../../db/index.js').StoreTransaction} tx - Open store transaction.
+ * @param {import('express').Request} req - The incoming HTTP request.
+ * @param {string} endpoint - Endpoint name (e.g., "pay", "deposit").
+ * @param {number} statusCode - HTTP status code of the response.
+ * @param {Object} response - JSON response body.
+ * @returns {Promise<void>}
+ */
+export async function saveIdempotentResponse(
+  tx,
+  req,
+  endpoint,
+  statusCode,
+  response
+) {
+  const key = req.headers["idempotency-key"];
+  if (!key) return;
+
+  await tx.saveIdempotencyKey({
+    uuid: req.user.uuid,
+    key,
+    endpoint,
+    request_hash: hashRequest(endpoint, req.body),
+    status_code: statusCode,
+    response,
+  });
+}
+
+/**
+ * Sends a stored idempotent outcome back to the client.
+ *
+ * @param {import('express').Response} res - The HTTP response object.
+ * @param {{conflict: boolean, status_code?: number, response?: Object}} outcome - Result of `claimIdempotencyKey`.
+ */
+export function replayIdempotentResponse(res, outcome) {
+  if (outcome.conflict) {
+    return res.status(409).json({
+      error: "Idempotency-Key was already used with a different request",
+    });
+  }
+
+  res.set("Idempotent-Replayed", "true");
+  return res.status(outcome.status_code).json(outcome.response);
+}
@@ -0,0 +1,153 @@
+import { DateTime } from "luxon";
+import { getEconomy } from "../../../config/economy/index.js";
+import { ttlToMs } from "../../../config/economy/durations.js";
+import { getLastReset } from "./daily.js";
+
+// Boards served by `GET /currency/leaderboard`
+export const LEADERBOARDS = [
+  "balance",
+  "earned_week",
+  "daily_streak",
+  "shared",
+];
+
+const MAX_PAGE_SIZE = 100;
+
+// Entries shown above and below the caller in `me.neighbours`
+const NEIGHBOURS = 2;
+
+/**
+ * Parses and validates the query string of `GET /currency/leaderboard`.
+ *
+ * @param {Object} query - `req.query` of the request.
+ * @param {string} [query.board] - One of `LEADERBOARDS` (default "balance").
+ * @param {string} [query.page] - Page number, from 1.
+ * @param {string} [query.limit] - Page size (1-100).
+ * @param {number} defaultLimit - Page size when `limit` is omitted (`leaderboard.size`).
+ * @returns {{error: string}|{board: string, page: number, limit: number}}
+ */
+export function parseLeaderboardQuery(query, defaultLimit) {
+  const board = query.board ?? "balance";
+  if (!LEADERBOARDS.includes(board)) {
+    return { error: `board must be one of: ${LEADERBOARDS.join(", ")}` };
+  }
+
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: "page must be a positive integer" };
+  }
+
+  const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  return { board, page, limit };
+}
+
+/**
+ * Start of the window a board covers, or null for boards of current balances.
+ * Weeks start on Monday at `daily.reset_time`; a streak counts while it was
+ * claimed in the current or the previous reset window.
+ *
+ * @param {Object} economy - Active economy config.
+ * @param {string} board - One of `LEADERBOARDS`.
+ * @param {DateTime} [now=DateTime.now()] - Current time.
+ * @returns {Date|null}
+ */
+export function leaderboardSince(economy, board, now = DateTime.now()) {
+  const lastReset = getLastReset(economy, now);
+
+  switch (board) {
+    case "earned_week":
+      return lastReset.minus({ days: lastReset.weekday - 1 }).toJSDate();
+    case "daily_streak":
+      return lastReset.minus({ days: 1 }).toJSDate();
+    default:
+      return null;
+  }
+}
+
+/**
+ * Numbers leaderboard rows; accounts with the same value share a rank ("1, 2, 2, 4").
+ *
+ * @param {import('../../../db/index.js').LeaderboardRow[]} rows - Rows, best first.
+ * @returns {(import('../../../db/index.js').LeaderboardRow & {rank: number})[]}
+ */
+export function rankLeaderboard(rows) {
+  let rank = 0;
+
+  return rows.map((row, index) => {
+    if (index === 0 || row.value !== rows[index - 1].value) rank = index + 1;
+    return { rank, ...row };
+  });
+}
+
+/**
+ * The caller's place on a ranked board with the entries around it.
+ *
+ * @param {Object[]} entries - Ranked board from `rankLeaderboard`.
+ * @param {string} uuid - Caller's UUID.
+ * @returns {{rank: number, value: number, neighbours: Object[]}|null} Null if the
+ *   caller is not on the board.
+ */
+export function findLeaderboardEntry(entries, uuid) {
+  const index = entries.findIndex((entry) => entry.uuid === uuid);
+  if (index === -1) return null;
+
+  return {
+    rank: entries[index].rank,
+    value: entries[index].value,
+    neighbours: entries.slice(
+      Math.max(index - NEIGHBOURS, 0),
+      index + NEIGHBOURS + 1
+    ),
+  };
+}
+
+/**
+ * Keeps each economy's ranked boards in memory for `leaderboard.cache_ttl`, so
+ * repeated `/baltop` commands do not query the database every time.
+ *
+ * @param {import('../../../db/index.js').Store} store - Currency store the boards are read from.
+ * @returns {{get: (economy: string, board: string) => Promise<{entries: Object[], updated_at: Date}>, invalidate: (economy: string) => void}}
+ */
+export function createLeaderboardCache(store) {
+  // `${economy}:${board}` -> { promise, expiresAt }
+  const boards = new Map();
+
+  return {
+    get(economy, board) {
+      const key = `${economy}:${board}`;
+      const cached = boards.get(key);
+      if (cached && cached.expiresAt > Date.now()) return cached.promise;
+
+      const config = getEconomy();
+      const promise = store
+        .forEconomy(economy)
+        .getLeaderboard(board, leaderboardSince(config, board))
+        .then((rows) => ({
+          entries: rankLeaderboard(rows),
+          updated_at: new Date(),
+        }));
+
+      // Concurrent requests share one query; a failed one is not cached
+      const entry = {
+        promise,
+        expiresAt: Date.now() + ttlToMs(config.leaderboard.cache_ttl),
+      };
+      boards.set(key, entry);
+      promise.catch(() => {
+        if (boards.get(key) === entry) boards.delete(key);
+      });
+
+      return promise;
+    },
+
+    invalidate(economy) {
+      for (const key of boards.keys()) {
+        if (key.startsWith(`${economy}:`)) boards.delete(key);
+      }
+    },
+  };
+}
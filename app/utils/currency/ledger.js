@@ -0,0 +1,69 @@
+// System account money is minted from (deposits, daily rewards, ...)
+export const MINT_ACCOUNT = "system:mint";
+
+// System account money is burned into (withdrawals into physical bills)
+export const BURN_ACCOUNT = "system:burn";
+
+/**
+ * Works out the double-entry ledger postings for a currency transaction.
+ *
+ * Each posting adds `amount` to an account, so debits are negative and credits positive.
+ * Player accounts (and the treasury fees and taxes go to) are identified by UUID;
+ * system accounts by `MINT_ACCOUNT`/`BURN_ACCOUNT`.
+ *
+ * @param {Object} data - Transaction data as passed to `logTransactions`.
+ * @returns {{account: string, amount: number}[]} Postings that sum to zero, or none if no money moved.
+ * @throws {Error} If the action has no ledger mapping.
+ */
+export function buildLedgerEntries(data) {
+  const { uuid, action, amount, from_uuid = null, to_uuid = null } = data;
+
+  if (!amount) return [];
+
+  let debit;
+  let credit;
+  let value = amount;
+
+  switch (action) {
+    case "pay":
+    case "fee":
+    case "tax":
+      debit = from_uuid;
+      credit = to_uuid;
+      break;
+    case "deposit":
+    case "daily":
+    case "mob_reward":
+    case "opening_balance":
+      debit = MINT_ACCOUNT;
+      credit = uuid;
+      break;
+    case "withdraw":
+      debit = uuid;
+      credit = BURN_ACCOUNT;
+      break;
+    case "admin_set":
+    case "admin_adjust":
+      // amount is the signed change to the player's balance
+      if (amount > 0) {
+        debit = MINT_ACCOUNT;
+        credit = uuid;
+      } else {
+        debit = uuid;
+        credit = BURN_ACCOUNT;
+        value = -amount;
+      }
+      break;
+    case "reversal":
+      debit = from_uuid ?? MINT_ACCOUNT;
+      credit = to_uuid ?? BURN_ACCOUNT;
+      break;
+    default:
+      throw new Error(`No ledger mapping for action "${action}"`);
+  }
+
+  return [
+    { account: debit, amount: -value },
+    { account: credit, amount: value },
+  ];
+}
@@ -0,0 +1,54 @@
+/**
+ * Looks up the reward table entry for a mob type sent by the mod.
+ *
+ * @param {Object} settings - `mob_rewards` section of the economy config.
+ * @param {unknown} mob - `mob` from the request body, e.g. "minecraft:zombie".
+ * @returns {{error: string}|{mob: string}}
+ */
+export function parseMobType(settings, mob) {
+  if (typeof mob !== "string" || mob.trim() === "") {
+    return { error: "mob must be an entity type like minecraft:zombie" };
+  }
+
+  const type = mob.trim().toLowerCase();
+  if (!Object.hasOwn(settings.mobs, type)) {
+    return { error: `No reward for mob type ${type}` };
+  }
+
+  return { mob: type };
+}
+
+/**
+ * Works out how much a player can still earn from mob drops this economy day.
+ * A mob's `remaining` never exceeds the overall `remaining`.
+ *
+ * @param {Object} settings - `mob_rewards` section of the economy config.
+ * @param {{mob: string, earned: number}[]} earnings - Today's earnings per mob type.
+ * @param {boolean} [limitMarked=false] - The mod gave up the rest of today's allowance
+ *   with `POST /currency/mob-limit`.
+ * @returns {{daily_cap: number, earned: number, remaining: number, mobs: Object<string, {reward: number, daily_cap: number|null, earned: number, remaining: number}>}}
+ */
+export function getMobAllowance(settings, earnings, limitMarked = false) {
+  const earnedByMob = new Map(earnings.map((row) => [row.mob, row.earned]));
+  const earned = earnings.reduce((total, row) => total + row.earned, 0);
+  const remaining = limitMarked ? 0 : Math.max(settings.daily_cap - earned, 0);
+
+  const mobs = {};
+  for (const [mob, { reward, daily_cap = null }] of Object.entries(
+    settings.mobs
+  )) {
+    const mobEarned = earnedByMob.get(mob) ?? 0;
+
+    mobs[mob] = {
+      reward,
+      daily_cap,
+      earned: mobEarned,
+      remaining:
+        daily_cap === null
+          ? remaining
+          : Math.min(Math.max(daily_cap - mobEarned, 0), remaining),
+    };
+  }
+
+  return { daily_cap: settings.daily_cap, earned, remaining, mobs };
+}
@@ -0,0 +1,157 @@
+import { DateTime } from "luxon";
+import { getEconomy } from "../../../config/economy/index.js";
+import { ttlToMs } from "../../../config/economy/durations.js";
+
+const DEFAULT_NOTIFICATION_LIMIT = 20;
+const MAX_NOTIFICATION_LIMIT = 100;
+
+// Incoming requests checked for `payment_request_expiring` notices, newest first
+const MAX_CHECKED_REQUESTS = 100;
+
+/**
+ * Parses and validates the query string of `GET /currency/notifications`.
+ *
+ * @param {Object} query - `req.query` of the request.
+ * @param {string} [query.unread] - "true" to list only unread notifications.
+ * @param {string} [query.limit] - Page size (1-100, default 20).
+ * @returns {{error: string}|{unread: boolean, limit: number}}
+ */
+export function parseNotificationQuery(query) {
+  const unread = query.unread ?? "false";
+  if (unread !== "true" && unread !== "false") {
+    return { error: "unread must be true or false" };
+  }
+
+  const limit =
+    query.limit === undefined
+      ? DEFAULT_NOTIFICATION_LIMIT
+      : Number(query.limit);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_NOTIFICATION_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_NOTIFICATION_LIMIT}` };
+  }
+
+  return { unread: unread === "true", limit };
+}
+
+/**
+ * Parses the body of `POST /currency/notifications/read`.
+ *
+ * @param {Object} body - Request body.
+ * @param {string[]} [body.ids] - Notifications to mark as read.
+ * @param {boolean} [body.all] - Mark every notification as read instead.
+ * @param {RegExp} idPattern - Format of a valid ID for the current database.
+ * @returns {{error: string}|{ids: string[]|null}} `ids` is null for all notifications.
+ */
+export function parseNotificationIds(body, idPattern) {
+  if (body.all === true) return { ids: null };
+
+  const { ids } = body;
+  if (
+    !Array.isArray(ids) ||
+    ids.length === 0 ||
+    ids.length > MAX_NOTIFICATION_LIMIT ||
+    !ids.every((id) => typeof id === "string" && idPattern.test(id))
+  ) {
+    return {
+      error: `ids must be a list of 1 to ${MAX_NOTIFICATION_LIMIT} notification IDs, or all must be true`,
+    };
+  }
+
+  return { ids };
+}
+
+const money = (amount) => `$${amount.toLocaleString("en-US")}`;
+
+/**
+ * Text the mod shows for a notification.
+ *
+ * @param {string} type - Notification type.
+ * @param {Object} data - Notification data.
+ * @returns {string}
+ */
+function describeNotification(type, data) {
+  switch (type) {
+    case "payment_received":
+      return data.request_id
+        ? `${data.from.name} paid your request for ${money(data.amount)}`
+        : `${data.from.name} paid you ${money(data.amount)}`;
+    case "admin_adjustment":
+      return data.amount >= 0
+        ? `An admin added ${money(data.amount)} to your balance: ${data.reason}`
+        : `An admin removed ${money(-data.amount)} from your balance: ${data.reason}`;
+    case "payment_request_expiring":
+      return `${data.from.name}'s request for ${money(data.amount)} expires ${DateTime.fromISO(data.expires_at).toRelative()}`;
+    case "scheduled_payment_failed":
+      return data.next_run_at
+        ? `Your scheduled payment of ${money(data.amount)} to ${data.to.name} failed (${data.error}), retrying ${DateTime.fromISO(data.next_run_at).toRelative()}`
+        : `Your scheduled payment of ${money(data.amount)} to ${data.to.name} failed (${data.error}) and was stopped`;
+    case "wealth_tax":
+      return `You paid ${money(data.amount)} in wealth tax`;
+    case "account_frozen":
+      return `Your account was frozen: ${data.reason}`;
+    case "account_unfrozen":
+      return `Your account was unfrozen: ${data.reason}`;
+    default:
+      return type;
+  }
+}
+
+/**
+ * Shapes a stored notification for the API, with the text to show.
+ *
+ * @param {import('../../../db/index.js').Notification} notification - Stored notification.
+ * @returns {Object}
+ */
+export function formatNotification({ id, type, data, created_at, read_at }) {
+  return {
+    id,
+    type,
+    message: describeNotification(type, data),
+    ...data,
+    read: read_at !== null,
+    created_at,
+  };
+}
+
+/**
+ * Adds a `payment_request_expiring` notification for each pending request to
+ * the player that expires within `notifications.request_warning`. Each request
+ * is only ever noticed once.
+ *
+ * @param {import('../../../db/index.js').EconomyStore} economy - The player's economy.
+ * @param {string} uuid - Player the requests are addressed to.
+ * @param {Date} [now=new Date()] - Current time.
+ * @returns {Promise<void>}
+ */
+export async function notifyExpiringRequests(economy, uuid, now = new Date()) {
+  const warnBefore =
+    now.getTime() + ttlToMs(getEconomy().notifications.request_warning);
+
+  const requests = await economy.listPaymentRequests(uuid, {
+    direction: "incoming",
+    status: "pending",
+    limit: MAX_CHECKED_REQUESTS,
+  });
+  const expiring = requests.filter(
+    (request) => request.expires_at.getTime() <= warnBefore
+  );
+
+  if (expiring.length === 0) return;
+
+  await economy.transaction(async (tx) => {
+    for (const request of expiring) {
+      await tx.addNotification({
+        uuid,
+        type: "payment_request_expiring",
+        data: {
+          request_id: request.id,
+          amount: request.amount,
+          from: { uuid: request.requester_uuid, name: request.requester_name },
+          expires_at: request.expires_at.toISOString(),
+        },
+        ref: request.id,
+      });
+    }
+  });
+}
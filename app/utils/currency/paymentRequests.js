@@ -0,0 +1,146 @@
+import { ttlToMs } from "../../../config/economy/durations.js";
+import { UUID_PATTERN } from "./history.js";
+
+const MAX_MEMO_LENGTH = 140;
+const DEFAULT_LIST_LIMIT = 20;
+const MAX_LIST_LIMIT = 100;
+
+// Statuses players can filter by; "expired" is a pending request past its expiry
+export const PAYMENT_REQUEST_STATUSES = [
+  "pending",
+  "accepted",
+  "declined",
+  "cancelled",
+  "expired",
+];
+
+/**
+ * Parses and validates the body of `POST /currency/requests`.
+ *
+ * @param {Object} body - Parsed request body.
+ * @param {string} requesterUuid - UUID of the player asking for money.
+ * @param {{default_ttl: number|string, max_ttl: number|string}} settings - `payment_requests` economy settings.
+ * @param {Date} [now=new Date()] - Current time.
+ * @returns {{error: string}|{payer_uuid: string, amount: number, memo: string|null, expires_at: Date}}
+ */
+export function parsePaymentRequest(
+  body,
+  requesterUuid,
+  settings,
+  now = new Date()
+) {
+  const { payer_uuid, amount, memo, expires_in } = body;
+
+  if (typeof payer_uuid !== "string" || !UUID_PATTERN.test(payer_uuid)) {
+    return { error: "Invalid payer_uuid" };
+  }
+
+  if (payer_uuid === requesterUuid) {
+    return { error: "Cannot request money from yourself" };
+  }
+
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return { error: "Amount must be a positive integer" };
+  }
+
+  if (
+    memo !== undefined &&
+    memo !== null &&
+    (typeof memo !== "string" || memo.length > MAX_MEMO_LENGTH)
+  ) {
+    return {
+      error: `memo must be text of at most ${MAX_MEMO_LENGTH} characters`,
+    };
+  }
+
+  const maxSeconds = ttlToMs(settings.max_ttl) / 1000;
+  if (
+    expires_in !== undefined &&
+    (!Number.isInteger(expires_in) || expires_in < 1 || expires_in > maxSeconds)
+  ) {
+    return { error: `expires_in must be between 1 and ${maxSeconds} seconds` };
+  }
+
+  const ttlMs =
+    expires_in === undefined
+      ? ttlToMs(settings.default_ttl)
+      : expires_in * 1000;
+
+  return {
+    payer_uuid,
+    amount,
+    memo: memo?.trim() || null,
+    expires_at: new Date(now.getTime() + ttlMs),
+  };
+}
+
+/**
+ * Parses and validates the query string of `GET /currency/requests/{incoming,outgoing}`.
+ *
+ * @param {Object} query - `req.query` of the request.
+ * @param {string} [query.limit] - Page size (1-100, default 20).
+ * @param {string} [query.cursor] - `next_cursor` returned by the previous page.
+ * @param {string} [query.status] - One of `PAYMENT_REQUEST_STATUSES`.
+ * @param {RegExp} cursorPattern - Format of a valid cursor for the current database.
+ * @returns {{error: string}|{limit: number, cursor: string|null, status: string|null}}
+ */
+export function parsePaymentRequestQuery(query, cursorPattern) {
+  const limit =
+    query.limit === undefined ? DEFAULT_LIST_LIMIT : Number(query.limit);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIST_LIMIT}` };
+  }
+
+  const cursor = query.cursor || null;
+  if (cursor && !cursorPattern.test(cursor)) {
+    return { error: "Invalid cursor" };
+  }
+
+  const status = query.status || null;
+  if (status && !PAYMENT_REQUEST_STATUSES.includes(status)) {
+    return {
+      error: `status must be one of ${PAYMENT_REQUEST_STATUSES.join(", ")}`,
+    };
+  }
+
+  return { limit, cursor, status };
+}
+
+/**
+ * Status of a request as players see it: pending requests past their expiry are "expired".
+ *
+ * @param {import('../../../db/index.js').PaymentRequest} request - Stored request.
+ * @param {Date} [now=new Date()] - Current time.
+ * @returns {string} One of `PAYMENT_REQUEST_STATUSES`.
+ */
+export function paymentRequestStatus(request, now = new Date()) {
+  return request.status === "pending" && new Date(request.expires_at) <= now
+    ? "expired"
+    : request.status;
+}
+
+/**
+ * Shapes a stored request for API responses.
+ *
+ * @param {import('../../../db/index.js').PaymentRequest} request - Request with `requester_name`/`payer_name`.
+ * @param {Date} [now=new Date()] - Current time.
+ * @returns {Object} Request returned by the `/currency/requests` endpoints.
+ */
+export function formatPaymentRequest(request, now = new Date()) {
+  return {
+    id: request.id,
+    requester: {
+      uuid: request.requester_uuid,
+      name: request.requester_name ?? null,
+    },
+    payer: { uuid: request.payer_uuid, name: request.payer_name ?? null },
+    amount: request.amount,
+    memo: request.memo ?? null,
+    status: paymentRequestStatus(request, now),
+    expires_at: request.expires_at,
+    created_at: request.created_at,
+    resolved_at: request.resolved_at ?? null,
+    transaction_id: request.transaction_id ?? null,
+  };
+}
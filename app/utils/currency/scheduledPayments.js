@@ -0,0 +1,209 @@
+import { DateTime } from "luxon";
+import { isDuration, ttlToMs } from "../../../config/economy/durations.js";
+import { UUID_PATTERN } from "./history.js";
+
+const MAX_MEMO_LENGTH = 140;
+const DEFAULT_LIST_LIMIT = 20;
+const MAX_LIST_LIMIT = 100;
+
+export const SCHEDULED_PAYMENT_STATUSES = [
+  "active",
+  "completed",
+  "cancelled",
+  "failed",
+];
+
+// Sides of a payment a player can list: payments they make, or receive
+const DIRECTIONS = ["outgoing", "incoming"];
+
+/**
+ * Parses and validates a new scheduled payment. A payment with `run_at` and
+ * no `interval` runs once; with an `interval` it repeats, starting at `run_at`
+ * or one interval from now.
+ *
+ * @param {Object} body - Parsed request body.
+ * @param {string} payerUuid - Account the payment is taken from.
+ * @param {{min_interval: number|string}} settings - `scheduled_payments` economy settings.
+ * @param {Date} [now=new Date()] - Current time.
+ * @returns {{error: string}|{payee_uuid: string, amount: number, memo: string|null, interval_seconds: number|null, starts_at: Date}}
+ */
+export function parseScheduledPayment(
+  body,
+  payerUuid,
+  settings,
+  now = new Date()
+) {
+  const { to_uuid, amount, memo, run_at, interval } = body;
+
+  if (typeof to_uuid !== "string" || !UUID_PATTERN.test(to_uuid)) {
+    return { error: "Invalid to_uuid" };
+  }
+
+  if (to_uuid === payerUuid) {
+    return { error: "Cannot pay yourself" };
+  }
+
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return { error: "Amount must be a positive integer" };
+  }
+
+  if (
+    memo !== undefined &&
+    memo !== null &&
+    (typeof memo !== "string" || memo.length > MAX_MEMO_LENGTH)
+  ) {
+    return {
+      error: `memo must be text of at most ${MAX_MEMO_LENGTH} characters`,
+    };
+  }
+
+  let intervalMs = null;
+  if (interval !== undefined && interval !== null) {
+    if (!isDuration(interval)) {
+      return { error: 'interval must be seconds or a duration like "7d"' };
+    }
+
+    intervalMs = ttlToMs(interval);
+    if (intervalMs < ttlToMs(settings.min_interval)) {
+      return { error: `interval must be at least ${settings.min_interval}` };
+    }
+  }
+
+  let startsAt = null;
+  if (run_at !== undefined && run_at !== null) {
+    const date = DateTime.fromISO(String(run_at), { zone: "utc" });
+
+    if (!date.isValid) {
+      return { error: "Invalid run_at date" };
+    }
+    if (date.toMillis() <= now.getTime()) {
+      return { error: "run_at must be in the future" };
+    }
+    startsAt = date.toJSDate();
+  }
+
+  if (!startsAt && intervalMs === null) {
+    return { error: "Provide run_at, interval or both" };
+  }
+
+  return {
+    payee_uuid: to_uuid,
+    amount,
+    memo: memo?.trim() || null,
+    interval_seconds:
+      intervalMs === null ? null : Math.round(intervalMs / 1000),
+    starts_at: startsAt ?? new Date(now.getTime() + intervalMs),
+  };
+}
+
+/**
+ * Parses and validates the query string of the scheduled payment lists.
+ *
+ * @param {Object} query - `req.query` of the request.
+ * @param {string} [query.limit] - Page size (1-100, default 20).
+ * @param {string} [query.cursor] - `next_cursor` returned by the previous page.
+ * @param {string} [query.status] - One of `SCHEDULED_PAYMENT_STATUSES`.
+ * @param {string} [query.direction] - "outgoing" or "incoming"; both when left out.
+ * @param {RegExp} cursorPattern - Format of a valid cursor for the current database.
+ * @returns {{error: string}|{limit: number, cursor: string|null, status: string|null, direction: string|null}}
+ */
+export function parseScheduledPaymentQuery(query, cursorPattern) {
+  const limit =
+    query.limit === undefined ? DEFAULT_LIST_LIMIT : Number(query.limit);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIST_LIMIT}` };
+  }
+
+  const cursor = query.cursor || null;
+  if (cursor && !cursorPattern.test(cursor)) {
+    return { error: "Invalid cursor" };
+  }
+
+  const status = query.status || null;
+  if (status && !SCHEDULED_PAYMENT_STATUSES.includes(status)) {
+    return {
+      error: `status must be one of ${SCHEDULED_PAYMENT_STATUSES.join(", ")}`,
+    };
+  }
+
+  const direction = query.direction || null;
+  if (direction && !DIRECTIONS.includes(direction)) {
+    return { error: `direction must be one of ${DIRECTIONS.join(", ")}` };
+  }
+
+  return { limit, cursor, status, direction };
+}
+
+/**
+ * First run of a recurring payment after `now`. Runs missed while the server
+ * was down are not made up; the schedule continues from the next one.
+ *
+ * @param {import('../../../db/index.js').ScheduledPayment} payment - Stored payment.
+ * @param {Date} now - Current time.
+ * @returns {Date|null} Null for one-off payments.
+ */
+export function nextScheduledRun(payment, now) {
+  if (!payment.interval_seconds) return null;
+
+  const intervalMs = payment.interval_seconds * 1000;
+  const start = new Date(payment.starts_at).getTime();
+  const periods = Math.max(Math.floor((now.getTime() - start) / intervalMs), 0);
+
+  return new Date(start + (periods + 1) * intervalMs);
+}
+
+/**
+ * Decides what happens after a failed run: retry after `retry_delay` until
+ * `max_retries` retries failed, then apply `on_failure` ("skip" waits for the
+ * next run of a recurring payment; everything else stops the payment).
+ *
+ * @param {import('../../../db/index.js').ScheduledPayment} payment - Payment whose run failed.
+ * @param {Date} now - Current time.
+ * @param {{max_retries: number, retry_delay: number|string, on_failure: string}} settings - `scheduled_payments` economy settings.
+ * @returns {{status: "active", failures: number, next_run_at: Date}|{status: "failed", failures: number}}
+ */
+export function planRetry(payment, now, settings) {
+  const failures = payment.failures + 1;
+
+  if (failures <= settings.max_retries) {
+    return {
+      status: "active",
+      failures,
+      next_run_at: new Date(now.getTime() + ttlToMs(settings.retry_delay)),
+    };
+  }
+
+  const next =
+    settings.on_failure === "skip" ? nextScheduledRun(payment, now) : null;
+
+  return next
+    ? { status: "active", failures: 0, next_run_at: next }
+    : { status: "failed", failures };
+}
+
+/**
+ * Shapes a stored payment for API responses.
+ *
+ * @param {import('../../../db/index.js').ScheduledPayment} payment - Payment with `payer_name`/`payee_name`.
+ * @returns {Object} Payment returned by the scheduled payment endpoints.
+ */
+export function formatScheduledPayment(payment) {
+  return {
+    id: payment.id,
+    from: { uuid: payment.payer_uuid, name: payment.payer_name ?? null },
+    to: { uuid: payment.payee_uuid, name: payment.payee_name ?? null },
+    amount: payment.amount,
+    memo: payment.memo ?? null,
+    interval_seconds: payment.interval_seconds ?? null,
+    starts_at: payment.starts_at,
+    next_run_at: payment.status === "active" ? payment.next_run_at : null,
+    status: payment.status,
+    failures: payment.failures,
+    last_error: payment.last_error ?? null,
+    last_run_at: payment.last_run_at ?? null,
+    last_transaction_id: payment.last_transaction_id ?? null,
+    created_by: payment.created_by ?? null,
+    created_at: payment.created_at,
+  };
+}
@@ -0,0 +1,385 @@
+import { DateTime } from "luxon";
+import logger from "../../../logger.js";
+import { getEconomy } from "../../../config/economy/index.js";
+import { listEconomies } from "../../../config/gameServers.js";
+import { CurrencyError } from "./errors.js";
+import { paymentEvents } from "./events.js";
+import { nextScheduledRun, planRetry } from "./scheduledPayments.js";
+import { STATS_BACKFILL_DAYS, describeDistribution } from "./stats.js";
+import { transfer } from "./transfers.js";
+import {
+  TREASURY_NAME,
+  TREASURY_UUID,
+  calculateWealthTax,
+  wealthTaxPeriod,
+} from "./treasury.js";
+
+// How often the scheduler looks for due payments, wealth tax periods and days to roll up
+const POLL_MS = 30 * 1000;
+
+// Most payments one economy runs per poll, so a backlog in one cannot hold up the others
+const MAX_RUNS_PER_POLL = 100;
+
+/**
+ * Runs the scheduled payment of an economy that has been due the longest.
+ *
+ * Claiming the payment, the transfer and moving `next_run_at` on commit
+ * together, so a crash or restart mid-run never pays twice: either the whole
+ * run is rolled back and happens again, or the payment is no longer due.
+ * A failed transfer is recorded (see `planRetry`) and reported to the payer.
+ *
+ * @param {import('../../../db/index.js').EconomyStore} economy - Economy to run a payment of.
+ * @param {ReturnType<typeof import('./events.js').createEventBus>} events - Bus the transfer is published on.
+ * @param {Date} now - Time payments are due by.
+ * @returns {Promise<boolean>} False if no payment was due.
+ */
+async function runNextPayment(economy, events, now) {
+  const settings = getEconomy().scheduled_payments;
+
+  const outcome = await economy.transaction(async (tx) => {
+    const payment = await tx.claimDueScheduledPayment(now);
+    if (!payment) return null;
+
+    const { id, amount, payer_uuid, payee_uuid } = payment;
+
+    try {
+      const { sender, recipient, balances, transactionId } = await transfer(
+        tx,
+        { from_uuid: payer_uuid, to_uuid: payee_uuid, amount }
+      );
+      const next = nextScheduledRun(payment, now);
+
+      await tx.updateScheduledPayment(id, {
+        status: next ? "active" : "completed",
+        ...(next && { next_run_at: next }),
+        failures: 0,
+        last_error: null,
+        last_run_at: now,
+        last_transaction_id: transactionId,
+      });
+
+      await tx.addNotification({
+        uuid: payee_uuid,
+        type: "payment_received",
+        data: {
+          amount,
+          from: { uuid: payer_uuid, name: sender.name },
+          scheduled_payment_id: id,
+        },
+      });
+
+      return {
+        payment,
+        events: paymentEvents(sender, recipient, amount, balances),
+      };
+    } catch (error) {
+      if (!(error instanceof CurrencyError)) throw error;
+
+      const retry = planRetry(payment, now, settings);
+
+      await tx.updateScheduledPayment(id, {
+        ...retry,
+        last_error: error.message,
+        last_run_at: now,
+      });
+
+      await tx.addNotification({
+        uuid: payer_uuid,
+        type: "scheduled_payment_failed",
+        data: {
+          scheduled_payment_id: id,
+          amount,
+          to: { uuid: payee_uuid, name: payment.payee_name },
+          error: error.message,
+          next_run_at: retry.next_run_at?.toISOString() ?? null,
+        },
+      });
+
+      return { payment, error, events: [] };
+    }
+  });
+
+  if (!outcome) return false;
+
+  const { payment, error } = outcome;
+
+  if (error) {
+    logger.warn(
+      `Scheduled payment ${payment.id} from ${payment.payer_uuid} to ${payment.payee_uuid} failed: ${error.message}`
+    );
+  } else {
+    logger.info(
+      `Scheduled payment ${payment.id} paid ${payment.amount} from ${payment.payer_uuid} to ${payment.payee_uuid}`
+    );
+  }
+
+  events.publish(economy.economy, outcome.events);
+  return true;
+}
+
+/**
+ * Collects the wealth tax of an economy if it has not been collected for the
+ * current period yet (see `wealthTaxPeriod`).
+ *
+ * Recording the run and taxing every account commit together, so a period is
+ * taxed exactly once even when several servers share the database. Taxed
+ * accounts get a `wealth_tax` notification.
+ *
+ * @param {import('../../../db/index.js').EconomyStore} economy - Economy to tax.
+ * @param {ReturnType<typeof import('./events.js').createEventBus>} events - Bus the new balances are published on.
+ * @param {Date} now - Current time.
+ * @returns {Promise<{accounts: number, collected: number}|null>} Null if the tax is off or already collected.
+ */
+async function collectWealthTax(economy, events, now) {
+  const settings = getEconomy().wealth_tax;
+  if (settings.interval === null || settings.brackets.length === 0) {
+    return null;
+  }
+
+  const outcome = await economy.transaction(async (tx) => {
+    const runId = await tx.startWealthTaxRun(
+      wealthTaxPeriod(now, settings.interval)
+    );
+    if (!runId) return null;
+
+    await tx.ensureServerAccount(TREASURY_UUID, TREASURY_NAME);
+
+    const taxed = [];
+    const accounts = await tx.listTaxableAccounts(settings.brackets[0].above);
+
+    for (const { uuid, balance } of accounts) {
+      if (uuid === TREASURY_UUID || settings.exempt.includes(uuid)) continue;
+
+      const tax = calculateWealthTax(balance, settings.brackets);
+      if (tax === 0) continue;
+
+      const balanceAfter = await tx.adjustBalance(uuid, -tax);
+
+      await tx.logTransaction({
+        uuid,
+        action: "tax",
+        amount: tax,
+        from_uuid: uuid,
+        to_uuid: TREASURY_UUID,
+        balance_after: balanceAfter,
+      });
+
+      await tx.addNotification({
+        uuid,
+        type: "wealth_tax",
+        data: { amount: tax, balance: balanceAfter },
+      });
+
+      taxed.push({ uuid, amount: tax, balance: balanceAfter });
+    }
+
+    const collected = taxed.reduce((sum, { amount }) => sum + amount, 0);
+    if (collected > 0) {
+      await tx.adjustBalance(TREASURY_UUID, collected);
+    }
+
+    await tx.finishWealthTaxRun(runId, { accounts: taxed.length, collected });
+    return { taxed, collected };
+  });
+
+  if (!outcome) return null;
+
+  const { taxed, collected } = outcome;
+
+  logger.info(
+    `Wealth tax collected ${collected} from ${taxed.length} accounts in economy ${economy.economy}`
+  );
+
+  events.publish(
+    economy.economy,
+    taxed.map((entry) => ({ type: "wealth_tax", ...entry }))
+  );
+  return { accounts: taxed.length, collected };
+}
+
+/**
+ * Rolls up the stats of each day of an economy that is over and not stored
+ * yet (see `StatsDay`), going back at most `STATS_BACKFILL_DAYS` days. Days
+ * follow the economy timezone.
+ *
+ * Each day's supply is worked out backwards from the current balances and
+ * what was minted and burned since, so days rolled up late are still exact.
+ * The wealth distribution can only be read from the current balances, so
+ * only the latest day of a batch gets one.
+ *
+ * @param {import('../../../db/index.js').EconomyStore} economy - Economy to roll up.
+ * @param {Date} now - Current time.
+ * @returns {Promise<number>} Days stored.
+ */
+async function rollupEconomyStats(economy, now) {
+  const today = DateTime.fromJSDate(now)
+    .setZone(getEconomy().timezone)
+    .startOf("day");
+  const oldest = today.minus({ days: STATS_BACKFILL_DAYS });
+
+  const last = await economy.getLastStatsDay();
+  const first = last
+    ? DateTime.max(
+        DateTime.fromISO(last, { zone: today.zone }).plus({ days: 1 }),
+        oldest
+      )
+    : oldest;
+  if (first >= today) return 0;
+
+  const current = await economy.getMoneySupply(today.toJSDate());
+  let supply = current.supply - current.change;
+
+  const days = [];
+  for (
+    let day = today.minus({ days: 1 });
+    day >= first;
+    day = day.minus({ days: 1 })
+  ) {
+    const summary = await economy.summarizeTransactions(
+      day.toJSDate(),
+      day.plus({ days: 1 }).toJSDate()
+    );
+
+    days.unshift({
+      day: day.toISODate(),
+      supply,
+      ...summary,
+      players: null,
+      gini: null,
+      percentiles: null,
+    });
+    supply -= summary.minted - summary.burned;
+  }
+
+  Object.assign(
+    days[days.length - 1],
+    describeDistribution(await economy.listPlayerBalances())
+  );
+
+  let saved = 0;
+  for (const stats of days) {
+    if (await economy.transaction((tx) => tx.saveStatsDay(stats))) saved++;
+  }
+
+  if (saved > 0) {
+    logger.info(
+      `Rolled up ${saved} days of stats in economy ${economy.economy}`
+    );
+  }
+  return saved;
+}
+
+/**
+ * Background runner for scheduled payments, the wealth tax and stats rollups,
+ * inside the server process.
+ *
+ * It polls every economy every `POLL_MS` and once on start, so payments that
+ * came due while the server was down run right away (once, not once per
+ * missed interval). Several servers can share a database: each due payment
+ * and each wealth tax period is claimed by exactly one of them, and each day
+ * of stats is stored once.
+ *
+ * @param {import('../../../db/index.js').Store} store - Currency store for the configured database.
+ * @param {ReturnType<typeof import('./events.js').createEventBus>} events - Bus transfers are published on.
+ * @returns {{
+ *   start: () => void,
+ *   stop: () => Promise<void>,
+ *   runDuePayments: (now?: Date) => Promise<number>,
+ *   collectWealthTaxes: (now?: Date) => Promise<number>,
+ *   rollupStats: (now?: Date) => Promise<number>
+ * }}
+ */
+export function createPaymentScheduler(store, events) {
+  let timer = null;
+  let polling = null;
+
+  /**
+   * Runs every payment due by `now`; resolves to how many ran (or failed).
+   * An unexpected error stops the economy it happened in until the next poll.
+   */
+  const runDuePayments = async (now = new Date()) => {
+    let runs = 0;
+
+    for (const name of listEconomies()) {
+      const economy = store.forEconomy(name);
+
+      try {
+        for (let i = 0; i < MAX_RUNS_PER_POLL; i++) {
+          if (!(await runNextPayment(economy, events, now))) break;
+          runs++;
+        }
+      } catch (error) {
+        logger.error(`Scheduled payments error in economy ${name}: ${error}`);
+      }
+    }
+
+    return runs;
+  };
+
+  /**
+   * Collects the wealth tax of every economy that is due for it; resolves to
+   * the total collected.
+   */
+  const collectWealthTaxes = async (now = new Date()) => {
+    let collected = 0;
+
+    for (const name of listEconomies()) {
+      try {
+        const run = await collectWealthTax(store.forEconomy(name), events, now);
+        collected += run?.collected ?? 0;
+      } catch (error) {
+        logger.error(`Wealth tax error in economy ${name}: ${error}`);
+      }
+    }
+
+    return collected;
+  };
+
+  /**
+   * Rolls up the finished days of every economy; resolves to how many days
+   * were stored.
+   */
+  const rollupStats = async (now = new Date()) => {
+    let days = 0;
+
+    for (const name of listEconomies()) {
+      try {
+        days += await rollupEconomyStats(store.forEconomy(name), now);
+      } catch (error) {
+        logger.error(`Stats rollup error in economy ${name}: ${error}`);
+      }
+    }
+
+    return days;
+  };
+
+  // Skips a poll while the previous one is still running
+  const poll = () => {
+    polling ??= runDuePayments()
+      .then(() => collectWealthTaxes())
+      .then(() => rollupStats())
+      .finally(() => {
+        polling = null;
+      });
+  };
+
+  return {
+    start() {
+      if (timer) return;
+
+      timer = setInterval(poll, POLL_MS);
+      timer.unref();
+      poll();
+    },
+
+    async stop() {
+      clearInterval(timer);
+      timer = null;
+      await polling;
+    },
+
+    runDuePayments,
+    collectWealthTaxes,
+    rollupStats,
+  };
+}
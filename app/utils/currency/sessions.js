@@ -0,0 +1,165 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { getEconomy } from "../../../config/economy/index.js";
+import { ttlToMs } from "../../../config/economy/durations.js";
+import {
+  getSigningKey,
+  getVerificationKey,
+} from "../../../config/jwtKeys/index.js";
+
+// Random bytes in a refresh token, after the server ID
+const REFRESH_TOKEN_BYTES = 32;
+
+/**
+ * Signs an access token with the keyring's current key, naming it in the `kid` header.
+ *
+ * `jsonwebtoken` has no EdDSA support, so EdDSA tokens are assembled here.
+ *
+ * @param {Object} payload - Token claims.
+ * @param {number|string} expiresIn - Lifetime, in the `auth.token_ttl` format.
+ * @returns {string} Signed JWT.
+ */
+export function signAccessToken(payload, expiresIn) {
+  const { kid, alg, signingKey } = getSigningKey();
+
+  if (alg !== "EdDSA") {
+    return jwt.sign(payload, signingKey, {
+      algorithm: alg,
+      keyid: kid,
+      expiresIn,
+    });
+  }
+
+  const iat = Math.floor(Date.now() / 1000);
+  const encode = (part) =>
+    Buffer.from(JSON.stringify(part)).toString("base64url");
+
+  const data = `${encode({ alg, typ: "JWT", kid })}.${encode({
+    ...payload,
+    iat,
+    exp: iat + Math.floor(ttlToMs(expiresIn) / 1000),
+  })}`;
+  const signature = crypto.sign(null, Buffer.from(data), signingKey);
+
+  return `${data}.${signature.toString("base64url")}`;
+}
+
+/**
+ * Verifies an access token against the key named in its `kid` header.
+ *
+ * Tokens without a kid predate the keyring and are checked against `JWT_SECRET`.
+ *
+ * @param {string} token - JWT from the Authorization header.
+ * @returns {Object} Decoded payload.
+ * @throws {jwt.JsonWebTokenError} If the token is malformed, forged, expired or its key is unknown or retired.
+ */
+export function verifyAccessToken(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) throw new jwt.JsonWebTokenError("jwt malformed");
+
+  const key = getVerificationKey(decoded.header.kid);
+  if (!key || decoded.header.alg !== key.alg) {
+    throw new jwt.JsonWebTokenError("unknown or retired signing key");
+  }
+
+  if (key.alg !== "EdDSA") {
+    return jwt.verify(token, key.verifyKey, { algorithms: [key.alg] });
+  }
+
+  const [header, payload, signature] = token.split(".");
+  const valid = crypto.verify(
+    null,
+    Buffer.from(`${header}.${payload}`),
+    key.verifyKey,
+    Buffer.from(signature, "base64url")
+  );
+  if (!valid || typeof decoded.payload !== "object") {
+    throw new jwt.JsonWebTokenError("invalid signature");
+  }
+
+  const { exp } = decoded.payload;
+  if (typeof exp !== "number" || exp <= Date.now() / 1000) {
+    throw new jwt.TokenExpiredError("jwt expired", new Date(exp * 1000));
+  }
+
+  return decoded.payload;
+}
+
+/**
+ * Hashes a refresh token for storage; the token itself is never stored.
+ *
+ * @param {string} token - Refresh token as sent by the client.
+ * @returns {string} Hex-encoded SHA-256 hash.
+ */
+export function hashRefreshToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Reads the issuing server out of a refresh token.
+ *
+ * Refresh tokens look like `<server id>.<random>`, so the economy they belong
+ * to is known before the store is queried.
+ *
+ * @param {unknown} token - `refresh_token` from the request body.
+ * @returns {{server: string, hash: string}|null} Null if the token is malformed.
+ */
+export function parseRefreshToken(token) {
+  if (typeof token !== "string") return null;
+
+  const separator = token.indexOf(".");
+  if (separator <= 0 || separator === token.length - 1) return null;
+
+  return { server: token.slice(0, separator), hash: hashRefreshToken(token) };
+}
+
+/**
+ * Issues an access token and a new refresh token inside an open store transaction.
+ *
+ * The access token carries the player's token version, so bumping the version
+ * (freeze, kick, logout everywhere) rejects it before it expires.
+ *
+ * @param {import('../../../db/index.js').StoreTransaction} tx - Open store transaction.
+ * @param {{uuid: string, name: string, token_version: number}} account - Player from `tx.getAccount`.
+ * @param {string} server - ID of the game server the session belongs to.
+ * @param {string} [familyId] - Family of the refresh token being rotated; each login starts a new one.
+ * @returns {Promise<{token: string, refresh_token: string, refresh_expires_at: string}>}
+ */
+export async function issueSession(
+  tx,
+  account,
+  server,
+  familyId = crypto.randomUUID()
+) {
+  const { auth } = getEconomy();
+
+  const token = signAccessToken(
+    {
+      uuid: account.uuid,
+      name: account.name,
+      server,
+      ver: account.token_version,
+    },
+    auth.token_ttl
+  );
+
+  const refreshToken = `${server}.${crypto
+    .randomBytes(REFRESH_TOKEN_BYTES)
+    .toString("base64url")}`;
+  const expiresAt = new Date(Date.now() + ttlToMs(auth.refresh_token_ttl));
+
+  await tx.saveRefreshToken({
+    token_hash: hashRefreshToken(refreshToken),
+    uuid: account.uuid,
+    server,
+    family_id: familyId,
+    token_version: account.token_version,
+    expires_at: expiresAt,
+  });
+
+  return {
+    token,
+    refresh_token: refreshToken,
+    refresh_expires_at: expiresAt.toISOString(),
+  };
+}
@@ -0,0 +1,88 @@
+// Roles a member of a shared account can have, from most to least trusted
+export const SHARED_ACCOUNT_ROLES = ["owner", "treasurer", "member"];
+
+// Window spending limits apply to: a rolling day, not a calendar day
+export const SPENDING_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const NAME_PATTERN = /^[\p{L}\p{N} _'&.-]{3,32}$/u;
+
+/**
+ * Validates the name of a new shared account.
+ *
+ * @param {unknown} name - `name` from the request body.
+ * @returns {{error: string}|{name: string}}
+ */
+export function parseSharedAccountName(name) {
+  const trimmed = typeof name === "string" ? name.trim() : "";
+
+  if (!NAME_PATTERN.test(trimmed)) {
+    return {
+      error:
+        "name must be 3-32 letters, digits, spaces or the characters _ ' & . -",
+    };
+  }
+
+  return { name: trimmed };
+}
+
+/**
+ * Validates the body of `PUT /currency/accounts/:id/limits`.
+ * Omitted roles keep their current limit; null removes the limit.
+ *
+ * @param {Object} body - Parsed request body with `treasurer` and/or `member`.
+ * @param {{treasurer: number|null, member: number|null}} current - The account's current limits.
+ * @returns {{error: string}|{treasurer: number|null, member: number|null}}
+ */
+export function parseSpendingLimits(body, current) {
+  const limits = { ...current };
+
+  for (const role of ["treasurer", "member"]) {
+    const value = body[role];
+    if (value === undefined) continue;
+
+    if (value !== null && (!Number.isInteger(value) || value < 0)) {
+      return { error: `${role} must be a non-negative integer or null` };
+    }
+    limits[role] = value;
+  }
+
+  return limits;
+}
+
+/**
+ * Daily amount a member may pay out of the account. Owners are never limited.
+ *
+ * @param {import('../../../db/index.js').SharedAccount} account - The shared account.
+ * @param {string} role - The member's role.
+ * @returns {number|null} Limit, or null if unlimited.
+ */
+export function spendingLimit(account, role) {
+  return role === "owner" ? null : account.limits[role];
+}
+
+/**
+ * Shapes a shared account for API responses.
+ *
+ * @param {import('../../../db/index.js').SharedAccount} account - Stored account; `members` is optional.
+ * @param {string} role - Role of the player viewing the account.
+ * @returns {Object} Account returned by the `/currency/accounts` endpoints.
+ */
+export function formatSharedAccount(account, role) {
+  return {
+    uuid: account.uuid,
+    name: account.name,
+    balance: account.balance,
+    frozen: account.frozen,
+    role,
+    limits: account.limits,
+    created_at: account.created_at,
+    ...(account.members && {
+      members: account.members.map((member) => ({
+        uuid: member.uuid,
+        name: member.name,
+        role: member.role,
+        added_at: member.added_at,
+      })),
+    }),
+  };
+}
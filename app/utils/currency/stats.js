@@ -0,0 +1,132 @@
+import { DateTime } from "luxon";
+
+// Wealth distribution percentiles kept with each day's stats
+export const STATS_PERCENTILES = [10, 25, 50, 75, 90, 99];
+
+// Days the first rollup covers, and the most one rollup catches up on after downtime
+export const STATS_BACKFILL_DAYS = 30;
+
+const MAX_STATS_RANGE_DAYS = 366;
+const DEFAULT_TOP_EARNERS_LIMIT = 10;
+const MAX_TOP_EARNERS_LIMIT = 100;
+
+/**
+ * Describes how wealth is spread over the player accounts: the balance at each
+ * of `STATS_PERCENTILES` (nearest rank) and the Gini coefficient, from 0 when
+ * everyone holds the same to 1 when one account holds everything.
+ *
+ * @param {number[]} balances - Player balances, lowest first.
+ * @returns {{players: number, gini: number|null, percentiles: Object<string, number>|null}}
+ *   `gini` and `percentiles` are null without any players.
+ */
+export function describeDistribution(balances) {
+  const players = balances.length;
+  if (players === 0) return { players, gini: null, percentiles: null };
+
+  const percentiles = Object.fromEntries(
+    STATS_PERCENTILES.map((p) => [
+      `p${p}`,
+      balances[Math.max(Math.ceil((p / 100) * players) - 1, 0)],
+    ])
+  );
+
+  let total = 0;
+  let weighted = 0;
+  balances.forEach((balance, i) => {
+    total += balance;
+    weighted += (i + 1) * balance;
+  });
+
+  const gini =
+    total > 0
+      ? (2 * weighted) / (players * total) - (players + 1) / players
+      : 0;
+
+  return { players, gini: Math.round(gini * 10000) / 10000, percentiles };
+}
+
+/**
+ * Parses the `from`/`to` days of a stats query. Both are ISO dates in the
+ * economy timezone and inclusive; without them the range ends today.
+ *
+ * @param {Object} query - `req.query` of the request.
+ * @param {string} [query.from] - First day, e.g. "2025-07-01".
+ * @param {string} [query.to] - Last day.
+ * @param {number} defaultDays - Length of the range when `from` is left out.
+ * @param {DateTime} today - Start of today in the economy timezone.
+ * @returns {{error: string}|{from: string, to: string}}
+ */
+export function parseStatsRange(query, defaultDays, today) {
+  const days = {};
+
+  for (const key of ["from", "to"]) {
+    if (!query[key]) continue;
+
+    const day = DateTime.fromISO(String(query[key]), { zone: today.zone });
+    if (!day.isValid) {
+      return { error: `Invalid ${key} date` };
+    }
+    days[key] = day.startOf("day");
+  }
+
+  const to = days.to ?? today;
+  const from = days.from ?? to.minus({ days: defaultDays - 1 });
+
+  if (from > to) {
+    return { error: "from must not be after to" };
+  }
+  if (to.diff(from, "days").days >= MAX_STATS_RANGE_DAYS) {
+    return { error: `The range can span at most ${MAX_STATS_RANGE_DAYS} days` };
+  }
+
+  return { from: from.toISODate(), to: to.toISODate() };
+}
+
+/**
+ * Parses and validates the query string of `GET /admin/stats/top-earners`.
+ *
+ * @param {Object} query - `req.query` of the request.
+ * @param {string} [query.limit] - Number of players (1-100, default 10).
+ * @param {DateTime} today - Start of today in the economy timezone.
+ * @returns {{error: string}|{from: string, to: string, limit: number}}
+ *   The range defaults to the last 7 days, see `parseStatsRange`.
+ */
+export function parseTopEarnersQuery(query, today) {
+  const range = parseStatsRange(query, 7, today);
+  if (range.error) return range;
+
+  const limit =
+    query.limit === undefined ? DEFAULT_TOP_EARNERS_LIMIT : Number(query.limit);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TOP_EARNERS_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_TOP_EARNERS_LIMIT}` };
+  }
+
+  return { ...range, limit };
+}
+
+/**
+ * Shapes a stored day of stats for API responses.
+ *
+ * @param {import('../../../db/index.js').StatsDay} day - Row read by `listStatsDays`.
+ * @returns {Object} Day returned by `GET /admin/stats/daily`.
+ */
+export function formatStatsDay(day) {
+  return {
+    day: day.day,
+    supply: day.supply,
+    supply_change: day.minted - day.burned,
+    minted: day.minted,
+    burned: day.burned,
+    active_players: day.active_players,
+    volume: day.volume,
+    distribution:
+      day.players === null
+        ? null
+        : {
+            players: day.players,
+            gini: day.gini,
+            percentiles: day.percentiles,
+          },
+  };
+}
@@ -0,0 +1,75 @@
+import { CurrencyError } from "./errors.js";
+import { chargeFee, feeFor } from "./treasury.js";
+
+/**
+ * Moves money between two accounts inside an open transaction and logs it as
+ * a "pay" transaction. Used by `/currency/pay`, accepted payment requests,
+ * scheduled payments and shared account deposits and payouts, so all of them
+ * apply the same checks and `fees.pay`.
+ * The sender pays the fee on top of the amount, logged as its own transaction.
+ *
+ * Every check runs before the first write, so a caller that catches the
+ * `CurrencyError` can still commit other changes.
+ *
+ * @param {import('../../../db/index.js').StoreTransaction} tx - Open transaction.
+ * @param {{from_uuid: string, to_uuid: string, amount: number, member_uuid?: string}} payment
+ *   Who pays whom how much; `member_uuid` is the member paying out of a shared account.
+ * @returns {Promise<{sender: Object, recipient: Object, fee: number, balances: {from: number, to: number}, transactionId: string}>}
+ *   Both accounts as read before the transfer, and their balances after it (and the fee).
+ * @throws {CurrencyError} If an account does not exist, the sender is frozen or cannot afford it.
+ */
+export async function transfer(
+  tx,
+  { from_uuid, to_uuid, amount, member_uuid = null }
+) {
+  const sender = await tx.getAccount(from_uuid);
+
+  if (!sender) {
+    throw new CurrencyError("Sender not found");
+  }
+
+  if (sender.frozen) {
+    throw new CurrencyError("Account is frozen", 403);
+  }
+
+  const fee = feeFor("pay", from_uuid, amount, to_uuid);
+
+  if (sender.balance < amount + fee) {
+    throw new CurrencyError("Insufficient funds");
+  }
+
+  const recipient = await tx.getAccount(to_uuid);
+
+  if (!recipient) {
+    throw new CurrencyError("Recipient not found");
+  }
+
+  let fromBalance = await tx.adjustBalance(from_uuid, -amount);
+  const toBalance = await tx.adjustBalance(to_uuid, amount);
+
+  const transactionId = await tx.logTransaction({
+    uuid: from_uuid,
+    action: "pay",
+    amount,
+    from_uuid,
+    to_uuid,
+    balance_after: fromBalance,
+    member_uuid,
+  });
+
+  if (fee > 0) {
+    fromBalance = await chargeFee(tx, {
+      uuid: from_uuid,
+      fee,
+      fee_for_id: transactionId,
+    });
+  }
+
+  return {
+    sender,
+    recipient,
+    fee,
+    balances: { from: fromBalance, to: toBalance },
+    transactionId,
+  };
+}
@@ -0,0 +1,111 @@
+import { getEconomy } from "../../../config/economy/index.js";
+import { ttlToMs } from "../../../config/economy/durations.js";
+
+// Server account every fee and wealth tax is paid into, one per economy
+export const TREASURY_UUID = "00000000-0000-0000-0000-000000000000";
+export const TREASURY_NAME = "Treasury";
+
+/**
+ * Works out a fee under one `fees` rule: `flat` plus `percent` of the amount
+ * (rounded down), kept between `min` and `max`. A rule with neither a percent
+ * nor a flat part charges nothing.
+ *
+ * @param {number} amount - Amount paid or withdrawn.
+ * @param {{percent: number, flat: number, min: number, max: number|null}} rule - `fees.pay` or `fees.withdraw`.
+ * @returns {number}
+ */
+export function calculateFee(amount, rule) {
+  if (!rule.percent && !rule.flat) return 0;
+
+  const fee = Math.max(
+    rule.flat + Math.floor((amount * rule.percent) / 100),
+    rule.min
+  );
+  return rule.max === null ? fee : Math.min(fee, rule.max);
+}
+
+/**
+ * Fee the account pays on top of a payment or withdrawal under the active
+ * config. Exempt accounts, the treasury and payments into it pay nothing.
+ *
+ * @param {"pay"|"withdraw"} action - Which `fees` rule applies.
+ * @param {string} uuid - Account the money leaves.
+ * @param {number} amount - Amount paid or withdrawn.
+ * @param {string|null} [toUuid=null] - Recipient of a payment.
+ * @returns {number}
+ */
+export function feeFor(action, uuid, amount, toUuid = null) {
+  const { fees } = getEconomy();
+
+  if (
+    uuid === TREASURY_UUID ||
+    toUuid === TREASURY_UUID ||
+    fees.exempt.includes(uuid)
+  ) {
+    return 0;
+  }
+
+  return calculateFee(amount, fees[action]);
+}
+
+/**
+ * Moves a fee into the treasury inside an open transaction and logs it as a
+ * "fee" transaction pointing at the one it was charged on. The caller checks
+ * that the account can afford it.
+ *
+ * @param {import('../../../db/index.js').StoreTransaction} tx - Open transaction.
+ * @param {{uuid: string, fee: number, fee_for_id: string}} charge - Who pays how much, for which transaction.
+ * @returns {Promise<number>} The account's balance after the fee.
+ */
+export async function chargeFee(tx, { uuid, fee, fee_for_id }) {
+  await tx.ensureServerAccount(TREASURY_UUID, TREASURY_NAME);
+
+  const balance = await tx.adjustBalance(uuid, -fee);
+  await tx.adjustBalance(TREASURY_UUID, fee);
+
+  await tx.logTransaction({
+    uuid,
+    action: "fee",
+    amount: fee,
+    from_uuid: uuid,
+    to_uuid: TREASURY_UUID,
+    balance_after: balance,
+    fee_for_id,
+  });
+
+  return balance;
+}
+
+/**
+ * Progressive wealth tax on a balance: each bracket's `percent` applies to
+ * the part of the balance between its `above` and the next bracket's.
+ *
+ * @param {number} balance - Account balance.
+ * @param {{above: number, percent: number}[]} brackets - `wealth_tax.brackets`, lowest first.
+ * @returns {number} Tax, rounded down.
+ */
+export function calculateWealthTax(balance, brackets) {
+  let tax = 0;
+
+  brackets.forEach(({ above, percent }, i) => {
+    const ceiling = brackets[i + 1]?.above ?? Infinity;
+    const taxed = Math.min(balance, ceiling) - above;
+
+    if (taxed > 0) tax += (taxed * percent) / 100;
+  });
+
+  return Math.floor(tax);
+}
+
+/**
+ * Start of the wealth tax period `now` falls in. Periods are counted from the
+ * Unix epoch, so a "1d" interval starts at midnight UTC.
+ *
+ * @param {Date} now - Current time.
+ * @param {number|string} interval - `wealth_tax.interval`.
+ * @returns {Date}
+ */
+export function wealthTaxPeriod(now, interval) {
+  const intervalMs = ttlToMs(interval);
+  return new Date(Math.floor(now.getTime() / intervalMs) * intervalMs);
+}
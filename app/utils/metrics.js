@@ -0,0 +1,221 @@
+import { listEconomies } from "../../config/gameServers.js";
+
+/**
+ * Process-wide metrics in the Prometheus text exposition format, served by
+ * `GET /metrics`. Counters and histograms live for the lifetime of the
+ * process; values that can be read on demand (pool usage) are passed to
+ * `renderMetrics` as gauges instead.
+ */
+
+export const PROMETHEUS_CONTENT_TYPE =
+  "text/plain; version=0.0.4; charset=utf-8";
+
+// Upper bounds in seconds of the request latency buckets
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+// Metric families in the order they are rendered
+const families = [];
+
+const escapeLabel = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+/**
+ * Formats a label set, e.g. `{method="GET",status="200"}`.
+ *
+ * @param {Object<string, string|number>} labels - Label names and values.
+ * @returns {string} Empty without labels.
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Registers a counter, a value that only goes up.
+ *
+ * @param {string} name - Metric name, ending in `_total`.
+ * @param {string} help - Description shown by Prometheus.
+ * @returns {{inc: (labels?: Object, value?: number) => void}}
+ */
+function createCounter(name, help) {
+  const values = new Map();
+
+  families.push({
+    name,
+    help,
+    type: "counter",
+    render: () =>
+      [...values].map(([labels, value]) => `${name}${labels} ${value}`),
+  });
+
+  return {
+    inc(labels = {}, value = 1) {
+      const key = formatLabels(labels);
+      values.set(key, (values.get(key) ?? 0) + value);
+    },
+  };
+}
+
+/**
+ * Registers a histogram, which counts observations into cumulative buckets.
+ *
+ * @param {string} name - Metric name.
+ * @param {string} help - Description shown by Prometheus.
+ * @param {number[]} buckets - Upper bounds, lowest first; `+Inf` is added.
+ * @returns {{observe: (labels: Object, value: number) => void}}
+ */
+function createHistogram(name, help, buckets) {
+  const series = new Map();
+
+  families.push({
+    name,
+    help,
+    type: "histogram",
+    render: () =>
+      [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map(
+          (le, i) =>
+            `${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`
+        ),
+        `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`,
+      ]),
+  });
+
+  return {
+    observe(labels, value) {
+      const key = formatLabels(labels);
+      let entry = series.get(key);
+
+      if (!entry) {
+        entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+
+      buckets.forEach((le, i) => {
+        if (value <= le) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+  };
+}
+
+const httpRequests = createCounter(
+  "http_requests_total",
+  "HTTP requests by method, route and status code."
+);
+
+const httpRequestDuration = createHistogram(
+  "http_request_duration_seconds",
+  "Time from receiving an HTTP request to finishing the response.",
+  LATENCY_BUCKETS
+);
+
+const authFailures = createCounter(
+  "auth_failures_total",
+  "Rejected credentials by type: player (JWT), admin (API key) or server (login signature)."
+);
+
+const blockedRequests = createCounter(
+  "ip_blocked_requests_total",
+  "Requests refused because the client IP is not on the allowlist."
+);
+
+const transfers = createCounter(
+  "economy_transfers_total",
+  "Payments between accounts, including scheduled and shared account payments."
+);
+
+const transferAmount = createCounter(
+  "economy_transfer_amount_total",
+  "Money moved by payments between accounts."
+);
+
+/**
+ * Counts a rejected credential.
+ *
+ * @param {"player"|"admin"|"server"} type - What was rejected.
+ */
+export function recordAuthFailure(type) {
+  authFailures.inc({ type });
+}
+
+/**
+ * Counts a request refused by the IP allowlist.
+ */
+export function recordBlockedRequest() {
+  blockedRequests.inc();
+}
+
+/**
+ * Express middleware that records the count and latency of every request.
+ *
+ * Requests are labelled with the route pattern that handled them (e.g.
+ * `/api/currency/requests/:id/accept`), so IDs in the path do not create new
+ * series. Requests that never reached a route handler (unknown paths, or
+ * rejected by router-level IP and JWT checks) are labelled `unmatched`.
+ *
+ * @param {import('express').Request} req - The incoming HTTP request.
+ * @param {import('express').Response} res - The HTTP response object.
+ * @param {Function} next - Function to call the next middleware.
+ */
+export function trackRequests(req, res, next) {
+  const start = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const route = req.route ? req.baseUrl + req.route.path : "unmatched";
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpRequestDuration.observe({ method: req.method, route }, seconds);
+  });
+
+  next();
+}
+
+/**
+ * Counts the payments published on an event bus, per economy.
+ *
+ * @param {ReturnType<typeof import('./currency/events.js').createEventBus>} events - Bus the routes publish on.
+ */
+export function trackTransfers(events) {
+  for (const economy of listEconomies()) {
+    events.subscribe({ economy, uuid: null }, (event) => {
+      if (event.type !== "payment_sent") return;
+
+      transfers.inc({ economy });
+      transferAmount.inc({ economy }, event.amount);
+    });
+  }
+}
+
+/**
+ * Renders every metric in the Prometheus text format.
+ *
+ * @param {{name: string, help: string, value: number}[]} [gauges=[]] - Values read at scrape time.
+ * @returns {string}
+ */
+export function renderMetrics(gauges = []) {
+  const lines = [];
+
+  for (const { name, help, type, render } of families) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...render());
+  }
+
+  for (const { name, help, value } of gauges) {
+    lines.push(
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} gauge`,
+      `${name} ${value}`
+    );
+  }
+
+  return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,71 @@
+// Economy rules used when neither the config file nor the environment sets them
+const DEFAULT_ECONOMY = {
+  timezone: "Europe/Berlin",
+  daily: {
+    reward: 50, // Paid for every claim; streaks add to it
+    reset_time: "06:30", // Local time in `timezone`
+    streak_bonus: [0, 5, 10, 15, 20, 25, 30], // Added on streak day 1, 2, ...; the last entry repeats
+    milestones: { 7: 100, 30: 500, 100: 2000 }, // One-off bonus on reaching these streak days
+    streak_decay: "reset", // Missing a day ends the streak, or a number of streak days lost per missed day
+  },
+  bills: {
+    denominations: [1, 5, 10, 20, 50, 100, 500, 1000],
+    default_denomination: 1000,
+  },
+  leaderboard: {
+    size: 10, // Entries in `/currency/top` and the default leaderboard page size
+    cache_ttl: "30s", // How long boards are cached, in `auth.token_ttl` format; "0s" disables the cache
+  },
+  auth: {
+    token_ttl: "10m", // Player JWT lifetime, in `jsonwebtoken` expiresIn format
+    refresh_token_ttl: "30d", // Refresh token lifetime, same format
+  },
+  payment_requests: {
+    default_ttl: "3d", // Expiry of a request that sets no `expires_in`, same format
+    max_ttl: "30d", // Longest `expires_in` a request may set
+    max_pending: 20, // Open requests one player may have sent at a time
+  },
+  notifications: {
+    retention: "30d", // Notifications older than this are deleted when the player logs in
+    request_warning: "1d", // Payers are notified of pending requests this close to expiring
+  },
+  scheduled_payments: {
+    min_interval: "1h", // Shortest interval of a recurring payment, same format
+    max_active: 20, // Active scheduled payments one player may pay at a time
+    max_retries: 3, // Failed runs retried before `on_failure` applies
+    retry_delay: "1h", // Wait before retrying a failed run
+    on_failure: "cancel", // After the last retry: "cancel", or "skip" to wait for the next recurring run
+  },
+  // Charged on top of the amount and paid into the treasury; no fee while percent and flat are 0
+  fees: {
+    pay: { percent: 0, flat: 0, min: 0, max: null }, // Payments, accepted requests and scheduled payments
+    withdraw: { percent: 0, flat: 0, min: 0, max: null }, // Withdrawals into bills
+    exempt: [], // UUIDs of players and shared accounts that never pay fees
+  },
+  wealth_tax: {
+    interval: null, // How often balances are taxed, e.g. "7d"; null turns the tax off
+    brackets: [], // e.g. [{ above: 10000, percent: 1 }]; each percent applies to the part of a balance above `above`
+    exempt: [], // UUIDs of players and shared accounts that are never taxed
+  },
+  mob_rewards: {
+    daily_cap: 500, // Most a player can earn from mob drops per day (resets with `daily.reset_time`)
+    // Payout per kill by entity type; `daily_cap` optionally limits one mob type
+    mobs: {
+      "minecraft:zombie": { reward: 2, daily_cap: 150 },
+      "minecraft:husk": { reward: 2, daily_cap: 150 },
+      "minecraft:drowned": { reward: 2, daily_cap: 150 },
+      "minecraft:skeleton": { reward: 3, daily_cap: 150 },
+      "minecraft:stray": { reward: 3, daily_cap: 150 },
+      "minecraft:spider": { reward: 2, daily_cap: 150 },
+      "minecraft:cave_spider": { reward: 3, daily_cap: 150 },
+      "minecraft:creeper": { reward: 4, daily_cap: 200 },
+      "minecraft:witch": { reward: 8 },
+      "minecraft:enderman": { reward: 10 },
+      "minecraft:blaze": { reward: 8 },
+      "minecraft:ghast": { reward: 15 },
+      "minecraft:wither_skeleton": { reward: 15 },
+    },
+  },
+};
+
+export default DEFAULT_ECONOMY;
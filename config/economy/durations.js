@@ -0,0 +1,30 @@
+// Durations in the economy config: seconds, or a number with a unit ("30d", "10m")
+export const DURATION = /^(\d+)\s*(ms|s|m|h|d)$/;
+
+const UNIT_MS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * @param {unknown} value - Config value.
+ * @returns {boolean} Whether `value` is positive seconds or matches `DURATION`.
+ */
+export const isDuration = (value) =>
+  (Number.isInteger(value) && value > 0) || DURATION.test(value);
+
+/**
+ * Converts a duration setting (e.g. `auth.token_ttl`) to milliseconds.
+ *
+ * @param {number|string} ttl - Seconds, or a duration like "30d".
+ * @returns {number}
+ */
+export function ttlToMs(ttl) {
+  if (typeof ttl === "number") return ttl * 1000;
+
+  const [, value, unit] = ttl.match(DURATION);
+  return Number(value) * UNIT_MS[unit];
+}
@@ -0,0 +1,227 @@
+import fs from "fs";
+import path from "path";
+import logger from "../../logger.js";
+import DEFAULT_ECONOMY from "./defaults.js";
+import { validateEconomyConfig } from "./validateEconomyConfig.js";
+
+/**
+ * Economy rules: daily reward, streaks and reset time, bill denominations, leaderboard
+ * size and caching, player token lifetimes, payment request limits, notification
+ * retention, scheduled payment retries, fees, the wealth tax and mob drop rewards.
+ *
+ * Sources, later ones winning:
+ * 1. `defaults.js`
+ * 2. The JSON file at `ECONOMY_CONFIG_PATH` (defaults to `config/economy.json`, optional)
+ * 3. The `ECONOMY_*` variables in `ECONOMY_ENV_VARS`
+ *
+ * Routes read the active config with `getEconomy()` on every request, so
+ * `reloadEconomy()` takes effect without a restart. Env overrides are read from
+ * the process environment and only change on restart; edit the file for hot reloads.
+ */
+
+const DEFAULT_CONFIG_PATH = "config/economy.json";
+
+const toList = (value) => value.split(",").map((item) => Number(item.trim()));
+
+// Optional env overrides -> [config path, parser]
+const ECONOMY_ENV_VARS = {
+  ECONOMY_TIMEZONE: [["timezone"], String],
+  ECONOMY_DAILY_REWARD: [["daily", "reward"], Number],
+  ECONOMY_DAILY_RESET_TIME: [["daily", "reset_time"], String],
+  ECONOMY_DAILY_STREAK_BONUS: [["daily", "streak_bonus"], toList],
+  ECONOMY_DAILY_STREAK_DECAY: [
+    ["daily", "streak_decay"],
+    (value) => (value === "reset" ? value : Number(value)),
+  ],
+  ECONOMY_DENOMINATIONS: [["bills", "denominations"], toList],
+  ECONOMY_DEFAULT_DENOMINATION: [["bills", "default_denomination"], Number],
+  ECONOMY_LEADERBOARD_SIZE: [["leaderboard", "size"], Number],
+  ECONOMY_LEADERBOARD_CACHE_TTL: [["leaderboard", "cache_ttl"], String],
+  ECONOMY_TOKEN_TTL: [["auth", "token_ttl"], String],
+  ECONOMY_REFRESH_TOKEN_TTL: [["auth", "refresh_token_ttl"], String],
+  ECONOMY_PAYMENT_REQUEST_TTL: [["payment_requests", "default_ttl"], String],
+  ECONOMY_PAYMENT_REQUEST_MAX_TTL: [["payment_requests", "max_ttl"], String],
+  ECONOMY_PAYMENT_REQUEST_MAX_PENDING: [
+    ["payment_requests", "max_pending"],
+    Number,
+  ],
+  ECONOMY_NOTIFICATION_RETENTION: [["notifications", "retention"], String],
+  ECONOMY_NOTIFICATION_REQUEST_WARNING: [
+    ["notifications", "request_warning"],
+    String,
+  ],
+  ECONOMY_SCHEDULED_PAYMENT_MIN_INTERVAL: [
+    ["scheduled_payments", "min_interval"],
+    String,
+  ],
+  ECONOMY_SCHEDULED_PAYMENT_MAX_ACTIVE: [
+    ["scheduled_payments", "max_active"],
+    Number,
+  ],
+  ECONOMY_SCHEDULED_PAYMENT_MAX_RETRIES: [
+    ["scheduled_payments", "max_retries"],
+    Number,
+  ],
+  ECONOMY_SCHEDULED_PAYMENT_RETRY_DELAY: [
+    ["scheduled_payments", "retry_delay"],
+    String,
+  ],
+  ECONOMY_SCHEDULED_PAYMENT_ON_FAILURE: [
+    ["scheduled_payments", "on_failure"],
+    String,
+  ],
+  ECONOMY_PAY_FEE_PERCENT: [["fees", "pay", "percent"], Number],
+  ECONOMY_PAY_FEE_FLAT: [["fees", "pay", "flat"], Number],
+  ECONOMY_WITHDRAW_FEE_PERCENT: [["fees", "withdraw", "percent"], Number],
+  ECONOMY_WITHDRAW_FEE_FLAT: [["fees", "withdraw", "flat"], Number],
+  ECONOMY_WEALTH_TAX_INTERVAL: [["wealth_tax", "interval"], String],
+  ECONOMY_MOB_DAILY_CAP: [["mob_rewards", "daily_cap"], Number],
+};
+
+/**
+ * Error thrown when the economy config cannot be loaded or is invalid.
+ * Carries every problem found so they can be reported together.
+ */
+export class EconomyConfigError extends Error {
+  /**
+   * @param {string[]} errors - One message per invalid setting.
+   */
+  constructor(errors) {
+    super(`Invalid economy config: ${errors.join("; ")}`);
+    this.name = "EconomyConfigError";
+    this.errors = errors;
+  }
+}
+
+/** @type {Object|null} */
+let activeEconomy = null;
+
+/**
+ * Reads the config file, if there is one.
+ *
+ * @param {string} filePath - Path to the JSON config file.
+ * @returns {Object} Parsed file contents, or an empty object if the file does not exist.
+ * @throws {EconomyConfigError} If the file is not valid JSON.
+ */
+function readConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (error) {
+    throw new EconomyConfigError([`${filePath}: ${error.message}`]);
+  }
+}
+
+/**
+ * Builds the economy config from all sources without activating it.
+ *
+ * @returns {Object} Validated economy config.
+ * @throws {EconomyConfigError} If the result is invalid.
+ */
+function buildEconomy() {
+  const filePath = path.resolve(
+    process.env.ECONOMY_CONFIG_PATH || DEFAULT_CONFIG_PATH
+  );
+  const file = readConfigFile(filePath);
+
+  const economy = {
+    timezone: file.timezone ?? DEFAULT_ECONOMY.timezone,
+    daily: { ...DEFAULT_ECONOMY.daily, ...file.daily },
+    bills: { ...DEFAULT_ECONOMY.bills, ...file.bills },
+    leaderboard: { ...DEFAULT_ECONOMY.leaderboard, ...file.leaderboard },
+    auth: { ...DEFAULT_ECONOMY.auth, ...file.auth },
+    payment_requests: {
+      ...DEFAULT_ECONOMY.payment_requests,
+      ...file.payment_requests,
+    },
+    notifications: { ...DEFAULT_ECONOMY.notifications, ...file.notifications },
+    scheduled_payments: {
+      ...DEFAULT_ECONOMY.scheduled_payments,
+      ...file.scheduled_payments,
+    },
+    // Fee rules merge per setting, so the file can set just a percent
+    fees: {
+      ...DEFAULT_ECONOMY.fees,
+      ...file.fees,
+      pay: { ...DEFAULT_ECONOMY.fees.pay, ...file.fees?.pay },
+      withdraw: { ...DEFAULT_ECONOMY.fees.withdraw, ...file.fees?.withdraw },
+    },
+    wealth_tax: { ...DEFAULT_ECONOMY.wealth_tax, ...file.wealth_tax },
+    // A `mobs` table in the file replaces the default table instead of extending it
+    mob_rewards: { ...DEFAULT_ECONOMY.mob_rewards, ...file.mob_rewards },
+  };
+
+  for (const [name, [keys, parse]] of Object.entries(ECONOMY_ENV_VARS)) {
+    const value = process.env[name];
+    if (value === undefined || value === "") continue;
+
+    const section = keys
+      .slice(0, -1)
+      .reduce((parent, key) => parent[key], economy);
+    section[keys[keys.length - 1]] = parse(value);
+  }
+
+  const errors = validateEconomyConfig(economy);
+  if (errors.length > 0) {
+    throw new EconomyConfigError(errors);
+  }
+
+  return economy;
+}
+
+/**
+ * Loads the economy config and makes it the active one.
+ *
+ * @returns {Object} The new active config.
+ * @throws {EconomyConfigError} If the config is invalid; the active config is left unchanged.
+ */
+export function loadEconomy() {
+  activeEconomy = buildEconomy();
+  return activeEconomy;
+}
+
+/**
+ * Returns the active economy config, loading it on first use.
+ *
+ * @returns {Object} Active economy config.
+ */
+export function getEconomy() {
+  return activeEconomy ?? loadEconomy();
+}
+
+/**
+ * Re-reads the config file and environment and swaps in the result.
+ *
+ * @returns {{previous: Object, current: Object}} Config before and after the reload.
+ * @throws {EconomyConfigError} If the new config is invalid; the previous one stays active.
+ */
+export function reloadEconomy() {
+  const previous = getEconomy();
+  const current = loadEconomy();
+
+  logger.info("Economy config reloaded");
+  return { previous, current };
+}
+
+/**
+ * Loads and validates the economy config at startup.
+ *
+ * Logs every invalid setting and exits the process if the config cannot be used.
+ *
+ * @function
+ * @returns {void}
+ */
+export function validateEconomy() {
+  try {
+    loadEconomy();
+    logger.info("Economy config is valid");
+  } catch (error) {
+    for (const message of error.errors ?? [error.message]) {
+      logger.error(`Invalid economy config: ${message}`);
+    }
+
+    logger.error("Economy config validation failed. Exiting");
+    process.exit(1);
+  }
+}
@@ -0,0 +1,270 @@
+import { IANAZone } from "luxon";
+import { isDuration, ttlToMs } from "./durations.js";
+
+const RESET_TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MAX_LEADERBOARD_SIZE = 100;
+const SCHEDULED_PAYMENT_FAILURE_POLICIES = ["cancel", "skip"];
+const FEE_ACTIONS = ["pay", "withdraw"];
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+const isPercent = (value) =>
+  typeof value === "number" && value >= 0 && value <= 100;
+const isUuidList = (value) =>
+  Array.isArray(value) &&
+  value.every((uuid) => typeof uuid === "string" && UUID.test(uuid));
+
+/**
+ * Checks an economy config for values the routes cannot work with.
+ *
+ * @param {Object} economy - Merged economy config (see `defaults.js` for the shape).
+ * @returns {string[]} One message per invalid setting; empty if the config is valid.
+ */
+export function validateEconomyConfig(economy) {
+  const errors = [];
+  const {
+    timezone,
+    daily,
+    bills,
+    leaderboard,
+    auth,
+    payment_requests,
+    notifications,
+    scheduled_payments,
+    fees,
+    wealth_tax,
+    mob_rewards,
+  } = economy;
+
+  if (typeof timezone !== "string" || !IANAZone.isValidZone(timezone)) {
+    errors.push(`timezone must be an IANA time zone, got ${timezone}`);
+  }
+
+  if (!Number.isInteger(daily?.reward) || daily.reward < 0) {
+    errors.push("daily.reward must be a non-negative integer");
+  }
+
+  if (!RESET_TIME.test(daily?.reset_time)) {
+    errors.push('daily.reset_time must be a 24-hour "HH:MM" time');
+  }
+
+  if (
+    !Array.isArray(daily?.streak_bonus) ||
+    !daily.streak_bonus.every((bonus) => Number.isInteger(bonus) && bonus >= 0)
+  ) {
+    errors.push("daily.streak_bonus must be a list of non-negative integers");
+  }
+
+  const milestones = daily?.milestones;
+
+  if (
+    typeof milestones !== "object" ||
+    milestones === null ||
+    Array.isArray(milestones) ||
+    !Object.entries(milestones).every(
+      ([day, bonus]) => /^[1-9]\d*$/.test(day) && isPositiveInteger(bonus)
+    )
+  ) {
+    errors.push(
+      "daily.milestones must map streak days to positive integer bonuses"
+    );
+  }
+
+  if (
+    daily?.streak_decay !== "reset" &&
+    !isPositiveInteger(daily?.streak_decay)
+  ) {
+    errors.push('daily.streak_decay must be "reset" or a positive integer');
+  }
+
+  const denominations = bills?.denominations;
+
+  if (
+    !Array.isArray(denominations) ||
+    denominations.length === 0 ||
+    !denominations.every(isPositiveInteger)
+  ) {
+    errors.push("bills.denominations must be a list of positive integers");
+  } else if (new Set(denominations).size !== denominations.length) {
+    errors.push("bills.denominations must not contain duplicates");
+  } else if (!denominations.includes(bills.default_denomination)) {
+    errors.push(
+      "bills.default_denomination must be one of bills.denominations"
+    );
+  }
+
+  if (
+    !isPositiveInteger(leaderboard?.size) ||
+    leaderboard.size > MAX_LEADERBOARD_SIZE
+  ) {
+    errors.push(
+      `leaderboard.size must be an integer between 1 and ${MAX_LEADERBOARD_SIZE}`
+    );
+  }
+
+  if (!isDuration(leaderboard?.cache_ttl)) {
+    errors.push(
+      'leaderboard.cache_ttl must be seconds or a duration like "30s"'
+    );
+  }
+
+  for (const key of ["token_ttl", "refresh_token_ttl"]) {
+    if (!isDuration(auth?.[key])) {
+      errors.push(`auth.${key} must be seconds or a duration like "10m"`);
+    }
+  }
+
+  const ttls = ["default_ttl", "max_ttl"].filter((key) => {
+    if (isDuration(payment_requests?.[key])) return true;
+
+    errors.push(
+      `payment_requests.${key} must be seconds or a duration like "3d"`
+    );
+    return false;
+  });
+
+  if (
+    ttls.length === 2 &&
+    ttlToMs(payment_requests.default_ttl) > ttlToMs(payment_requests.max_ttl)
+  ) {
+    errors.push("payment_requests.default_ttl must not exceed max_ttl");
+  }
+
+  if (!isPositiveInteger(payment_requests?.max_pending)) {
+    errors.push("payment_requests.max_pending must be a positive integer");
+  }
+
+  if (
+    !isDuration(notifications?.retention) ||
+    ttlToMs(notifications.retention) === 0
+  ) {
+    errors.push(
+      'notifications.retention must be a positive number of seconds or a duration like "30d"'
+    );
+  }
+
+  if (!isDuration(notifications?.request_warning)) {
+    errors.push(
+      'notifications.request_warning must be seconds or a duration like "1d"'
+    );
+  }
+
+  for (const key of ["min_interval", "retry_delay"]) {
+    if (
+      !isDuration(scheduled_payments?.[key]) ||
+      ttlToMs(scheduled_payments[key]) === 0
+    ) {
+      errors.push(
+        `scheduled_payments.${key} must be a positive number of seconds or a duration like "1h"`
+      );
+    }
+  }
+
+  if (!isPositiveInteger(scheduled_payments?.max_active)) {
+    errors.push("scheduled_payments.max_active must be a positive integer");
+  }
+
+  if (
+    !Number.isInteger(scheduled_payments?.max_retries) ||
+    scheduled_payments.max_retries < 0
+  ) {
+    errors.push(
+      "scheduled_payments.max_retries must be a non-negative integer"
+    );
+  }
+
+  if (
+    !SCHEDULED_PAYMENT_FAILURE_POLICIES.includes(scheduled_payments?.on_failure)
+  ) {
+    errors.push(
+      `scheduled_payments.on_failure must be one of: ${SCHEDULED_PAYMENT_FAILURE_POLICIES.join(", ")}`
+    );
+  }
+
+  for (const action of FEE_ACTIONS) {
+    const rule = fees?.[action];
+
+    if (!isPercent(rule?.percent)) {
+      errors.push(`fees.${action}.percent must be a number from 0 to 100`);
+    }
+
+    for (const key of ["flat", "min"]) {
+      if (!isNonNegativeInteger(rule?.[key])) {
+        errors.push(`fees.${action}.${key} must be a non-negative integer`);
+      }
+    }
+
+    if (rule?.max !== null && !isNonNegativeInteger(rule?.max)) {
+      errors.push(`fees.${action}.max must be a non-negative integer or null`);
+    } else if (rule.max !== null && rule.max < rule.min) {
+      errors.push(`fees.${action}.max must not be below min`);
+    }
+  }
+
+  if (!isUuidList(fees?.exempt)) {
+    errors.push("fees.exempt must be a list of UUIDs");
+  }
+
+  if (
+    wealth_tax?.interval !== null &&
+    (!isDuration(wealth_tax?.interval) || ttlToMs(wealth_tax.interval) === 0)
+  ) {
+    errors.push(
+      'wealth_tax.interval must be null or a positive number of seconds or a duration like "7d"'
+    );
+  }
+
+  const brackets = wealth_tax?.brackets;
+
+  if (
+    !Array.isArray(brackets) ||
+    !brackets.every(
+      (bracket) =>
+        isNonNegativeInteger(bracket?.above) &&
+        isPercent(bracket.percent) &&
+        bracket.percent > 0
+    )
+  ) {
+    errors.push(
+      "wealth_tax.brackets must be a list of { above, percent } with a non-negative integer above and a percent above 0, up to 100"
+    );
+  } else if (
+    brackets.some(
+      (bracket, i) => i > 0 && bracket.above <= brackets[i - 1].above
+    )
+  ) {
+    errors.push("wealth_tax.brackets must be sorted by above, lowest first");
+  }
+
+  if (!isUuidList(wealth_tax?.exempt)) {
+    errors.push("wealth_tax.exempt must be a list of UUIDs");
+  }
+
+  if (!Number.isInteger(mob_rewards?.daily_cap) || mob_rewards.daily_cap < 0) {
+    errors.push("mob_rewards.daily_cap must be a non-negative integer");
+  }
+
+  const mobs = mob_rewards?.mobs;
+
+  if (typeof mobs !== "object" || mobs === null || Array.isArray(mobs)) {
+    errors.push("mob_rewards.mobs must map mob types to rewards");
+  } else {
+    for (const [mob, settings] of Object.entries(mobs)) {
+      if (!isPositiveInteger(settings?.reward)) {
+        errors.push(
+          `mob_rewards.mobs.${mob}.reward must be a positive integer`
+        );
+      }
+
+      const cap = settings?.daily_cap;
+      if (cap !== undefined && cap !== null && !isPositiveInteger(cap)) {
+        errors.push(
+          `mob_rewards.mobs.${mob}.daily_cap must be a positive integer or null`
+        );
+      }
+    }
+  }
+
+  return errors;
+}
@@ -3,13 +3,15 @@ import logger from "../../logger.js";
 
 // Required Vars
 import REQUIRED_VARS from "./vars/requiredVars.js";
+import DATABASE_VARS from "./vars/databaseVars.js";
 
 dotenv.config();
 
 /**
  * Validates that all required environment variables are set.
  *
- * Environment variables are defined in `REQUIRED_VARS` and must be loaded before calling this function.
+ * Environment variables are defined in `REQUIRED_VARS`, plus the connection variables
+ * `DATABASE_VARS` lists for the selected `DB_CLIENT`, and must be loaded before calling this function.
  * Logs an error and exits the process if any required variable is missing.
  *
  * @function
@@ -17,7 +19,16 @@ dotenv.config();
  */
 export function validateEnv() {
   let hasError = false;
-  for (const key of REQUIRED_VARS) {
+
+  const dbClient = process.env.DB_CLIENT;
+  if (dbClient && !DATABASE_VARS[dbClient]) {
+    logger.error(
+      `Unsupported DB_CLIENT "${dbClient}", expected one of: ${Object.keys(DATABASE_VARS).join(", ")}`
+    );
+    hasError = true;
+  }
+
+  for (const key of [...REQUIRED_VARS, ...(DATABASE_VARS[dbClient] ?? [])]) {
     if (!process.env[key]) {
       logger.error(`Missing required env variable: ${key}`);
       hasError = true;
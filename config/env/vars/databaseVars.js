@@ -0,0 +1,8 @@
+// Connection variables each DB_CLIENT needs on top of REQUIRED_VARS
+const DATABASE_VARS = {
+  postgres: ["DB_DATABASE", "DB_HOST", "DB_PASSWORD", "DB_PORT", "DB_USER"],
+  sqlite: [],
+  mongo: ["MONGO_URI"],
+};
+
+export default DATABASE_VARS;
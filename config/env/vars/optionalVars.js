@@ -0,0 +1,13 @@
+// Variables read through process.env that may be left unset; never added to REQUIRED_VARS
+const OPTIONAL_VARS = [
+  "AUTO_MIGRATE",
+  "GAME_SERVERS",
+  "IP_ALLOWLIST_PATH",
+  "JWT_KEYS_PATH",
+  "JWT_SECRET",
+  "METRICS_ALLOWED_IPS",
+  "METRICS_TOKEN",
+  "TRUSTED_PROXIES",
+];
+
+export default OPTIONAL_VARS;
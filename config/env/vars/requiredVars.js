@@ -1,13 +1,11 @@
 const REQUIRED_VARS = [
+  "ADMIN_API_KEYS",
   "ALLOWED_IP_ADDRESS",
   "ALLOWED_IP_ADDRESS_LOCAL",
-  "DB_DATABASE",
-  "DB_HOST",
-  "DB_PASSWORD",
-  "DB_PORT",
-  "DB_USER",
-  "JWT_SECRET",
+  "BILL_SIGNING_SECRET",
+  "DB_CLIENT",
   "PORT",
+  "SERVER_SHARED_SECRET",
 ];
 
 export default REQUIRED_VARS;
@@ -0,0 +1,98 @@
+import logger from "../logger.js";
+
+/**
+ * Game servers allowed to log players in, and the economy each one uses.
+ *
+ * Environment Variables Used:
+ * @env {string} SERVER_SHARED_SECRET - Login signing key of the "default" server
+ * @env {string} [GAME_SERVERS] - Extra servers as comma-separated `id:key` or `id:key:economy`
+ *
+ * A server without an explicit economy gets its own, named after the server.
+ * Servers that name the same economy share balances, daily claims, mob limits
+ * and the leaderboard; e.g. `survival:k1:main,hub:k2:main,creative:k3`.
+ */
+
+// Server used for logins without an X-Server-Id header, and for older tokens
+export const DEFAULT_SERVER_ID = "default";
+
+// Economy that existing players and records belong to
+export const DEFAULT_ECONOMY = "default";
+
+const SERVER_ID = /^[a-z0-9_-]+$/i;
+
+/**
+ * Parses `SERVER_SHARED_SECRET` and `GAME_SERVERS` into the server registry.
+ *
+ * Malformed and duplicate entries are logged and skipped. `GAME_SERVERS` may
+ * redefine "default" to move it to another economy.
+ *
+ * @returns {Map<string, {id: string, key: Buffer, economy: string}>}
+ */
+function loadGameServers() {
+  const servers = new Map();
+
+  if (process.env.SERVER_SHARED_SECRET) {
+    servers.set(DEFAULT_SERVER_ID, {
+      id: DEFAULT_SERVER_ID,
+      key: Buffer.from(process.env.SERVER_SHARED_SECRET),
+      economy: DEFAULT_ECONOMY,
+    });
+  }
+
+  const entries = (process.env.GAME_SERVERS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  for (const entry of entries) {
+    const [id, key, economy = id] = entry.split(":");
+
+    if (!SERVER_ID.test(id ?? "") || !key || !SERVER_ID.test(economy)) {
+      logger.error(
+        `Ignoring GAME_SERVERS entry "${id}": expected id:key or id:key:economy`
+      );
+      continue;
+    }
+
+    if (servers.has(id) && id !== DEFAULT_SERVER_ID) {
+      logger.error(`Ignoring duplicate GAME_SERVERS entry "${id}"`);
+      continue;
+    }
+
+    servers.set(id, { id, key: Buffer.from(key), economy });
+  }
+
+  return servers;
+}
+
+// Loaded on first use so `.env` has been read by then
+let gameServers = null;
+
+/**
+ * @returns {Map<string, {id: string, key: Buffer, economy: string}>}
+ */
+function getGameServers() {
+  gameServers ??= loadGameServers();
+  return gameServers;
+}
+
+/**
+ * Looks up a registered game server.
+ *
+ * @param {string} id - Server ID from the `X-Server-Id` header or a player token.
+ * @returns {{id: string, key: Buffer, economy: string}|null}
+ */
+export function getGameServer(id) {
+  return getGameServers().get(id) ?? null;
+}
+
+/**
+ * Lists the economies used by registered servers, plus the default economy,
+ * which keeps the records from before servers had their own.
+ *
+ * @returns {string[]}
+ */
+export function listEconomies() {
+  const economies = [...getGameServers().values()].map((s) => s.economy);
+  return [...new Set([DEFAULT_ECONOMY, ...economies])];
+}
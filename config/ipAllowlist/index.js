@@ -0,0 +1,200 @@
+import fs from "fs";
+import path from "path";
+import logger from "../../logger.js";
+import { buildIpMatcher, matchesIp } from "./ipRanges.js";
+
+/**
+ * Addresses allowed to call `/currency/*`, and the reverse proxies whose
+ * `X-Forwarded-For` header is trusted.
+ *
+ * Environment Variables Used:
+ * @env {string} ALLOWED_IP_ADDRESS - Game server address(es); comma-separated IPs or CIDR ranges
+ * @env {string} ALLOWED_IP_ADDRESS_LOCAL - Local address(es), same format
+ * @env {string} [TRUSTED_PROXIES] - Proxies in front of the backend, same format
+ * @env {string} [IP_ALLOWLIST_PATH] - JSON file with more entries (defaults to `config/ipAllowlist.json`, optional)
+ *
+ * The file holds `{ "allowed": [...], "trusted_proxies": [...] }` and is
+ * combined with the environment. `verifyIP` checks the active lists on every
+ * request, so `reloadIpAllowlist()` takes effect without a restart.
+ */
+
+const DEFAULT_ALLOWLIST_PATH = "config/ipAllowlist.json";
+
+/**
+ * Splits a comma-separated env variable into entries.
+ *
+ * @param {string} [value] - Raw variable value.
+ * @returns {string[]}
+ */
+const toEntries = (value) =>
+  (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+/**
+ * Error thrown when the allowlist cannot be loaded or has invalid entries.
+ * Carries every problem found so they can be reported together.
+ */
+export class IpAllowlistError extends Error {
+  /**
+   * @param {string[]} errors - One message per invalid entry.
+   */
+  constructor(errors) {
+    super(`Invalid IP allowlist: ${errors.join("; ")}`);
+    this.name = "IpAllowlistError";
+    this.errors = errors;
+  }
+}
+
+/** @type {{allowed: string[], trusted_proxies: string[], allowedList: import('net').BlockList, proxyList: import('net').BlockList}|null} */
+let activeAllowlist = null;
+
+/**
+ * Reads the allowlist file, if there is one.
+ *
+ * @param {string} filePath - Path to the JSON file.
+ * @returns {{allowed?: string[], trusted_proxies?: string[]}} Parsed file, or an empty object if it does not exist.
+ * @throws {IpAllowlistError} If the file is not valid JSON or its lists are not arrays.
+ */
+function readAllowlistFile(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+
+  let file;
+  try {
+    file = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (error) {
+    throw new IpAllowlistError([`${filePath}: ${error.message}`]);
+  }
+
+  const errors = ["allowed", "trusted_proxies"]
+    .filter((key) => file[key] !== undefined && !Array.isArray(file[key]))
+    .map((key) => `${filePath}: ${key} must be an array`);
+
+  if (errors.length > 0) {
+    throw new IpAllowlistError(errors);
+  }
+
+  return file;
+}
+
+/**
+ * Builds the allowlist from the environment and file without activating it.
+ *
+ * @returns {Object} Compiled allowlist.
+ * @throws {IpAllowlistError} If any entry is invalid.
+ */
+function buildAllowlist() {
+  const filePath = path.resolve(
+    process.env.IP_ALLOWLIST_PATH || DEFAULT_ALLOWLIST_PATH
+  );
+  const file = readAllowlistFile(filePath);
+
+  const allowed = [
+    ...toEntries(process.env.ALLOWED_IP_ADDRESS),
+    ...toEntries(process.env.ALLOWED_IP_ADDRESS_LOCAL),
+    ...(file.allowed ?? []),
+  ];
+  const trustedProxies = [
+    ...toEntries(process.env.TRUSTED_PROXIES),
+    ...(file.trusted_proxies ?? []),
+  ];
+
+  const allowedMatcher = buildIpMatcher(allowed, "allowed");
+  const proxyMatcher = buildIpMatcher(trustedProxies, "trusted_proxies");
+
+  const errors = [...allowedMatcher.errors, ...proxyMatcher.errors];
+  if (errors.length > 0) {
+    throw new IpAllowlistError(errors);
+  }
+
+  return {
+    allowed,
+    trusted_proxies: trustedProxies,
+    allowedList: allowedMatcher.list,
+    proxyList: proxyMatcher.list,
+  };
+}
+
+/**
+ * Loads the allowlist and makes it the active one.
+ *
+ * @returns {{allowed: string[], trusted_proxies: string[]}} The new active entries.
+ * @throws {IpAllowlistError} If an entry is invalid; the active allowlist is left unchanged.
+ */
+export function loadIpAllowlist() {
+  activeAllowlist = buildAllowlist();
+  return getIpAllowlist();
+}
+
+/**
+ * Returns the active allowlist, loading it on first use.
+ *
+ * @returns {Object} Compiled allowlist.
+ */
+function getActiveAllowlist() {
+  if (!activeAllowlist) loadIpAllowlist();
+  return activeAllowlist;
+}
+
+/**
+ * Returns the entries currently in effect.
+ *
+ * @returns {{allowed: string[], trusted_proxies: string[]}}
+ */
+export function getIpAllowlist() {
+  const { allowed, trusted_proxies } = getActiveAllowlist();
+  return { allowed: [...allowed], trusted_proxies: [...trusted_proxies] };
+}
+
+/**
+ * @param {string} ip - Client address.
+ * @returns {boolean} Whether the address may call `/currency/*`.
+ */
+export function isAllowedIp(ip) {
+  return matchesIp(getActiveAllowlist().allowedList, ip);
+}
+
+/**
+ * @param {string} ip - Address of a hop in front of the backend.
+ * @returns {boolean} Whether its `X-Forwarded-For` entries are trusted.
+ */
+export function isTrustedProxy(ip) {
+  return matchesIp(getActiveAllowlist().proxyList, ip);
+}
+
+/**
+ * Re-reads the allowlist file and environment and swaps in the result.
+ *
+ * @returns {{previous: Object, current: Object}} Entries before and after the reload.
+ * @throws {IpAllowlistError} If an entry is invalid; the previous allowlist stays active.
+ */
+export function reloadIpAllowlist() {
+  const previous = getIpAllowlist();
+  const current = loadIpAllowlist();
+
+  logger.info("IP allowlist reloaded");
+  return { previous, current };
+}
+
+/**
+ * Loads and validates the allowlist at startup.
+ *
+ * Logs every invalid entry and exits the process if the allowlist cannot be used.
+ *
+ * @function
+ * @returns {void}
+ */
+export function validateIpAllowlist() {
+  try {
+    loadIpAllowlist();
+    logger.info("IP allowlist is valid");
+  } catch (error) {
+    for (const message of error.errors ?? [error.message]) {
+      logger.error(`Invalid IP allowlist: ${message}`);
+    }
+
+    logger.error("IP allowlist validation failed. Exiting");
+    process.exit(1);
+  }
+}
@@ -0,0 +1,84 @@
+import net from "net";
+
+/**
+ * Parsing and matching of IPv4/IPv6 addresses and CIDR ranges.
+ */
+
+/**
+ * Strips the IPv4-mapped IPv6 prefix, so `::ffff:10.0.0.1` matches IPv4 entries.
+ *
+ * @param {string} ip - Address as seen on the socket or in a header.
+ * @returns {string} Normalized address (unchanged if it is not IPv4-mapped).
+ */
+export function normalizeIp(ip) {
+  const value = String(ip ?? "").trim();
+  const mapped = value.replace(/^::ffff:/i, "");
+
+  return mapped !== value && net.isIPv4(mapped) ? mapped : value;
+}
+
+/**
+ * Parses one entry: a single address or a CIDR range.
+ *
+ * @param {string} entry - e.g. "203.0.113.7", "10.0.0.0/8" or "2001:db8::/32".
+ * @returns {{type: "ipv4"|"ipv6", address: string, prefix: number}|null}
+ *   A single address becomes a range of one; null if the entry is invalid.
+ */
+export function parseIpRange(entry) {
+  const [address, prefix, ...rest] = String(entry).trim().split("/");
+  if (rest.length > 0) return null;
+
+  const ip = normalizeIp(address);
+  const version = net.isIP(ip);
+  if (!version) return null;
+
+  const bits = version === 4 ? 32 : 128;
+  const type = version === 4 ? "ipv4" : "ipv6";
+
+  if (prefix === undefined) {
+    return { type, address: ip, prefix: bits };
+  }
+
+  if (!/^\d{1,3}$/.test(prefix) || Number(prefix) > bits) return null;
+
+  return { type, address: ip, prefix: Number(prefix) };
+}
+
+/**
+ * Compiles a list of entries into a matcher.
+ *
+ * @param {string[]} entries - Addresses and CIDR ranges.
+ * @param {string} source - Where the entries came from, used in error messages.
+ * @returns {{list: net.BlockList, errors: string[]}} Invalid entries are reported and left out.
+ */
+export function buildIpMatcher(entries, source) {
+  const list = new net.BlockList();
+  const errors = [];
+
+  for (const entry of entries) {
+    const range = parseIpRange(entry);
+
+    if (!range) {
+      errors.push(`${source}: "${entry}" is not an IP address or CIDR range`);
+      continue;
+    }
+
+    list.addSubnet(range.address, range.prefix, range.type);
+  }
+
+  return { list, errors };
+}
+
+/**
+ * Checks an address against a compiled matcher.
+ *
+ * @param {net.BlockList} list - Matcher from `buildIpMatcher`.
+ * @param {string} ip - Address to check.
+ * @returns {boolean} False for anything that is not a valid address.
+ */
+export function matchesIp(list, ip) {
+  const value = normalizeIp(ip);
+  const version = net.isIP(value);
+
+  return version !== 0 && list.check(value, version === 4 ? "ipv4" : "ipv6");
+}
@@ -0,0 +1,246 @@
+import fs from "fs";
+import path from "path";
+import logger from "../../logger.js";
+import { compileJwtKey } from "./keys.js";
+
+/**
+ * Keyring that signs and verifies player access tokens.
+ *
+ * Environment Variables Used:
+ * @env {string} [JWT_SECRET] - HS256 secret used before the keyring existed (kid "legacy")
+ * @env {string} [JWT_KEYS_PATH] - Keyring file (defaults to `config/jwtKeys.json`, optional)
+ *
+ * The file holds `{ "current": "<kid>", "keys": [...] }` and is maintained with
+ * `npm run jwt-keys`. Tokens are signed with the current key and carry its kid;
+ * every key that is not past its `retire_at` still verifies, so rotating keys
+ * does not log anyone out. Tokens without a kid were signed with `JWT_SECRET`,
+ * which stays the signing key while the file names no current key.
+ */
+
+// Kid of the `JWT_SECRET` key, assumed for tokens without a kid header
+export const LEGACY_KID = "legacy";
+
+const DEFAULT_KEYS_PATH = "config/jwtKeys.json";
+
+/**
+ * Error thrown when the keyring cannot be loaded or has invalid keys.
+ * Carries every problem found so they can be reported together.
+ */
+export class JwtKeyError extends Error {
+  /**
+   * @param {string[]} errors - One message per problem.
+   */
+  constructor(errors) {
+    super(`Invalid JWT keyring: ${errors.join("; ")}`);
+    this.name = "JwtKeyError";
+    this.errors = errors;
+  }
+}
+
+/** @type {{current: Object, keys: Map<string, Object>}|null} */
+let activeKeyring = null;
+
+/**
+ * @returns {string} Absolute path of the keyring file.
+ */
+export function getJwtKeysPath() {
+  return path.resolve(process.env.JWT_KEYS_PATH || DEFAULT_KEYS_PATH);
+}
+
+/**
+ * Reads the keyring file, if there is one.
+ *
+ * @param {string} filePath - Path to the JSON file.
+ * @returns {{current?: string, keys?: Object[]}} Parsed file, or an empty object if it does not exist.
+ * @throws {JwtKeyError} If the file is not valid JSON or `keys` is not an array.
+ */
+export function readJwtKeyring(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+
+  let file;
+  try {
+    file = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (error) {
+    throw new JwtKeyError([`${filePath}: ${error.message}`]);
+  }
+
+  if (file.keys !== undefined && !Array.isArray(file.keys)) {
+    throw new JwtKeyError([`${filePath}: keys must be an array`]);
+  }
+
+  return file;
+}
+
+/**
+ * Builds the keyring from `JWT_SECRET` and the file without activating it.
+ *
+ * @returns {{current: Object, keys: Map<string, Object>}} Compiled keyring.
+ * @throws {JwtKeyError} If a key is invalid or there is no key to sign with.
+ */
+function buildKeyring() {
+  const filePath = getJwtKeysPath();
+  const file = readJwtKeyring(filePath);
+
+  const keys = new Map();
+  const errors = [];
+
+  if (process.env.JWT_SECRET) {
+    keys.set(LEGACY_KID, {
+      kid: LEGACY_KID,
+      alg: "HS256",
+      created_at: null,
+      retire_at: null,
+      signingKey: process.env.JWT_SECRET,
+      verifyKey: process.env.JWT_SECRET,
+    });
+  }
+
+  (file.keys ?? []).forEach((entry, index) => {
+    const { key, errors: keyErrors } = compileJwtKey(
+      entry,
+      `${filePath}: keys[${index}]`
+    );
+    errors.push(...keyErrors);
+
+    if (key && keys.has(key.kid)) {
+      errors.push(`${filePath}: duplicate kid "${key.kid}"`);
+    } else if (key) {
+      keys.set(key.kid, key);
+    }
+  });
+
+  const currentKid = file.current ?? LEGACY_KID;
+  const current = keys.get(currentKid);
+
+  if (errors.length === 0 && !current) {
+    errors.push(
+      file.current
+        ? `${filePath}: current key "${file.current}" is not in keys`
+        : "No signing key: set JWT_SECRET or run `npm run jwt-keys -- rotate`"
+    );
+  } else if (current?.retire_at && current.retire_at <= new Date()) {
+    errors.push(`${filePath}: current key "${currentKid}" is retired`);
+  }
+
+  if (errors.length > 0) {
+    throw new JwtKeyError(errors);
+  }
+
+  return { current, keys };
+}
+
+/**
+ * Loads the keyring and makes it the active one.
+ *
+ * @returns {Object[]} The new active keys (see `listJwtKeys`).
+ * @throws {JwtKeyError} If a key is invalid; the active keyring is left unchanged.
+ */
+export function loadJwtKeys() {
+  activeKeyring = buildKeyring();
+  return listJwtKeys();
+}
+
+/**
+ * Returns the active keyring, loading it on first use.
+ *
+ * @returns {{current: Object, keys: Map<string, Object>}}
+ */
+function getActiveKeyring() {
+  if (!activeKeyring) loadJwtKeys();
+  return activeKeyring;
+}
+
+/**
+ * @returns {{kid: string, alg: string, signingKey: string|import('crypto').KeyObject}} Key that signs new tokens.
+ */
+export function getSigningKey() {
+  return getActiveKeyring().current;
+}
+
+/**
+ * Looks up the key a token names in its `kid` header.
+ *
+ * @param {string} [kid=LEGACY_KID] - Key ID from the token header.
+ * @returns {{kid: string, alg: string, verifyKey: string|import('crypto').KeyObject}|null}
+ *   Null if the key is unknown or retired.
+ */
+export function getVerificationKey(kid = LEGACY_KID) {
+  const key = getActiveKeyring().keys.get(kid);
+
+  if (!key || (key.retire_at && key.retire_at <= new Date())) return null;
+  return key;
+}
+
+/**
+ * Describes the active keys without their secrets.
+ *
+ * @returns {{kid: string, alg: string, current: boolean, created_at: string|null, retire_at: string|null}[]}
+ */
+export function listJwtKeys() {
+  const { current, keys } = getActiveKeyring();
+
+  return [...keys.values()].map((key) => ({
+    kid: key.kid,
+    alg: key.alg,
+    current: key === current,
+    created_at: key.created_at,
+    retire_at: key.retire_at?.toISOString() ?? null,
+  }));
+}
+
+/**
+ * Public keys of the RS256 and EdDSA keys that still verify tokens, as a JWK Set.
+ * Game servers can use them to check player tokens without any signing secret.
+ *
+ * @returns {{keys: Object[]}}
+ */
+export function getJwks() {
+  const { keys } = getActiveKeyring();
+
+  return {
+    keys: [...keys.values()]
+      .filter((key) => key.alg !== "HS256" && getVerificationKey(key.kid))
+      .map((key) => ({
+        ...key.verifyKey.export({ format: "jwk" }),
+        kid: key.kid,
+        alg: key.alg,
+        use: "sig",
+      })),
+  };
+}
+
+/**
+ * Re-reads the keyring file and `JWT_SECRET` and swaps in the result.
+ *
+ * @returns {{previous: Object[], current: Object[]}} Keys before and after the reload.
+ * @throws {JwtKeyError} If a key is invalid; the previous keyring stays active.
+ */
+export function reloadJwtKeys() {
+  const previous = listJwtKeys();
+  const current = loadJwtKeys();
+
+  logger.info(`JWT keyring reloaded, signing with "${getSigningKey().kid}"`);
+  return { previous, current };
+}
+
+/**
+ * Loads and validates the keyring at startup.
+ *
+ * Logs every invalid key and exits the process if tokens cannot be signed.
+ *
+ * @function
+ * @returns {void}
+ */
+export function validateJwtKeys() {
+  try {
+    loadJwtKeys();
+    logger.info(`JWT keyring is valid, signing with "${getSigningKey().kid}"`);
+  } catch (error) {
+    for (const message of error.errors ?? [error.message]) {
+      logger.error(`Invalid JWT keyring: ${message}`);
+    }
+
+    logger.error("JWT keyring validation failed. Exiting");
+    process.exit(1);
+  }
+}
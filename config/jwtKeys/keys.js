@@ -0,0 +1,194 @@
+import crypto from "crypto";
+
+// Algorithms a keyring entry may use
+export const JWT_ALGORITHMS = ["HS256", "RS256", "EdDSA"];
+
+// Key type `crypto` reports for the private key of each asymmetric algorithm
+const KEY_TYPES = { RS256: "rsa", EdDSA: "ed25519" };
+
+// Shortest secret accepted for HS256 keys in the keyring file
+const MIN_SECRET_LENGTH = 32;
+
+const KID = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Compiles a keyring entry into the keys used to sign and verify tokens.
+ *
+ * HS256 entries hold a shared `secret`. RS256 and EdDSA entries hold a PEM
+ * `private_key`; their public key is derived from it.
+ *
+ * @param {Object} entry - Entry from the keyring file.
+ * @param {string} label - Where the entry came from, used in error messages.
+ * @returns {{key: Object|null, errors: string[]}} Compiled key, or null with the problems found.
+ */
+export function compileJwtKey(entry, label) {
+  const { kid, alg } = entry ?? {};
+  const errors = [];
+
+  if (typeof kid !== "string" || !KID.test(kid)) {
+    errors.push(`${label}: kid must be 1-64 letters, digits, "-" or "_"`);
+  }
+
+  if (!JWT_ALGORITHMS.includes(alg)) {
+    errors.push(`${label}: alg must be one of ${JWT_ALGORITHMS.join(", ")}`);
+  }
+
+  const retireAt = entry?.retire_at ? new Date(entry.retire_at) : null;
+  if (retireAt && Number.isNaN(retireAt.getTime())) {
+    errors.push(`${label}: retire_at must be an ISO date`);
+  }
+
+  if (errors.length > 0) return { key: null, errors };
+
+  const key = {
+    kid,
+    alg,
+    created_at: entry.created_at ?? null,
+    retire_at: retireAt,
+  };
+
+  if (alg === "HS256") {
+    if (
+      typeof entry.secret !== "string" ||
+      entry.secret.length < MIN_SECRET_LENGTH
+    ) {
+      return {
+        key: null,
+        errors: [
+          `${label}: secret must be at least ${MIN_SECRET_LENGTH} characters`,
+        ],
+      };
+    }
+
+    return {
+      key: { ...key, signingKey: entry.secret, verifyKey: entry.secret },
+      errors,
+    };
+  }
+
+  let privateKey;
+  try {
+    privateKey = crypto.createPrivateKey(entry.private_key);
+  } catch (error) {
+    return {
+      key: null,
+      errors: [`${label}: private_key is not a valid PEM key`],
+    };
+  }
+
+  if (privateKey.asymmetricKeyType !== KEY_TYPES[alg]) {
+    return {
+      key: null,
+      errors: [`${label}: private_key is not a ${KEY_TYPES[alg]} key`],
+    };
+  }
+
+  return {
+    key: {
+      ...key,
+      signingKey: privateKey,
+      verifyKey: crypto.createPublicKey(privateKey),
+    },
+    errors,
+  };
+}
+
+/**
+ * Generates a new keyring entry.
+ *
+ * @param {string} alg - One of `JWT_ALGORITHMS`.
+ * @param {Date} [now=new Date()] - Creation time, also used in the kid.
+ * @returns {Object} Entry to store in the keyring file.
+ * @throws {Error} If the algorithm is not supported.
+ */
+export function generateJwtKey(alg, now = new Date()) {
+  const kid = `${now.toISOString().slice(0, 10).replaceAll("-", "")}-${crypto
+    .randomBytes(4)
+    .toString("hex")}`;
+  const entry = { kid, alg, created_at: now.toISOString() };
+
+  switch (alg) {
+    case "HS256":
+      return { ...entry, secret: crypto.randomBytes(48).toString("base64url") };
+    case "RS256": {
+      const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+        modulusLength: 2048,
+      });
+      return { ...entry, ...exportKeyPair(privateKey, publicKey) };
+    }
+    case "EdDSA": {
+      const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519");
+      return { ...entry, ...exportKeyPair(privateKey, publicKey) };
+    }
+    default:
+      throw new Error(
+        `Unsupported algorithm "${alg}" (use ${JWT_ALGORITHMS.join(", ")})`
+      );
+  }
+}
+
+/**
+ * @param {crypto.KeyObject} privateKey
+ * @param {crypto.KeyObject} publicKey
+ * @returns {{private_key: string, public_key: string}} PEM-encoded key pair.
+ */
+function exportKeyPair(privateKey, publicKey) {
+  return {
+    private_key: privateKey.export({ type: "pkcs8", format: "pem" }),
+    public_key: publicKey.export({ type: "spki", format: "pem" }),
+  };
+}
+
+/**
+ * Adds a new signing key to a keyring and schedules the previous one for retirement.
+ *
+ * The previous key keeps verifying tokens until `now + overlapMs`, so tokens it
+ * signed stay valid until they expire. The overlap should be at least `auth.token_ttl`.
+ *
+ * @param {{current?: string, keys?: Object[]}} keyring - Parsed keyring file.
+ * @param {Object} options
+ * @param {string} options.alg - Algorithm of the new key.
+ * @param {number} options.overlapMs - How long the previous key stays valid.
+ * @param {Date} [options.now=new Date()] - Current time.
+ * @returns {{keyring: Object, key: Object, retired: string|null}} New keyring, the new entry and the kid being retired.
+ */
+export function rotateJwtKeyring(
+  keyring,
+  { alg, overlapMs, now = new Date() }
+) {
+  const key = generateJwtKey(alg, now);
+  const retireAt = new Date(now.getTime() + overlapMs);
+
+  const keys = (keyring.keys ?? []).map((entry) =>
+    entry.kid === keyring.current &&
+    (!entry.retire_at || new Date(entry.retire_at) > retireAt)
+      ? { ...entry, retire_at: retireAt.toISOString() }
+      : entry
+  );
+
+  return {
+    keyring: { ...keyring, current: key.kid, keys: [...keys, key] },
+    key,
+    retired: keyring.current ?? null,
+  };
+}
+
+/**
+ * Removes keys whose retirement time has passed.
+ *
+ * @param {{current?: string, keys?: Object[]}} keyring - Parsed keyring file.
+ * @param {Date} [now=new Date()] - Current time.
+ * @returns {{keyring: Object, removed: string[]}} New keyring and the kids removed.
+ */
+export function pruneJwtKeyring(keyring, now = new Date()) {
+  const isRetired = (entry) =>
+    entry.retire_at && new Date(entry.retire_at) <= now;
+
+  return {
+    keyring: {
+      ...keyring,
+      keys: (keyring.keys ?? []).filter((entry) => !isRetired(entry)),
+    },
+    removed: (keyring.keys ?? []).filter(isRetired).map((entry) => entry.kid),
+  };
+}
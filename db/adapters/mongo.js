@@ -0,0 +1,1562 @@
+import { MongoClient, ObjectId } from "mongodb";
+import logger from "../../logger.js";
+import {
+  BURN_ACCOUNT,
+  MINT_ACCOUNT,
+  buildLedgerEntries,
+} from "../../app/utils/currency/ledger.js";
+
+/**
+ * Builds the transaction-scoped operations for a session with an active transaction.
+ *
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ * @param {import('mongodb').ClientSession} session - Session with an active transaction.
+ * @param {string} economy - Economy every operation is scoped to.
+ * @returns {import('../index.js').StoreTransaction}
+ */
+function createTransaction(db, session, economy) {
+  const userFunds = db.collection("user_funds");
+  const transactions = db.collection("currency_transactions");
+  const currencyBills = db.collection("currency_bills");
+  const refreshTokens = db.collection("refresh_tokens");
+  const paymentRequests = db.collection("payment_requests");
+  const sharedAccounts = db.collection("shared_accounts");
+  const notifications = db.collection("notifications");
+  const scheduledPayments = db.collection("scheduled_payments");
+  const wealthTaxRuns = db.collection("wealth_tax_runs");
+
+  return {
+    async getAccount(uuid) {
+      const doc = await userFunds.findOne({ economy, uuid }, { session });
+      return doc
+        ? {
+            uuid: doc.uuid,
+            name: doc.name,
+            balance: doc.balance,
+            frozen: Boolean(doc.frozen),
+            token_version: doc.token_version ?? 0,
+          }
+        : null;
+    },
+
+    async adjustBalance(uuid, delta) {
+      const doc = await userFunds.findOneAndUpdate(
+        { economy, uuid },
+        { $inc: { balance: delta } },
+        { returnDocument: "after", session }
+      );
+      return doc?.balance ?? null;
+    },
+
+    async setBalance(uuid, balance) {
+      await userFunds.updateOne(
+        { economy, uuid },
+        { $set: { balance } },
+        { session }
+      );
+    },
+
+    async setFrozen(uuid, frozen) {
+      const doc = await userFunds.findOneAndUpdate(
+        { economy, uuid },
+        { $set: { frozen } },
+        { returnDocument: "after", session }
+      );
+      return doc
+        ? { uuid: doc.uuid, name: doc.name, balance: doc.balance, frozen }
+        : null;
+    },
+
+    async setLeaderboardExcluded(uuid, excluded) {
+      const doc = await userFunds.findOneAndUpdate(
+        { economy, uuid },
+        { $set: { leaderboard_excluded: excluded } },
+        { returnDocument: "after", session }
+      );
+      return doc
+        ? {
+            uuid: doc.uuid,
+            name: doc.name,
+            balance: doc.balance,
+            leaderboard_excluded: excluded,
+          }
+        : null;
+    },
+
+    async bumpTokenVersion(uuid) {
+      const doc = await userFunds.findOneAndUpdate(
+        { economy, uuid },
+        { $inc: { token_version: 1 } },
+        { returnDocument: "after", session }
+      );
+      return doc?.token_version ?? null;
+    },
+
+    async logTransaction(data) {
+      const {
+        uuid,
+        action,
+        amount,
+        from_uuid = null,
+        to_uuid = null,
+        denomination = null,
+        count = null,
+        balance_after = null,
+        admin = null,
+        reason = null,
+        reverses_id = null,
+        member_uuid = null,
+        fee_for_id = null,
+      } = data;
+
+      const doc = {
+        economy,
+        uuid,
+        action,
+        amount,
+        from_uuid,
+        to_uuid,
+        denomination,
+        count,
+        balance_after,
+        admin,
+        reason,
+        reverses_id: reverses_id === null ? null : new ObjectId(reverses_id),
+        member_uuid,
+        fee_for_id: fee_for_id === null ? null : new ObjectId(fee_for_id),
+        created_at: new Date(),
+      };
+
+      const { insertedId } = await transactions.insertOne(doc, { session });
+
+      const entries = buildLedgerEntries(data).map((entry) => ({
+        economy,
+        transaction_id: insertedId,
+        ...entry,
+        created_at: doc.created_at,
+      }));
+
+      if (entries.length > 0) {
+        await db.collection("ledger_entries").insertMany(entries, { session });
+      }
+
+      return insertedId.toHexString();
+    },
+
+    async getTransaction(id) {
+      const doc = await transactions.findOne(
+        { _id: new ObjectId(id), economy },
+        { session }
+      );
+      return doc ? { ...doc, id: doc._id.toHexString() } : null;
+    },
+
+    async findReversal(id) {
+      const doc = await transactions.findOne(
+        { reverses_id: new ObjectId(id), economy },
+        { session }
+      );
+      return doc ? doc._id.toHexString() : null;
+    },
+
+    // Writes conflict inside transactions, so a lookup is enough to catch a retry
+    async claimIdempotencyKey({ uuid, key }) {
+      return db
+        .collection("idempotency_keys")
+        .findOne({ economy, uuid, key }, { session });
+    },
+
+    async saveIdempotencyKey(row) {
+      await db
+        .collection("idempotency_keys")
+        .insertOne({ ...row, economy, created_at: new Date() }, { session });
+    },
+
+    // Marks the bill spent only if it is still unspent
+    async redeemBill(serial, uuid) {
+      const bill = await currencyBills.findOneAndUpdate(
+        { serial, economy, status: "issued" },
+        {
+          $set: {
+            status: "redeemed",
+            redeemed_by: uuid,
+            redeemed_at: new Date(),
+          },
+        },
+        { session }
+      );
+      return bill?.denomination ?? null;
+    },
+
+    async getBillStatus(serial) {
+      const bill = await currencyBills.findOne(
+        { serial, economy },
+        { projection: { status: 1 }, session }
+      );
+      return bill?.status ?? null;
+    },
+
+    async issueBill({
+      serial,
+      denomination,
+      signature,
+      issued_to,
+      withdrawal_id,
+    }) {
+      await currencyBills.insertOne(
+        {
+          economy,
+          serial,
+          denomination,
+          signature,
+          issued_to,
+          withdrawal_id: new ObjectId(withdrawal_id),
+          status: "issued",
+          issued_at: new Date(),
+        },
+        { session }
+      );
+    },
+
+    async voidWithdrawalBills(withdrawalId) {
+      const filter = { economy, withdrawal_id: new ObjectId(withdrawalId) };
+      const bills = await currencyBills
+        .find(filter, { projection: { status: 1 }, session })
+        .toArray();
+      const redeemed = bills.filter(
+        (bill) => bill.status === "redeemed"
+      ).length;
+
+      if (redeemed === 0) {
+        await currencyBills.updateMany(
+          { ...filter, status: "issued" },
+          { $set: { status: "voided" } },
+          { session }
+        );
+      }
+      return { bills: bills.length, redeemed };
+    },
+
+    getDailyClaim(uuid) {
+      return selectDailyClaim(db, economy, uuid, session);
+    },
+
+    async setDailyClaim(uuid, { last_claim_at, streak }) {
+      await db
+        .collection("daily_rewards")
+        .updateOne(
+          { economy, uuid },
+          { $set: { last_claim_at, streak } },
+          { upsert: true, session }
+        );
+    },
+
+    async saveRefreshToken(token) {
+      await refreshTokens.insertOne(
+        {
+          ...token,
+          economy,
+          created_at: new Date(),
+          used_at: null,
+          revoked_at: null,
+        },
+        { session }
+      );
+    },
+
+    async getRefreshToken(tokenHash) {
+      return refreshTokens.findOne(
+        { token_hash: tokenHash, economy },
+        { projection: { _id: 0, economy: 0, created_at: 0 }, session }
+      );
+    },
+
+    async markRefreshTokenUsed(tokenHash) {
+      await refreshTokens.updateOne(
+        { token_hash: tokenHash, economy },
+        { $set: { used_at: new Date() } },
+        { session }
+      );
+    },
+
+    async revokeRefreshTokenFamily(familyId) {
+      await refreshTokens.updateMany(
+        { family_id: familyId, economy, revoked_at: null },
+        { $set: { revoked_at: new Date() } },
+        { session }
+      );
+    },
+
+    async revokePlayerRefreshTokens(uuid) {
+      await refreshTokens.updateMany(
+        { economy, uuid, revoked_at: null },
+        { $set: { revoked_at: new Date() } },
+        { session }
+      );
+    },
+
+    async deleteExpiredRefreshTokens(uuid) {
+      await refreshTokens.deleteMany(
+        { economy, uuid, expires_at: { $lte: new Date() } },
+        { session }
+      );
+    },
+
+    // Skipped if the player already has a notification of this type with the same ref
+    async addNotification({ uuid, type, data, ref = null }) {
+      const doc = { economy, uuid, type, data, created_at: new Date() };
+
+      if (ref === null) {
+        await notifications.insertOne({ ...doc, read_at: null }, { session });
+        return;
+      }
+
+      await notifications.updateOne(
+        { economy, uuid, type, ref },
+        { $setOnInsert: { ...doc, ref, read_at: null } },
+        { upsert: true, session }
+      );
+    },
+
+    async deleteOldNotifications(uuid, before) {
+      await notifications.deleteMany(
+        { economy, uuid, created_at: { $lt: before } },
+        { session }
+      );
+    },
+
+    async createPaymentRequest(request) {
+      const doc = {
+        economy,
+        requester_uuid: request.requester_uuid,
+        payer_uuid: request.payer_uuid,
+        amount: request.amount,
+        memo: request.memo,
+        status: "pending",
+        expires_at: request.expires_at,
+        created_at: new Date(),
+        resolved_at: null,
+        transaction_id: null,
+      };
+
+      const { insertedId } = await paymentRequests.insertOne(doc, { session });
+      return toPaymentRequest({ ...doc, _id: insertedId });
+    },
+
+    async getPaymentRequest(id) {
+      const doc = await paymentRequests.findOne(
+        { _id: new ObjectId(id), economy },
+        { session }
+      );
+      if (!doc) return null;
+
+      const names = await getNames(
+        db,
+        economy,
+        [doc.requester_uuid, doc.payer_uuid],
+        session
+      );
+      return toPaymentRequest(doc, names);
+    },
+
+    // Changes the status only if the request is still pending
+    async resolvePaymentRequest(id, status, transactionId = null) {
+      const doc = await paymentRequests.findOneAndUpdate(
+        { _id: new ObjectId(id), economy, status: "pending" },
+        {
+          $set: {
+            status,
+            resolved_at: new Date(),
+            transaction_id:
+              transactionId === null ? null : new ObjectId(transactionId),
+          },
+        },
+        { returnDocument: "after", session }
+      );
+      return doc ? toPaymentRequest(doc) : null;
+    },
+
+    async countPendingPaymentRequests(requesterUuid) {
+      return paymentRequests.countDocuments(
+        {
+          economy,
+          requester_uuid: requesterUuid,
+          status: "pending",
+          expires_at: { $gt: new Date() },
+        },
+        { session }
+      );
+    },
+
+    async createScheduledPayment(payment) {
+      const doc = {
+        economy,
+        payer_uuid: payment.payer_uuid,
+        payee_uuid: payment.payee_uuid,
+        amount: payment.amount,
+        memo: payment.memo,
+        interval_seconds: payment.interval_seconds,
+        starts_at: payment.starts_at,
+        next_run_at: payment.starts_at,
+        status: "active",
+        failures: 0,
+        last_error: null,
+        last_run_at: null,
+        last_transaction_id: null,
+        created_by: payment.created_by,
+        created_at: new Date(),
+      };
+
+      const { insertedId } = await scheduledPayments.insertOne(doc, {
+        session,
+      });
+      return toScheduledPayment({ ...doc, _id: insertedId });
+    },
+
+    async getScheduledPayment(id) {
+      const doc = await scheduledPayments.findOne(
+        { _id: new ObjectId(id), economy },
+        { session }
+      );
+      if (!doc) return null;
+
+      const names = await getNames(
+        db,
+        economy,
+        [doc.payer_uuid, doc.payee_uuid],
+        session
+      );
+      return toScheduledPayment(doc, names);
+    },
+
+    // Writing the claim makes a second server running the same payment hit a write conflict
+    async claimDueScheduledPayment(now) {
+      const doc = await scheduledPayments.findOneAndUpdate(
+        { economy, status: "active", next_run_at: { $lte: now } },
+        { $set: { claimed_at: now } },
+        { sort: { next_run_at: 1 }, returnDocument: "after", session }
+      );
+      if (!doc) return null;
+
+      const names = await getNames(
+        db,
+        economy,
+        [doc.payer_uuid, doc.payee_uuid],
+        session
+      );
+      return toScheduledPayment(doc, names);
+    },
+
+    async updateScheduledPayment(id, changes) {
+      const update = { ...changes };
+      if (update.last_transaction_id) {
+        update.last_transaction_id = new ObjectId(update.last_transaction_id);
+      }
+
+      await scheduledPayments.updateOne(
+        { _id: new ObjectId(id), economy },
+        { $set: update },
+        { session }
+      );
+    },
+
+    async countActiveScheduledPayments(payerUuid) {
+      return scheduledPayments.countDocuments(
+        { economy, payer_uuid: payerUuid, status: "active" },
+        { session }
+      );
+    },
+
+    async ensureServerAccount(uuid, name) {
+      const now = new Date();
+
+      await userFunds.updateOne(
+        { economy, uuid },
+        {
+          $setOnInsert: {
+            name,
+            balance: 0,
+            leaderboard_excluded: true,
+            created_at: now,
+            updated_at: now,
+          },
+        },
+        { upsert: true, session }
+      );
+    },
+
+    // A run another server inserts at the same time fails this transaction with a write conflict
+    async startWealthTaxRun(periodStart) {
+      const { upsertedId } = await wealthTaxRuns.updateOne(
+        { economy, period_start: periodStart },
+        {
+          $setOnInsert: { accounts: 0, collected: 0, ran_at: new Date() },
+        },
+        { upsert: true, session }
+      );
+      return upsertedId ? upsertedId.toHexString() : null;
+    },
+
+    async finishWealthTaxRun(id, { accounts, collected }) {
+      await wealthTaxRuns.updateOne(
+        { _id: new ObjectId(id), economy },
+        { $set: { accounts, collected } },
+        { session }
+      );
+    },
+
+    async listTaxableAccounts(above) {
+      return userFunds
+        .find(
+          { economy, balance: { $gt: above } },
+          { projection: { _id: 0, uuid: 1, balance: 1 }, session }
+        )
+        .sort({ uuid: 1 })
+        .toArray();
+    },
+
+    async saveStatsDay({ day, earnings, ...stats }) {
+      const { upsertedId } = await db
+        .collection("economy_stats")
+        .updateOne(
+          { economy, day },
+          { $setOnInsert: { ...stats, created_at: new Date() } },
+          { upsert: true, session }
+        );
+      if (!upsertedId) return false;
+
+      if (earnings.length > 0) {
+        await db.collection("economy_stats_earnings").insertMany(
+          earnings.map(({ uuid, amount }) => ({
+            economy,
+            day,
+            uuid,
+            earned: amount,
+          })),
+          { session }
+        );
+      }
+      return true;
+    },
+
+    async createSharedAccount({ uuid, name, created_by }) {
+      const now = new Date();
+
+      await userFunds.insertOne(
+        { economy, uuid, name, balance: 0, created_at: now, updated_at: now },
+        { session }
+      );
+      await sharedAccounts.insertOne(
+        {
+          economy,
+          uuid,
+          created_by,
+          limits: { treasurer: null, member: 0 },
+          members: [{ uuid: created_by, role: "owner", added_at: now }],
+          created_at: now,
+        },
+        { session }
+      );
+
+      return selectSharedAccount(db, economy, uuid, session);
+    },
+
+    async getSharedAccount(uuid) {
+      return selectSharedAccount(db, economy, uuid, session);
+    },
+
+    async setSharedAccountMember(accountUuid, uuid, role) {
+      const updated = await sharedAccounts.updateOne(
+        { economy, uuid: accountUuid, "members.uuid": uuid },
+        { $set: { "members.$.role": role } },
+        { session }
+      );
+
+      if (updated.matchedCount === 0) {
+        await sharedAccounts.updateOne(
+          { economy, uuid: accountUuid },
+          { $push: { members: { uuid, role, added_at: new Date() } } },
+          { session }
+        );
+      }
+    },
+
+    async removeSharedAccountMember(accountUuid, uuid) {
+      const { modifiedCount } = await sharedAccounts.updateOne(
+        { economy, uuid: accountUuid },
+        { $pull: { members: { uuid } } },
+        { session }
+      );
+      return modifiedCount > 0;
+    },
+
+    async setSharedAccountLimits(accountUuid, limits) {
+      await sharedAccounts.updateOne(
+        { economy, uuid: accountUuid },
+        {
+          $set: {
+            limits: { treasurer: limits.treasurer, member: limits.member },
+          },
+        },
+        { session }
+      );
+    },
+
+    async getSharedAccountSpending(accountUuid, memberUuid, since) {
+      const [result] = await transactions
+        .aggregate(
+          [
+            {
+              $match: {
+                economy,
+                from_uuid: accountUuid,
+                member_uuid: memberUuid,
+                action: "pay",
+                created_at: { $gte: since },
+              },
+            },
+            { $group: { _id: null, total: { $sum: "$amount" } } },
+          ],
+          { session }
+        )
+        .toArray();
+      return result?.total ?? 0;
+    },
+
+    getMobEarnings(uuid, day) {
+      return selectMobEarnings(db, economy, uuid, day, session);
+    },
+
+    hasReachedMobLimit(uuid, day) {
+      return selectMobLimit(db, economy, uuid, day, session);
+    },
+
+    async addMobEarnings(uuid, day, mob, amount) {
+      await db
+        .collection("mob_earnings")
+        .updateOne(
+          { economy, uuid, day, mob },
+          { $inc: { earned: amount, kills: 1 } },
+          { upsert: true, session }
+        );
+    },
+  };
+}
+
+/**
+ * Reads a player's last daily reward claim and current streak.
+ *
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ * @param {string} economy - Economy the player belongs to.
+ * @param {string} uuid - Player UUID.
+ * @param {import('mongodb').ClientSession} [session] - Session of an active transaction.
+ * @returns {Promise<{last_claim_at: Date, streak: number}|null>}
+ */
+async function selectDailyClaim(db, economy, uuid, session) {
+  const doc = await db
+    .collection("daily_rewards")
+    .findOne({ economy, uuid }, { session });
+
+  return doc
+    ? { last_claim_at: doc.last_claim_at, streak: doc.streak ?? 1 }
+    : null;
+}
+
+/**
+ * Reads what a player earned from each mob type on one economy day.
+ *
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ * @param {string} economy - Economy the player belongs to.
+ * @param {string} uuid - Player UUID.
+ * @param {string} day - Economy day as an ISO date.
+ * @param {import('mongodb').ClientSession} [session] - Session of an active transaction.
+ * @returns {Promise<{mob: string, earned: number, kills: number}[]>}
+ */
+async function selectMobEarnings(db, economy, uuid, day, session) {
+  const docs = await db
+    .collection("mob_earnings")
+    .find({ economy, uuid, day }, { session })
+    .toArray();
+  return docs.map(({ mob, earned, kills }) => ({ mob, earned, kills }));
+}
+
+/**
+ * Whether a player gave up the rest of their mob drop allowance on one economy day.
+ *
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ * @param {string} economy - Economy the player belongs to.
+ * @param {string} uuid - Player UUID.
+ * @param {string} day - Economy day as an ISO date.
+ * @param {import('mongodb').ClientSession} [session] - Session of an active transaction.
+ * @returns {Promise<boolean>}
+ */
+async function selectMobLimit(db, economy, uuid, day, session) {
+  const doc = await db
+    .collection("mob_limit_reached")
+    .findOne({ economy, uuid, date_reached: new Date(day) }, { session });
+  return Boolean(doc);
+}
+
+/**
+ * Reads a shared account, its balance and its members.
+ *
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ * @param {string} economy - Economy the account belongs to.
+ * @param {string} uuid - Account UUID.
+ * @param {import('mongodb').ClientSession} [session] - Session of an active transaction.
+ * @returns {Promise<import('../index.js').SharedAccount|null>}
+ */
+async function selectSharedAccount(db, economy, uuid, session) {
+  const doc = await db
+    .collection("shared_accounts")
+    .findOne({ economy, uuid }, { session });
+  if (!doc) return null;
+
+  const funds = await db
+    .collection("user_funds")
+    .findOne({ economy, uuid }, { session });
+  const names = await getNames(
+    db,
+    economy,
+    doc.members.map((member) => member.uuid),
+    session
+  );
+
+  return {
+    ...toSharedAccount(doc, funds),
+    members: doc.members.map((member) => ({
+      uuid: member.uuid,
+      name: names.get(member.uuid) ?? null,
+      role: member.role,
+      added_at: member.added_at,
+    })),
+  };
+}
+
+/**
+ * @param {Object} doc - `shared_accounts` document.
+ * @param {Object} funds - The account's `user_funds` document.
+ * @returns {Object} The account without its members.
+ */
+function toSharedAccount(doc, funds) {
+  return {
+    uuid: doc.uuid,
+    name: funds.name,
+    balance: funds.balance,
+    frozen: Boolean(funds.frozen),
+    created_by: doc.created_by,
+    created_at: doc.created_at,
+    limits: doc.limits,
+  };
+}
+
+/**
+ * Looks up player names in one query.
+ *
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ * @param {string} economy - Economy the players belong to.
+ * @param {string[]} uuids - Players to look up.
+ * @param {import('mongodb').ClientSession} [session] - Session of an active transaction.
+ * @returns {Promise<Map<string, string>>} UUID -> name.
+ */
+async function getNames(db, economy, uuids, session) {
+  const users = await db
+    .collection("user_funds")
+    .find(
+      { economy, uuid: { $in: [...new Set(uuids)] } },
+      { projection: { uuid: 1, name: 1 }, session }
+    )
+    .toArray();
+  return new Map(users.map((user) => [user.uuid, user.name]));
+}
+
+/**
+ * @param {Object} doc - `payment_requests` document.
+ * @param {Map<string, string>} [names] - Player names from `getNames`.
+ * @returns {Object} The request with string IDs, like every other store.
+ */
+function toPaymentRequest({ _id, ...doc }, names) {
+  return {
+    ...doc,
+    id: _id.toHexString(),
+    transaction_id: doc.transaction_id?.toHexString() ?? null,
+    ...(names && {
+      requester_name: names.get(doc.requester_uuid) ?? null,
+      payer_name: names.get(doc.payer_uuid) ?? null,
+    }),
+  };
+}
+
+/**
+ * @param {Object} doc - `scheduled_payments` document.
+ * @param {Map<string, string>} [names] - Account names from `getNames`.
+ * @returns {Object} The payment with string IDs, like every other store.
+ */
+function toScheduledPayment({ _id, claimed_at, ...doc }, names) {
+  return {
+    ...doc,
+    id: _id.toHexString(),
+    last_transaction_id: doc.last_transaction_id?.toHexString() ?? null,
+    ...(names && {
+      payer_name: names.get(doc.payer_uuid) ?? null,
+      payee_name: names.get(doc.payee_uuid) ?? null,
+    }),
+  };
+}
+
+/**
+ * Adds up what the transactions of an economy minted and burned in a time
+ * range. Opening balances are left out: they book money that already existed.
+ *
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ * @param {string} economy - Economy to add up.
+ * @param {Date} from - Start of the range.
+ * @param {Date|null} [to=null] - End of the range (exclusive); open-ended when null.
+ * @returns {Promise<{minted: number, burned: number}>}
+ */
+async function sumMintAndBurn(db, economy, from, to = null) {
+  const created_at = to ? { $gte: from, $lt: to } : { $gte: from };
+
+  const entries = await db
+    .collection("ledger_entries")
+    .aggregate([
+      {
+        $match: {
+          economy,
+          created_at,
+          account: { $in: [MINT_ACCOUNT, BURN_ACCOUNT] },
+        },
+      },
+      { $group: { _id: "$account", total: { $sum: "$amount" } } },
+    ])
+    .toArray();
+  const totals = new Map(entries.map((row) => [row._id, row.total]));
+
+  // Each opening balance is booked against the mint for its amount
+  const [opening] = await db
+    .collection("currency_transactions")
+    .aggregate([
+      { $match: { economy, created_at, action: "opening_balance" } },
+      { $group: { _id: null, total: { $sum: "$amount" } } },
+    ])
+    .toArray();
+
+  return {
+    minted: -(totals.get(MINT_ACCOUNT) ?? 0) - (opening?.total ?? 0),
+    burned: totals.get(BURN_ACCOUNT) ?? 0,
+  };
+}
+
+/**
+ * Builds the player-facing operations for one economy.
+ *
+ * @param {import('mongodb').MongoClient} client - Connected MongoDB client.
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ * @param {string} economy - Economy every operation is scoped to.
+ * @returns {import('../index.js').EconomyStore}
+ */
+function createEconomyStore(client, db, economy) {
+  return {
+    economy,
+
+    async transaction(fn) {
+      const session = client.startSession();
+
+      try {
+        let result;
+        await session.withTransaction(async () => {
+          result = await fn(createTransaction(db, session, economy));
+        });
+        return result;
+      } finally {
+        await session.endSession();
+      }
+    },
+
+    async upsertPlayer(uuid, name) {
+      const now = new Date();
+
+      await db.collection("user_funds").updateOne(
+        { economy, uuid },
+        {
+          $set: { name, updated_at: now },
+          $setOnInsert: { balance: 0, created_at: now },
+        },
+        { upsert: true }
+      );
+    },
+
+    async getTokenVersion(uuid) {
+      const doc = await db
+        .collection("user_funds")
+        .findOne({ economy, uuid }, { projection: { token_version: 1 } });
+      return doc ? (doc.token_version ?? 0) : null;
+    },
+
+    async getBalance(uuid) {
+      const doc = await db
+        .collection("user_funds")
+        .findOne({ economy, uuid }, { projection: { balance: 1 } });
+      return doc?.balance ?? null;
+    },
+
+    async getHistory(uuid, filters) {
+      const conditions = [
+        { economy },
+        { $or: [{ uuid }, { from_uuid: uuid }, { to_uuid: uuid }] },
+      ];
+
+      if (filters.cursor) {
+        conditions.push({ _id: { $lt: new ObjectId(filters.cursor) } });
+      }
+      if (filters.actions) {
+        conditions.push({ action: { $in: filters.actions } });
+      }
+      if (filters.counterparty) {
+        conditions.push({
+          $or: [
+            { from_uuid: filters.counterparty },
+            { to_uuid: filters.counterparty },
+          ],
+        });
+      }
+      if (filters.from) {
+        conditions.push({ created_at: { $gte: filters.from } });
+      }
+      if (filters.to) {
+        conditions.push({ created_at: { $lt: filters.to } });
+      }
+
+      const docs = await db
+        .collection("currency_transactions")
+        .find({ $and: conditions })
+        .sort({ _id: -1 })
+        .limit(filters.limit)
+        .toArray();
+
+      // Resolve counterparty names from user_funds in a single query
+      const names = await getNames(
+        db,
+        economy,
+        docs
+          .flatMap((doc) => [doc.from_uuid, doc.to_uuid, doc.member_uuid])
+          .filter(Boolean)
+      );
+
+      return docs.map((doc) => ({
+        ...doc,
+        id: doc._id.toHexString(),
+        from_name: names.get(doc.from_uuid),
+        to_name: names.get(doc.to_uuid),
+        member_name: names.get(doc.member_uuid),
+      }));
+    },
+
+    async getLeaderboard(board, since = null) {
+      const shared = await db
+        .collection("shared_accounts")
+        .find({ economy }, { projection: { uuid: 1 } })
+        .toArray();
+      const sharedUuids = new Set(shared.map((doc) => doc.uuid));
+
+      // Board values by UUID; balance boards read user_funds.balance instead
+      let values = null;
+
+      if (board === "earned_week") {
+        const totals = await db
+          .collection("currency_transactions")
+          .aggregate([
+            {
+              $match: {
+                economy,
+                created_at: { $gte: since },
+                action: { $in: ["pay", "daily", "mob_reward"] },
+              },
+            },
+            {
+              $group: {
+                _id: {
+                  $cond: [{ $eq: ["$action", "pay"] }, "$to_uuid", "$uuid"],
+                },
+                value: { $sum: "$amount" },
+              },
+            },
+          ])
+          .toArray();
+        values = new Map(
+          totals
+            .filter((row) => !sharedUuids.has(row._id))
+            .map((row) => [row._id, row.value])
+        );
+      } else if (board === "daily_streak") {
+        const rewards = await db
+          .collection("daily_rewards")
+          .find({ economy, last_claim_at: { $gte: since }, streak: { $gt: 0 } })
+          .toArray();
+        values = new Map(rewards.map((doc) => [doc.uuid, doc.streak]));
+      }
+
+      const filter = { economy, leaderboard_excluded: { $ne: true } };
+      if (values) {
+        filter.uuid = { $in: [...values.keys()] };
+      } else if (board === "shared") {
+        filter.uuid = { $in: [...sharedUuids] };
+      }
+
+      const funds = await db
+        .collection("user_funds")
+        .find(filter, { projection: { uuid: 1, name: 1, balance: 1 } })
+        .toArray();
+
+      return funds
+        .map((doc) => ({
+          uuid: doc.uuid,
+          name: doc.name,
+          value: values ? values.get(doc.uuid) : doc.balance,
+          type: sharedUuids.has(doc.uuid) ? "shared" : "player",
+        }))
+        .sort((a, b) => b.value - a.value || a.name.localeCompare(b.name));
+    },
+
+    async listLeaderboardExclusions() {
+      const docs = await db
+        .collection("user_funds")
+        .find(
+          { economy, leaderboard_excluded: true },
+          { projection: { uuid: 1, name: 1 } }
+        )
+        .sort({ name: 1 })
+        .toArray();
+      return docs.map(({ uuid, name }) => ({ uuid, name }));
+    },
+
+    async markMobLimit(uuid, day) {
+      // The economy day, stored as midnight UTC of its date
+      await db
+        .collection("mob_limit_reached")
+        .updateOne(
+          { economy, uuid },
+          { $set: { date_reached: new Date(day) } },
+          { upsert: true }
+        );
+    },
+
+    hasReachedMobLimit(uuid, day) {
+      return selectMobLimit(db, economy, uuid, day);
+    },
+
+    getMobEarnings(uuid, day) {
+      return selectMobEarnings(db, economy, uuid, day);
+    },
+
+    getDailyClaim(uuid) {
+      return selectDailyClaim(db, economy, uuid);
+    },
+
+    async flagBill(serial, uuid, reason) {
+      await db.collection("bill_flags").insertOne({
+        economy,
+        serial,
+        uuid,
+        reason,
+        created_at: new Date(),
+      });
+    },
+
+    async listNotifications(uuid, filters) {
+      const query = { economy, uuid };
+      if (filters.unread) query.read_at = null;
+
+      const docs = await db
+        .collection("notifications")
+        .find(query)
+        .sort({ _id: -1 })
+        .limit(filters.limit)
+        .toArray();
+
+      return docs.map(({ _id, type, data, created_at, read_at }) => ({
+        id: _id.toHexString(),
+        type,
+        data,
+        created_at,
+        read_at,
+      }));
+    },
+
+    countUnreadNotifications(uuid) {
+      return db
+        .collection("notifications")
+        .countDocuments({ economy, uuid, read_at: null });
+    },
+
+    async markNotificationsRead(uuid, ids = null) {
+      const query = { economy, uuid, read_at: null };
+      if (ids) query._id = { $in: ids.map((id) => new ObjectId(id)) };
+
+      const { modifiedCount } = await db
+        .collection("notifications")
+        .updateMany(query, { $set: { read_at: new Date() } });
+      return modifiedCount;
+    },
+
+    async listPaymentRequests(uuid, filters) {
+      const now = new Date();
+      const query = {
+        economy,
+        [filters.direction === "incoming" ? "payer_uuid" : "requester_uuid"]:
+          uuid,
+      };
+
+      if (filters.cursor) {
+        query._id = { $lt: new ObjectId(filters.cursor) };
+      }
+      if (filters.status === "pending") {
+        Object.assign(query, { status: "pending", expires_at: { $gt: now } });
+      } else if (filters.status === "expired") {
+        Object.assign(query, { status: "pending", expires_at: { $lte: now } });
+      } else if (filters.status) {
+        query.status = filters.status;
+      }
+
+      const docs = await db
+        .collection("payment_requests")
+        .find(query)
+        .sort({ _id: -1 })
+        .limit(filters.limit)
+        .toArray();
+
+      const names = await getNames(
+        db,
+        economy,
+        docs.flatMap((doc) => [doc.requester_uuid, doc.payer_uuid])
+      );
+      return docs.map((doc) => toPaymentRequest(doc, names));
+    },
+
+    async getLastWealthTaxRun() {
+      const doc = await db
+        .collection("wealth_tax_runs")
+        .findOne({ economy }, { sort: { period_start: -1 } });
+
+      return doc
+        ? {
+            id: doc._id.toHexString(),
+            period_start: doc.period_start,
+            accounts: doc.accounts,
+            collected: doc.collected,
+            ran_at: doc.ran_at,
+          }
+        : null;
+    },
+
+    async getMoneySupply(since) {
+      const [funds] = await db
+        .collection("user_funds")
+        .aggregate([
+          { $match: { economy } },
+          { $group: { _id: null, total: { $sum: "$balance" } } },
+        ])
+        .toArray();
+      const { minted, burned } = await sumMintAndBurn(db, economy, since);
+
+      return { supply: funds?.total ?? 0, change: minted - burned };
+    },
+
+    async summarizeTransactions(from, to) {
+      const transactions = db.collection("currency_transactions");
+      const created_at = { $gte: from, $lt: to };
+
+      const volume = await transactions
+        .aggregate([
+          { $match: { economy, created_at } },
+          {
+            $group: {
+              _id: "$action",
+              count: { $sum: 1 },
+              amount: { $sum: "$amount" },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ])
+        .toArray();
+
+      const active = await transactions
+        .aggregate([
+          {
+            $match: {
+              economy,
+              created_at,
+              action: {
+                $in: ["pay", "deposit", "withdraw", "daily", "mob_reward"],
+              },
+            },
+          },
+          { $group: { _id: { $ifNull: ["$member_uuid", "$uuid"] } } },
+          { $count: "count" },
+        ])
+        .toArray();
+
+      const earned = await transactions
+        .aggregate([
+          {
+            $match: {
+              economy,
+              created_at,
+              action: { $in: ["pay", "daily", "mob_reward"] },
+            },
+          },
+          {
+            $group: {
+              _id: {
+                $cond: [{ $eq: ["$action", "pay"] }, "$to_uuid", "$uuid"],
+              },
+              amount: { $sum: "$amount" },
+            },
+          },
+        ])
+        .toArray();
+      const shared = await db
+        .collection("shared_accounts")
+        .find({ economy }, { projection: { uuid: 1 } })
+        .toArray();
+      const sharedUuids = new Set(shared.map((doc) => doc.uuid));
+
+      return {
+        ...(await sumMintAndBurn(db, economy, from, to)),
+        active_players: active[0]?.count ?? 0,
+        volume: Object.fromEntries(
+          volume.map((row) => [
+            row._id,
+            { count: row.count, amount: row.amount },
+          ])
+        ),
+        earnings: earned
+          .filter((row) => !sharedUuids.has(row._id))
+          .map((row) => ({ uuid: row._id, amount: row.amount })),
+      };
+    },
+
+    async listPlayerBalances() {
+      const shared = await db
+        .collection("shared_accounts")
+        .find({ economy }, { projection: { uuid: 1 } })
+        .toArray();
+
+      const players = await db
+        .collection("user_funds")
+        .find(
+          {
+            economy,
+            leaderboard_excluded: { $ne: true },
+            uuid: { $nin: shared.map((doc) => doc.uuid) },
+          },
+          { projection: { _id: 0, balance: 1 } }
+        )
+        .sort({ balance: 1 })
+        .toArray();
+      return players.map((doc) => doc.balance);
+    },
+
+    async getLastStatsDay() {
+      const doc = await db
+        .collection("economy_stats")
+        .findOne({ economy }, { sort: { day: -1 } });
+      return doc?.day ?? null;
+    },
+
+    async listStatsDays(from, to) {
+      return db
+        .collection("economy_stats")
+        .find(
+          { economy, day: { $gte: from, $lte: to } },
+          { projection: { _id: 0, economy: 0, created_at: 0 } }
+        )
+        .sort({ day: 1 })
+        .toArray();
+    },
+
+    async listTopEarners(from, to, limit) {
+      const totals = await db
+        .collection("economy_stats_earnings")
+        .aggregate([
+          { $match: { economy, day: { $gte: from, $lte: to } } },
+          { $group: { _id: "$uuid", earned: { $sum: "$earned" } } },
+        ])
+        .toArray();
+
+      const players = await db
+        .collection("user_funds")
+        .find(
+          {
+            economy,
+            uuid: { $in: totals.map((row) => row._id) },
+            leaderboard_excluded: { $ne: true },
+          },
+          { projection: { uuid: 1, name: 1 } }
+        )
+        .toArray();
+      const names = new Map(players.map((doc) => [doc.uuid, doc.name]));
+
+      return totals
+        .filter((row) => names.has(row._id))
+        .map((row) => ({
+          uuid: row._id,
+          name: names.get(row._id),
+          earned: row.earned,
+        }))
+        .sort((a, b) => b.earned - a.earned || a.name.localeCompare(b.name))
+        .slice(0, limit);
+    },
+
+    async listScheduledPayments(uuid, filters) {
+      const query = { economy };
+
+      if (uuid && filters.direction) {
+        query[filters.direction === "incoming" ? "payee_uuid" : "payer_uuid"] =
+          uuid;
+      } else if (uuid) {
+        query.$or = [{ payer_uuid: uuid }, { payee_uuid: uuid }];
+      }
+      if (filters.cursor) {
+        query._id = { $lt: new ObjectId(filters.cursor) };
+      }
+      if (filters.status) {
+        query.status = filters.status;
+      }
+
+      const docs = await db
+        .collection("scheduled_payments")
+        .find(query)
+        .sort({ _id: -1 })
+        .limit(filters.limit)
+        .toArray();
+
+      const names = await getNames(
+        db,
+        economy,
+        docs.flatMap((doc) => [doc.payer_uuid, doc.payee_uuid])
+      );
+      return docs.map((doc) => toScheduledPayment(doc, names));
+    },
+
+    getSharedAccount(uuid) {
+      return selectSharedAccount(db, economy, uuid);
+    },
+
+    async listSharedAccounts(uuid) {
+      const docs = await db
+        .collection("shared_accounts")
+        .find({ economy, "members.uuid": uuid })
+        .toArray();
+
+      const funds = await db
+        .collection("user_funds")
+        .find({ economy, uuid: { $in: docs.map((doc) => doc.uuid) } })
+        .toArray();
+      const fundsByUuid = new Map(funds.map((doc) => [doc.uuid, doc]));
+
+      return docs
+        .map((doc) => ({
+          ...toSharedAccount(doc, fundsByUuid.get(doc.uuid)),
+          role: doc.members.find((member) => member.uuid === uuid).role,
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+  };
+}
+
+/**
+ * Builds the currency store on top of a connected MongoDB client.
+ * Transactions require a replica set or sharded cluster.
+ *
+ * @param {import('mongodb').MongoClient} client - Connected MongoDB client.
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ * @returns {import('../index.js').Store}
+ */
+export function createMongoStore(client, db) {
+  return {
+    client: "mongo",
+    idPattern: /^[0-9a-f]{24}$/i,
+
+    forEconomy(economy) {
+      return createEconomyStore(client, db, economy);
+    },
+
+    async reconcileLedger() {
+      const ledger = db.collection("ledger_entries");
+
+      const accounts = await ledger
+        .aggregate([
+          {
+            $group: {
+              _id: { economy: "$economy", account: "$account" },
+              total: { $sum: "$amount" },
+            },
+          },
+        ])
+        .toArray();
+      const totals = new Map(
+        accounts.map((row) => [
+          `${row._id.economy}:${row._id.account}`,
+          row.total,
+        ])
+      );
+      const systemTotal = (account) =>
+        accounts
+          .filter((row) => row._id.account === account)
+          .reduce((sum, row) => sum + row.total, 0);
+
+      const unbalanced = await ledger
+        .aggregate([
+          { $group: { _id: "$transaction_id", total: { $sum: "$amount" } } },
+          { $match: { total: { $ne: 0 } } },
+          { $sort: { _id: 1 } },
+        ])
+        .toArray();
+
+      const users = await db
+        .collection("user_funds")
+        .find(
+          {},
+          { projection: { _id: 0, economy: 1, uuid: 1, name: 1, balance: 1 } }
+        )
+        .sort({ economy: 1, name: 1 })
+        .toArray();
+
+      const drift = users
+        .map((user) => ({
+          ...user,
+          ledger_balance: totals.get(`${user.economy}:${user.uuid}`) ?? 0,
+        }))
+        .filter((user) => user.balance !== user.ledger_balance);
+
+      return {
+        players: users.length,
+        drift,
+        unbalanced: unbalanced.map((row) => ({
+          transaction_id: row._id.toHexString(),
+          total: row.total,
+        })),
+        supply: {
+          minted: -systemTotal(MINT_ACCOUNT),
+          burned: systemTotal(BURN_ACCOUNT),
+          circulating: users.reduce((sum, user) => sum + user.balance, 0),
+        },
+      };
+    },
+
+    async seedOpeningBalances() {
+      const session = client.startSession();
+
+      try {
+        let seeded = 0;
+
+        await session.withTransaction(async () => {
+          seeded = 0;
+
+          const accounts = await db
+            .collection("ledger_entries")
+            .aggregate(
+              [
+                {
+                  $group: { _id: { economy: "$economy", account: "$account" } },
+                },
+              ],
+              { session }
+            )
+            .toArray();
+          const seen = new Set(
+            accounts.map(({ _id }) => `${_id.economy}:${_id.account}`)
+          );
+
+          const players = await db
+            .collection("user_funds")
+            .find({ balance: { $ne: 0 } }, { session })
+            .toArray();
+
+          for (const { economy, uuid, balance } of players) {
+            if (seen.has(`${economy}:${uuid}`)) continue;
+
+            await createTransaction(db, session, economy).logTransaction({
+              uuid,
+              action: "opening_balance",
+              amount: balance,
+              balance_after: balance,
+            });
+            seeded++;
+          }
+        });
+
+        return seeded;
+      } finally {
+        await session.endSession();
+      }
+    },
+
+    async getAppliedMigrations() {
+      return db
+        .collection("schema_migrations")
+        .find(
+          {},
+          { projection: { _id: 0, version: 1, name: 1, applied_at: 1 } }
+        )
+        .sort({ version: 1 })
+        .toArray();
+    },
+
+    // Index builds cannot run in a transaction, so the record is written afterwards
+    async applyMigration(migration, direction) {
+      await migration[direction](db);
+
+      const migrations = db.collection("schema_migrations");
+
+      if (direction === "up") {
+        await migrations.insertOne({
+          version: migration.version,
+          name: migration.name,
+          applied_at: new Date(),
+        });
+      } else {
+        await migrations.deleteOne({ version: migration.version });
+      }
+    },
+
+    async ping() {
+      await db.command({ ping: 1 });
+    },
+
+    // The driver manages its own pool
+    getPoolStats() {
+      return null;
+    },
+
+    async close() {
+      await client.close();
+    },
+  };
+}
+
+/**
+ * Connects to MongoDB using environment variables.
+ *
+ * Environment Variables Used:
+ * @env {string} MONGO_URI - The MongoDB connection URI (e.g. mongodb://localhost:27017/createrington)
+ *
+ * @returns {Promise<import('../index.js').Store>}
+ */
+export async function createStore() {
+  const MONGO_URI = process.env.MONGO_URI;
+
+  if (!MONGO_URI) {
+    throw new Error("MONGO_URI is not defined in the environment");
+  }
+
+  const client = new MongoClient(MONGO_URI);
+  await client.connect();
+
+  const dbName =
+    new URL(MONGO_URI).pathname.replace("/", "") || "createrington";
+  logger.info(`Connected to MongoDB: ${MONGO_URI}`);
+
+  return createMongoStore(client, client.db(dbName));
+}
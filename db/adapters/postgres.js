@@ -0,0 +1,1410 @@
+import pg from "pg";
+import logger from "../../logger.js";
+import {
+  BURN_ACCOUNT,
+  MINT_ACCOUNT,
+  buildLedgerEntries,
+} from "../../app/utils/currency/ledger.js";
+
+/**
+ * Builds the transaction-scoped operations for a client with an open transaction.
+ * Rows read through `getAccount`, `getTransaction`, `getDailyClaim`,
+ * `getRefreshToken`, `getPaymentRequest`, `getScheduledPayment`,
+ * `claimDueScheduledPayment`, `listTaxableAccounts`, `getSharedAccount` and
+ * `getMobEarnings` stay locked until COMMIT.
+ *
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ * @param {string} economy - Economy every operation is scoped to.
+ * @returns {import('../index.js').StoreTransaction}
+ */
+function createTransaction(client, economy) {
+  return {
+    async getAccount(uuid) {
+      const result = await client.query(
+        `SELECT uuid, name, balance, frozen, token_version FROM user_funds
+         WHERE economy = $1 AND uuid = $2 FOR UPDATE`,
+        [economy, uuid]
+      );
+      return result.rows[0] ?? null;
+    },
+
+    async adjustBalance(uuid, delta) {
+      const result = await client.query(
+        `UPDATE user_funds SET balance = balance + $1
+         WHERE economy = $2 AND uuid = $3 RETURNING balance`,
+        [delta, economy, uuid]
+      );
+      return result.rows[0]?.balance ?? null;
+    },
+
+    async setBalance(uuid, balance) {
+      await client.query(
+        `UPDATE user_funds SET balance = $1 WHERE economy = $2 AND uuid = $3`,
+        [balance, economy, uuid]
+      );
+    },
+
+    async setFrozen(uuid, frozen) {
+      const result = await client.query(
+        `UPDATE user_funds SET frozen = $1 WHERE economy = $2 AND uuid = $3
+         RETURNING uuid, name, balance, frozen`,
+        [frozen, economy, uuid]
+      );
+      return result.rows[0] ?? null;
+    },
+
+    async setLeaderboardExcluded(uuid, excluded) {
+      const result = await client.query(
+        `UPDATE user_funds SET leaderboard_excluded = $1 WHERE economy = $2 AND uuid = $3
+         RETURNING uuid, name, balance, leaderboard_excluded`,
+        [excluded, economy, uuid]
+      );
+      return result.rows[0] ?? null;
+    },
+
+    async bumpTokenVersion(uuid) {
+      const result = await client.query(
+        `UPDATE user_funds SET token_version = token_version + 1
+         WHERE economy = $1 AND uuid = $2 RETURNING token_version`,
+        [economy, uuid]
+      );
+      return result.rows[0]?.token_version ?? null;
+    },
+
+    async logTransaction(data) {
+      const {
+        uuid,
+        action,
+        amount,
+        from_uuid = null,
+        to_uuid = null,
+        denomination = null,
+        count = null,
+        balance_after = null,
+        admin = null,
+        reason = null,
+        reverses_id = null,
+        member_uuid = null,
+        fee_for_id = null,
+      } = data;
+
+      const result = await client.query(
+        `INSERT INTO currency_transactions
+            (uuid, action, amount, from_uuid, to_uuid, denomination, count, balance_after, admin, reason, reverses_id, economy, member_uuid, fee_for_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+            RETURNING id`,
+        [
+          uuid,
+          action,
+          amount,
+          from_uuid,
+          to_uuid,
+          denomination,
+          count,
+          balance_after,
+          admin,
+          reason,
+          reverses_id,
+          economy,
+          member_uuid,
+          fee_for_id,
+        ]
+      );
+
+      const transactionId = result.rows[0].id;
+
+      for (const entry of buildLedgerEntries(data)) {
+        await client.query(
+          `INSERT INTO ledger_entries (economy, transaction_id, account, amount)
+            VALUES ($1, $2, $3, $4)`,
+          [economy, transactionId, entry.account, entry.amount]
+        );
+      }
+
+      return String(transactionId);
+    },
+
+    async getTransaction(id) {
+      const result = await client.query(
+        `SELECT * FROM currency_transactions WHERE id = $1 AND economy = $2 FOR UPDATE`,
+        [id, economy]
+      );
+      const row = result.rows[0];
+      return row ? { ...row, id: String(row.id) } : null;
+    },
+
+    async findReversal(id) {
+      const result = await client.query(
+        `SELECT id FROM currency_transactions
+         WHERE reverses_id = $1 AND economy = $2 LIMIT 1`,
+        [id, economy]
+      );
+      return result.rowCount > 0 ? String(result.rows[0].id) : null;
+    },
+
+    // The placeholder row makes a concurrent retry block until this transaction ends
+    async claimIdempotencyKey({ uuid, key, endpoint, request_hash }) {
+      const inserted = await client.query(
+        `INSERT INTO idempotency_keys (economy, uuid, key, endpoint, request_hash)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (economy, uuid, key) DO NOTHING`,
+        [economy, uuid, key, endpoint, request_hash]
+      );
+
+      if (inserted.rowCount === 1) return null;
+
+      const existing = await client.query(
+        `SELECT request_hash, status_code, response FROM idempotency_keys
+         WHERE economy = $1 AND uuid = $2 AND key = $3`,
+        [economy, uuid, key]
+      );
+      return existing.rows[0];
+    },
+
+    async saveIdempotencyKey(row) {
+      await client.query(
+        `INSERT INTO idempotency_keys
+           (economy, uuid, key, endpoint, request_hash, status_code, response)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (economy, uuid, key) DO UPDATE
+           SET status_code = EXCLUDED.status_code, response = EXCLUDED.response`,
+        [
+          economy,
+          row.uuid,
+          row.key,
+          row.endpoint,
+          row.request_hash,
+          row.status_code,
+          JSON.stringify(row.response),
+        ]
+      );
+    },
+
+    // Marks the bill spent only if it is still unspent
+    async redeemBill(serial, uuid) {
+      const result = await client.query(
+        `UPDATE currency_bills
+         SET status = 'redeemed', redeemed_by = $1, redeemed_at = NOW()
+         WHERE serial = $2 AND economy = $3 AND status = 'issued'
+         RETURNING denomination`,
+        [uuid, serial, economy]
+      );
+      return result.rows[0]?.denomination ?? null;
+    },
+
+    async getBillStatus(serial) {
+      const result = await client.query(
+        `SELECT status FROM currency_bills WHERE serial = $1 AND economy = $2`,
+        [serial, economy]
+      );
+      return result.rows[0]?.status ?? null;
+    },
+
+    async issueBill({
+      serial,
+      denomination,
+      signature,
+      issued_to,
+      withdrawal_id,
+    }) {
+      await client.query(
+        `INSERT INTO currency_bills (economy, serial, denomination, signature, issued_to, withdrawal_id)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [economy, serial, denomination, signature, issued_to, withdrawal_id]
+      );
+    },
+
+    async voidWithdrawalBills(withdrawalId) {
+      const bills = await client.query(
+        `SELECT status FROM currency_bills
+         WHERE economy = $1 AND withdrawal_id = $2 FOR UPDATE`,
+        [economy, withdrawalId]
+      );
+      const redeemed = bills.rows.filter(
+        (bill) => bill.status === "redeemed"
+      ).length;
+
+      if (redeemed === 0) {
+        await client.query(
+          `UPDATE currency_bills SET status = 'voided'
+           WHERE economy = $1 AND withdrawal_id = $2 AND status = 'issued'`,
+          [economy, withdrawalId]
+        );
+      }
+      return { bills: bills.rows.length, redeemed };
+    },
+
+    async getDailyClaim(uuid) {
+      const result = await client.query(
+        `SELECT last_claim_at, streak FROM daily_rewards
+         WHERE economy = $1 AND uuid = $2 FOR UPDATE`,
+        [economy, uuid]
+      );
+      return result.rows[0] ?? null;
+    },
+
+    async setDailyClaim(uuid, { last_claim_at, streak }) {
+      await client.query(
+        `INSERT INTO daily_rewards (economy, uuid, last_claim_at, streak)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (economy, uuid) DO UPDATE
+           SET last_claim_at = EXCLUDED.last_claim_at, streak = EXCLUDED.streak`,
+        [economy, uuid, last_claim_at, streak]
+      );
+    },
+
+    async saveRefreshToken(token) {
+      await client.query(
+        `INSERT INTO refresh_tokens
+           (token_hash, economy, uuid, server, family_id, token_version, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          token.token_hash,
+          economy,
+          token.uuid,
+          token.server,
+          token.family_id,
+          token.token_version,
+          token.expires_at,
+        ]
+      );
+    },
+
+    async getRefreshToken(tokenHash) {
+      const result = await client.query(
+        `SELECT token_hash, uuid, server, family_id, token_version, expires_at, used_at, revoked_at
+         FROM refresh_tokens WHERE token_hash = $1 AND economy = $2 FOR UPDATE`,
+        [tokenHash, economy]
+      );
+      return result.rows[0] ?? null;
+    },
+
+    async markRefreshTokenUsed(tokenHash) {
+      await client.query(
+        `UPDATE refresh_tokens SET used_at = NOW()
+         WHERE token_hash = $1 AND economy = $2`,
+        [tokenHash, economy]
+      );
+    },
+
+    async revokeRefreshTokenFamily(familyId) {
+      await client.query(
+        `UPDATE refresh_tokens SET revoked_at = NOW()
+         WHERE family_id = $1 AND economy = $2 AND revoked_at IS NULL`,
+        [familyId, economy]
+      );
+    },
+
+    async revokePlayerRefreshTokens(uuid) {
+      await client.query(
+        `UPDATE refresh_tokens SET revoked_at = NOW()
+         WHERE economy = $1 AND uuid = $2 AND revoked_at IS NULL`,
+        [economy, uuid]
+      );
+    },
+
+    async deleteExpiredRefreshTokens(uuid) {
+      await client.query(
+        `DELETE FROM refresh_tokens
+         WHERE economy = $1 AND uuid = $2 AND expires_at <= NOW()`,
+        [economy, uuid]
+      );
+    },
+
+    // Skipped if the player already has a notification of this type with the same ref
+    async addNotification({ uuid, type, data, ref = null }) {
+      await client.query(
+        `INSERT INTO notifications (economy, uuid, type, data, ref)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT DO NOTHING`,
+        [economy, uuid, type, JSON.stringify(data), ref]
+      );
+    },
+
+    async deleteOldNotifications(uuid, before) {
+      await client.query(
+        `DELETE FROM notifications
+         WHERE economy = $1 AND uuid = $2 AND created_at < $3`,
+        [economy, uuid, before]
+      );
+    },
+
+    async createPaymentRequest(request) {
+      const result = await client.query(
+        `INSERT INTO payment_requests
+           (economy, requester_uuid, payer_uuid, amount, memo, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [
+          economy,
+          request.requester_uuid,
+          request.payer_uuid,
+          request.amount,
+          request.memo,
+          request.expires_at,
+        ]
+      );
+      return toPaymentRequest(result.rows[0]);
+    },
+
+    async getPaymentRequest(id) {
+      const result = await client.query(
+        `SELECT p.*, r.name AS requester_name, f.name AS payer_name
+         FROM payment_requests p
+         JOIN user_funds r ON r.economy = p.economy AND r.uuid = p.requester_uuid
+         JOIN user_funds f ON f.economy = p.economy AND f.uuid = p.payer_uuid
+         WHERE p.id = $1 AND p.economy = $2
+         FOR UPDATE OF p`,
+        [id, economy]
+      );
+      return result.rows[0] ? toPaymentRequest(result.rows[0]) : null;
+    },
+
+    // Changes the status only if the request is still pending
+    async resolvePaymentRequest(id, status, transactionId = null) {
+      const result = await client.query(
+        `UPDATE payment_requests
+         SET status = $1, resolved_at = NOW(), transaction_id = $2
+         WHERE id = $3 AND economy = $4 AND status = 'pending'
+         RETURNING *`,
+        [status, transactionId, id, economy]
+      );
+      return result.rows[0] ? toPaymentRequest(result.rows[0]) : null;
+    },
+
+    async countPendingPaymentRequests(requesterUuid) {
+      const result = await client.query(
+        `SELECT COUNT(*) AS count FROM payment_requests
+         WHERE economy = $1 AND requester_uuid = $2
+           AND status = 'pending' AND expires_at > NOW()`,
+        [economy, requesterUuid]
+      );
+      return Number(result.rows[0].count);
+    },
+
+    async createScheduledPayment(payment) {
+      const result = await client.query(
+        `INSERT INTO scheduled_payments
+           (economy, payer_uuid, payee_uuid, amount, memo, interval_seconds,
+            starts_at, next_run_at, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $7, $8)
+         RETURNING *`,
+        [
+          economy,
+          payment.payer_uuid,
+          payment.payee_uuid,
+          payment.amount,
+          payment.memo,
+          payment.interval_seconds,
+          payment.starts_at,
+          payment.created_by,
+        ]
+      );
+      return toScheduledPayment(result.rows[0]);
+    },
+
+    async getScheduledPayment(id) {
+      const result = await client.query(
+        `${SELECT_SCHEDULED_PAYMENT}
+         WHERE s.id = $1 AND s.economy = $2
+         FOR UPDATE OF s`,
+        [id, economy]
+      );
+      return result.rows[0] ? toScheduledPayment(result.rows[0]) : null;
+    },
+
+    // Rows another server is already running are skipped, not waited for
+    async claimDueScheduledPayment(now) {
+      const result = await client.query(
+        `${SELECT_SCHEDULED_PAYMENT}
+         WHERE s.economy = $1 AND s.status = 'active' AND s.next_run_at <= $2
+         ORDER BY s.next_run_at
+         LIMIT 1
+         FOR UPDATE OF s SKIP LOCKED`,
+        [economy, now]
+      );
+      return result.rows[0] ? toScheduledPayment(result.rows[0]) : null;
+    },
+
+    async updateScheduledPayment(id, changes) {
+      const fields = SCHEDULED_PAYMENT_UPDATES.filter((field) =>
+        Object.hasOwn(changes, field)
+      );
+
+      await client.query(
+        `UPDATE scheduled_payments
+         SET ${fields.map((field, i) => `${field} = $${i + 3}`).join(", ")}
+         WHERE id = $1 AND economy = $2`,
+        [id, economy, ...fields.map((field) => changes[field])]
+      );
+    },
+
+    async countActiveScheduledPayments(payerUuid) {
+      const result = await client.query(
+        `SELECT COUNT(*) AS count FROM scheduled_payments
+         WHERE economy = $1 AND payer_uuid = $2 AND status = 'active'`,
+        [economy, payerUuid]
+      );
+      return Number(result.rows[0].count);
+    },
+
+    async ensureServerAccount(uuid, name) {
+      await client.query(
+        `INSERT INTO user_funds (economy, uuid, name, balance, leaderboard_excluded)
+         VALUES ($1, $2, $3, 0, true)
+         ON CONFLICT (economy, uuid) DO NOTHING`,
+        [economy, uuid, name]
+      );
+    },
+
+    // Waits for a run another server is inserting, then finds it taken
+    async startWealthTaxRun(periodStart) {
+      const result = await client.query(
+        `INSERT INTO wealth_tax_runs (economy, period_start) VALUES ($1, $2)
+         ON CONFLICT (economy, period_start) DO NOTHING
+         RETURNING id`,
+        [economy, periodStart]
+      );
+      return result.rows[0] ? String(result.rows[0].id) : null;
+    },
+
+    async finishWealthTaxRun(id, { accounts, collected }) {
+      await client.query(
+        `UPDATE wealth_tax_runs SET accounts = $1, collected = $2
+         WHERE id = $3 AND economy = $4`,
+        [accounts, collected, id, economy]
+      );
+    },
+
+    async listTaxableAccounts(above) {
+      const result = await client.query(
+        `SELECT uuid, balance FROM user_funds
+         WHERE economy = $1 AND balance > $2
+         ORDER BY uuid
+         FOR UPDATE`,
+        [economy, above]
+      );
+      return result.rows;
+    },
+
+    async saveStatsDay(stats) {
+      const result = await client.query(
+        `INSERT INTO economy_stats
+           (economy, day, supply, minted, burned, active_players, players, gini, percentiles)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (economy, day) DO NOTHING`,
+        [
+          economy,
+          stats.day,
+          stats.supply,
+          stats.minted,
+          stats.burned,
+          stats.active_players,
+          stats.players,
+          stats.gini,
+          stats.percentiles && JSON.stringify(stats.percentiles),
+        ]
+      );
+      if (result.rowCount === 0) return false;
+
+      const volume = Object.entries(stats.volume);
+      await client.query(
+        `INSERT INTO economy_stats_volume (economy, day, action, count, amount)
+         SELECT $1::TEXT, $2::DATE, * FROM UNNEST($3::TEXT[], $4::INTEGER[], $5::INTEGER[])`,
+        [
+          economy,
+          stats.day,
+          volume.map(([action]) => action),
+          volume.map(([, { count }]) => count),
+          volume.map(([, { amount }]) => amount),
+        ]
+      );
+      await client.query(
+        `INSERT INTO economy_stats_earnings (economy, day, uuid, earned)
+         SELECT $1::TEXT, $2::DATE, * FROM UNNEST($3::UUID[], $4::INTEGER[])`,
+        [
+          economy,
+          stats.day,
+          stats.earnings.map(({ uuid }) => uuid),
+          stats.earnings.map(({ amount }) => amount),
+        ]
+      );
+      return true;
+    },
+
+    async createSharedAccount({ uuid, name, created_by }) {
+      await client.query(
+        `INSERT INTO user_funds (economy, uuid, name, balance) VALUES ($1, $2, $3, 0)`,
+        [economy, uuid, name]
+      );
+      await client.query(
+        `INSERT INTO shared_accounts (economy, uuid, created_by) VALUES ($1, $2, $3)`,
+        [economy, uuid, created_by]
+      );
+      await client.query(
+        `INSERT INTO shared_account_members (economy, account_uuid, uuid, role)
+         VALUES ($1, $2, $3, 'owner')`,
+        [economy, uuid, created_by]
+      );
+
+      return selectSharedAccount(client, economy, uuid);
+    },
+
+    async getSharedAccount(uuid) {
+      return selectSharedAccount(client, economy, uuid, true);
+    },
+
+    async setSharedAccountMember(accountUuid, uuid, role) {
+      await client.query(
+        `INSERT INTO shared_account_members (economy, account_uuid, uuid, role)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (economy, account_uuid, uuid) DO UPDATE SET role = EXCLUDED.role`,
+        [economy, accountUuid, uuid, role]
+      );
+    },
+
+    async removeSharedAccountMember(accountUuid, uuid) {
+      const result = await client.query(
+        `DELETE FROM shared_account_members
+         WHERE economy = $1 AND account_uuid = $2 AND uuid = $3`,
+        [economy, accountUuid, uuid]
+      );
+      return result.rowCount > 0;
+    },
+
+    async setSharedAccountLimits(accountUuid, limits) {
+      await client.query(
+        `UPDATE shared_accounts SET treasurer_daily_limit = $1, member_daily_limit = $2
+         WHERE economy = $3 AND uuid = $4`,
+        [limits.treasurer, limits.member, economy, accountUuid]
+      );
+    },
+
+    async getSharedAccountSpending(accountUuid, memberUuid, since) {
+      const result = await client.query(
+        `SELECT COALESCE(SUM(amount), 0) AS total FROM currency_transactions
+         WHERE economy = $1 AND from_uuid = $2 AND member_uuid = $3
+           AND action = 'pay' AND created_at >= $4`,
+        [economy, accountUuid, memberUuid, since]
+      );
+      return Number(result.rows[0].total);
+    },
+
+    getMobEarnings(uuid, day) {
+      return selectMobEarnings(client, economy, uuid, day, true);
+    },
+
+    hasReachedMobLimit(uuid, day) {
+      return selectMobLimit(client, economy, uuid, day);
+    },
+
+    async addMobEarnings(uuid, day, mob, amount) {
+      await client.query(
+        `INSERT INTO mob_earnings (economy, uuid, day, mob, earned, kills)
+         VALUES ($1, $2, $3, $4, $5, 1)
+         ON CONFLICT (economy, uuid, day, mob) DO UPDATE
+           SET earned = mob_earnings.earned + EXCLUDED.earned,
+               kills = mob_earnings.kills + 1`,
+        [economy, uuid, day, mob, amount]
+      );
+    },
+  };
+}
+
+/**
+ * Reads what a player earned from each mob type on one economy day.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool, or client with an open transaction.
+ * @param {string} economy - Economy the player belongs to.
+ * @param {string} uuid - Player UUID.
+ * @param {string} day - Economy day as an ISO date.
+ * @param {boolean} [lock=false] - Lock the rows until COMMIT.
+ * @returns {Promise<{mob: string, earned: number, kills: number}[]>}
+ */
+async function selectMobEarnings(db, economy, uuid, day, lock = false) {
+  const result = await db.query(
+    `SELECT mob, earned, kills FROM mob_earnings
+     WHERE economy = $1 AND uuid = $2 AND day = $3
+     ${lock ? "FOR UPDATE" : ""}`,
+    [economy, uuid, day]
+  );
+  return result.rows;
+}
+
+/**
+ * Whether a player gave up the rest of their mob drop allowance on one economy day.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool, or client with an open transaction.
+ * @param {string} economy - Economy the player belongs to.
+ * @param {string} uuid - Player UUID.
+ * @param {string} day - Economy day as an ISO date.
+ * @returns {Promise<boolean>}
+ */
+async function selectMobLimit(db, economy, uuid, day) {
+  const result = await db.query(
+    `SELECT 1 FROM mob_limit_reached
+     WHERE economy = $1 AND uuid = $2 AND date_reached = $3 LIMIT 1`,
+    [economy, uuid, day]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Reads a shared account, its balance and its members.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool, or client with an open transaction.
+ * @param {string} economy - Economy the account belongs to.
+ * @param {string} uuid - Account UUID.
+ * @param {boolean} [lock=false] - Lock the account's balance until COMMIT.
+ * @returns {Promise<import('../index.js').SharedAccount|null>}
+ */
+async function selectSharedAccount(db, economy, uuid, lock = false) {
+  const account = await db.query(
+    `SELECT s.*, f.name, f.balance, f.frozen
+     FROM shared_accounts s
+     JOIN user_funds f ON f.economy = s.economy AND f.uuid = s.uuid
+     WHERE s.economy = $1 AND s.uuid = $2
+     ${lock ? "FOR UPDATE OF f" : ""}`,
+    [economy, uuid]
+  );
+
+  if (account.rowCount === 0) return null;
+
+  const members = await db.query(
+    `SELECT m.uuid, f.name, m.role, m.added_at
+     FROM shared_account_members m
+     JOIN user_funds f ON f.economy = m.economy AND f.uuid = m.uuid
+     WHERE m.economy = $1 AND m.account_uuid = $2
+     ORDER BY m.added_at, m.uuid`,
+    [economy, uuid]
+  );
+
+  return { ...toSharedAccount(account.rows[0]), members: members.rows };
+}
+
+/**
+ * @param {Object} row - `shared_accounts` row joined with the account's `user_funds` row.
+ * @returns {Object} The account without its members.
+ */
+function toSharedAccount(row) {
+  return {
+    uuid: row.uuid,
+    name: row.name,
+    balance: row.balance,
+    frozen: row.frozen,
+    created_by: row.created_by,
+    created_at: row.created_at,
+    limits: {
+      treasurer: row.treasurer_daily_limit,
+      member: row.member_daily_limit,
+    },
+  };
+}
+
+/**
+ * @param {Object} row - `payment_requests` row, optionally with joined names.
+ * @returns {Object} The row with string IDs, like every other store.
+ */
+function toPaymentRequest(row) {
+  return {
+    ...row,
+    id: String(row.id),
+    transaction_id:
+      row.transaction_id === null ? null : String(row.transaction_id),
+  };
+}
+
+// Scheduled payment with the names of both accounts
+const SELECT_SCHEDULED_PAYMENT = `
+  SELECT s.*, p.name AS payer_name, r.name AS payee_name
+  FROM scheduled_payments s
+  JOIN user_funds p ON p.economy = s.economy AND p.uuid = s.payer_uuid
+  JOIN user_funds r ON r.economy = s.economy AND r.uuid = s.payee_uuid`;
+
+// Columns `updateScheduledPayment` may change
+const SCHEDULED_PAYMENT_UPDATES = [
+  "status",
+  "next_run_at",
+  "failures",
+  "last_error",
+  "last_run_at",
+  "last_transaction_id",
+];
+
+/**
+ * @param {Object} row - `scheduled_payments` row, optionally with joined names.
+ * @returns {Object} The row with string IDs, like every other store.
+ */
+function toScheduledPayment(row) {
+  return {
+    ...row,
+    id: String(row.id),
+    last_transaction_id:
+      row.last_transaction_id === null ? null : String(row.last_transaction_id),
+  };
+}
+
+/**
+ * Runs `fn` with a pooled client inside BEGIN/COMMIT, rolling back if it throws.
+ *
+ * @template T
+ * @param {import('pg').Pool} pool - PostgreSQL connection pool.
+ * @param {(client: import('pg').PoolClient) => Promise<T>} fn - Work to run in the transaction.
+ * @returns {Promise<T>}
+ */
+async function inTransaction(pool, fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// One query per leaderboard, best first; $2 is the `since` bound where the board has one
+const LEADERBOARD_QUERIES = {
+  balance: `
+    SELECT f.uuid, f.name, f.balance AS value,
+      CASE WHEN s.uuid IS NULL THEN 'player' ELSE 'shared' END AS type
+    FROM user_funds f
+    LEFT JOIN shared_accounts s ON s.economy = f.economy AND s.uuid = f.uuid
+    WHERE f.economy = $1 AND NOT f.leaderboard_excluded
+    ORDER BY f.balance DESC, f.name`,
+  shared: `
+    SELECT f.uuid, f.name, f.balance AS value, 'shared' AS type
+    FROM shared_accounts s
+    JOIN user_funds f ON f.economy = s.economy AND f.uuid = s.uuid
+    WHERE s.economy = $1 AND NOT f.leaderboard_excluded
+    ORDER BY f.balance DESC, f.name`,
+  earned_week: `
+    SELECT f.uuid, f.name, SUM(t.amount) AS value, 'player' AS type
+    FROM currency_transactions t
+    JOIN user_funds f ON f.economy = t.economy
+      AND f.uuid = CASE WHEN t.action = 'pay' THEN t.to_uuid ELSE t.uuid END
+    LEFT JOIN shared_accounts s ON s.economy = f.economy AND s.uuid = f.uuid
+    WHERE t.economy = $1 AND t.created_at >= $2
+      AND t.action IN ('pay', 'daily', 'mob_reward')
+      AND s.uuid IS NULL AND NOT f.leaderboard_excluded
+    GROUP BY f.uuid, f.name
+    ORDER BY value DESC, f.name`,
+  daily_streak: `
+    SELECT f.uuid, f.name, d.streak AS value, 'player' AS type
+    FROM daily_rewards d
+    JOIN user_funds f ON f.economy = d.economy AND f.uuid = d.uuid
+    WHERE d.economy = $1 AND d.last_claim_at >= $2 AND d.streak > 0
+      AND NOT f.leaderboard_excluded
+    ORDER BY d.streak DESC, f.name`,
+};
+
+/**
+ * Builds the player-facing operations for one economy.
+ *
+ * @param {import('pg').Pool} pool - PostgreSQL connection pool.
+ * @param {string} economy - Economy every operation is scoped to.
+ * @returns {import('../index.js').EconomyStore}
+ */
+function createEconomyStore(pool, economy) {
+  return {
+    economy,
+
+    transaction(fn) {
+      return inTransaction(pool, (client) =>
+        fn(createTransaction(client, economy))
+      );
+    },
+
+    async upsertPlayer(uuid, name) {
+      await pool.query(
+        `INSERT INTO user_funds (economy, uuid, name, balance)
+         VALUES ($1, $2, $3, 0)
+         ON CONFLICT (economy, uuid) DO UPDATE SET name = EXCLUDED.name`,
+        [economy, uuid, name]
+      );
+    },
+
+    async getTokenVersion(uuid) {
+      const result = await pool.query(
+        `SELECT token_version FROM user_funds WHERE economy = $1 AND uuid = $2`,
+        [economy, uuid]
+      );
+      return result.rows[0]?.token_version ?? null;
+    },
+
+    async getBalance(uuid) {
+      const result = await pool.query(
+        `SELECT balance FROM user_funds WHERE economy = $1 AND uuid = $2 LIMIT 1`,
+        [economy, uuid]
+      );
+      return result.rows[0]?.balance ?? null;
+    },
+
+    async getHistory(uuid, filters) {
+      const params = [economy, uuid];
+      const conditions = [
+        "t.economy = $1",
+        "(t.uuid = $2 OR t.from_uuid = $2 OR t.to_uuid = $2)",
+      ];
+
+      if (filters.cursor) {
+        params.push(filters.cursor);
+        conditions.push(`t.id < $${params.length}`);
+      }
+      if (filters.actions) {
+        params.push(filters.actions);
+        conditions.push(`t.action = ANY($${params.length})`);
+      }
+      if (filters.counterparty) {
+        params.push(filters.counterparty);
+        conditions.push(
+          `(t.from_uuid = $${params.length} OR t.to_uuid = $${params.length})`
+        );
+      }
+      if (filters.from) {
+        params.push(filters.from);
+        conditions.push(`t.created_at >= $${params.length}`);
+      }
+      if (filters.to) {
+        params.push(filters.to);
+        conditions.push(`t.created_at < $${params.length}`);
+      }
+
+      params.push(filters.limit);
+
+      const result = await pool.query(
+        `SELECT t.*, f.name AS from_name, r.name AS to_name, m.name AS member_name
+         FROM currency_transactions t
+         LEFT JOIN user_funds f ON f.economy = t.economy AND f.uuid = t.from_uuid
+         LEFT JOIN user_funds r ON r.economy = t.economy AND r.uuid = t.to_uuid
+         LEFT JOIN user_funds m ON m.economy = t.economy AND m.uuid = t.member_uuid
+         WHERE ${conditions.join(" AND ")}
+         ORDER BY t.id DESC
+         LIMIT $${params.length}`,
+        params
+      );
+
+      return result.rows.map((row) => ({ ...row, id: String(row.id) }));
+    },
+
+    async getLeaderboard(board, since = null) {
+      const result = await pool.query(
+        LEADERBOARD_QUERIES[board],
+        since === null ? [economy] : [economy, since]
+      );
+      return result.rows.map((row) => ({ ...row, value: Number(row.value) }));
+    },
+
+    async listLeaderboardExclusions() {
+      const result = await pool.query(
+        `SELECT uuid, name FROM user_funds
+         WHERE economy = $1 AND leaderboard_excluded ORDER BY name`,
+        [economy]
+      );
+      return result.rows;
+    },
+
+    async markMobLimit(uuid, day) {
+      await pool.query(
+        `INSERT INTO mob_limit_reached (economy, uuid, date_reached)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (economy, uuid) DO UPDATE SET date_reached = EXCLUDED.date_reached`,
+        [economy, uuid, day]
+      );
+    },
+
+    hasReachedMobLimit(uuid, day) {
+      return selectMobLimit(pool, economy, uuid, day);
+    },
+
+    getMobEarnings(uuid, day) {
+      return selectMobEarnings(pool, economy, uuid, day);
+    },
+
+    async getDailyClaim(uuid) {
+      const result = await pool.query(
+        `SELECT last_claim_at, streak FROM daily_rewards
+         WHERE economy = $1 AND uuid = $2`,
+        [economy, uuid]
+      );
+      return result.rows[0] ?? null;
+    },
+
+    async flagBill(serial, uuid, reason) {
+      await pool.query(
+        `INSERT INTO bill_flags (economy, serial, uuid, reason) VALUES ($1, $2, $3, $4)`,
+        [economy, serial, uuid, reason]
+      );
+    },
+
+    async listNotifications(uuid, filters) {
+      const result = await pool.query(
+        `SELECT id, type, data, created_at, read_at FROM notifications
+         WHERE economy = $1 AND uuid = $2 ${filters.unread ? "AND read_at IS NULL" : ""}
+         ORDER BY id DESC
+         LIMIT $3`,
+        [economy, uuid, filters.limit]
+      );
+      return result.rows.map((row) => ({ ...row, id: String(row.id) }));
+    },
+
+    async countUnreadNotifications(uuid) {
+      const result = await pool.query(
+        `SELECT COUNT(*) AS count FROM notifications
+         WHERE economy = $1 AND uuid = $2 AND read_at IS NULL`,
+        [economy, uuid]
+      );
+      return Number(result.rows[0].count);
+    },
+
+    async markNotificationsRead(uuid, ids = null) {
+      const params = [economy, uuid];
+      if (ids) params.push(ids.map(Number));
+
+      const result = await pool.query(
+        `UPDATE notifications SET read_at = NOW()
+         WHERE economy = $1 AND uuid = $2 AND read_at IS NULL
+           ${ids ? "AND id = ANY($3)" : ""}`,
+        params
+      );
+      return result.rowCount;
+    },
+
+    async listPaymentRequests(uuid, filters) {
+      const params = [economy, uuid];
+      const conditions = [
+        "p.economy = $1",
+        filters.direction === "incoming"
+          ? "p.payer_uuid = $2"
+          : "p.requester_uuid = $2",
+      ];
+
+      if (filters.cursor) {
+        params.push(filters.cursor);
+        conditions.push(`p.id < $${params.length}`);
+      }
+      if (filters.status === "pending") {
+        conditions.push("p.status = 'pending' AND p.expires_at > NOW()");
+      } else if (filters.status === "expired") {
+        conditions.push("p.status = 'pending' AND p.expires_at <= NOW()");
+      } else if (filters.status) {
+        params.push(filters.status);
+        conditions.push(`p.status = $${params.length}`);
+      }
+
+      params.push(filters.limit);
+
+      const result = await pool.query(
+        `SELECT p.*, r.name AS requester_name, f.name AS payer_name
+         FROM payment_requests p
+         JOIN user_funds r ON r.economy = p.economy AND r.uuid = p.requester_uuid
+         JOIN user_funds f ON f.economy = p.economy AND f.uuid = p.payer_uuid
+         WHERE ${conditions.join(" AND ")}
+         ORDER BY p.id DESC
+         LIMIT $${params.length}`,
+        params
+      );
+
+      return result.rows.map(toPaymentRequest);
+    },
+
+    async listScheduledPayments(uuid, filters) {
+      const params = [economy];
+      const conditions = ["s.economy = $1"];
+
+      if (uuid) {
+        params.push(uuid);
+        if (filters.direction) {
+          conditions.push(
+            filters.direction === "incoming"
+              ? "s.payee_uuid = $2"
+              : "s.payer_uuid = $2"
+          );
+        } else {
+          conditions.push("(s.payer_uuid = $2 OR s.payee_uuid = $2)");
+        }
+      }
+      if (filters.cursor) {
+        params.push(filters.cursor);
+        conditions.push(`s.id < $${params.length}`);
+      }
+      if (filters.status) {
+        params.push(filters.status);
+        conditions.push(`s.status = $${params.length}`);
+      }
+
+      params.push(filters.limit);
+
+      const result = await pool.query(
+        `${SELECT_SCHEDULED_PAYMENT}
+         WHERE ${conditions.join(" AND ")}
+         ORDER BY s.id DESC
+         LIMIT $${params.length}`,
+        params
+      );
+
+      return result.rows.map(toScheduledPayment);
+    },
+
+    async getLastWealthTaxRun() {
+      const result = await pool.query(
+        `SELECT id, period_start, accounts, collected, ran_at FROM wealth_tax_runs
+         WHERE economy = $1
+         ORDER BY period_start DESC LIMIT 1`,
+        [economy]
+      );
+      return result.rows[0]
+        ? { ...result.rows[0], id: String(result.rows[0].id) }
+        : null;
+    },
+
+    async getMoneySupply(since) {
+      // One statement, so the balances and the ledger are read at the same point
+      const result = await pool.query(
+        `SELECT
+           (SELECT COALESCE(SUM(balance), 0) FROM user_funds WHERE economy = $1) AS supply,
+           (SELECT COALESCE(-SUM(l.amount), 0)
+            FROM currency_transactions t
+            JOIN ledger_entries l ON l.transaction_id = t.id
+            WHERE t.economy = $1 AND t.created_at >= $2
+              AND t.action <> 'opening_balance' AND l.account IN ($3, $4)) AS change`,
+        [economy, since, MINT_ACCOUNT, BURN_ACCOUNT]
+      );
+      return {
+        supply: Number(result.rows[0].supply),
+        change: Number(result.rows[0].change),
+      };
+    },
+
+    async summarizeTransactions(from, to) {
+      const params = [economy, from, to];
+
+      const volume = await pool.query(
+        `SELECT action, COUNT(*) AS count, SUM(amount) AS amount
+         FROM currency_transactions
+         WHERE economy = $1 AND created_at >= $2 AND created_at < $3
+         GROUP BY action ORDER BY action`,
+        params
+      );
+
+      const system = await pool.query(
+        `SELECT l.account, SUM(l.amount) AS total
+         FROM currency_transactions t
+         JOIN ledger_entries l ON l.transaction_id = t.id
+         WHERE t.economy = $1 AND t.created_at >= $2 AND t.created_at < $3
+           AND t.action <> 'opening_balance' AND l.account IN ($4, $5)
+         GROUP BY l.account`,
+        [...params, MINT_ACCOUNT, BURN_ACCOUNT]
+      );
+      const totals = new Map(
+        system.rows.map((row) => [row.account, Number(row.total)])
+      );
+
+      const active = await pool.query(
+        `SELECT COUNT(DISTINCT COALESCE(member_uuid, uuid)) AS count
+         FROM currency_transactions
+         WHERE economy = $1 AND created_at >= $2 AND created_at < $3
+           AND action IN ('pay', 'deposit', 'withdraw', 'daily', 'mob_reward')`,
+        params
+      );
+
+      const earnings = await pool.query(
+        `SELECT e.uuid, SUM(e.amount) AS amount
+         FROM (
+           SELECT CASE WHEN action = 'pay' THEN to_uuid ELSE uuid END AS uuid, amount
+           FROM currency_transactions
+           WHERE economy = $1 AND created_at >= $2 AND created_at < $3
+             AND action IN ('pay', 'daily', 'mob_reward')
+         ) e
+         LEFT JOIN shared_accounts s ON s.economy = $1 AND s.uuid = e.uuid
+         WHERE s.uuid IS NULL
+         GROUP BY e.uuid`,
+        params
+      );
+
+      return {
+        minted: -(totals.get(MINT_ACCOUNT) ?? 0),
+        burned: totals.get(BURN_ACCOUNT) ?? 0,
+        active_players: Number(active.rows[0].count),
+        volume: Object.fromEntries(
+          volume.rows.map((row) => [
+            row.action,
+            { count: Number(row.count), amount: Number(row.amount) },
+          ])
+        ),
+        earnings: earnings.rows.map((row) => ({
+          uuid: row.uuid,
+          amount: Number(row.amount),
+        })),
+      };
+    },
+
+    async listPlayerBalances() {
+      const result = await pool.query(
+        `SELECT f.balance FROM user_funds f
+         LEFT JOIN shared_accounts s ON s.economy = f.economy AND s.uuid = f.uuid
+         WHERE f.economy = $1 AND s.uuid IS NULL AND NOT f.leaderboard_excluded
+         ORDER BY f.balance`,
+        [economy]
+      );
+      return result.rows.map((row) => row.balance);
+    },
+
+    async getLastStatsDay() {
+      const result = await pool.query(
+        `SELECT day::TEXT AS day FROM economy_stats
+         WHERE economy = $1 ORDER BY day DESC LIMIT 1`,
+        [economy]
+      );
+      return result.rows[0]?.day ?? null;
+    },
+
+    async listStatsDays(from, to) {
+      const days = await pool.query(
+        `SELECT day::TEXT AS day, supply, minted, burned, active_players, players, gini, percentiles
+         FROM economy_stats
+         WHERE economy = $1 AND day BETWEEN $2 AND $3
+         ORDER BY day`,
+        [economy, from, to]
+      );
+      const volume = await pool.query(
+        `SELECT day::TEXT AS day, action, count, amount FROM economy_stats_volume
+         WHERE economy = $1 AND day BETWEEN $2 AND $3
+         ORDER BY action`,
+        [economy, from, to]
+      );
+
+      return days.rows.map((row) => ({
+        ...row,
+        volume: Object.fromEntries(
+          volume.rows
+            .filter((entry) => entry.day === row.day)
+            .map(({ action, count, amount }) => [action, { count, amount }])
+        ),
+      }));
+    },
+
+    async listTopEarners(from, to, limit) {
+      const result = await pool.query(
+        `SELECT e.uuid, f.name, SUM(e.earned) AS earned
+         FROM economy_stats_earnings e
+         JOIN user_funds f ON f.economy = e.economy AND f.uuid = e.uuid
+         WHERE e.economy = $1 AND e.day BETWEEN $2 AND $3 AND NOT f.leaderboard_excluded
+         GROUP BY e.uuid, f.name
+         ORDER BY earned DESC, f.name
+         LIMIT $4`,
+        [economy, from, to, limit]
+      );
+      return result.rows.map((row) => ({ ...row, earned: Number(row.earned) }));
+    },
+
+    getSharedAccount(uuid) {
+      return selectSharedAccount(pool, economy, uuid);
+    },
+
+    async listSharedAccounts(uuid) {
+      const result = await pool.query(
+        `SELECT s.*, f.name, f.balance, f.frozen, m.role
+         FROM shared_account_members m
+         JOIN shared_accounts s ON s.economy = m.economy AND s.uuid = m.account_uuid
+         JOIN user_funds f ON f.economy = s.economy AND f.uuid = s.uuid
+         WHERE m.economy = $1 AND m.uuid = $2
+         ORDER BY f.name`,
+        [economy, uuid]
+      );
+      return result.rows.map((row) => ({
+        ...toSharedAccount(row),
+        role: row.role,
+      }));
+    },
+  };
+}
+
+/**
+ * Builds the currency store on top of an existing PostgreSQL pool.
+ *
+ * @param {import('pg').Pool} pool - PostgreSQL connection pool.
+ * @returns {import('../index.js').Store}
+ */
+export function createPostgresStore(pool) {
+  return {
+    client: "postgres",
+    idPattern: /^\d+$/,
+
+    forEconomy(economy) {
+      return createEconomyStore(pool, economy);
+    },
+
+    async reconcileLedger() {
+      const driftRes = await pool.query(
+        `SELECT f.economy, f.uuid, f.name, f.balance, COALESCE(l.total, 0) AS ledger_balance
+         FROM user_funds f
+         LEFT JOIN (
+           SELECT economy, account, SUM(amount) AS total
+           FROM ledger_entries
+           GROUP BY economy, account
+         ) l ON l.economy = f.economy AND l.account = f.uuid::TEXT
+         WHERE f.balance <> COALESCE(l.total, 0)
+         ORDER BY f.economy, f.name`
+      );
+
+      const unbalancedRes = await pool.query(
+        `SELECT transaction_id, SUM(amount) AS total
+         FROM ledger_entries
+         GROUP BY transaction_id
+         HAVING SUM(amount) <> 0
+         ORDER BY transaction_id`
+      );
+
+      const systemRes = await pool.query(
+        `SELECT account, SUM(amount) AS total
+         FROM ledger_entries
+         WHERE account = ANY($1)
+         GROUP BY account`,
+        [[MINT_ACCOUNT, BURN_ACCOUNT]]
+      );
+
+      const playersRes = await pool.query(
+        `SELECT COUNT(*) AS count, COALESCE(SUM(balance), 0) AS total FROM user_funds`
+      );
+
+      // SUM and COUNT return BIGINT, which pg hands back as strings
+      const system = new Map(
+        systemRes.rows.map((row) => [row.account, Number(row.total)])
+      );
+
+      return {
+        players: Number(playersRes.rows[0].count),
+        drift: driftRes.rows.map((row) => ({
+          economy: row.economy,
+          uuid: row.uuid,
+          name: row.name,
+          balance: row.balance,
+          ledger_balance: Number(row.ledger_balance),
+        })),
+        unbalanced: unbalancedRes.rows.map((row) => ({
+          transaction_id: String(row.transaction_id),
+          total: Number(row.total),
+        })),
+        supply: {
+          minted: -(system.get(MINT_ACCOUNT) ?? 0),
+          burned: system.get(BURN_ACCOUNT) ?? 0,
+          circulating: Number(playersRes.rows[0].total),
+        },
+      };
+    },
+
+    seedOpeningBalances() {
+      return inTransaction(pool, async (client) => {
+        const result = await client.query(
+          `SELECT economy, uuid, balance FROM user_funds f
+           WHERE balance <> 0
+             AND NOT EXISTS (
+               SELECT 1 FROM ledger_entries l
+               WHERE l.economy = f.economy AND l.account = f.uuid::TEXT
+             )
+           FOR UPDATE`
+        );
+
+        for (const { economy, uuid, balance } of result.rows) {
+          await createTransaction(client, economy).logTransaction({
+            uuid,
+            action: "opening_balance",
+            amount: balance,
+            balance_after: balance,
+          });
+        }
+
+        return result.rowCount;
+      });
+    },
+
+    async getAppliedMigrations() {
+      await pool.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+           version INTEGER PRIMARY KEY,
+           name TEXT NOT NULL,
+           applied_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+         )`
+      );
+
+      const result = await pool.query(
+        `SELECT version, name, applied_at FROM schema_migrations ORDER BY version`
+      );
+      return result.rows;
+    },
+
+    // DDL is transactional in PostgreSQL, so a failed migration leaves no trace
+    applyMigration(migration, direction) {
+      return inTransaction(pool, async (client) => {
+        await migration[direction](client);
+
+        if (direction === "up") {
+          await client.query(
+            `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+            [migration.version, migration.name]
+          );
+        } else {
+          await client.query(
+            `DELETE FROM schema_migrations WHERE version = $1`,
+            [migration.version]
+          );
+        }
+      });
+    },
+
+    async ping() {
+      await pool.query("SELECT 1");
+    },
+
+    getPoolStats() {
+      return {
+        total: pool.totalCount,
+        idle: pool.idleCount,
+        waiting: pool.waitingCount,
+      };
+    },
+
+    async close() {
+      await pool.end();
+    },
+  };
+}
+
+/**
+ * Connects to PostgreSQL using environment variables.
+ *
+ * Environment Variables Used:
+ * @env {string} DB_USER - PostgreSQL username
+ * @env {string} DB_HOST - Database host (e.g. localhost or remote IP)
+ * @env {string} DB_DATABASE - Name of the database
+ * @env {string} DB_PASSWORD - User's password
+ * @env {number} DB_PORT - Port number (default: 5432)
+ *
+ * Connection Options:
+ * - idleTimeoutMillis: 30000 (30 seconds)
+ * - connectionTimeoutMillis: 10000 (10 seconds)
+ *
+ * @returns {Promise<import('../index.js').Store>}
+ */
+export async function createStore() {
+  const pool = new pg.Pool({
+    user: process.env.DB_USER,
+    host: process.env.DB_HOST,
+    database: process.env.DB_DATABASE,
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT,
+    idleTimeoutMillis: 30000,
+    connectionTimeoutMillis: 10000,
+  });
+
+  await pool.query("SELECT 1");
+  logger.info("Connected to PostgreSQL database");
+
+  return createPostgresStore(pool);
+}
@@ -0,0 +1,1516 @@
+import sqlite3 from "better-sqlite3";
+import path from "path";
+import fs from "fs";
+import { DateTime } from "luxon";
+import logger from "../../logger.js";
+import {
+  BURN_ACCOUNT,
+  MINT_ACCOUNT,
+  buildLedgerEntries,
+} from "../../app/utils/currency/ledger.js";
+
+// created_at is stored as UTC "YYYY-MM-DD HH:MM:SS" text
+const toSqlDate = (date) =>
+  DateTime.fromJSDate(date).toUTC().toFormat("yyyy-MM-dd HH:mm:ss");
+const fromSqlDate = (text) =>
+  DateTime.fromSQL(text, { zone: "utc" }).toJSDate();
+
+/**
+ * Builds the transaction-scoped operations for a connection with an open transaction.
+ *
+ * @param {import('better-sqlite3').Database} db - SQLite database instance.
+ * @param {string} economy - Economy every operation is scoped to.
+ * @returns {import('../index.js').StoreTransaction}
+ */
+function createTransaction(db, economy) {
+  return {
+    async getAccount(uuid) {
+      const row = db
+        .prepare(
+          `SELECT uuid, name, balance, frozen, token_version FROM user_funds
+           WHERE economy = ? AND uuid = ?`
+        )
+        .get(economy, uuid);
+      return row ? { ...row, frozen: Boolean(row.frozen) } : null;
+    },
+
+    async adjustBalance(uuid, delta) {
+      const row = db
+        .prepare(
+          `UPDATE user_funds SET balance = balance + ?
+           WHERE economy = ? AND uuid = ? RETURNING balance`
+        )
+        .get(delta, economy, uuid);
+      return row?.balance ?? null;
+    },
+
+    async setBalance(uuid, balance) {
+      db.prepare(
+        "UPDATE user_funds SET balance = ? WHERE economy = ? AND uuid = ?"
+      ).run(balance, economy, uuid);
+    },
+
+    async setFrozen(uuid, frozen) {
+      const row = db
+        .prepare(
+          `UPDATE user_funds SET frozen = ? WHERE economy = ? AND uuid = ?
+           RETURNING uuid, name, balance, frozen`
+        )
+        .get(frozen ? 1 : 0, economy, uuid);
+      return row ? { ...row, frozen: Boolean(row.frozen) } : null;
+    },
+
+    async setLeaderboardExcluded(uuid, excluded) {
+      const row = db
+        .prepare(
+          `UPDATE user_funds SET leaderboard_excluded = ? WHERE economy = ? AND uuid = ?
+           RETURNING uuid, name, balance, leaderboard_excluded`
+        )
+        .get(excluded ? 1 : 0, economy, uuid);
+      return row
+        ? { ...row, leaderboard_excluded: Boolean(row.leaderboard_excluded) }
+        : null;
+    },
+
+    async bumpTokenVersion(uuid) {
+      const row = db
+        .prepare(
+          `UPDATE user_funds SET token_version = token_version + 1
+           WHERE economy = ? AND uuid = ? RETURNING token_version`
+        )
+        .get(economy, uuid);
+      return row?.token_version ?? null;
+    },
+
+    async logTransaction(data) {
+      const {
+        uuid,
+        action,
+        amount,
+        from_uuid = null,
+        to_uuid = null,
+        denomination = null,
+        count = null,
+        balance_after = null,
+        admin = null,
+        reason = null,
+        reverses_id = null,
+        member_uuid = null,
+        fee_for_id = null,
+      } = data;
+
+      const { lastInsertRowid } = db
+        .prepare(
+          `INSERT INTO currency_transactions (
+             economy, uuid, action, amount, from_uuid, to_uuid,
+             denomination, count, balance_after,
+             admin, reason, reverses_id, member_uuid, fee_for_id
+           )
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        )
+        .run(
+          economy,
+          uuid,
+          action,
+          amount,
+          from_uuid,
+          to_uuid,
+          denomination,
+          count,
+          balance_after,
+          admin,
+          reason,
+          reverses_id === null ? null : Number(reverses_id),
+          member_uuid,
+          fee_for_id === null ? null : Number(fee_for_id)
+        );
+
+      const insertEntry = db.prepare(
+        `INSERT INTO ledger_entries (economy, transaction_id, account, amount)
+         VALUES (?, ?, ?, ?)`
+      );
+
+      for (const entry of buildLedgerEntries(data)) {
+        insertEntry.run(economy, lastInsertRowid, entry.account, entry.amount);
+      }
+
+      return String(lastInsertRowid);
+    },
+
+    async getTransaction(id) {
+      const row = db
+        .prepare(
+          "SELECT * FROM currency_transactions WHERE id = ? AND economy = ?"
+        )
+        .get(Number(id), economy);
+      return row ? { ...row, id: String(row.id) } : null;
+    },
+
+    async findReversal(id) {
+      const row = db
+        .prepare(
+          `SELECT id FROM currency_transactions
+           WHERE reverses_id = ? AND economy = ? LIMIT 1`
+        )
+        .get(Number(id), economy);
+      return row ? String(row.id) : null;
+    },
+
+    // Transactions are serialized, so a lookup is enough to catch a retry
+    async claimIdempotencyKey({ uuid, key }) {
+      const row = db
+        .prepare(
+          `SELECT request_hash, status_code, response FROM idempotency_keys
+           WHERE economy = ? AND uuid = ? AND key = ?`
+        )
+        .get(economy, uuid, key);
+      return row ? { ...row, response: JSON.parse(row.response) } : null;
+    },
+
+    async saveIdempotencyKey(row) {
+      db.prepare(
+        `INSERT INTO idempotency_keys
+           (economy, uuid, key, endpoint, request_hash, status_code, response)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`
+      ).run(
+        economy,
+        row.uuid,
+        row.key,
+        row.endpoint,
+        row.request_hash,
+        row.status_code,
+        JSON.stringify(row.response)
+      );
+    },
+
+    // Marks the bill spent only if it is still unspent
+    async redeemBill(serial, uuid) {
+      const row = db
+        .prepare(
+          `UPDATE currency_bills
+           SET status = 'redeemed', redeemed_by = ?, redeemed_at = datetime('now')
+           WHERE serial = ? AND economy = ? AND status = 'issued'
+           RETURNING denomination`
+        )
+        .get(uuid, serial, economy);
+      return row?.denomination ?? null;
+    },
+
+    async getBillStatus(serial) {
+      const row = db
+        .prepare(
+          "SELECT status FROM currency_bills WHERE serial = ? AND economy = ?"
+        )
+        .get(serial, economy);
+      return row?.status ?? null;
+    },
+
+    async issueBill({
+      serial,
+      denomination,
+      signature,
+      issued_to,
+      withdrawal_id,
+    }) {
+      db.prepare(
+        `INSERT INTO currency_bills (economy, serial, denomination, signature, issued_to, withdrawal_id)
+         VALUES (?, ?, ?, ?, ?, ?)`
+      ).run(economy, serial, denomination, signature, issued_to, withdrawal_id);
+    },
+
+    async voidWithdrawalBills(withdrawalId) {
+      const bills = db
+        .prepare(
+          "SELECT status FROM currency_bills WHERE economy = ? AND withdrawal_id = ?"
+        )
+        .all(economy, withdrawalId);
+      const redeemed = bills.filter(
+        (bill) => bill.status === "redeemed"
+      ).length;
+
+      if (redeemed === 0) {
+        db.prepare(
+          `UPDATE currency_bills SET status = 'voided'
+           WHERE economy = ? AND withdrawal_id = ? AND status = 'issued'`
+        ).run(economy, withdrawalId);
+      }
+      return { bills: bills.length, redeemed };
+    },
+
+    async getDailyClaim(uuid) {
+      return selectDailyClaim(db, economy, uuid);
+    },
+
+    async setDailyClaim(uuid, { last_claim_at, streak }) {
+      db.prepare(
+        `INSERT INTO daily_rewards (economy, uuid, last_claim_at, streak)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT(economy, uuid) DO UPDATE
+           SET last_claim_at = excluded.last_claim_at, streak = excluded.streak`
+      ).run(
+        economy,
+        uuid,
+        DateTime.fromJSDate(last_claim_at).toUTC().toSQL(),
+        streak
+      );
+    },
+
+    async saveRefreshToken(token) {
+      db.prepare(
+        `INSERT INTO refresh_tokens
+           (token_hash, economy, uuid, server, family_id, token_version, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`
+      ).run(
+        token.token_hash,
+        economy,
+        token.uuid,
+        token.server,
+        token.family_id,
+        token.token_version,
+        toSqlDate(token.expires_at)
+      );
+    },
+
+    async getRefreshToken(tokenHash) {
+      const row = db
+        .prepare(
+          `SELECT token_hash, uuid, server, family_id, token_version, expires_at, used_at, revoked_at
+           FROM refresh_tokens WHERE token_hash = ? AND economy = ?`
+        )
+        .get(tokenHash, economy);
+
+      if (!row) return null;
+
+      return {
+        ...row,
+        expires_at: fromSqlDate(row.expires_at),
+        used_at: row.used_at && fromSqlDate(row.used_at),
+        revoked_at: row.revoked_at && fromSqlDate(row.revoked_at),
+      };
+    },
+
+    async markRefreshTokenUsed(tokenHash) {
+      db.prepare(
+        `UPDATE refresh_tokens SET used_at = datetime('now')
+         WHERE token_hash = ? AND economy = ?`
+      ).run(tokenHash, economy);
+    },
+
+    async revokeRefreshTokenFamily(familyId) {
+      db.prepare(
+        `UPDATE refresh_tokens SET revoked_at = datetime('now')
+         WHERE family_id = ? AND economy = ? AND revoked_at IS NULL`
+      ).run(familyId, economy);
+    },
+
+    async revokePlayerRefreshTokens(uuid) {
+      db.prepare(
+        `UPDATE refresh_tokens SET revoked_at = datetime('now')
+         WHERE economy = ? AND uuid = ? AND revoked_at IS NULL`
+      ).run(economy, uuid);
+    },
+
+    async deleteExpiredRefreshTokens(uuid) {
+      db.prepare(
+        `DELETE FROM refresh_tokens
+         WHERE economy = ? AND uuid = ? AND expires_at <= datetime('now')`
+      ).run(economy, uuid);
+    },
+
+    // Skipped if the player already has a notification of this type with the same ref
+    async addNotification({ uuid, type, data, ref = null }) {
+      db.prepare(
+        `INSERT OR IGNORE INTO notifications (economy, uuid, type, data, ref)
+         VALUES (?, ?, ?, ?, ?)`
+      ).run(economy, uuid, type, JSON.stringify(data), ref);
+    },
+
+    async deleteOldNotifications(uuid, before) {
+      db.prepare(
+        `DELETE FROM notifications
+         WHERE economy = ? AND uuid = ? AND created_at < ?`
+      ).run(economy, uuid, toSqlDate(before));
+    },
+
+    async createPaymentRequest(request) {
+      const row = db
+        .prepare(
+          `INSERT INTO payment_requests
+             (economy, requester_uuid, payer_uuid, amount, memo, expires_at)
+           VALUES (?, ?, ?, ?, ?, ?)
+           RETURNING *`
+        )
+        .get(
+          economy,
+          request.requester_uuid,
+          request.payer_uuid,
+          request.amount,
+          request.memo,
+          toSqlDate(request.expires_at)
+        );
+      return toPaymentRequest(row);
+    },
+
+    async getPaymentRequest(id) {
+      const row = db
+        .prepare(
+          `SELECT p.*, r.name AS requester_name, f.name AS payer_name
+           FROM payment_requests p
+           JOIN user_funds r ON r.economy = p.economy AND r.uuid = p.requester_uuid
+           JOIN user_funds f ON f.economy = p.economy AND f.uuid = p.payer_uuid
+           WHERE p.id = ? AND p.economy = ?`
+        )
+        .get(Number(id), economy);
+      return row ? toPaymentRequest(row) : null;
+    },
+
+    // Changes the status only if the request is still pending
+    async resolvePaymentRequest(id, status, transactionId = null) {
+      const row = db
+        .prepare(
+          `UPDATE payment_requests
+           SET status = ?, resolved_at = datetime('now'), transaction_id = ?
+           WHERE id = ? AND economy = ? AND status = 'pending'
+           RETURNING *`
+        )
+        .get(
+          status,
+          transactionId === null ? null : Number(transactionId),
+          Number(id),
+          economy
+        );
+      return row ? toPaymentRequest(row) : null;
+    },
+
+    async countPendingPaymentRequests(requesterUuid) {
+      return db
+        .prepare(
+          `SELECT COUNT(*) AS count FROM payment_requests
+           WHERE economy = ? AND requester_uuid = ?
+             AND status = 'pending' AND expires_at > datetime('now')`
+        )
+        .get(economy, requesterUuid).count;
+    },
+
+    async createScheduledPayment(payment) {
+      const row = db
+        .prepare(
+          `INSERT INTO scheduled_payments
+             (economy, payer_uuid, payee_uuid, amount, memo, interval_seconds,
+              starts_at, next_run_at, created_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+           RETURNING *`
+        )
+        .get(
+          economy,
+          payment.payer_uuid,
+          payment.payee_uuid,
+          payment.amount,
+          payment.memo,
+          payment.interval_seconds,
+          toSqlDate(payment.starts_at),
+          toSqlDate(payment.starts_at),
+          payment.created_by
+        );
+      return toScheduledPayment(row);
+    },
+
+    async getScheduledPayment(id) {
+      const row = db
+        .prepare(
+          `${SELECT_SCHEDULED_PAYMENT}
+           WHERE s.id = ? AND s.economy = ?`
+        )
+        .get(Number(id), economy);
+      return row ? toScheduledPayment(row) : null;
+    },
+
+    async claimDueScheduledPayment(now) {
+      const row = db
+        .prepare(
+          `${SELECT_SCHEDULED_PAYMENT}
+           WHERE s.economy = ? AND s.status = 'active' AND s.next_run_at <= ?
+           ORDER BY s.next_run_at
+           LIMIT 1`
+        )
+        .get(economy, toSqlDate(now));
+      return row ? toScheduledPayment(row) : null;
+    },
+
+    async updateScheduledPayment(id, changes) {
+      const fields = SCHEDULED_PAYMENT_UPDATES.filter((field) =>
+        Object.hasOwn(changes, field)
+      );
+      const values = fields.map((field) => {
+        const value = changes[field];
+        if (value instanceof Date) return toSqlDate(value);
+        return field === "last_transaction_id" && value !== null
+          ? Number(value)
+          : value;
+      });
+
+      db.prepare(
+        `UPDATE scheduled_payments
+         SET ${fields.map((field) => `${field} = ?`).join(", ")}
+         WHERE id = ? AND economy = ?`
+      ).run(...values, Number(id), economy);
+    },
+
+    async countActiveScheduledPayments(payerUuid) {
+      return db
+        .prepare(
+          `SELECT COUNT(*) AS count FROM scheduled_payments
+           WHERE economy = ? AND payer_uuid = ? AND status = 'active'`
+        )
+        .get(economy, payerUuid).count;
+    },
+
+    async ensureServerAccount(uuid, name) {
+      db.prepare(
+        `INSERT INTO user_funds (economy, uuid, name, balance, leaderboard_excluded)
+         VALUES (?, ?, ?, 0, 1)
+         ON CONFLICT(economy, uuid) DO NOTHING`
+      ).run(economy, uuid, name);
+    },
+
+    async startWealthTaxRun(periodStart) {
+      const { changes, lastInsertRowid } = db
+        .prepare(
+          `INSERT OR IGNORE INTO wealth_tax_runs (economy, period_start) VALUES (?, ?)`
+        )
+        .run(economy, toSqlDate(periodStart));
+      return changes > 0 ? String(lastInsertRowid) : null;
+    },
+
+    async finishWealthTaxRun(id, { accounts, collected }) {
+      db.prepare(
+        `UPDATE wealth_tax_runs SET accounts = ?, collected = ?
+         WHERE id = ? AND economy = ?`
+      ).run(accounts, collected, Number(id), economy);
+    },
+
+    async listTaxableAccounts(above) {
+      return db
+        .prepare(
+          `SELECT uuid, balance FROM user_funds
+           WHERE economy = ? AND balance > ?
+           ORDER BY uuid`
+        )
+        .all(economy, above);
+    },
+
+    async saveStatsDay(stats) {
+      const { changes } = db
+        .prepare(
+          `INSERT OR IGNORE INTO economy_stats
+             (economy, day, supply, minted, burned, active_players, players, gini, percentiles)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        )
+        .run(
+          economy,
+          stats.day,
+          stats.supply,
+          stats.minted,
+          stats.burned,
+          stats.active_players,
+          stats.players,
+          stats.gini,
+          stats.percentiles && JSON.stringify(stats.percentiles)
+        );
+      if (changes === 0) return false;
+
+      const insertVolume = db.prepare(
+        `INSERT INTO economy_stats_volume (economy, day, action, count, amount)
+         VALUES (?, ?, ?, ?, ?)`
+      );
+      for (const [action, { count, amount }] of Object.entries(stats.volume)) {
+        insertVolume.run(economy, stats.day, action, count, amount);
+      }
+
+      const insertEarnings = db.prepare(
+        `INSERT INTO economy_stats_earnings (economy, day, uuid, earned)
+         VALUES (?, ?, ?, ?)`
+      );
+      for (const { uuid, amount } of stats.earnings) {
+        insertEarnings.run(economy, stats.day, uuid, amount);
+      }
+      return true;
+    },
+
+    async createSharedAccount({ uuid, name, created_by }) {
+      db.prepare(
+        `INSERT INTO user_funds (economy, uuid, name, balance) VALUES (?, ?, ?, 0)`
+      ).run(economy, uuid, name);
+      db.prepare(
+        `INSERT INTO shared_accounts (economy, uuid, created_by) VALUES (?, ?, ?)`
+      ).run(economy, uuid, created_by);
+      db.prepare(
+        `INSERT INTO shared_account_members (economy, account_uuid, uuid, role)
+         VALUES (?, ?, ?, 'owner')`
+      ).run(economy, uuid, created_by);
+
+      return selectSharedAccount(db, economy, uuid);
+    },
+
+    async getSharedAccount(uuid) {
+      return selectSharedAccount(db, economy, uuid);
+    },
+
+    async setSharedAccountMember(accountUuid, uuid, role) {
+      db.prepare(
+        `INSERT INTO shared_account_members (economy, account_uuid, uuid, role)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT(economy, account_uuid, uuid) DO UPDATE SET role = excluded.role`
+      ).run(economy, accountUuid, uuid, role);
+    },
+
+    async removeSharedAccountMember(accountUuid, uuid) {
+      const { changes } = db
+        .prepare(
+          `DELETE FROM shared_account_members
+           WHERE economy = ? AND account_uuid = ? AND uuid = ?`
+        )
+        .run(economy, accountUuid, uuid);
+      return changes > 0;
+    },
+
+    async setSharedAccountLimits(accountUuid, limits) {
+      db.prepare(
+        `UPDATE shared_accounts SET treasurer_daily_limit = ?, member_daily_limit = ?
+         WHERE economy = ? AND uuid = ?`
+      ).run(limits.treasurer, limits.member, economy, accountUuid);
+    },
+
+    async getSharedAccountSpending(accountUuid, memberUuid, since) {
+      return db
+        .prepare(
+          `SELECT COALESCE(SUM(amount), 0) AS total FROM currency_transactions
+           WHERE economy = ? AND from_uuid = ? AND member_uuid = ?
+             AND action = 'pay' AND created_at >= ?`
+        )
+        .get(economy, accountUuid, memberUuid, toSqlDate(since)).total;
+    },
+
+    async getMobEarnings(uuid, day) {
+      return selectMobEarnings(db, economy, uuid, day);
+    },
+
+    async hasReachedMobLimit(uuid, day) {
+      return selectMobLimit(db, economy, uuid, day);
+    },
+
+    async addMobEarnings(uuid, day, mob, amount) {
+      db.prepare(
+        `INSERT INTO mob_earnings (economy, uuid, day, mob, earned, kills)
+         VALUES (?, ?, ?, ?, ?, 1)
+         ON CONFLICT(economy, uuid, day, mob) DO UPDATE
+           SET earned = earned + excluded.earned, kills = kills + 1`
+      ).run(economy, uuid, day, mob, amount);
+    },
+  };
+}
+
+/**
+ * Reads a player's last daily reward claim and current streak.
+ *
+ * @param {import('better-sqlite3').Database} db - SQLite database instance.
+ * @param {string} economy - Economy the player belongs to.
+ * @param {string} uuid - Player UUID.
+ * @returns {{last_claim_at: Date, streak: number}|null}
+ */
+function selectDailyClaim(db, economy, uuid) {
+  const row = db
+    .prepare(
+      "SELECT last_claim_at, streak FROM daily_rewards WHERE economy = ? AND uuid = ?"
+    )
+    .get(economy, uuid);
+
+  return row
+    ? {
+        last_claim_at: DateTime.fromSQL(row.last_claim_at, {
+          setZone: true,
+        }).toJSDate(),
+        streak: row.streak,
+      }
+    : null;
+}
+
+/**
+ * Reads what a player earned from each mob type on one economy day.
+ *
+ * @param {import('better-sqlite3').Database} db - SQLite database instance.
+ * @param {string} economy - Economy the player belongs to.
+ * @param {string} uuid - Player UUID.
+ * @param {string} day - Economy day as an ISO date.
+ * @returns {{mob: string, earned: number, kills: number}[]}
+ */
+function selectMobEarnings(db, economy, uuid, day) {
+  return db
+    .prepare(
+      `SELECT mob, earned, kills FROM mob_earnings
+       WHERE economy = ? AND uuid = ? AND day = ?`
+    )
+    .all(economy, uuid, day);
+}
+
+/**
+ * Whether a player gave up the rest of their mob drop allowance on one economy day.
+ *
+ * @param {import('better-sqlite3').Database} db - SQLite database instance.
+ * @param {string} economy - Economy the player belongs to.
+ * @param {string} uuid - Player UUID.
+ * @param {string} day - Economy day as an ISO date.
+ * @returns {boolean}
+ */
+function selectMobLimit(db, economy, uuid, day) {
+  return Boolean(
+    db
+      .prepare(
+        `SELECT 1 FROM mob_limit_reached
+         WHERE economy = ? AND uuid = ? AND date_reached = ?
+         LIMIT 1`
+      )
+      .get(economy, uuid, day)
+  );
+}
+
+/**
+ * Reads a shared account, its balance and its members.
+ *
+ * @param {import('better-sqlite3').Database} db - SQLite database instance.
+ * @param {string} economy - Economy the account belongs to.
+ * @param {string} uuid - Account UUID.
+ * @returns {import('../index.js').SharedAccount|null}
+ */
+function selectSharedAccount(db, economy, uuid) {
+  const row = db
+    .prepare(
+      `SELECT s.*, f.name, f.balance, f.frozen
+       FROM shared_accounts s
+       JOIN user_funds f ON f.economy = s.economy AND f.uuid = s.uuid
+       WHERE s.economy = ? AND s.uuid = ?`
+    )
+    .get(economy, uuid);
+
+  if (!row) return null;
+
+  const members = db
+    .prepare(
+      `SELECT m.uuid, f.name, m.role, m.added_at
+       FROM shared_account_members m
+       JOIN user_funds f ON f.economy = m.economy AND f.uuid = m.uuid
+       WHERE m.economy = ? AND m.account_uuid = ?
+       ORDER BY m.added_at, m.uuid`
+    )
+    .all(economy, uuid);
+
+  return {
+    ...toSharedAccount(row),
+    members: members.map((member) => ({
+      ...member,
+      added_at: fromSqlDate(member.added_at),
+    })),
+  };
+}
+
+/**
+ * @param {Object} row - `shared_accounts` row joined with the account's `user_funds` row.
+ * @returns {Object} The account without its members.
+ */
+function toSharedAccount(row) {
+  return {
+    uuid: row.uuid,
+    name: row.name,
+    balance: row.balance,
+    frozen: Boolean(row.frozen),
+    created_by: row.created_by,
+    created_at: fromSqlDate(row.created_at),
+    limits: {
+      treasurer: row.treasurer_daily_limit,
+      member: row.member_daily_limit,
+    },
+  };
+}
+
+/**
+ * @param {Object} row - `payment_requests` row, optionally with joined names.
+ * @returns {Object} The row with string IDs and Date timestamps, like every other store.
+ */
+function toPaymentRequest(row) {
+  return {
+    ...row,
+    id: String(row.id),
+    transaction_id:
+      row.transaction_id === null ? null : String(row.transaction_id),
+    expires_at: fromSqlDate(row.expires_at),
+    created_at: fromSqlDate(row.created_at),
+    resolved_at: row.resolved_at && fromSqlDate(row.resolved_at),
+  };
+}
+
+// Scheduled payment with the names of both accounts
+const SELECT_SCHEDULED_PAYMENT = `
+  SELECT s.*, p.name AS payer_name, r.name AS payee_name
+  FROM scheduled_payments s
+  JOIN user_funds p ON p.economy = s.economy AND p.uuid = s.payer_uuid
+  JOIN user_funds r ON r.economy = s.economy AND r.uuid = s.payee_uuid`;
+
+// Columns `updateScheduledPayment` may change
+const SCHEDULED_PAYMENT_UPDATES = [
+  "status",
+  "next_run_at",
+  "failures",
+  "last_error",
+  "last_run_at",
+  "last_transaction_id",
+];
+
+/**
+ * @param {Object} row - `scheduled_payments` row, optionally with joined names.
+ * @returns {Object} The row with string IDs and Date timestamps, like every other store.
+ */
+function toScheduledPayment(row) {
+  return {
+    ...row,
+    id: String(row.id),
+    last_transaction_id:
+      row.last_transaction_id === null ? null : String(row.last_transaction_id),
+    starts_at: fromSqlDate(row.starts_at),
+    next_run_at: fromSqlDate(row.next_run_at),
+    last_run_at: row.last_run_at && fromSqlDate(row.last_run_at),
+    created_at: fromSqlDate(row.created_at),
+  };
+}
+
+/**
+ * Runs `fn` inside BEGIN IMMEDIATE/COMMIT, rolling back if it throws.
+ * Callers must hold the store's queue, so no other statement runs in between.
+ *
+ * @template T
+ * @param {import('better-sqlite3').Database} db - SQLite database instance.
+ * @param {() => Promise<T>} fn - Work to run in the transaction.
+ * @returns {Promise<T>}
+ */
+async function inTransaction(db, fn) {
+  db.exec("BEGIN IMMEDIATE");
+
+  try {
+    const result = await fn();
+    db.exec("COMMIT");
+    return result;
+  } catch (error) {
+    db.exec("ROLLBACK");
+    throw error;
+  }
+}
+
+// One query per leaderboard, best first; the second parameter is the `since` bound where the board has one
+const LEADERBOARD_QUERIES = {
+  balance: `
+    SELECT f.uuid, f.name, f.balance AS value,
+      CASE WHEN s.uuid IS NULL THEN 'player' ELSE 'shared' END AS type
+    FROM user_funds f
+    LEFT JOIN shared_accounts s ON s.economy = f.economy AND s.uuid = f.uuid
+    WHERE f.economy = ? AND NOT f.leaderboard_excluded
+    ORDER BY f.balance DESC, f.name`,
+  shared: `
+    SELECT f.uuid, f.name, f.balance AS value, 'shared' AS type
+    FROM shared_accounts s
+    JOIN user_funds f ON f.economy = s.economy AND f.uuid = s.uuid
+    WHERE s.economy = ? AND NOT f.leaderboard_excluded
+    ORDER BY f.balance DESC, f.name`,
+  earned_week: `
+    SELECT f.uuid, f.name, SUM(t.amount) AS value, 'player' AS type
+    FROM currency_transactions t
+    JOIN user_funds f ON f.economy = t.economy
+      AND f.uuid = CASE WHEN t.action = 'pay' THEN t.to_uuid ELSE t.uuid END
+    LEFT JOIN shared_accounts s ON s.economy = f.economy AND s.uuid = f.uuid
+    WHERE t.economy = ? AND t.created_at >= ?
+      AND t.action IN ('pay', 'daily', 'mob_reward')
+      AND s.uuid IS NULL AND NOT f.leaderboard_excluded
+    GROUP BY f.uuid, f.name
+    ORDER BY value DESC, f.name`,
+  daily_streak: `
+    SELECT f.uuid, f.name, d.streak AS value, 'player' AS type
+    FROM daily_rewards d
+    JOIN user_funds f ON f.economy = d.economy AND f.uuid = d.uuid
+    WHERE d.economy = ? AND d.last_claim_at >= ? AND d.streak > 0
+      AND NOT f.leaderboard_excluded
+    ORDER BY d.streak DESC, f.name`,
+};
+
+/**
+ * Builds the player-facing operations for one economy.
+ *
+ * @param {import('better-sqlite3').Database} db - SQLite database instance.
+ * @param {<T>(task: () => T) => Promise<T>} serialize - The store's operation queue.
+ * @param {string} economy - Economy every operation is scoped to.
+ * @returns {import('../index.js').EconomyStore}
+ */
+function createEconomyStore(db, serialize, economy) {
+  const tx = createTransaction(db, economy);
+
+  return {
+    economy,
+
+    transaction(fn) {
+      return serialize(() => inTransaction(db, () => fn(tx)));
+    },
+
+    upsertPlayer(uuid, name) {
+      return serialize(() => {
+        db.prepare(
+          `INSERT INTO user_funds (economy, uuid, name, balance)
+           VALUES (?, ?, ?, 0)
+           ON CONFLICT(economy, uuid) DO UPDATE SET name = excluded.name`
+        ).run(economy, uuid, name);
+      });
+    },
+
+    getTokenVersion(uuid) {
+      return serialize(() => {
+        const row = db
+          .prepare(
+            "SELECT token_version FROM user_funds WHERE economy = ? AND uuid = ?"
+          )
+          .get(economy, uuid);
+        return row?.token_version ?? null;
+      });
+    },
+
+    getBalance(uuid) {
+      return serialize(() => {
+        const row = db
+          .prepare(
+            "SELECT balance FROM user_funds WHERE economy = ? AND uuid = ? LIMIT 1"
+          )
+          .get(economy, uuid);
+        return row?.balance ?? null;
+      });
+    },
+
+    getHistory(uuid, filters) {
+      const params = [economy, uuid, uuid, uuid];
+      const conditions = [
+        "t.economy = ?",
+        "(t.uuid = ? OR t.from_uuid = ? OR t.to_uuid = ?)",
+      ];
+
+      if (filters.cursor) {
+        conditions.push("t.id < ?");
+        params.push(Number(filters.cursor));
+      }
+      if (filters.actions) {
+        conditions.push(
+          `t.action IN (${filters.actions.map(() => "?").join(", ")})`
+        );
+        params.push(...filters.actions);
+      }
+      if (filters.counterparty) {
+        conditions.push("(t.from_uuid = ? OR t.to_uuid = ?)");
+        params.push(filters.counterparty, filters.counterparty);
+      }
+      if (filters.from) {
+        conditions.push("t.created_at >= ?");
+        params.push(toSqlDate(filters.from));
+      }
+      if (filters.to) {
+        conditions.push("t.created_at < ?");
+        params.push(toSqlDate(filters.to));
+      }
+
+      params.push(filters.limit);
+
+      return serialize(() =>
+        db
+          .prepare(
+            `SELECT t.*, f.name AS from_name, r.name AS to_name, m.name AS member_name
+             FROM currency_transactions t
+             LEFT JOIN user_funds f ON f.economy = t.economy AND f.uuid = t.from_uuid
+             LEFT JOIN user_funds r ON r.economy = t.economy AND r.uuid = t.to_uuid
+             LEFT JOIN user_funds m ON m.economy = t.economy AND m.uuid = t.member_uuid
+             WHERE ${conditions.join(" AND ")}
+             ORDER BY t.id DESC
+             LIMIT ?`
+          )
+          .all(...params)
+          .map((row) => ({ ...row, id: String(row.id) }))
+      );
+    },
+
+    getLeaderboard(board, since = null) {
+      return serialize(() =>
+        db
+          .prepare(LEADERBOARD_QUERIES[board])
+          .all(...(since === null ? [economy] : [economy, toSqlDate(since)]))
+      );
+    },
+
+    listLeaderboardExclusions() {
+      return serialize(() =>
+        db
+          .prepare(
+            `SELECT uuid, name FROM user_funds
+             WHERE economy = ? AND leaderboard_excluded ORDER BY name`
+          )
+          .all(economy)
+      );
+    },
+
+    markMobLimit(uuid, day) {
+      return serialize(() => {
+        db.prepare(
+          `INSERT INTO mob_limit_reached (economy, uuid, date_reached)
+           VALUES (?, ?, ?)
+           ON CONFLICT(economy, uuid) DO UPDATE SET date_reached = excluded.date_reached`
+        ).run(economy, uuid, day);
+      });
+    },
+
+    hasReachedMobLimit(uuid, day) {
+      return serialize(() => selectMobLimit(db, economy, uuid, day));
+    },
+
+    getMobEarnings(uuid, day) {
+      return serialize(() => selectMobEarnings(db, economy, uuid, day));
+    },
+
+    getDailyClaim(uuid) {
+      return serialize(() => selectDailyClaim(db, economy, uuid));
+    },
+
+    flagBill(serial, uuid, reason) {
+      return serialize(() => {
+        db.prepare(
+          "INSERT INTO bill_flags (economy, serial, uuid, reason) VALUES (?, ?, ?, ?)"
+        ).run(economy, serial, uuid, reason);
+      });
+    },
+
+    listNotifications(uuid, filters) {
+      return serialize(() =>
+        db
+          .prepare(
+            `SELECT id, type, data, created_at, read_at FROM notifications
+             WHERE economy = ? AND uuid = ? ${filters.unread ? "AND read_at IS NULL" : ""}
+             ORDER BY id DESC
+             LIMIT ?`
+          )
+          .all(economy, uuid, filters.limit)
+          .map((row) => ({
+            id: String(row.id),
+            type: row.type,
+            data: JSON.parse(row.data),
+            created_at: fromSqlDate(row.created_at),
+            read_at: row.read_at && fromSqlDate(row.read_at),
+          }))
+      );
+    },
+
+    countUnreadNotifications(uuid) {
+      return serialize(
+        () =>
+          db
+            .prepare(
+              `SELECT COUNT(*) AS count FROM notifications
+               WHERE economy = ? AND uuid = ? AND read_at IS NULL`
+            )
+            .get(economy, uuid).count
+      );
+    },
+
+    markNotificationsRead(uuid, ids = null) {
+      const params = [economy, uuid, ...(ids ?? []).map(Number)];
+      const idFilter = ids
+        ? `AND id IN (${ids.map(() => "?").join(", ")})`
+        : "";
+
+      return serialize(
+        () =>
+          db
+            .prepare(
+              `UPDATE notifications SET read_at = datetime('now')
+               WHERE economy = ? AND uuid = ? AND read_at IS NULL ${idFilter}`
+            )
+            .run(...params).changes
+      );
+    },
+
+    listPaymentRequests(uuid, filters) {
+      const params = [economy, uuid];
+      const conditions = [
+        "p.economy = ?",
+        filters.direction === "incoming"
+          ? "p.payer_uuid = ?"
+          : "p.requester_uuid = ?",
+      ];
+
+      if (filters.cursor) {
+        conditions.push("p.id < ?");
+        params.push(Number(filters.cursor));
+      }
+      if (filters.status === "pending") {
+        conditions.push(
+          "p.status = 'pending' AND p.expires_at > datetime('now')"
+        );
+      } else if (filters.status === "expired") {
+        conditions.push(
+          "p.status = 'pending' AND p.expires_at <= datetime('now')"
+        );
+      } else if (filters.status) {
+        conditions.push("p.status = ?");
+        params.push(filters.status);
+      }
+
+      params.push(filters.limit);
+
+      return serialize(() =>
+        db
+          .prepare(
+            `SELECT p.*, r.name AS requester_name, f.name AS payer_name
+             FROM payment_requests p
+             JOIN user_funds r ON r.economy = p.economy AND r.uuid = p.requester_uuid
+             JOIN user_funds f ON f.economy = p.economy AND f.uuid = p.payer_uuid
+             WHERE ${conditions.join(" AND ")}
+             ORDER BY p.id DESC
+             LIMIT ?`
+          )
+          .all(...params)
+          .map(toPaymentRequest)
+      );
+    },
+
+    getLastWealthTaxRun() {
+      return serialize(() => {
+        const row = db
+          .prepare(
+            `SELECT id, period_start, accounts, collected, ran_at FROM wealth_tax_runs
+             WHERE economy = ?
+             ORDER BY period_start DESC LIMIT 1`
+          )
+          .get(economy);
+
+        return row
+          ? {
+              ...row,
+              id: String(row.id),
+              period_start: fromSqlDate(row.period_start),
+              ran_at: fromSqlDate(row.ran_at),
+            }
+          : null;
+      });
+    },
+
+    getMoneySupply(since) {
+      return serialize(() =>
+        db
+          .prepare(
+            `SELECT
+               (SELECT COALESCE(SUM(balance), 0) FROM user_funds WHERE economy = ?) AS supply,
+               (SELECT COALESCE(-SUM(l.amount), 0)
+                FROM currency_transactions t
+                JOIN ledger_entries l ON l.transaction_id = t.id
+                WHERE t.economy = ? AND t.created_at >= ?
+                  AND t.action <> 'opening_balance' AND l.account IN (?, ?)) AS change`
+          )
+          .get(economy, economy, toSqlDate(since), MINT_ACCOUNT, BURN_ACCOUNT)
+      );
+    },
+
+    summarizeTransactions(from, to) {
+      return serialize(() => {
+        const params = [economy, toSqlDate(from), toSqlDate(to)];
+
+        const volume = db
+          .prepare(
+            `SELECT action, COUNT(*) AS count, SUM(amount) AS amount
+             FROM currency_transactions
+             WHERE economy = ? AND created_at >= ? AND created_at < ?
+             GROUP BY action ORDER BY action`
+          )
+          .all(...params);
+
+        const totals = new Map(
+          db
+            .prepare(
+              `SELECT l.account, SUM(l.amount) AS total
+               FROM currency_transactions t
+               JOIN ledger_entries l ON l.transaction_id = t.id
+               WHERE t.economy = ? AND t.created_at >= ? AND t.created_at < ?
+                 AND t.action <> 'opening_balance' AND l.account IN (?, ?)
+               GROUP BY l.account`
+            )
+            .all(...params, MINT_ACCOUNT, BURN_ACCOUNT)
+            .map((row) => [row.account, row.total])
+        );
+
+        const active = db
+          .prepare(
+            `SELECT COUNT(DISTINCT COALESCE(member_uuid, uuid)) AS count
+             FROM currency_transactions
+             WHERE economy = ? AND created_at >= ? AND created_at < ?
+               AND action IN ('pay', 'deposit', 'withdraw', 'daily', 'mob_reward')`
+          )
+          .get(...params);
+
+        const earnings = db
+          .prepare(
+            `SELECT e.uuid, SUM(e.amount) AS amount
+             FROM (
+               SELECT economy, CASE WHEN action = 'pay' THEN to_uuid ELSE uuid END AS uuid, amount
+               FROM currency_transactions
+               WHERE economy = ? AND created_at >= ? AND created_at < ?
+                 AND action IN ('pay', 'daily', 'mob_reward')
+             ) e
+             LEFT JOIN shared_accounts s ON s.economy = e.economy AND s.uuid = e.uuid
+             WHERE s.uuid IS NULL
+             GROUP BY e.uuid`
+          )
+          .all(...params);
+
+        return {
+          minted: -(totals.get(MINT_ACCOUNT) ?? 0),
+          burned: totals.get(BURN_ACCOUNT) ?? 0,
+          active_players: active.count,
+          volume: Object.fromEntries(
+            volume.map(({ action, count, amount }) => [
+              action,
+              { count, amount },
+            ])
+          ),
+          earnings,
+        };
+      });
+    },
+
+    listPlayerBalances() {
+      return serialize(() =>
+        db
+          .prepare(
+            `SELECT f.balance FROM user_funds f
+             LEFT JOIN shared_accounts s ON s.economy = f.economy AND s.uuid = f.uuid
+             WHERE f.economy = ? AND s.uuid IS NULL AND NOT f.leaderboard_excluded
+             ORDER BY f.balance`
+          )
+          .all(economy)
+          .map((row) => row.balance)
+      );
+    },
+
+    getLastStatsDay() {
+      return serialize(() => {
+        const row = db
+          .prepare(
+            `SELECT day FROM economy_stats
+             WHERE economy = ? ORDER BY day DESC LIMIT 1`
+          )
+          .get(economy);
+        return row?.day ?? null;
+      });
+    },
+
+    listStatsDays(from, to) {
+      return serialize(() => {
+        const days = db
+          .prepare(
+            `SELECT day, supply, minted, burned, active_players, players, gini, percentiles
+             FROM economy_stats
+             WHERE economy = ? AND day BETWEEN ? AND ?
+             ORDER BY day`
+          )
+          .all(economy, from, to);
+        const volume = db
+          .prepare(
+            `SELECT day, action, count, amount FROM economy_stats_volume
+             WHERE economy = ? AND day BETWEEN ? AND ?
+             ORDER BY action`
+          )
+          .all(economy, from, to);
+
+        return days.map((row) => ({
+          ...row,
+          percentiles: row.percentiles && JSON.parse(row.percentiles),
+          volume: Object.fromEntries(
+            volume
+              .filter((entry) => entry.day === row.day)
+              .map(({ action, count, amount }) => [action, { count, amount }])
+          ),
+        }));
+      });
+    },
+
+    listTopEarners(from, to, limit) {
+      return serialize(() =>
+        db
+          .prepare(
+            `SELECT e.uuid, f.name, SUM(e.earned) AS earned
+             FROM economy_stats_earnings e
+             JOIN user_funds f ON f.economy = e.economy AND f.uuid = e.uuid
+             WHERE e.economy = ? AND e.day BETWEEN ? AND ? AND NOT f.leaderboard_excluded
+             GROUP BY e.uuid, f.name
+             ORDER BY earned DESC, f.name
+             LIMIT ?`
+          )
+          .all(economy, from, to, limit)
+      );
+    },
+
+    listScheduledPayments(uuid, filters) {
+      const params = [economy];
+      const conditions = ["s.economy = ?"];
+
+      if (uuid) {
+        if (filters.direction) {
+          conditions.push(
+            filters.direction === "incoming"
+              ? "s.payee_uuid = ?"
+              : "s.payer_uuid = ?"
+          );
+          params.push(uuid);
+        } else {
+          conditions.push("(s.payer_uuid = ? OR s.payee_uuid = ?)");
+          params.push(uuid, uuid);
+        }
+      }
+      if (filters.cursor) {
+        conditions.push("s.id < ?");
+        params.push(Number(filters.cursor));
+      }
+      if (filters.status) {
+        conditions.push("s.status = ?");
+        params.push(filters.status);
+      }
+
+      params.push(filters.limit);
+
+      return serialize(() =>
+        db
+          .prepare(
+            `${SELECT_SCHEDULED_PAYMENT}
+             WHERE ${conditions.join(" AND ")}
+             ORDER BY s.id DESC
+             LIMIT ?`
+          )
+          .all(...params)
+          .map(toScheduledPayment)
+      );
+    },
+
+    getSharedAccount(uuid) {
+      return serialize(() => selectSharedAccount(db, economy, uuid));
+    },
+
+    listSharedAccounts(uuid) {
+      return serialize(() =>
+        db
+          .prepare(
+            `SELECT s.*, f.name, f.balance, f.frozen, m.role
+             FROM shared_account_members m
+             JOIN shared_accounts s ON s.economy = m.economy AND s.uuid = m.account_uuid
+             JOIN user_funds f ON f.economy = s.economy AND f.uuid = s.uuid
+             WHERE m.economy = ? AND m.uuid = ?
+             ORDER BY f.name`
+          )
+          .all(economy, uuid)
+          .map((row) => ({ ...toSharedAccount(row), role: row.role }))
+      );
+    },
+  };
+}
+
+/**
+ * Builds the currency store on top of an open SQLite database.
+ *
+ * better-sqlite3 transactions cannot span an `await`, so store operations run one
+ * at a time behind an in-process queue and transactions use BEGIN IMMEDIATE/COMMIT.
+ *
+ * @param {import('better-sqlite3').Database} db - SQLite database instance.
+ * @returns {import('../index.js').Store}
+ */
+export function createSqliteStore(db) {
+  let queue = Promise.resolve();
+
+  // Runs `task` once every previously queued operation has settled
+  const serialize = (task) => {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    client: "sqlite",
+    idPattern: /^\d+$/,
+
+    forEconomy(economy) {
+      return createEconomyStore(db, serialize, economy);
+    },
+
+    reconcileLedger() {
+      return serialize(() => {
+        const drift = db
+          .prepare(
+            `SELECT f.economy, f.uuid, f.name, f.balance, COALESCE(l.total, 0) AS ledger_balance
+             FROM user_funds f
+             LEFT JOIN (
+               SELECT economy, account, SUM(amount) AS total
+               FROM ledger_entries
+               GROUP BY economy, account
+             ) l ON l.economy = f.economy AND l.account = f.uuid
+             WHERE f.balance <> COALESCE(l.total, 0)
+             ORDER BY f.economy, f.name`
+          )
+          .all();
+
+        const unbalanced = db
+          .prepare(
+            `SELECT transaction_id, SUM(amount) AS total
+             FROM ledger_entries
+             GROUP BY transaction_id
+             HAVING SUM(amount) <> 0
+             ORDER BY transaction_id`
+          )
+          .all();
+
+        const system = new Map(
+          db
+            .prepare(
+              `SELECT account, SUM(amount) AS total
+               FROM ledger_entries
+               WHERE account IN (?, ?)
+               GROUP BY account`
+            )
+            .all(MINT_ACCOUNT, BURN_ACCOUNT)
+            .map((row) => [row.account, row.total])
+        );
+
+        const players = db
+          .prepare(
+            `SELECT COUNT(*) AS count, COALESCE(SUM(balance), 0) AS total FROM user_funds`
+          )
+          .get();
+
+        return {
+          players: players.count,
+          drift,
+          unbalanced: unbalanced.map((row) => ({
+            transaction_id: String(row.transaction_id),
+            total: row.total,
+          })),
+          supply: {
+            minted: -(system.get(MINT_ACCOUNT) ?? 0),
+            burned: system.get(BURN_ACCOUNT) ?? 0,
+            circulating: players.total,
+          },
+        };
+      });
+    },
+
+    seedOpeningBalances() {
+      return serialize(() =>
+        inTransaction(db, async () => {
+          const players = db
+            .prepare(
+              `SELECT economy, uuid, balance FROM user_funds f
+               WHERE balance <> 0
+                 AND NOT EXISTS (
+                   SELECT 1 FROM ledger_entries l
+                   WHERE l.economy = f.economy AND l.account = f.uuid
+                 )`
+            )
+            .all();
+
+          for (const { economy, uuid, balance } of players) {
+            await createTransaction(db, economy).logTransaction({
+              uuid,
+              action: "opening_balance",
+              amount: balance,
+              balance_after: balance,
+            });
+          }
+
+          return players.length;
+        })
+      );
+    },
+
+    getAppliedMigrations() {
+      return serialize(() => {
+        db.exec(
+          `CREATE TABLE IF NOT EXISTS schema_migrations (
+             version INTEGER PRIMARY KEY,
+             name TEXT NOT NULL,
+             applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+           )`
+        );
+
+        return db
+          .prepare(
+            "SELECT version, name, applied_at FROM schema_migrations ORDER BY version"
+          )
+          .all();
+      });
+    },
+
+    applyMigration(migration, direction) {
+      const apply = db.transaction(() => {
+        migration[direction](db);
+
+        if (direction === "up") {
+          db.prepare(
+            "INSERT INTO schema_migrations (version, name) VALUES (?, ?)"
+          ).run(migration.version, migration.name);
+        } else {
+          db.prepare("DELETE FROM schema_migrations WHERE version = ?").run(
+            migration.version
+          );
+        }
+      });
+
+      return serialize(() => apply());
+    },
+
+    ping() {
+      return serialize(() => {
+        db.prepare("SELECT 1").get();
+      });
+    },
+
+    // A single connection, not a pool
+    getPoolStats() {
+      return null;
+    },
+
+    close() {
+      return serialize(() => db.close());
+    },
+  };
+}
+
+/**
+ * Opens the SQLite database file from environment variables.
+ *
+ * Environment Variables Used:
+ * @env {string} DATABASE_FILE - Path to the SQLite file (default: ./db.sqlite)
+ *
+ * Notes:
+ * - The file and its directory are created automatically if they do not exist
+ * - Foreign key enforcement is switched on for the connection
+ * - SQLite does not support connection pooling
+ *
+ * @returns {Promise<import('../index.js').Store>}
+ */
+export async function createStore() {
+  const dbFilePath = process.env.DATABASE_FILE || "./db.sqlite";
+
+  // Ensure directory exists
+  const dbDir = path.dirname(dbFilePath);
+  if (!fs.existsSync(dbDir)) {
+    fs.mkdirSync(dbDir, { recursive: true });
+  }
+
+  const db = new sqlite3(dbFilePath);
+  db.pragma("foreign_keys = ON");
+  logger.info(`Connected to SQLite database at ${dbFilePath}`);
+
+  return createSqliteStore(db);
+}
@@ -1,42 +1,289 @@
-import pg from "pg";
 import dotenv from "dotenv";
-import logger from "../logger.js";
 
 /**
- * PostgreSQL database pool instance using environment variables.
+ * Currency store backed by the database selected with `DB_CLIENT`.
  *
  * Environment Variables Used:
- * @env {string} DB_USER - The PostgreSQL username
- * @env {string} DB_HOST - The PostgreSQL host (e.g. localhost or remote)
- * @env {string} DB_DATABASE - The name of the database
- * @env {string} DB_PASSWORD - The database user's password
- * @env {string|number} DB_PORT - The port PostgreSQL is running on
+ * @env {string} DB_CLIENT - Database backend: "postgres", "sqlite" or "mongo"
  *
- * Connection Options:
- * - idleTimeoutMillis: 30000 (30 seconds)
- * - connectionTimeoutMillis: 10000 (10 seconds)
+ * Each backend reads its own connection settings (see `db/adapters/`).
+ * Routes only talk to the store, so switching databases is a config change.
+ */
+
+/**
+ * Operations available inside `store.transaction`. All of them resolve to the
+ * values described; balance changes made through them commit or roll back together.
+ *
+ * @typedef {Object} StoreTransaction
+ * @property {(uuid: string) => Promise<{uuid: string, name: string, balance: number, frozen: boolean, token_version: number}|null>} getAccount
+ *   Reads a player, locking the row where the backend supports it.
+ * @property {(uuid: string, delta: number) => Promise<number|null>} adjustBalance
+ *   Adds `delta` to the balance; resolves to the new balance, or null if the player does not exist.
+ * @property {(uuid: string, balance: number) => Promise<void>} setBalance
+ * @property {(uuid: string, frozen: boolean) => Promise<Object|null>} setFrozen
+ *   Resolves to the updated account, or null if the player does not exist.
+ * @property {(uuid: string, excluded: boolean) => Promise<Object|null>} setLeaderboardExcluded
+ *   Hides the player from, or shows them on, every leaderboard; resolves to null if the player does not exist.
+ * @property {(uuid: string) => Promise<number|null>} bumpTokenVersion
+ *   Invalidates the player's tokens; resolves to the new version, or null if the player does not exist.
+ * @property {(data: Object) => Promise<string>} logTransaction
+ *   Inserts a `currency_transactions` row and its ledger entries; resolves to the new ID.
+ * @property {(id: string) => Promise<Object|null>} getTransaction
+ * @property {(id: string) => Promise<string|null>} findReversal
+ *   Resolves to the ID of the transaction that reverses `id`, if any.
+ * @property {(row: {uuid: string, key: string, endpoint: string, request_hash: string}) => Promise<{request_hash: string, status_code: number, response: Object}|null>} claimIdempotencyKey
+ *   Resolves to the stored row if the key was already used.
+ * @property {(row: Object) => Promise<void>} saveIdempotencyKey
+ * @property {(serial: string, uuid: string) => Promise<number|null>} redeemBill
+ *   Marks an issued bill redeemed; resolves to its denomination, or null if it could not be redeemed.
+ * @property {(serial: string) => Promise<"issued"|"redeemed"|"voided"|null>} getBillStatus
+ *   Resolves to null for serials that were never issued.
+ * @property {(bill: {serial: string, denomination: number, signature: string, issued_to: string, withdrawal_id: string}) => Promise<void>} issueBill
+ * @property {(withdrawalId: string) => Promise<{bills: number, redeemed: number}>} voidWithdrawalBills
+ *   Locks the bills a withdrawal issued and voids them, unless any was already redeemed.
+ * @property {(uuid: string) => Promise<{last_claim_at: Date, streak: number}|null>} getDailyClaim
+ *   Resolves to null if the player never claimed the daily reward.
+ * @property {(uuid: string, claim: {last_claim_at: Date, streak: number}) => Promise<void>} setDailyClaim
+ * @property {(token: {token_hash: string, uuid: string, server: string, family_id: string, token_version: number, expires_at: Date}) => Promise<void>} saveRefreshToken
+ * @property {(tokenHash: string) => Promise<{token_hash: string, uuid: string, server: string, family_id: string, token_version: number, expires_at: Date, used_at: Date|null, revoked_at: Date|null}|null>} getRefreshToken
+ * @property {(tokenHash: string) => Promise<void>} markRefreshTokenUsed
+ * @property {(familyId: string) => Promise<void>} revokeRefreshTokenFamily
+ * @property {(uuid: string) => Promise<void>} revokePlayerRefreshTokens
+ * @property {(uuid: string) => Promise<void>} deleteExpiredRefreshTokens
+ * @property {(notification: {uuid: string, type: string, data: Object, ref?: string|null}) => Promise<void>} addNotification
+ *   Adds to the player's inbox; skipped if they already have a notification of this type with the same `ref`.
+ * @property {(uuid: string, before: Date) => Promise<void>} deleteOldNotifications
+ * @property {(request: {requester_uuid: string, payer_uuid: string, amount: number, memo: string|null, expires_at: Date}) => Promise<PaymentRequest>} createPaymentRequest
+ * @property {(id: string) => Promise<PaymentRequest|null>} getPaymentRequest
+ *   Reads a request with `requester_name`/`payer_name`, locking it where the backend supports it.
+ * @property {(id: string, status: string, transactionId?: string|null) => Promise<PaymentRequest|null>} resolvePaymentRequest
+ *   Moves a pending request to `status`; resolves to null if it was no longer pending.
+ * @property {(requesterUuid: string) => Promise<number>} countPendingPaymentRequests
+ *   Requests the player sent that are pending and not yet expired.
+ * @property {(payment: {payer_uuid: string, payee_uuid: string, amount: number, memo: string|null, interval_seconds: number|null, starts_at: Date, created_by: string|null}) => Promise<ScheduledPayment>} createScheduledPayment
+ *   Creates an active payment whose first run is at `starts_at`.
+ * @property {(id: string) => Promise<ScheduledPayment|null>} getScheduledPayment
+ *   Reads a payment with `payer_name`/`payee_name`, locking it where the backend supports it.
+ * @property {(now: Date) => Promise<ScheduledPayment|null>} claimDueScheduledPayment
+ *   Locks the active payment that has been due the longest at `now`, with `payer_name`/`payee_name`;
+ *   payments another transaction holds are skipped.
+ * @property {(id: string, changes: Object) => Promise<void>} updateScheduledPayment
+ *   Sets any of `status`, `next_run_at`, `failures`, `last_error`, `last_run_at` and `last_transaction_id`.
+ * @property {(payerUuid: string) => Promise<number>} countActiveScheduledPayments
+ * @property {(uuid: string, name: string) => Promise<void>} ensureServerAccount
+ *   Creates a server-owned account such as the treasury, hidden from the leaderboards, unless it exists.
+ * @property {(periodStart: Date) => Promise<string|null>} startWealthTaxRun
+ *   Records the wealth tax run for the period starting at `periodStart`; resolves to null if it already ran.
+ * @property {(id: string, totals: {accounts: number, collected: number}) => Promise<void>} finishWealthTaxRun
+ * @property {(above: number) => Promise<{uuid: string, balance: number}[]>} listTaxableAccounts
+ *   Accounts with a balance above `above`, locked where the backend supports it.
+ * @property {(stats: StatsDay & {earnings: {uuid: string, amount: number}[]}) => Promise<boolean>} saveStatsDay
+ *   Stores a day of stats with what each player earned; resolves to false if the day was already stored.
+ * @property {(account: {uuid: string, name: string, created_by: string}) => Promise<SharedAccount>} createSharedAccount
+ *   Creates the account's `user_funds` row and makes `created_by` its owner.
+ * @property {(uuid: string) => Promise<SharedAccount|null>} getSharedAccount
+ *   Reads a shared account with its members, locking its balance where the backend supports it.
+ * @property {(accountUuid: string, uuid: string, role: string) => Promise<void>} setSharedAccountMember
+ *   Adds a member or changes their role.
+ * @property {(accountUuid: string, uuid: string) => Promise<boolean>} removeSharedAccountMember
+ * @property {(accountUuid: string, limits: {treasurer: number|null, member: number|null}) => Promise<void>} setSharedAccountLimits
+ * @property {(accountUuid: string, memberUuid: string, since: Date) => Promise<number>} getSharedAccountSpending
+ *   Total the member paid out of the account since `since`.
+ * @property {(uuid: string, day: string) => Promise<{mob: string, earned: number, kills: number}[]>} getMobEarnings
+ *   What the player earned per mob type on the economy day `day` (an ISO date).
+ * @property {(uuid: string, day: string, mob: string, amount: number) => Promise<void>} addMobEarnings
+ *   Adds one kill worth `amount` to the player's earnings for `mob` on `day`.
+ * @property {(uuid: string, day: string) => Promise<boolean>} hasReachedMobLimit
+ *   Whether the player gave up the rest of their mob drop allowance on `day`.
+ */
+
+/**
+ * A `payment_requests` row. `status` stays "pending" after `expires_at`;
+ * see `formatPaymentRequest` for the status shown to players.
+ *
+ * @typedef {Object} PaymentRequest
+ * @property {string} id
+ * @property {string} requester_uuid - Player who receives the money.
+ * @property {string} payer_uuid - Player asked to pay.
+ * @property {number} amount
+ * @property {string|null} memo
+ * @property {"pending"|"accepted"|"declined"|"cancelled"} status
+ * @property {Date} expires_at
+ * @property {Date} created_at
+ * @property {Date|null} resolved_at
+ * @property {string|null} transaction_id - The "pay" transaction, once accepted.
+ */
+
+/**
+ * A `scheduled_payments` row. Recurring payments run at `starts_at` and every
+ * `interval_seconds` after it; see `runDuePayments` for retries.
  *
- * @type {import('pg').Pool}
+ * @typedef {Object} ScheduledPayment
+ * @property {string} id
+ * @property {string} payer_uuid - Player or shared account that pays.
+ * @property {string} payee_uuid - Player or shared account that is paid.
+ * @property {number} amount
+ * @property {string|null} memo
+ * @property {number|null} interval_seconds - Null for a one-off payment.
+ * @property {Date} starts_at
+ * @property {Date} next_run_at
+ * @property {"active"|"completed"|"cancelled"|"failed"} status
+ * @property {number} failures - Failed runs in a row.
+ * @property {string|null} last_error
+ * @property {Date|null} last_run_at
+ * @property {string|null} last_transaction_id - The "pay" transaction of the last successful run.
+ * @property {string|null} created_by - Admin who scheduled the payment; null if the payer did.
+ * @property {Date} created_at
+ */
+
+/**
+ * A `notifications` row; what `data` holds depends on `type` (see `formatNotification`).
+ *
+ * @typedef {Object} Notification
+ * @property {string} id
+ * @property {string} type
+ * @property {Object} data
+ * @property {Date} created_at
+ * @property {Date|null} read_at
+ */
+
+/**
+ * A shared account (town, team or company bank). Its balance is the `user_funds`
+ * row with the account's UUID, so it can receive `/currency/pay` like a player.
+ *
+ * @typedef {Object} SharedAccount
+ * @property {string} uuid
+ * @property {string} name
+ * @property {number} balance
+ * @property {boolean} frozen
+ * @property {string} created_by
+ * @property {Date} created_at
+ * @property {{treasurer: number|null, member: number|null}} limits - Daily spending limit per role; null is unlimited.
+ * @property {{uuid: string, name: string, role: "owner"|"treasurer"|"member", added_at: Date}[]} members
+ */
+
+/**
+ * One account's place on a leaderboard, as read by `getLeaderboard`.
+ *
+ * @typedef {Object} LeaderboardRow
+ * @property {string} uuid
+ * @property {string} name
+ * @property {"player"|"shared"} type
+ * @property {number} value - Balance, amount earned or streak length, depending on the board.
+ */
+
+/**
+ * One day of an economy's stats, rolled up by the payment scheduler once the
+ * day is over. `players`, `gini` and `percentiles` describe the balances when
+ * the day was rolled up, and are null for days rolled up in a later batch.
+ *
+ * @typedef {Object} StatsDay
+ * @property {string} day - ISO date in the economy timezone.
+ * @property {number} supply - Money in every account at the end of the day.
+ * @property {number} minted
+ * @property {number} burned
+ * @property {number} active_players - Players who paid, deposited, withdrew or earned rewards.
+ * @property {Object<string, {count: number, amount: number}>} volume - Transactions by action.
+ * @property {number|null} players
+ * @property {number|null} gini
+ * @property {Object<string, number>|null} percentiles - Balance by percentile, e.g. `p50`.
+ */
+
+/**
+ * Player-facing operations, scoped to one economy (see `config/gameServers.js`).
+ *
+ * @typedef {Object} EconomyStore
+ * @property {string} economy - Economy every operation is scoped to.
+ * @property {<T>(fn: (tx: StoreTransaction) => Promise<T>) => Promise<T>} transaction
+ *   Runs `fn` in a transaction; commits when it resolves and rolls back when it throws.
+ * @property {(uuid: string, name: string) => Promise<void>} upsertPlayer
+ * @property {(uuid: string) => Promise<number|null>} getTokenVersion
+ *   Resolves to null if the player does not exist.
+ * @property {(uuid: string) => Promise<number|null>} getBalance
+ * @property {(uuid: string, filters: Object) => Promise<Object[]>} getHistory
+ *   Transactions matching `parseHistoryQuery` filters, newest first, with `from_name`/`to_name`/`member_name`.
+ * @property {(board: string, since?: Date|null) => Promise<LeaderboardRow[]>} getLeaderboard
+ *   Every account on `board` (see `LEADERBOARDS`), best first, leaving out accounts an admin
+ *   excluded. `since` starts the "earned_week" window and drops "daily_streak" streaks not claimed since.
+ * @property {() => Promise<{uuid: string, name: string}[]>} listLeaderboardExclusions
+ * @property {(uuid: string) => Promise<{last_claim_at: Date, streak: number}|null>} getDailyClaim
+ * @property {(uuid: string, day: string) => Promise<void>} markMobLimit
+ *   Gives up the rest of the player's mob drop allowance on the economy day `day` (an ISO date).
+ * @property {(uuid: string, day: string) => Promise<boolean>} hasReachedMobLimit
+ *   Whether the player marked their mob drop limit on `day` with `markMobLimit`.
+ * @property {(uuid: string, day: string) => Promise<{mob: string, earned: number, kills: number}[]>} getMobEarnings
+ * @property {(serial: string, uuid: string, reason: string) => Promise<void>} flagBill
+ * @property {(uuid: string, filters: Object) => Promise<PaymentRequest[]>} listPaymentRequests
+ *   Requests matching `parsePaymentRequestQuery` filters, newest first, with `requester_name`/`payer_name`.
+ * @property {(uuid: string|null, filters: Object) => Promise<ScheduledPayment[]>} listScheduledPayments
+ *   Payments matching `parseScheduledPaymentQuery` filters, newest first, with `payer_name`/`payee_name`.
+ *   `uuid` limits them to one account (on the side given by `filters.direction`, or either side).
+ * @property {(uuid: string, filters: {unread: boolean, limit: number}) => Promise<Notification[]>} listNotifications
+ *   The player's notifications, newest first.
+ * @property {(uuid: string) => Promise<number>} countUnreadNotifications
+ * @property {(uuid: string, ids?: string[]|null) => Promise<number>} markNotificationsRead
+ *   Marks the given notifications, or all of them without `ids`, as read; resolves to how many were unread.
+ * @property {() => Promise<{id: string, period_start: Date, accounts: number, collected: number, ran_at: Date}|null>} getLastWealthTaxRun
+ *   The most recent `wealth_tax_runs` row of the economy.
+ * @property {(since: Date) => Promise<{supply: number, change: number}>} getMoneySupply
+ *   Money in every account, and how much of it was minted less burned since `since`.
+ * @property {(from: Date, to: Date) => Promise<Object>} summarizeTransactions
+ *   `minted`, `burned`, `active_players`, `volume` (see `StatsDay`) and per-player `earnings`
+ *   of the transactions in `[from, to)`. Opening balances do not count as minted.
+ * @property {() => Promise<number[]>} listPlayerBalances
+ *   Balances of player accounts, lowest first, leaving out shared accounts and excluded accounts.
+ * @property {() => Promise<string|null>} getLastStatsDay
+ * @property {(from: string, to: string) => Promise<StatsDay[]>} listStatsDays
+ *   Stored days from `from` to `to` (inclusive ISO dates), oldest first.
+ * @property {(from: string, to: string, limit: number) => Promise<{uuid: string, name: string, earned: number}[]>} listTopEarners
+ *   Players who earned the most over the stored days, leaving out excluded accounts.
+ * @property {(uuid: string) => Promise<SharedAccount|null>} getSharedAccount
+ * @property {(uuid: string) => Promise<(SharedAccount & {role: string})[]>} listSharedAccounts
+ *   Shared accounts the player is a member of, with the player's role and without `members`.
+ */
+
+/**
+ * @typedef {Object} Store
+ * @property {"postgres"|"sqlite"|"mongo"} client - Backend name.
+ * @property {RegExp} idPattern - Shape of a transaction ID on this backend.
+ * @property {(economy: string) => EconomyStore} forEconomy
+ * @property {() => Promise<Object>} reconcileLedger - See `npm run reconcile`; covers every economy.
+ * @property {() => Promise<number>} seedOpeningBalances
+ * @property {() => Promise<{version: number, name: string, applied_at: Date|string}[]>} getAppliedMigrations
+ *   Rows of `schema_migrations`, created on first use.
+ * @property {(migration: {version: number, name: string, up: Function, down: Function}, direction: "up"|"down") => Promise<void>} applyMigration
+ *   Runs one migration step and records it; see `db/migrate.js`.
+ * @property {() => Promise<void>} ping - Round trip to the database; rejects if it cannot be reached.
+ * @property {() => {total: number, idle: number, waiting: number}|null} getPoolStats
+ *   Connections the pool holds and clients waiting for one; null for backends without a pool.
+ * @property {() => Promise<void>} close
  */
 
 dotenv.config();
 
-const db = new pg.Pool({
-  user: process.env.DB_USER,
-  host: process.env.DB_HOST,
-  database: process.env.DB_DATABASE,
-  password: process.env.DB_PASSWORD,
-  port: process.env.DB_PORT,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000,
-});
-
-try {
-  await db.query("SELECT 1");
-  logger.info("Connected to PostgreSQL database");
-} catch (error) {
-  logger.error(`Failed to connect to DB: ${error}`);
-  process.exit(1);
-}
+const ADAPTERS = {
+  postgres: () => import("./adapters/postgres.js"),
+  sqlite: () => import("./adapters/sqlite.js"),
+  mongo: () => import("./adapters/mongo.js"),
+};
+
+/**
+ * Connects to the database selected with `DB_CLIENT`.
+ *
+ * Nothing connects at import time, so callers decide how to handle a failure
+ * (the server exits, tests build their own store with the adapter factories).
+ *
+ * @param {string} [client=process.env.DB_CLIENT] - Backend name.
+ * @returns {Promise<Store>}
+ * @throws {Error} If the backend is unknown or the connection fails.
+ */
+export async function connectStore(client = process.env.DB_CLIENT) {
+  if (!ADAPTERS[client]) {
+    throw new Error(
+      `DB_CLIENT must be one of: ${Object.keys(ADAPTERS).join(", ")}`
+    );
+  }
 
-export { db };
+  const { createStore } = await ADAPTERS[client]();
+  return createStore();
+}
@@ -0,0 +1,151 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import logger from "../logger.js";
+
+/**
+ * Versioned schema migrations.
+ *
+ * Each backend has its own folder in `db/migrations/` with files named
+ * `<version>_<name>.js` (e.g. `001_initial_schema.js`). A migration exports `up`
+ * and `down`, which receive the backend's native handle:
+ * - postgres: a `pg` client inside a transaction
+ * - sqlite: the `better-sqlite3` database inside a transaction
+ * - mongo: the `mongodb` Db (index builds cannot run in a transaction)
+ *
+ * Applied versions are tracked by the store in `schema_migrations`.
+ */
+
+const MIGRATIONS_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "migrations"
+);
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Loads the migration files for a backend, ordered by version.
+ *
+ * @param {"postgres"|"sqlite"|"mongo"} client - Backend name.
+ * @returns {Promise<{id: string, version: number, name: string, up: Function, down: Function}[]>}
+ *   `id` is the file name without its extension.
+ * @throws {Error} If two files share a version.
+ */
+export async function loadMigrations(client) {
+  const dir = path.join(MIGRATIONS_DIR, client);
+
+  const files = fs
+    .readdirSync(dir)
+    .filter((file) => MIGRATION_FILE.test(file))
+    .sort();
+
+  const migrations = [];
+
+  for (const file of files) {
+    const [, version, name] = file.match(MIGRATION_FILE);
+    const { up, down } = await import(pathToFileURL(path.join(dir, file)).href);
+
+    if (migrations.some((m) => m.version === Number(version))) {
+      throw new Error(`Duplicate migration version ${version} in ${dir}`);
+    }
+
+    migrations.push({
+      id: file.replace(/\.js$/, ""),
+      version: Number(version),
+      name,
+      up,
+      down,
+    });
+  }
+
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Lists every known migration and whether it has been applied.
+ *
+ * @param {import('./index.js').Store} store - Currency store.
+ * @returns {Promise<{version: number, name: string, applied_at: Date|null, missing: boolean}[]>}
+ *   `missing` marks versions recorded as applied whose file no longer exists.
+ */
+export async function getMigrationStatus(store) {
+  const migrations = await loadMigrations(store.client);
+  const applied = await store.getAppliedMigrations();
+  const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+
+  const status = migrations.map(({ version, name }) => ({
+    version,
+    name,
+    applied_at: appliedByVersion.get(version)?.applied_at ?? null,
+    missing: false,
+  }));
+
+  for (const row of applied) {
+    if (!migrations.some((m) => m.version === row.version)) {
+      status.push({ ...row, missing: true });
+    }
+  }
+
+  return status.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Applies pending migrations in order, each in its own transaction where the backend allows.
+ *
+ * @param {import('./index.js').Store} store - Currency store.
+ * @param {Object} [options]
+ * @param {number} [options.to] - Stop after this version (defaults to the latest).
+ * @returns {Promise<{version: number, name: string}[]>} Migrations that were applied.
+ */
+export async function migrateUp(store, { to = Infinity } = {}) {
+  const migrations = await loadMigrations(store.client);
+  const applied = new Set(
+    (await store.getAppliedMigrations()).map((row) => row.version)
+  );
+
+  const pending = migrations.filter(
+    (m) => !applied.has(m.version) && m.version <= to
+  );
+
+  for (const migration of pending) {
+    await store.applyMigration(migration, "up");
+    logger.info(`Applied migration ${migration.id}`);
+  }
+
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * Rolls back the most recently applied migrations.
+ *
+ * @param {import('./index.js').Store} store - Currency store.
+ * @param {Object} [options]
+ * @param {number} [options.steps=1] - How many migrations to roll back.
+ * @returns {Promise<{version: number, name: string}[]>} Migrations that were rolled back.
+ * @throws {Error} If an applied migration has no file to roll back with.
+ */
+export async function migrateDown(store, { steps = 1 } = {}) {
+  const migrations = await loadMigrations(store.client);
+  const applied = (await store.getAppliedMigrations())
+    .map((row) => row.version)
+    .sort((a, b) => b - a)
+    .slice(0, steps);
+
+  const rolledBack = [];
+
+  for (const version of applied) {
+    const migration = migrations.find((m) => m.version === version);
+
+    if (!migration) {
+      throw new Error(
+        `Migration ${version} is applied but its file is missing`
+      );
+    }
+
+    await store.applyMigration(migration, "down");
+    logger.info(`Rolled back migration ${migration.id}`);
+    rolledBack.push({ version, name: migration.name });
+  }
+
+  return rolledBack;
+}
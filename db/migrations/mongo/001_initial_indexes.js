@@ -0,0 +1,38 @@
+/**
+ * Baseline indexes. MongoDB creates collections on first write, so only the
+ * unique constraints and query indexes need setting up.
+ */
+
+const INDEXES = [
+  ["user_funds", { uuid: 1 }, { unique: true }],
+  ["user_funds", { balance: -1 }], // For top balances
+  ["daily_rewards", { uuid: 1 }, { unique: true }],
+  ["mob_limit_reached", { uuid: 1 }, { unique: true }],
+  ["currency_transactions", { uuid: 1 }],
+  ["currency_transactions", { from_uuid: 1, _id: -1 }], // For history
+  ["currency_transactions", { to_uuid: 1, _id: -1 }], // For history
+  ["currency_transactions", { reverses_id: 1 }], // For reversals
+  ["ledger_entries", { account: 1 }], // For reconciliation
+  ["ledger_entries", { transaction_id: 1 }], // For reconciliation
+  ["idempotency_keys", { uuid: 1, key: 1 }, { unique: true }],
+  ["currency_bills", { serial: 1 }, { unique: true }],
+  ["bill_flags", { serial: 1 }],
+];
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function up(db) {
+  for (const [collection, keys, options = {}] of INDEXES) {
+    await db.collection(collection).createIndex(keys, options);
+  }
+}
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function down(db) {
+  for (const [collection, keys] of [...INDEXES].reverse()) {
+    await db.collection(collection).dropIndex(keys);
+  }
+}
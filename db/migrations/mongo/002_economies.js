@@ -0,0 +1,78 @@
+/**
+ * Economy namespaces: every player record belongs to an economy, so game servers
+ * can keep separate balances (see `config/gameServers.js`).
+ *
+ * Existing documents move to the "default" economy and the per-player unique
+ * indexes are rebuilt with the economy as their first key.
+ */
+
+const COLLECTIONS = [
+  "user_funds",
+  "daily_rewards",
+  "mob_limit_reached",
+  "currency_transactions",
+  "idempotency_keys",
+  "currency_bills",
+  "ledger_entries",
+  "bill_flags",
+];
+
+// [collection, keys before, keys after, options]
+const INDEXES = [
+  ["user_funds", { uuid: 1 }, { economy: 1, uuid: 1 }, { unique: true }],
+  ["user_funds", { balance: -1 }, { economy: 1, balance: -1 }],
+  ["daily_rewards", { uuid: 1 }, { economy: 1, uuid: 1 }, { unique: true }],
+  ["mob_limit_reached", { uuid: 1 }, { economy: 1, uuid: 1 }, { unique: true }],
+  [
+    "idempotency_keys",
+    { uuid: 1, key: 1 },
+    { economy: 1, uuid: 1, key: 1 },
+    { unique: true },
+  ],
+  ["ledger_entries", { account: 1 }, { economy: 1, account: 1 }],
+];
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function up(db) {
+  for (const name of COLLECTIONS) {
+    await db
+      .collection(name)
+      .updateMany(
+        { economy: { $exists: false } },
+        { $set: { economy: "default" } }
+      );
+  }
+
+  for (const [name, before, after, options = {}] of INDEXES) {
+    await db.collection(name).dropIndex(before);
+    await db.collection(name).createIndex(after, options);
+  }
+}
+
+/**
+ * Only possible while every document is still in the "default" economy.
+ *
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function down(db) {
+  const other = await db
+    .collection("user_funds")
+    .findOne({ economy: { $ne: "default" } });
+
+  if (other) {
+    throw new Error(
+      'Players exist in economies other than "default"; cannot roll back'
+    );
+  }
+
+  for (const [name, before, after, options = {}] of [...INDEXES].reverse()) {
+    await db.collection(name).dropIndex(after);
+    await db.collection(name).createIndex(before, options);
+  }
+
+  for (const name of COLLECTIONS) {
+    await db.collection(name).updateMany({}, { $unset: { economy: "" } });
+  }
+}
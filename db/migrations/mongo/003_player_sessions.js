@@ -0,0 +1,32 @@
+/**
+ * Player sessions: rotating refresh tokens, and a per-player token version
+ * that revokes every access and refresh token when it is bumped.
+ *
+ * `user_funds.token_version` is treated as 0 while missing, so existing
+ * documents need no update.
+ */
+
+const INDEXES = [
+  ["refresh_tokens", { token_hash: 1 }, { unique: true }],
+  ["refresh_tokens", { economy: 1, uuid: 1 }],
+  ["refresh_tokens", { family_id: 1 }],
+];
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function up(db) {
+  for (const [collection, keys, options = {}] of INDEXES) {
+    await db.collection(collection).createIndex(keys, options);
+  }
+}
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function down(db) {
+  await db.collection("refresh_tokens").drop();
+  await db
+    .collection("user_funds")
+    .updateMany({}, { $unset: { token_version: "" } });
+}
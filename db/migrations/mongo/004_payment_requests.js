@@ -0,0 +1,25 @@
+/**
+ * Payment requests: a player asks another player for money, who can accept,
+ * decline or let the request expire.
+ */
+
+const INDEXES = [
+  ["payment_requests", { economy: 1, requester_uuid: 1, _id: -1 }],
+  ["payment_requests", { economy: 1, payer_uuid: 1, _id: -1 }],
+];
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function up(db) {
+  for (const [collection, keys, options = {}] of INDEXES) {
+    await db.collection(collection).createIndex(keys, options);
+  }
+}
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function down(db) {
+  await db.collection("payment_requests").drop();
+}
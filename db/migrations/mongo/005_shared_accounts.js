@@ -0,0 +1,29 @@
+/**
+ * Shared accounts: bank accounts owned by a town, team or company instead of a
+ * single player. The balance lives in a `user_funds` document of its own, and
+ * members are embedded in the `shared_accounts` document.
+ */
+
+const INDEXES = [
+  ["shared_accounts", { economy: 1, uuid: 1 }, { unique: true }],
+  ["shared_accounts", { economy: 1, "members.uuid": 1 }],
+];
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function up(db) {
+  for (const [collection, keys, options = {}] of INDEXES) {
+    await db.collection(collection).createIndex(keys, options);
+  }
+}
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function down(db) {
+  await db.collection("shared_accounts").drop();
+  await db
+    .collection("currency_transactions")
+    .updateMany({}, { $unset: { member_uuid: "" } });
+}
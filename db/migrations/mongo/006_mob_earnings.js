@@ -0,0 +1,24 @@
+/**
+ * Mob drop rewards: what each player earned per mob type on each economy day,
+ * so the server can enforce the daily caps in `mob_rewards` itself.
+ */
+
+const INDEXES = [
+  ["mob_earnings", { economy: 1, uuid: 1, day: 1, mob: 1 }, { unique: true }],
+];
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function up(db) {
+  for (const [collection, keys, options = {}] of INDEXES) {
+    await db.collection(collection).createIndex(keys, options);
+  }
+}
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function down(db) {
+  await db.collection("mob_earnings").drop();
+}
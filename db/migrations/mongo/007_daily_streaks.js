@@ -0,0 +1,22 @@
+/**
+ * Daily reward streaks: how many reset windows in a row the player claimed.
+ * Players who already claimed start on a streak of 1.
+ */
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function up(db) {
+  await db
+    .collection("daily_rewards")
+    .updateMany({ streak: { $exists: false } }, { $set: { streak: 1 } });
+}
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function down(db) {
+  await db
+    .collection("daily_rewards")
+    .updateMany({}, { $unset: { streak: "" } });
+}
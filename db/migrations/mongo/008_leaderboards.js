@@ -0,0 +1,27 @@
+/**
+ * Leaderboards: lets admins hide accounts from every board, and indexes
+ * transactions by time for the "earned this week" board.
+ */
+
+const INDEXES = [["currency_transactions", { economy: 1, created_at: 1 }]];
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function up(db) {
+  for (const [collection, keys, options = {}] of INDEXES) {
+    await db.collection(collection).createIndex(keys, options);
+  }
+}
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function down(db) {
+  for (const [collection, keys] of [...INDEXES].reverse()) {
+    await db.collection(collection).dropIndex(keys);
+  }
+  await db
+    .collection("user_funds")
+    .updateMany({}, { $unset: { leaderboard_excluded: "" } });
+}
@@ -0,0 +1,30 @@
+/**
+ * Notification inbox: payments, admin adjustments, expiring payment requests
+ * and freezes a player has not seen yet.
+ */
+
+const INDEXES = [
+  ["notifications", { economy: 1, uuid: 1, _id: -1 }],
+  // Only notices with a `ref` are unique; the others have none
+  [
+    "notifications",
+    { economy: 1, uuid: 1, type: 1, ref: 1 },
+    { unique: true, partialFilterExpression: { ref: { $type: "string" } } },
+  ],
+];
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function up(db) {
+  for (const [collection, keys, options = {}] of INDEXES) {
+    await db.collection(collection).createIndex(keys, options);
+  }
+}
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function down(db) {
+  await db.collection("notifications").drop();
+}
@@ -0,0 +1,26 @@
+/**
+ * Scheduled payments: one-off transfers at a future time, or recurring ones
+ * such as rent and salaries, run by the payment scheduler.
+ */
+
+const INDEXES = [
+  ["scheduled_payments", { economy: 1, status: 1, next_run_at: 1 }],
+  ["scheduled_payments", { economy: 1, payer_uuid: 1, _id: -1 }],
+  ["scheduled_payments", { economy: 1, payee_uuid: 1, _id: -1 }],
+];
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function up(db) {
+  for (const [collection, keys, options = {}] of INDEXES) {
+    await db.collection(collection).createIndex(keys, options);
+  }
+}
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function down(db) {
+  await db.collection("scheduled_payments").drop();
+}
@@ -0,0 +1,24 @@
+/**
+ * Fees and wealth taxes: records wealth tax runs so each period is collected
+ * once. Fees link to their transaction through `fee_for_id`, which needs no index.
+ */
+
+const INDEXES = [
+  ["wealth_tax_runs", { economy: 1, period_start: 1 }, { unique: true }],
+];
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function up(db) {
+  for (const [collection, keys, options = {}] of INDEXES) {
+    await db.collection(collection).createIndex(keys, options);
+  }
+}
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function down(db) {
+  await db.collection("wealth_tax_runs").drop();
+}
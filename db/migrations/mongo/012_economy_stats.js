@@ -0,0 +1,27 @@
+/**
+ * Economy statistics: daily rollups of the money supply and transaction volume
+ * (`economy_stats`) and what each player earned (`economy_stats_earnings`), so
+ * the stats API never scans the full transaction history.
+ */
+
+const INDEXES = [
+  ["economy_stats", { economy: 1, day: 1 }, { unique: true }],
+  ["economy_stats_earnings", { economy: 1, day: 1, uuid: 1 }, { unique: true }],
+];
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function up(db) {
+  for (const [collection, keys, options = {}] of INDEXES) {
+    await db.collection(collection).createIndex(keys, options);
+  }
+}
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function down(db) {
+  await db.collection("economy_stats_earnings").drop();
+  await db.collection("economy_stats").drop();
+}
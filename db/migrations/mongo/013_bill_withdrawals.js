@@ -0,0 +1,20 @@
+/**
+ * Bill withdrawals: bills record the withdrawal that issued them in
+ * `withdrawal_id`, so reversing the withdrawal can void its bills.
+ */
+
+const KEYS = { withdrawal_id: 1 };
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function up(db) {
+  await db.collection("currency_bills").createIndex(KEYS);
+}
+
+/**
+ * @param {import('mongodb').Db} db - MongoDB database instance.
+ */
+export async function down(db) {
+  await db.collection("currency_bills").dropIndex(KEYS);
+}
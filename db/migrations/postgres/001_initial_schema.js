@@ -0,0 +1,136 @@
+/**
+ * Baseline schema: players, daily rewards, mob limits, transactions, idempotency keys,
+ * bills, bill flags and the double-entry ledger.
+ *
+ * Every statement uses IF NOT EXISTS, so databases created by hand from the
+ * README schema can adopt migrations by running this one.
+ */
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function up(client) {
+  await client.query(`
+    -- Main user table
+    CREATE TABLE IF NOT EXISTS user_funds (
+      uuid UUID PRIMARY KEY,
+      name TEXT NOT NULL,
+      balance INTEGER NOT NULL DEFAULT 0,
+      frozen BOOLEAN NOT NULL DEFAULT FALSE -- Set by the admin API
+    );
+
+    -- Daily rewards table, references user_funds
+    CREATE TABLE IF NOT EXISTS daily_rewards (
+      uuid UUID PRIMARY KEY,
+      last_claim_at TIMESTAMPTZ NOT NULL,
+      CONSTRAINT fk_daily_rewards_user FOREIGN KEY (uuid) REFERENCES user_funds(uuid) ON DELETE CASCADE
+    );
+
+    -- Mob limit tracking table, references user_funds
+    CREATE TABLE IF NOT EXISTS mob_limit_reached (
+      uuid UUID PRIMARY KEY,
+      date_reached DATE NOT NULL,
+      CONSTRAINT fk_mob_limit_user FOREIGN KEY (uuid) REFERENCES user_funds(uuid) ON DELETE CASCADE
+    );
+
+    -- Transaction log table, references user_funds (nullable foreign keys for from_uuid/to_uuid)
+    CREATE TABLE IF NOT EXISTS currency_transactions (
+      id SERIAL PRIMARY KEY,
+      uuid UUID NOT NULL,
+      action TEXT NOT NULL,             -- e.g., "deposit", "withdraw", "pay"
+      amount INTEGER NOT NULL,
+      from_uuid UUID,
+      to_uuid UUID,
+      denomination INTEGER,
+      count INTEGER,
+      balance_after INTEGER,
+      admin TEXT,                       -- Admin who performed the action, if any
+      reason TEXT,                      -- Reason given for admin actions
+      reverses_id INTEGER,              -- Transaction undone by this "reversal" entry
+      created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_transaction_user FOREIGN KEY (uuid) REFERENCES user_funds(uuid) ON DELETE CASCADE,
+      CONSTRAINT fk_transaction_from FOREIGN KEY (from_uuid) REFERENCES user_funds(uuid) ON DELETE SET NULL,
+      CONSTRAINT fk_transaction_to FOREIGN KEY (to_uuid) REFERENCES user_funds(uuid) ON DELETE SET NULL,
+      CONSTRAINT fk_transaction_reverses FOREIGN KEY (reverses_id) REFERENCES currency_transactions(id)
+    );
+
+    -- Idempotency keys for retried pay/deposit/withdraw/daily requests
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      uuid UUID NOT NULL,
+      key TEXT NOT NULL,
+      endpoint TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      status_code INTEGER,
+      response JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (uuid, key),
+      CONSTRAINT fk_idempotency_user FOREIGN KEY (uuid) REFERENCES user_funds(uuid) ON DELETE CASCADE
+    );
+
+    -- Physical bills issued by /currency/withdraw
+    CREATE TABLE IF NOT EXISTS currency_bills (
+      serial TEXT PRIMARY KEY,
+      denomination INTEGER NOT NULL,
+      signature TEXT NOT NULL,
+      issued_to UUID NOT NULL,
+      status TEXT NOT NULL DEFAULT 'issued', -- "issued" or "redeemed"
+      issued_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      redeemed_by UUID,
+      redeemed_at TIMESTAMPTZ,
+      CONSTRAINT fk_bill_issued_to FOREIGN KEY (issued_to) REFERENCES user_funds(uuid),
+      CONSTRAINT fk_bill_redeemed_by FOREIGN KEY (redeemed_by) REFERENCES user_funds(uuid)
+    );
+
+    -- Double-entry postings, one set per currency_transactions row
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+      id SERIAL PRIMARY KEY,
+      transaction_id INTEGER NOT NULL,
+      account TEXT NOT NULL,            -- Player UUID, "system:mint" or "system:burn"
+      amount INTEGER NOT NULL,          -- Credit if positive, debit if negative
+      created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_ledger_transaction FOREIGN KEY (transaction_id) REFERENCES currency_transactions(id)
+    );
+
+    -- Rejected bill redemptions (unknown, reused or forged serials)
+    CREATE TABLE IF NOT EXISTS bill_flags (
+      id SERIAL PRIMARY KEY,
+      serial TEXT NOT NULL,
+      uuid UUID NOT NULL,
+      reason TEXT NOT NULL, -- "unknown_serial", "already_redeemed" or "invalid_signature"
+      created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_bill_flag_user FOREIGN KEY (uuid) REFERENCES user_funds(uuid) ON DELETE CASCADE
+    );
+
+    -- Optional: Speed up balance leaderboard queries
+    CREATE INDEX IF NOT EXISTS idx_user_funds_balance ON user_funds (balance DESC);
+
+    -- Optional: Speed up transaction history lookups
+    CREATE INDEX IF NOT EXISTS idx_currency_transactions_uuid ON currency_transactions (uuid, id DESC);
+    CREATE INDEX IF NOT EXISTS idx_currency_transactions_from ON currency_transactions (from_uuid, id DESC);
+    CREATE INDEX IF NOT EXISTS idx_currency_transactions_to ON currency_transactions (to_uuid, id DESC);
+
+    -- Optional: Speed up "already reversed" checks
+    CREATE INDEX IF NOT EXISTS idx_currency_transactions_reverses ON currency_transactions (reverses_id);
+
+    -- Speed up reconciliation
+    CREATE INDEX IF NOT EXISTS idx_ledger_entries_account ON ledger_entries (account);
+    CREATE INDEX IF NOT EXISTS idx_ledger_entries_transaction ON ledger_entries (transaction_id);
+  `);
+}
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS
+      bill_flags,
+      ledger_entries,
+      currency_bills,
+      idempotency_keys,
+      currency_transactions,
+      mob_limit_reached,
+      daily_rewards,
+      user_funds
+  `);
+}
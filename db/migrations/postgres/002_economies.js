@@ -0,0 +1,126 @@
+/**
+ * Economy namespaces: every player record belongs to an economy, so game servers
+ * can keep separate balances (see `config/gameServers.js`).
+ *
+ * Existing rows move to the "default" economy. Players are keyed by
+ * (economy, uuid), and every table referencing them carries the economy too.
+ */
+
+// Tables referencing user_funds: [table, constraint, column, ON DELETE action]
+const PLAYER_REFERENCES = [
+  ["daily_rewards", "fk_daily_rewards_user", "uuid", "CASCADE"],
+  ["mob_limit_reached", "fk_mob_limit_user", "uuid", "CASCADE"],
+  ["currency_transactions", "fk_transaction_user", "uuid", "CASCADE"],
+  ["currency_transactions", "fk_transaction_from", "from_uuid", "SET NULL"],
+  ["currency_transactions", "fk_transaction_to", "to_uuid", "SET NULL"],
+  ["idempotency_keys", "fk_idempotency_user", "uuid", "CASCADE"],
+  ["currency_bills", "fk_bill_issued_to", "issued_to", "NO ACTION"],
+  ["currency_bills", "fk_bill_redeemed_by", "redeemed_by", "NO ACTION"],
+  ["bill_flags", "fk_bill_flag_user", "uuid", "CASCADE"],
+];
+
+const ECONOMY_TABLES = [
+  "user_funds",
+  "daily_rewards",
+  "mob_limit_reached",
+  "currency_transactions",
+  "idempotency_keys",
+  "currency_bills",
+  "ledger_entries",
+  "bill_flags",
+];
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function up(client) {
+  for (const [table, constraint] of PLAYER_REFERENCES) {
+    await client.query(`ALTER TABLE ${table} DROP CONSTRAINT ${constraint}`);
+  }
+
+  for (const table of ECONOMY_TABLES) {
+    await client.query(
+      `ALTER TABLE ${table} ADD COLUMN economy TEXT NOT NULL DEFAULT 'default'`
+    );
+  }
+
+  await client.query(`
+    ALTER TABLE user_funds DROP CONSTRAINT user_funds_pkey;
+    ALTER TABLE user_funds ADD PRIMARY KEY (economy, uuid);
+
+    ALTER TABLE daily_rewards DROP CONSTRAINT daily_rewards_pkey;
+    ALTER TABLE daily_rewards ADD PRIMARY KEY (economy, uuid);
+
+    ALTER TABLE mob_limit_reached DROP CONSTRAINT mob_limit_reached_pkey;
+    ALTER TABLE mob_limit_reached ADD PRIMARY KEY (economy, uuid);
+
+    ALTER TABLE idempotency_keys DROP CONSTRAINT idempotency_keys_pkey;
+    ALTER TABLE idempotency_keys ADD PRIMARY KEY (economy, uuid, key);
+
+    DROP INDEX IF EXISTS idx_user_funds_balance;
+    CREATE INDEX idx_user_funds_economy_balance ON user_funds (economy, balance DESC);
+
+    DROP INDEX IF EXISTS idx_ledger_entries_account;
+    CREATE INDEX idx_ledger_entries_economy_account ON ledger_entries (economy, account);
+  `);
+
+  for (const [table, constraint, column, onDelete] of PLAYER_REFERENCES) {
+    // SET NULL would also clear the NOT NULL economy column of a composite key
+    await client.query(
+      `ALTER TABLE ${table} ADD CONSTRAINT ${constraint}
+       FOREIGN KEY (economy, ${column}) REFERENCES user_funds(economy, uuid)
+       ON DELETE ${onDelete === "SET NULL" ? "NO ACTION" : onDelete}`
+    );
+  }
+}
+
+/**
+ * Only possible while every row is still in the "default" economy.
+ *
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function down(client) {
+  const others = await client.query(
+    `SELECT 1 FROM user_funds WHERE economy <> 'default' LIMIT 1`
+  );
+  if (others.rowCount > 0) {
+    throw new Error(
+      'Players exist in economies other than "default"; cannot roll back'
+    );
+  }
+
+  for (const [table, constraint] of PLAYER_REFERENCES) {
+    await client.query(`ALTER TABLE ${table} DROP CONSTRAINT ${constraint}`);
+  }
+
+  await client.query(`
+    DROP INDEX IF EXISTS idx_ledger_entries_economy_account;
+    CREATE INDEX IF NOT EXISTS idx_ledger_entries_account ON ledger_entries (account);
+
+    DROP INDEX IF EXISTS idx_user_funds_economy_balance;
+    CREATE INDEX IF NOT EXISTS idx_user_funds_balance ON user_funds (balance DESC);
+
+    ALTER TABLE idempotency_keys DROP CONSTRAINT idempotency_keys_pkey;
+    ALTER TABLE idempotency_keys ADD PRIMARY KEY (uuid, key);
+
+    ALTER TABLE mob_limit_reached DROP CONSTRAINT mob_limit_reached_pkey;
+    ALTER TABLE mob_limit_reached ADD PRIMARY KEY (uuid);
+
+    ALTER TABLE daily_rewards DROP CONSTRAINT daily_rewards_pkey;
+    ALTER TABLE daily_rewards ADD PRIMARY KEY (uuid);
+
+    ALTER TABLE user_funds DROP CONSTRAINT user_funds_pkey;
+    ALTER TABLE user_funds ADD PRIMARY KEY (uuid);
+  `);
+
+  for (const table of ECONOMY_TABLES) {
+    await client.query(`ALTER TABLE ${table} DROP COLUMN economy`);
+  }
+
+  for (const [table, constraint, column, onDelete] of PLAYER_REFERENCES) {
+    await client.query(
+      `ALTER TABLE ${table} ADD CONSTRAINT ${constraint}
+       FOREIGN KEY (${column}) REFERENCES user_funds(uuid) ON DELETE ${onDelete}`
+    );
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * Payment requests: a player asks another player for money, who can accept,
+ * decline or let the request expire.
+ */
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE payment_requests (
+      id SERIAL PRIMARY KEY,
+      economy TEXT NOT NULL,
+      requester_uuid UUID NOT NULL, -- Player who receives the money
+      payer_uuid UUID NOT NULL,     -- Player asked to pay
+      amount INTEGER NOT NULL,
+      memo TEXT,
+      status TEXT NOT NULL DEFAULT 'pending', -- "pending", "accepted", "declined" or "cancelled"
+      expires_at TIMESTAMPTZ NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      resolved_at TIMESTAMPTZ,
+      transaction_id INTEGER, -- The "pay" transaction, once accepted
+      CONSTRAINT fk_payment_request_requester FOREIGN KEY (economy, requester_uuid) REFERENCES user_funds(economy, uuid) ON DELETE CASCADE,
+      CONSTRAINT fk_payment_request_payer FOREIGN KEY (economy, payer_uuid) REFERENCES user_funds(economy, uuid) ON DELETE CASCADE,
+      CONSTRAINT fk_payment_request_transaction FOREIGN KEY (transaction_id) REFERENCES currency_transactions(id)
+    );
+
+    CREATE INDEX idx_payment_requests_requester ON payment_requests (economy, requester_uuid, id DESC);
+    CREATE INDEX idx_payment_requests_payer ON payment_requests (economy, payer_uuid, id DESC);
+  `);
+}
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function down(client) {
+  await client.query(`DROP TABLE payment_requests;`);
+}
@@ -0,0 +1,50 @@
+/**
+ * Shared accounts: bank accounts owned by a town, team or company instead of a
+ * single player. The balance lives in a `user_funds` row of its own, so payments,
+ * the ledger and the leaderboard treat it like any other account.
+ */
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE shared_accounts (
+      economy TEXT NOT NULL,
+      uuid UUID NOT NULL,         -- Also the account's user_funds.uuid
+      created_by UUID NOT NULL,
+      treasurer_daily_limit INTEGER,         -- NULL means unlimited
+      member_daily_limit INTEGER DEFAULT 0,  -- NULL means unlimited
+      created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (economy, uuid),
+      CONSTRAINT fk_shared_account_funds FOREIGN KEY (economy, uuid) REFERENCES user_funds(economy, uuid) ON DELETE CASCADE
+    );
+
+    CREATE TABLE shared_account_members (
+      economy TEXT NOT NULL,
+      account_uuid UUID NOT NULL,
+      uuid UUID NOT NULL,
+      role TEXT NOT NULL, -- "owner", "treasurer" or "member"
+      added_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (economy, account_uuid, uuid),
+      CONSTRAINT fk_shared_account_member_account FOREIGN KEY (economy, account_uuid) REFERENCES shared_accounts(economy, uuid) ON DELETE CASCADE,
+      CONSTRAINT fk_shared_account_member_user FOREIGN KEY (economy, uuid) REFERENCES user_funds(economy, uuid) ON DELETE CASCADE
+    );
+
+    CREATE INDEX idx_shared_account_members_player ON shared_account_members (economy, uuid);
+
+    -- Member who spent from a shared account; uuid is the account itself
+    ALTER TABLE currency_transactions ADD COLUMN member_uuid UUID;
+  `);
+}
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function down(client) {
+  await client.query(`
+    ALTER TABLE currency_transactions DROP COLUMN member_uuid;
+    DROP TABLE shared_account_members;
+    DROP TABLE shared_accounts;
+  `);
+}
@@ -0,0 +1,31 @@
+/**
+ * Mob drop rewards: what each player earned per mob type on each economy day,
+ * so the server can enforce the daily caps in `mob_rewards` itself.
+ */
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE mob_earnings (
+      economy TEXT NOT NULL,
+      uuid UUID NOT NULL,
+      day DATE NOT NULL,  -- Economy day, starting at daily.reset_time in the economy timezone
+      mob TEXT NOT NULL,  -- Entity type, e.g. "minecraft:zombie"
+      earned INTEGER NOT NULL DEFAULT 0,
+      kills INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (economy, uuid, day, mob),
+      CONSTRAINT fk_mob_earnings_user FOREIGN KEY (economy, uuid) REFERENCES user_funds(economy, uuid) ON DELETE CASCADE
+    );
+  `);
+}
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function down(client) {
+  await client.query(`
+    DROP TABLE mob_earnings;
+  `);
+}
@@ -0,0 +1,23 @@
+/**
+ * Daily reward streaks: how many reset windows in a row the player claimed.
+ * Players who already claimed start on a streak of 1.
+ */
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE daily_rewards ADD COLUMN streak INTEGER NOT NULL DEFAULT 0;
+    UPDATE daily_rewards SET streak = 1;
+  `);
+}
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function down(client) {
+  await client.query(`
+    ALTER TABLE daily_rewards DROP COLUMN streak;
+  `);
+}
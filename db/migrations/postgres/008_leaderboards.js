@@ -0,0 +1,25 @@
+/**
+ * Leaderboards: lets admins hide accounts from every board, and indexes
+ * transactions by time for the "earned this week" board.
+ */
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE user_funds ADD COLUMN leaderboard_excluded BOOLEAN NOT NULL DEFAULT false;
+
+    CREATE INDEX idx_currency_transactions_created ON currency_transactions (economy, created_at);
+  `);
+}
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function down(client) {
+  await client.query(`
+    DROP INDEX idx_currency_transactions_created;
+    ALTER TABLE user_funds DROP COLUMN leaderboard_excluded;
+  `);
+}
@@ -0,0 +1,33 @@
+/**
+ * Notification inbox: payments, admin adjustments, expiring payment requests
+ * and freezes a player has not seen yet.
+ */
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE notifications (
+      id SERIAL PRIMARY KEY,
+      economy TEXT NOT NULL,
+      uuid UUID NOT NULL,
+      type TEXT NOT NULL,
+      data JSONB NOT NULL,
+      ref TEXT, -- Set for notices sent once per subject, e.g. the expiring payment request
+      created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      read_at TIMESTAMPTZ,
+      CONSTRAINT fk_notification_user FOREIGN KEY (economy, uuid) REFERENCES user_funds(economy, uuid) ON DELETE CASCADE
+    );
+
+    CREATE INDEX idx_notifications_player ON notifications (economy, uuid, id DESC);
+    CREATE UNIQUE INDEX idx_notifications_ref ON notifications (economy, uuid, type, ref);
+  `);
+}
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function down(client) {
+  await client.query(`DROP TABLE notifications;`);
+}
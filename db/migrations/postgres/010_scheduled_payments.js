@@ -0,0 +1,44 @@
+/**
+ * Scheduled payments: one-off transfers at a future time, or recurring ones
+ * such as rent and salaries, run by the payment scheduler.
+ */
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE scheduled_payments (
+      id SERIAL PRIMARY KEY,
+      economy TEXT NOT NULL,
+      payer_uuid UUID NOT NULL,
+      payee_uuid UUID NOT NULL,
+      amount INTEGER NOT NULL,
+      memo TEXT,
+      interval_seconds INTEGER, -- NULL for a one-off payment
+      starts_at TIMESTAMPTZ NOT NULL, -- First run; recurring runs follow every interval_seconds
+      next_run_at TIMESTAMPTZ NOT NULL,
+      status TEXT NOT NULL DEFAULT 'active', -- "active", "completed", "cancelled" or "failed"
+      failures INTEGER NOT NULL DEFAULT 0, -- Failed runs in a row
+      last_error TEXT,
+      last_run_at TIMESTAMPTZ,
+      last_transaction_id INTEGER,
+      created_by TEXT, -- Admin who scheduled it; NULL when the payer did
+      created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_scheduled_payment_payer FOREIGN KEY (economy, payer_uuid) REFERENCES user_funds(economy, uuid) ON DELETE CASCADE,
+      CONSTRAINT fk_scheduled_payment_payee FOREIGN KEY (economy, payee_uuid) REFERENCES user_funds(economy, uuid) ON DELETE CASCADE,
+      CONSTRAINT fk_scheduled_payment_transaction FOREIGN KEY (last_transaction_id) REFERENCES currency_transactions(id)
+    );
+
+    CREATE INDEX idx_scheduled_payments_due ON scheduled_payments (economy, status, next_run_at);
+    CREATE INDEX idx_scheduled_payments_payer ON scheduled_payments (economy, payer_uuid, id DESC);
+    CREATE INDEX idx_scheduled_payments_payee ON scheduled_payments (economy, payee_uuid, id DESC);
+  `);
+}
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function down(client) {
+  await client.query(`DROP TABLE scheduled_payments;`);
+}
@@ -0,0 +1,34 @@
+/**
+ * Fees and wealth taxes: links each fee to the transaction it was charged on,
+ * and records wealth tax runs so each period is collected once.
+ */
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE currency_transactions ADD COLUMN fee_for_id INTEGER
+      CONSTRAINT fk_transaction_fee_for REFERENCES currency_transactions(id);
+
+    CREATE TABLE wealth_tax_runs (
+      id SERIAL PRIMARY KEY,
+      economy TEXT NOT NULL,
+      period_start TIMESTAMPTZ NOT NULL, -- Start of the wealth_tax.interval the run collected for
+      accounts INTEGER NOT NULL DEFAULT 0, -- Accounts that paid tax
+      collected INTEGER NOT NULL DEFAULT 0,
+      ran_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (economy, period_start)
+    );
+  `);
+}
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function down(client) {
+  await client.query(`
+    DROP TABLE wealth_tax_runs;
+    ALTER TABLE currency_transactions DROP COLUMN fee_for_id;
+  `);
+}
@@ -0,0 +1,54 @@
+/**
+ * Economy statistics: daily rollups of the money supply, transaction volume
+ * and what each player earned, so the stats API never scans the full
+ * transaction history.
+ */
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE economy_stats (
+      economy TEXT NOT NULL,
+      day DATE NOT NULL, -- Calendar day in the economy timezone
+      supply INTEGER NOT NULL, -- Money in every account at the end of the day
+      minted INTEGER NOT NULL,
+      burned INTEGER NOT NULL,
+      active_players INTEGER NOT NULL,
+      players INTEGER, -- Accounts in the wealth distribution; NULL for days rolled up late
+      gini DOUBLE PRECISION,
+      percentiles JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (economy, day)
+    );
+
+    CREATE TABLE economy_stats_volume (
+      economy TEXT NOT NULL,
+      day DATE NOT NULL,
+      action TEXT NOT NULL,
+      count INTEGER NOT NULL,
+      amount INTEGER NOT NULL,
+      PRIMARY KEY (economy, day, action)
+    );
+
+    CREATE TABLE economy_stats_earnings (
+      economy TEXT NOT NULL,
+      day DATE NOT NULL,
+      uuid UUID NOT NULL,
+      earned INTEGER NOT NULL,
+      PRIMARY KEY (economy, day, uuid)
+    );
+  `);
+}
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function down(client) {
+  await client.query(`
+    DROP TABLE economy_stats_earnings;
+    DROP TABLE economy_stats_volume;
+    DROP TABLE economy_stats;
+  `);
+}
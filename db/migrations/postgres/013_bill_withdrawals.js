@@ -0,0 +1,26 @@
+/**
+ * Bill withdrawals: links each bill to the withdrawal that issued it, so
+ * reversing the withdrawal can void its bills ("voided" status).
+ */
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE currency_bills ADD COLUMN withdrawal_id INTEGER
+      CONSTRAINT fk_bill_withdrawal REFERENCES currency_transactions(id);
+
+    CREATE INDEX idx_currency_bills_withdrawal ON currency_bills (withdrawal_id);
+  `);
+}
+
+/**
+ * @param {import('pg').PoolClient} client - Client with an open transaction.
+ */
+export async function down(client) {
+  await client.query(`
+    DROP INDEX idx_currency_bills_withdrawal;
+    ALTER TABLE currency_bills DROP COLUMN withdrawal_id;
+  `);
+}
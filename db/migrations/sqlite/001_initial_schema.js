@@ -0,0 +1,135 @@
+/**
+ * Baseline schema: players, daily rewards, mob limits, transactions, idempotency keys,
+ * bills, bill flags and the double-entry ledger.
+ *
+ * Every statement uses IF NOT EXISTS, so databases created by hand from the
+ * README schema can adopt migrations by running this one.
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function up(db) {
+  db.exec(`
+    -- Main user table
+    CREATE TABLE IF NOT EXISTS user_funds (
+      uuid TEXT PRIMARY KEY, -- UUID as TEXT in SQLite
+      name TEXT NOT NULL,
+      balance INTEGER NOT NULL DEFAULT 0,
+      frozen INTEGER NOT NULL DEFAULT 0 -- 1 when frozen by the admin API
+    );
+
+    -- Daily rewards table, references user_funds
+    CREATE TABLE IF NOT EXISTS daily_rewards (
+      uuid TEXT PRIMARY KEY,
+      last_claim_at TEXT NOT NULL, -- Store timestamps as ISO8601 strings
+      FOREIGN KEY (uuid) REFERENCES user_funds(uuid) ON DELETE CASCADE
+    );
+
+    -- Mob limit tracking table, references user_funds
+    CREATE TABLE IF NOT EXISTS mob_limit_reached (
+      uuid TEXT PRIMARY KEY,
+      date_reached TEXT NOT NULL, -- Store date as TEXT (ISO8601)
+      FOREIGN KEY (uuid) REFERENCES user_funds(uuid) ON DELETE CASCADE
+    );
+
+    -- Transaction log table, references user_funds
+    CREATE TABLE IF NOT EXISTS currency_transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uuid TEXT NOT NULL,
+      action TEXT NOT NULL,             -- e.g., "deposit", "withdraw", "pay"
+      amount INTEGER NOT NULL,
+      from_uuid TEXT,
+      to_uuid TEXT,
+      denomination INTEGER,
+      count INTEGER,
+      balance_after INTEGER,
+      admin TEXT,                       -- Admin who performed the action, if any
+      reason TEXT,                      -- Reason given for admin actions
+      reverses_id INTEGER,              -- Transaction undone by this "reversal" entry
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (uuid) REFERENCES user_funds(uuid) ON DELETE CASCADE,
+      FOREIGN KEY (from_uuid) REFERENCES user_funds(uuid) ON DELETE SET NULL,
+      FOREIGN KEY (to_uuid) REFERENCES user_funds(uuid) ON DELETE SET NULL,
+      FOREIGN KEY (reverses_id) REFERENCES currency_transactions(id)
+    );
+
+    -- Idempotency keys for retried pay/deposit/withdraw/daily requests
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      uuid TEXT NOT NULL,
+      key TEXT NOT NULL,
+      endpoint TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      status_code INTEGER,
+      response TEXT, -- JSON-encoded response body
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (uuid, key),
+      FOREIGN KEY (uuid) REFERENCES user_funds(uuid) ON DELETE CASCADE
+    );
+
+    -- Physical bills issued by /currency/withdraw
+    CREATE TABLE IF NOT EXISTS currency_bills (
+      serial TEXT PRIMARY KEY,
+      denomination INTEGER NOT NULL,
+      signature TEXT NOT NULL,
+      issued_to TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'issued', -- "issued" or "redeemed"
+      issued_at TEXT NOT NULL DEFAULT (datetime('now')),
+      redeemed_by TEXT,
+      redeemed_at TEXT,
+      FOREIGN KEY (issued_to) REFERENCES user_funds(uuid),
+      FOREIGN KEY (redeemed_by) REFERENCES user_funds(uuid)
+    );
+
+    -- Double-entry postings, one set per currency_transactions row
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transaction_id INTEGER NOT NULL,
+      account TEXT NOT NULL,            -- Player UUID, "system:mint" or "system:burn"
+      amount INTEGER NOT NULL,          -- Credit if positive, debit if negative
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (transaction_id) REFERENCES currency_transactions(id)
+    );
+
+    -- Rejected bill redemptions (unknown, reused or forged serials)
+    CREATE TABLE IF NOT EXISTS bill_flags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      serial TEXT NOT NULL,
+      uuid TEXT NOT NULL,
+      reason TEXT NOT NULL, -- "unknown_serial", "already_redeemed" or "invalid_signature"
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (uuid) REFERENCES user_funds(uuid) ON DELETE CASCADE
+    );
+
+    -- Optional: Index for leaderboard
+    CREATE INDEX IF NOT EXISTS idx_user_funds_balance ON user_funds (balance DESC);
+
+    -- Optional: Indexes for transaction history
+    CREATE INDEX IF NOT EXISTS idx_currency_transactions_uuid ON currency_transactions (uuid, id DESC);
+    CREATE INDEX IF NOT EXISTS idx_currency_transactions_from ON currency_transactions (from_uuid, id DESC);
+    CREATE INDEX IF NOT EXISTS idx_currency_transactions_to ON currency_transactions (to_uuid, id DESC);
+
+    -- Optional: Speed up "already reversed" checks
+    CREATE INDEX IF NOT EXISTS idx_currency_transactions_reverses ON currency_transactions (reverses_id);
+
+    -- Speed up reconciliation
+    CREATE INDEX IF NOT EXISTS idx_ledger_entries_account ON ledger_entries (account);
+    CREATE INDEX IF NOT EXISTS idx_ledger_entries_transaction ON ledger_entries (transaction_id);
+  `);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS bill_flags;
+    DROP TABLE IF EXISTS ledger_entries;
+    DROP TABLE IF EXISTS currency_bills;
+    DROP TABLE IF EXISTS idempotency_keys;
+    DROP TABLE IF EXISTS currency_transactions;
+    DROP TABLE IF EXISTS mob_limit_reached;
+    DROP TABLE IF EXISTS daily_rewards;
+    DROP TABLE IF EXISTS user_funds;
+  `);
+}
@@ -0,0 +1,208 @@
+import { up as createInitialSchema } from "./001_initial_schema.js";
+
+/**
+ * Economy namespaces: every player record belongs to an economy, so game servers
+ * can keep separate balances (see `config/gameServers.js`).
+ *
+ * Existing rows move to the "default" economy. SQLite cannot change a primary key
+ * in place, so every table is rebuilt and its rows copied over.
+ */
+
+// Parents before children
+const TABLES = [
+  "user_funds",
+  "daily_rewards",
+  "mob_limit_reached",
+  "currency_transactions",
+  "idempotency_keys",
+  "currency_bills",
+  "ledger_entries",
+  "bill_flags",
+];
+
+// Index names from both schema versions; they must be free before the rebuild
+const INDEXES = [
+  "idx_user_funds_balance",
+  "idx_user_funds_economy_balance",
+  "idx_currency_transactions_uuid",
+  "idx_currency_transactions_from",
+  "idx_currency_transactions_to",
+  "idx_currency_transactions_reverses",
+  "idx_ledger_entries_account",
+  "idx_ledger_entries_economy_account",
+  "idx_ledger_entries_transaction",
+];
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database instance.
+ */
+function createEconomySchema(db) {
+  db.exec(`
+    CREATE TABLE user_funds (
+      economy TEXT NOT NULL DEFAULT 'default',
+      uuid TEXT NOT NULL,
+      name TEXT NOT NULL,
+      balance INTEGER NOT NULL DEFAULT 0,
+      frozen INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (economy, uuid)
+    );
+
+    CREATE TABLE daily_rewards (
+      economy TEXT NOT NULL DEFAULT 'default',
+      uuid TEXT NOT NULL,
+      last_claim_at TEXT NOT NULL,
+      PRIMARY KEY (economy, uuid),
+      FOREIGN KEY (economy, uuid) REFERENCES user_funds(economy, uuid) ON DELETE CASCADE
+    );
+
+    CREATE TABLE mob_limit_reached (
+      economy TEXT NOT NULL DEFAULT 'default',
+      uuid TEXT NOT NULL,
+      date_reached TEXT NOT NULL,
+      PRIMARY KEY (economy, uuid),
+      FOREIGN KEY (economy, uuid) REFERENCES user_funds(economy, uuid) ON DELETE CASCADE
+    );
+
+    CREATE TABLE currency_transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      economy TEXT NOT NULL DEFAULT 'default',
+      uuid TEXT NOT NULL,
+      action TEXT NOT NULL,
+      amount INTEGER NOT NULL,
+      from_uuid TEXT,
+      to_uuid TEXT,
+      denomination INTEGER,
+      count INTEGER,
+      balance_after INTEGER,
+      admin TEXT,
+      reason TEXT,
+      reverses_id INTEGER,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (economy, uuid) REFERENCES user_funds(economy, uuid) ON DELETE CASCADE,
+      FOREIGN KEY (economy, from_uuid) REFERENCES user_funds(economy, uuid),
+      FOREIGN KEY (economy, to_uuid) REFERENCES user_funds(economy, uuid),
+      FOREIGN KEY (reverses_id) REFERENCES currency_transactions(id)
+    );
+
+    CREATE TABLE idempotency_keys (
+      economy TEXT NOT NULL DEFAULT 'default',
+      uuid TEXT NOT NULL,
+      key TEXT NOT NULL,
+      endpoint TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      status_code INTEGER,
+      response TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (economy, uuid, key),
+      FOREIGN KEY (economy, uuid) REFERENCES user_funds(economy, uuid) ON DELETE CASCADE
+    );
+
+    CREATE TABLE currency_bills (
+      serial TEXT PRIMARY KEY,
+      economy TEXT NOT NULL DEFAULT 'default',
+      denomination INTEGER NOT NULL,
+      signature TEXT NOT NULL,
+      issued_to TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'issued',
+      issued_at TEXT NOT NULL DEFAULT (datetime('now')),
+      redeemed_by TEXT,
+      redeemed_at TEXT,
+      FOREIGN KEY (economy, issued_to) REFERENCES user_funds(economy, uuid),
+      FOREIGN KEY (economy, redeemed_by) REFERENCES user_funds(economy, uuid)
+    );
+
+    CREATE TABLE ledger_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      economy TEXT NOT NULL DEFAULT 'default',
+      transaction_id INTEGER NOT NULL,
+      account TEXT NOT NULL,
+      amount INTEGER NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (transaction_id) REFERENCES currency_transactions(id)
+    );
+
+    CREATE TABLE bill_flags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      economy TEXT NOT NULL DEFAULT 'default',
+      serial TEXT NOT NULL,
+      uuid TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (economy, uuid) REFERENCES user_funds(economy, uuid) ON DELETE CASCADE
+    );
+
+    CREATE INDEX idx_user_funds_economy_balance ON user_funds (economy, balance DESC);
+    CREATE INDEX idx_currency_transactions_uuid ON currency_transactions (uuid, id DESC);
+    CREATE INDEX idx_currency_transactions_from ON currency_transactions (from_uuid, id DESC);
+    CREATE INDEX idx_currency_transactions_to ON currency_transactions (to_uuid, id DESC);
+    CREATE INDEX idx_currency_transactions_reverses ON currency_transactions (reverses_id);
+    CREATE INDEX idx_ledger_entries_economy_account ON ledger_entries (economy, account);
+    CREATE INDEX idx_ledger_entries_transaction ON ledger_entries (transaction_id);
+  `);
+}
+
+/**
+ * Recreates every table with `createSchema` and copies the columns both versions share.
+ *
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ * @param {(db: import('better-sqlite3').Database) => void} createSchema - Creates the new tables and indexes.
+ */
+function rebuildTables(db, createSchema) {
+  const columnsOf = (table) =>
+    db
+      .prepare(`PRAGMA table_info(${table})`)
+      .all()
+      .map((column) => column.name);
+
+  for (const index of INDEXES) {
+    db.exec(`DROP INDEX IF EXISTS ${index}`);
+  }
+
+  // Renaming also repoints the old children's foreign keys at the *_old parents
+  for (const table of TABLES) {
+    db.exec(`ALTER TABLE ${table} RENAME TO ${table}_old`);
+  }
+
+  createSchema(db);
+
+  for (const table of TABLES) {
+    const previous = columnsOf(`${table}_old`);
+    const columns = columnsOf(table)
+      .filter((column) => previous.includes(column))
+      .join(", ");
+
+    db.exec(
+      `INSERT INTO ${table} (${columns}) SELECT ${columns} FROM ${table}_old`
+    );
+  }
+
+  for (const table of [...TABLES].reverse()) {
+    db.exec(`DROP TABLE ${table}_old`);
+  }
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function up(db) {
+  rebuildTables(db, createEconomySchema);
+}
+
+/**
+ * Only possible while every row is still in the "default" economy.
+ *
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function down(db) {
+  const others = db
+    .prepare("SELECT 1 FROM user_funds WHERE economy <> 'default' LIMIT 1")
+    .get();
+
+  if (others) {
+    throw new Error(
+      'Players exist in economies other than "default"; cannot roll back'
+    );
+  }
+
+  rebuildTables(db, createInitialSchema);
+}
@@ -0,0 +1,41 @@
+/**
+ * Player sessions: rotating refresh tokens, and a per-player token version
+ * that revokes every access and refresh token when it is bumped.
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function up(db) {
+  db.exec(`
+    ALTER TABLE user_funds ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0;
+
+    -- Refresh tokens are stored as SHA-256 hashes; each login starts a new family
+    CREATE TABLE refresh_tokens (
+      token_hash TEXT PRIMARY KEY,
+      economy TEXT NOT NULL,
+      uuid TEXT NOT NULL,
+      server TEXT NOT NULL,
+      family_id TEXT NOT NULL,
+      token_version INTEGER NOT NULL,
+      expires_at TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      used_at TEXT,    -- Set when the token is exchanged for a new one
+      revoked_at TEXT, -- Set on logout or when reuse is detected
+      FOREIGN KEY (economy, uuid) REFERENCES user_funds(economy, uuid) ON DELETE CASCADE
+    );
+
+    CREATE INDEX idx_refresh_tokens_player ON refresh_tokens (economy, uuid);
+    CREATE INDEX idx_refresh_tokens_family ON refresh_tokens (family_id);
+  `);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function down(db) {
+  db.exec(`
+    DROP TABLE refresh_tokens;
+    ALTER TABLE user_funds DROP COLUMN token_version;
+  `);
+}
@@ -0,0 +1,38 @@
+/**
+ * Payment requests: a player asks another player for money, who can accept,
+ * decline or let the request expire.
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE payment_requests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      economy TEXT NOT NULL,
+      requester_uuid TEXT NOT NULL, -- Player who receives the money
+      payer_uuid TEXT NOT NULL,     -- Player asked to pay
+      amount INTEGER NOT NULL,
+      memo TEXT,
+      status TEXT NOT NULL DEFAULT 'pending', -- "pending", "accepted", "declined" or "cancelled"
+      expires_at TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      resolved_at TEXT,
+      transaction_id INTEGER, -- The "pay" transaction, once accepted
+      FOREIGN KEY (economy, requester_uuid) REFERENCES user_funds(economy, uuid) ON DELETE CASCADE,
+      FOREIGN KEY (economy, payer_uuid) REFERENCES user_funds(economy, uuid) ON DELETE CASCADE,
+      FOREIGN KEY (transaction_id) REFERENCES currency_transactions(id)
+    );
+
+    CREATE INDEX idx_payment_requests_requester ON payment_requests (economy, requester_uuid, id DESC);
+    CREATE INDEX idx_payment_requests_payer ON payment_requests (economy, payer_uuid, id DESC);
+  `);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function down(db) {
+  db.exec(`DROP TABLE payment_requests;`);
+}
@@ -0,0 +1,50 @@
+/**
+ * Shared accounts: bank accounts owned by a town, team or company instead of a
+ * single player. The balance lives in a `user_funds` row of its own, so payments,
+ * the ledger and the leaderboard treat it like any other account.
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE shared_accounts (
+      economy TEXT NOT NULL,
+      uuid TEXT NOT NULL,         -- Also the account's user_funds.uuid
+      created_by TEXT NOT NULL,
+      treasurer_daily_limit INTEGER,         -- NULL means unlimited
+      member_daily_limit INTEGER DEFAULT 0,  -- NULL means unlimited
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (economy, uuid),
+      FOREIGN KEY (economy, uuid) REFERENCES user_funds(economy, uuid) ON DELETE CASCADE
+    );
+
+    CREATE TABLE shared_account_members (
+      economy TEXT NOT NULL,
+      account_uuid TEXT NOT NULL,
+      uuid TEXT NOT NULL,
+      role TEXT NOT NULL, -- "owner", "treasurer" or "member"
+      added_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (economy, account_uuid, uuid),
+      FOREIGN KEY (economy, account_uuid) REFERENCES shared_accounts(economy, uuid) ON DELETE CASCADE,
+      FOREIGN KEY (economy, uuid) REFERENCES user_funds(economy, uuid) ON DELETE CASCADE
+    );
+
+    CREATE INDEX idx_shared_account_members_player ON shared_account_members (economy, uuid);
+
+    -- Member who spent from a shared account; uuid is the account itself
+    ALTER TABLE currency_transactions ADD COLUMN member_uuid TEXT;
+  `);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function down(db) {
+  db.exec(`
+    ALTER TABLE currency_transactions DROP COLUMN member_uuid;
+    DROP TABLE shared_account_members;
+    DROP TABLE shared_accounts;
+  `);
+}
@@ -0,0 +1,31 @@
+/**
+ * Mob drop rewards: what each player earned per mob type on each economy day,
+ * so the server can enforce the daily caps in `mob_rewards` itself.
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE mob_earnings (
+      economy TEXT NOT NULL,
+      uuid TEXT NOT NULL,
+      day TEXT NOT NULL,  -- Economy day (YYYY-MM-DD), starting at daily.reset_time in the economy timezone
+      mob TEXT NOT NULL,  -- Entity type, e.g. "minecraft:zombie"
+      earned INTEGER NOT NULL DEFAULT 0,
+      kills INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (economy, uuid, day, mob),
+      FOREIGN KEY (economy, uuid) REFERENCES user_funds(economy, uuid) ON DELETE CASCADE
+    );
+  `);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function down(db) {
+  db.exec(`
+    DROP TABLE mob_earnings;
+  `);
+}
@@ -0,0 +1,23 @@
+/**
+ * Daily reward streaks: how many reset windows in a row the player claimed.
+ * Players who already claimed start on a streak of 1.
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function up(db) {
+  db.exec(`
+    ALTER TABLE daily_rewards ADD COLUMN streak INTEGER NOT NULL DEFAULT 0;
+    UPDATE daily_rewards SET streak = 1;
+  `);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function down(db) {
+  db.exec(`
+    ALTER TABLE daily_rewards DROP COLUMN streak;
+  `);
+}
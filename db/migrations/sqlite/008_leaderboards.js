@@ -0,0 +1,25 @@
+/**
+ * Leaderboards: lets admins hide accounts from every board, and indexes
+ * transactions by time for the "earned this week" board.
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function up(db) {
+  db.exec(`
+    ALTER TABLE user_funds ADD COLUMN leaderboard_excluded INTEGER NOT NULL DEFAULT 0;
+
+    CREATE INDEX idx_currency_transactions_created ON currency_transactions (economy, created_at);
+  `);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function down(db) {
+  db.exec(`
+    DROP INDEX idx_currency_transactions_created;
+    ALTER TABLE user_funds DROP COLUMN leaderboard_excluded;
+  `);
+}
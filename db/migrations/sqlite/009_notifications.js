@@ -0,0 +1,33 @@
+/**
+ * Notification inbox: payments, admin adjustments, expiring payment requests
+ * and freezes a player has not seen yet.
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      economy TEXT NOT NULL,
+      uuid TEXT NOT NULL,
+      type TEXT NOT NULL,
+      data TEXT NOT NULL, -- JSON
+      ref TEXT, -- Set for notices sent once per subject, e.g. the expiring payment request
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      read_at TEXT,
+      FOREIGN KEY (economy, uuid) REFERENCES user_funds(economy, uuid) ON DELETE CASCADE
+    );
+
+    CREATE INDEX idx_notifications_player ON notifications (economy, uuid, id DESC);
+    CREATE UNIQUE INDEX idx_notifications_ref ON notifications (economy, uuid, type, ref);
+  `);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function down(db) {
+  db.exec(`DROP TABLE notifications;`);
+}
@@ -0,0 +1,34 @@
+/**
+ * Fees and wealth taxes: links each fee to the transaction it was charged on,
+ * and records wealth tax runs so each period is collected once.
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function up(db) {
+  // No foreign key on fee_for_id: SQLite cannot drop a column that has one
+  db.exec(`
+    ALTER TABLE currency_transactions ADD COLUMN fee_for_id INTEGER;
+
+    CREATE TABLE wealth_tax_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      economy TEXT NOT NULL,
+      period_start TEXT NOT NULL, -- Start of the wealth_tax.interval the run collected for
+      accounts INTEGER NOT NULL DEFAULT 0, -- Accounts that paid tax
+      collected INTEGER NOT NULL DEFAULT 0,
+      ran_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE (economy, period_start)
+    );
+  `);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function down(db) {
+  db.exec(`
+    DROP TABLE wealth_tax_runs;
+    ALTER TABLE currency_transactions DROP COLUMN fee_for_id;
+  `);
+}
@@ -0,0 +1,54 @@
+/**
+ * Economy statistics: daily rollups of the money supply, transaction volume
+ * and what each player earned, so the stats API never scans the full
+ * transaction history.
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE economy_stats (
+      economy TEXT NOT NULL,
+      day TEXT NOT NULL, -- Calendar day in the economy timezone, "YYYY-MM-DD"
+      supply INTEGER NOT NULL, -- Money in every account at the end of the day
+      minted INTEGER NOT NULL,
+      burned INTEGER NOT NULL,
+      active_players INTEGER NOT NULL,
+      players INTEGER, -- Accounts in the wealth distribution; NULL for days rolled up late
+      gini REAL,
+      percentiles TEXT, -- JSON
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (economy, day)
+    );
+
+    CREATE TABLE economy_stats_volume (
+      economy TEXT NOT NULL,
+      day TEXT NOT NULL,
+      action TEXT NOT NULL,
+      count INTEGER NOT NULL,
+      amount INTEGER NOT NULL,
+      PRIMARY KEY (economy, day, action)
+    );
+
+    CREATE TABLE economy_stats_earnings (
+      economy TEXT NOT NULL,
+      day TEXT NOT NULL,
+      uuid TEXT NOT NULL,
+      earned INTEGER NOT NULL,
+      PRIMARY KEY (economy, day, uuid)
+    );
+  `);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function down(db) {
+  db.exec(`
+    DROP TABLE economy_stats_earnings;
+    DROP TABLE economy_stats_volume;
+    DROP TABLE economy_stats;
+  `);
+}
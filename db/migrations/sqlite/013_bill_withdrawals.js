@@ -0,0 +1,26 @@
+/**
+ * Bill withdrawals: links each bill to the withdrawal that issued it, so
+ * reversing the withdrawal can void its bills ("voided" status).
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function up(db) {
+  // No foreign key on withdrawal_id: SQLite cannot drop a column that has one
+  db.exec(`
+    ALTER TABLE currency_bills ADD COLUMN withdrawal_id INTEGER;
+
+    CREATE INDEX idx_currency_bills_withdrawal ON currency_bills (withdrawal_id);
+  `);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db - Database with an open transaction.
+ */
+export function down(db) {
+  db.exec(`
+    DROP INDEX idx_currency_bills_withdrawal;
+    ALTER TABLE currency_bills DROP COLUMN withdrawal_id;
+  `);
+}
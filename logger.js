@@ -105,7 +105,7 @@ class DailyFolderLogger {
    * If it has, rotates the logger and cleans old logs.
    */
   monitorDateChange() {
-    setInterval(() => {
+    const timer = setInterval(() => {
       const newDate = this.getDateString();
       if (newDate !== this.currentDate) {
         this.logger.close();
@@ -114,6 +114,9 @@ class DailyFolderLogger {
         this.cleanOldLogFolders(7);
       }
     }, 60 * 1000);
+
+    // Don't keep short-lived processes (scripts, tests) alive just for rotation
+    timer.unref();
   }
 
   /**
@@ -0,0 +1,64 @@
+import { connectStore } from "../../db/index.js";
+import {
+  getMigrationStatus,
+  migrateDown,
+  migrateUp,
+} from "../../db/migrate.js";
+
+/**
+ * Applies, rolls back or lists schema migrations for the configured `DB_CLIENT`.
+ *
+ * Usage:
+ *   npm run migrate                   # same as "up"
+ *   npm run migrate -- up [version]   # apply pending migrations, optionally up to a version
+ *   npm run migrate -- down [steps]   # roll back the last migration, or the last `steps`
+ *   npm run migrate -- status
+ */
+async function migrate(store) {
+  const [command = "up", arg] = process.argv.slice(2);
+
+  switch (command) {
+    case "up": {
+      const applied = await migrateUp(store, {
+        to: arg === undefined ? Infinity : Number(arg),
+      });
+      console.log(
+        applied.length > 0
+          ? `✅ Applied ${applied.length} migration(s)`
+          : "✅ Schema is up to date"
+      );
+      break;
+    }
+    case "down": {
+      const rolledBack = await migrateDown(store, {
+        steps: arg === undefined ? 1 : Number(arg),
+      });
+      console.log(`↩️  Rolled back ${rolledBack.length} migration(s)`);
+      break;
+    }
+    case "status": {
+      const status = await getMigrationStatus(store);
+      console.table(
+        status.map(({ version, name, applied_at, missing }) => ({
+          version,
+          name,
+          status: missing ? "missing file" : applied_at ? "applied" : "pending",
+          applied_at,
+        }))
+      );
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}" (use up, down or status)`);
+  }
+}
+
+try {
+  const store = await connectStore();
+  await migrate(store);
+  await store.close();
+  process.exit(0);
+} catch (error) {
+  console.error(`❌ Migration failed: ${error.message}`);
+  process.exit(1);
+}
@@ -1,6 +1,7 @@
 import fs from "fs";
 import path from "path";
 import glob from "fast-glob";
+import OPTIONAL_VARS from "../../config/env/vars/optionalVars.js";
 
 const SOURCE_DIR = path.resolve(".");
 const OUTPUT_PATH = path.resolve("config/env/vars/requiredVars.js");
@@ -41,6 +42,12 @@ function generateRequiredEnvVars(outputPath) {
       "build/**",
       "dist/**",
       "scripts/**",
+      // Backend-specific vars are checked per DB_CLIENT (see databaseVars.js)
+      "db/adapters/**",
+      // Economy overrides are optional (see config/economy/index.js)
+      "config/economy/**",
+      // Tests set their own environment
+      "tests/**",
     ],
     absolute: true,
   });
@@ -56,7 +63,9 @@ function generateRequiredEnvVars(outputPath) {
     }
   }
 
-  const sortedVars = Array.from(envVars).sort();
+  const sortedVars = Array.from(envVars)
+    .filter((v) => !OPTIONAL_VARS.includes(v))
+    .sort();
 
   const jsContent = `const REQUIRED_VARS = [\n${sortedVars
     .map((v) => `  "${v}",`)
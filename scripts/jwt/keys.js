@@ -0,0 +1,109 @@
+import fs from "fs";
+import dotenv from "dotenv";
+import { getJwtKeysPath, readJwtKeyring } from "../../config/jwtKeys/index.js";
+import {
+  JWT_ALGORITHMS,
+  pruneJwtKeyring,
+  rotateJwtKeyring,
+} from "../../config/jwtKeys/keys.js";
+import { DURATION, ttlToMs } from "../../config/economy/durations.js";
+
+dotenv.config();
+
+/**
+ * Generates, rotates and prunes the JWT signing keys in the keyring file.
+ *
+ * Usage:
+ *   npm run jwt-keys -- rotate [alg] [--overlap 1d]   # new current key (HS256, RS256 or EdDSA)
+ *   npm run jwt-keys -- list
+ *   npm run jwt-keys -- prune                         # remove keys past their retire_at
+ *
+ * `rotate` keeps the previous key valid for the overlap (default 1d), which should
+ * be at least `auth.token_ttl`. Running servers pick up the file with
+ * `POST /api/admin/jwt-keys/reload` or on restart.
+ */
+function jwtKeys() {
+  const [command = "list", ...args] = process.argv.slice(2);
+  const filePath = getJwtKeysPath();
+  const keyring = readJwtKeyring(filePath);
+
+  switch (command) {
+    case "rotate": {
+      const alg = args.find((arg) => JWT_ALGORITHMS.includes(arg)) ?? "HS256";
+      const overlapIndex = args.indexOf("--overlap");
+      const overlap = overlapIndex === -1 ? "1d" : args[overlapIndex + 1];
+
+      if (!DURATION.test(overlap ?? "")) {
+        throw new Error(`--overlap must be a duration like "1d" or "12h"`);
+      }
+
+      const {
+        keyring: rotated,
+        key,
+        retired,
+      } = rotateJwtKeyring(keyring, {
+        alg,
+        overlapMs: ttlToMs(overlap),
+      });
+      writeKeyring(filePath, rotated);
+
+      console.log(`🔑 New ${alg} signing key "${key.kid}" in ${filePath}`);
+      if (retired) {
+        console.log(`⏳ "${retired}" keeps verifying tokens for ${overlap}`);
+      }
+      console.log(
+        "↻ Reload running servers with POST /api/admin/jwt-keys/reload"
+      );
+      break;
+    }
+    case "list": {
+      console.table(
+        (keyring.keys ?? []).map(({ kid, alg, created_at, retire_at }) => ({
+          kid,
+          alg,
+          current: kid === keyring.current,
+          created_at,
+          retire_at,
+        }))
+      );
+      break;
+    }
+    case "prune": {
+      const { keyring: pruned, removed } = pruneJwtKeyring(keyring);
+      writeKeyring(filePath, pruned);
+
+      console.log(
+        removed.length > 0
+          ? `🧹 Removed ${removed.length} retired key(s): ${removed.join(", ")}`
+          : "✅ No retired keys"
+      );
+      break;
+    }
+    default:
+      throw new Error(
+        `Unknown command "${command}" (use rotate, list or prune)`
+      );
+  }
+}
+
+/**
+ * Writes the keyring readable by the owner only, replacing the file atomically.
+ *
+ * @param {string} filePath - Keyring file.
+ * @param {Object} keyring - Keyring to write.
+ */
+function writeKeyring(filePath, keyring) {
+  const tmpPath = `${filePath}.tmp`;
+
+  fs.writeFileSync(tmpPath, `${JSON.stringify(keyring, null, 2)}\n`, {
+    mode: 0o600,
+  });
+  fs.renameSync(tmpPath, filePath);
+}
+
+try {
+  jwtKeys();
+} catch (error) {
+  console.error(`❌ JWT key command failed: ${error.message}`);
+  process.exit(1);
+}
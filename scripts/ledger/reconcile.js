@@ -0,0 +1,55 @@
+import { connectStore } from "../../db/index.js";
+
+/**
+ * Recomputes every balance from the ledger and reports any drift.
+ *
+ * Usage:
+ *   npm run reconcile
+ *   npm run reconcile -- --seed-opening-balances
+ *
+ * `--seed-opening-balances` first posts an opening entry for players whose balance
+ * predates the ledger. Exits with code 1 if the books do not balance.
+ */
+async function reconcile(store) {
+  if (process.argv.includes("--seed-opening-balances")) {
+    const seeded = await store.seedOpeningBalances();
+    console.log(`🌱 Posted opening balances for ${seeded} player(s)`);
+  }
+
+  const report = await store.reconcileLedger();
+
+  console.log(`🔎 Checked ${report.players} player balance(s)`);
+  console.log(
+    `💰 Minted: ${report.supply.minted}, burned: ${report.supply.burned}, circulating: ${report.supply.circulating}`
+  );
+
+  if (report.unbalanced.length > 0) {
+    console.error(
+      `❌ ${report.unbalanced.length} transaction(s) have unbalanced ledger entries:`
+    );
+    console.table(report.unbalanced);
+  }
+
+  if (report.drift.length > 0) {
+    console.error(
+      `❌ ${report.drift.length} balance(s) differ from the ledger:`
+    );
+    console.table(report.drift);
+  }
+
+  if (report.unbalanced.length > 0 || report.drift.length > 0) {
+    return false;
+  }
+
+  console.log("✅ Ledger and balances are in sync");
+  return true;
+}
+
+try {
+  const store = await connectStore();
+  const balanced = await reconcile(store);
+  process.exit(balanced ? 0 : 1);
+} catch (error) {
+  console.error(`❌ Reconciliation failed: ${error.message}`);
+  process.exit(1);
+}
@@ -1,6 +1,7 @@
 import fs from "fs";
 import path from "path";
 import glob from "fast-glob";
+import OPTIONAL_VARS from "../../config/env/vars/optionalVars.js";
 import { findEnvVarsInFile } from "./envScanner.js";
 import { DB_PRESETS } from "./dbPresets.js";
 
@@ -21,6 +22,12 @@ export function generateDotenvExample(selectedDb) {
       "build/**",
       "dist/**",
       "scripts/**",
+      // Backend-specific vars are checked per DB_CLIENT (see databaseVars.js)
+      "db/adapters/**",
+      // Economy overrides are optional (see config/economy/index.js)
+      "config/economy/**",
+      // Tests set their own environment
+      "tests/**",
     ],
     absolute: true,
   });
@@ -66,6 +73,12 @@ export function generateRequiredEnvVarsFile() {
       "build/**",
       "dist/**",
       "scripts/**",
+      // Backend-specific vars are checked per DB_CLIENT (see databaseVars.js)
+      "db/adapters/**",
+      // Economy overrides are optional (see config/economy/index.js)
+      "config/economy/**",
+      // Tests set their own environment
+      "tests/**",
     ],
     absolute: true,
   });
@@ -81,7 +94,9 @@ export function generateRequiredEnvVarsFile() {
     }
   }
 
-  const sortedVars = Array.from(envVars).sort();
+  const sortedVars = Array.from(envVars)
+    .filter((v) => !OPTIONAL_VARS.includes(v))
+    .sort();
   const jsContent = `const REQUIRED_VARS = [\n${sortedVars
     .map((v) => `  "${v}",`)
     .join("\n")}\n];\n\nexport default REQUIRED_VARS;\n`;
@@ -1,5 +1,4 @@
 import { promptDatabaseChoice } from "./promptDatabase.js";
-import { applyDatabaseTemplate } from "./templates.js";
 import {
   generateDotenvExample,
   generateRequiredEnvVarsFile,
@@ -8,8 +7,9 @@ import {
 /**
  * Main setup script for Createrington.
  *
- * Prompts the user to choose a database, applies appropriate template files,
- * generates an `.env.example` file, and writes a list of required environment variables.
+ * Prompts the user to choose a database, generates an `.env.example` file with its
+ * `DB_CLIENT` and connection presets, and writes a list of required environment variables.
+ * The backend is picked at runtime, so switching databases later only means changing `DB_CLIENT`.
  *
  * Warns if MongoDB is selected, since it's currently in beta.
  */
@@ -24,7 +24,6 @@ async function runSetup() {
     );
   }
 
-  applyDatabaseTemplate(selectedDb);
   generateDotenvExample(selectedDb);
   generateRequiredEnvVarsFile();
 
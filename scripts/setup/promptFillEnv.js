@@ -14,17 +14,35 @@ const ENV_PATH = path.resolve(__dirname, "../../.env");
 // Optional: Descriptive tooltips for each environment variable
 const ENV_DESCRIPTIONS = {
   DATABASE_URL: "Only use this if youre using an external DB",
+  DB_CLIENT: "Database backend: postgres, sqlite or mongo",
   DB_DATABASE: "Name of your database (eg. currency)",
   DB_HOST: "Database host (e.g. localhost or db.internal)",
   DB_USER: "Database user (usually postgres)",
   DB_PASSWORD: "Password for the DB user",
   DB_NAME: "Name of the database to connect to",
   DB_PORT: "Port the database is listening on (default: 5432)",
-  JWT_SECRET: "Secret key used to sign JWT tokens",
+  JWT_SECRET:
+    "Secret key used to sign JWT tokens (leave empty if you use a keyring from npm run jwt-keys)",
+  JWT_KEYS_PATH:
+    "JWT keyring file written by npm run jwt-keys (leave empty for config/jwtKeys.json)",
+  BILL_SIGNING_SECRET: "Secret key used to sign serial numbers of issued bills",
   NODE_ENV: "Application environment (development, production, etc.)",
   PORT: "(Recommended 5000) Port for your backend server to listen on",
-  ALLOWED_IP_ADDRESS: "IP Address of your Minecraft Server",
+  ALLOWED_IP_ADDRESS:
+    "IP Address of your Minecraft Server (comma-separated IPs or CIDR ranges)",
   ALLOWED_IP_ADDRESS_LOCAL: "IP Address of your Local Machine (127.0.0.1)",
+  TRUSTED_PROXIES:
+    "Reverse proxies in front of the backend whose X-Forwarded-For is trusted (leave empty if none)",
+  SERVER_SHARED_SECRET:
+    "Secret shared with your Minecraft Server, used to sign login requests",
+  AUTO_MIGRATE:
+    "Set to true to apply pending schema migrations when the server starts",
+  ADMIN_API_KEYS:
+    "Comma-separated name:key pairs allowed to use the admin API (e.g. alice:s3cret)",
+  METRICS_TOKEN:
+    "Bearer token Prometheus sends to scrape /metrics (leave empty to use only an IP check)",
+  METRICS_ALLOWED_IPS:
+    "Addresses allowed to scrape /metrics (comma-separated IPs or CIDR ranges; leave empty for the IP allowlist)",
 };
 
 // Exit early if .env already exists
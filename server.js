@@ -4,8 +4,24 @@ import logger from "./logger.js";
 // Import function that validates required environment variables at startup
 import { validateEnv } from "./config/env/validateEnv.js";
 
-// Import the Express application instance configured with routes and middleware
-import app from "./app/index.js";
+// Import function that loads and validates the economy rules (rewards, denominations, ...)
+import { validateEconomy } from "./config/economy/index.js";
+
+// Import function that loads and validates the IP allowlist and trusted proxies
+import { validateIpAllowlist } from "./config/ipAllowlist/index.js";
+
+// Import function that validates the addresses allowed to scrape /metrics
+import { validateMetricsAccess } from "./app/middleware/verifyMetricsAccess.js";
+
+// Import function that loads and validates the JWT signing keyring
+import { validateJwtKeys } from "./config/jwtKeys/index.js";
+
+// Import the factory that builds the HTTP server for the Express app and its event streams
+import { createServer } from "./app/index.js";
+
+// Import the database connection and the migration runner
+import { connectStore } from "./db/index.js";
+import { migrateUp } from "./db/migrate.js";
 
 // Load environment variables from .env file into process.env
 import dotenv from "dotenv";
@@ -20,12 +36,47 @@ validateEnv();
 // Reads values from .env and populates process.env
 dotenv.config();
 
-// Step 3: Define Port
+// Step 3: Validate Economy Config
+// Loads config/economy.json and ECONOMY_* overrides; exits if any rule is invalid
+validateEconomy();
+
+// Step 4: Validate IP Allowlist
+// Parses the allowed addresses/CIDR ranges, trusted proxies and METRICS_ALLOWED_IPS; exits if any entry is invalid
+validateIpAllowlist();
+validateMetricsAccess();
+
+// Step 5: Validate JWT Keyring
+// Loads JWT_SECRET and the keyring file; exits if a key is invalid or none can sign tokens
+validateJwtKeys();
+
+// Step 6: Connect to the Database
+// Opens the backend selected with DB_CLIENT; the server cannot run without it
+let store;
+try {
+  store = await connectStore();
+} catch (error) {
+  logger.error(`Failed to connect to DB: ${error}`);
+  process.exit(1);
+}
+
+// Step 7: Apply Migrations
+// With AUTO_MIGRATE=true, pending schema migrations run before the server accepts requests
+if (process.env.AUTO_MIGRATE === "true") {
+  try {
+    await migrateUp(store);
+  } catch (error) {
+    logger.error(`Failed to apply migrations: ${error}`);
+    process.exit(1);
+  }
+}
+
+// Step 8: Define Port
 // Defaults to 5000 if PORT is not set in environment
 const PORT = process.env.PORT || 5000;
 
-// Step 4: Start Express Server
-// Binds the Express app to the specified port
-app.listen(PORT, () => {
+// Step 9: Start Express Server
+// Binds the Express app (and WebSocket event streams) to the specified port
+const server = createServer(store);
+server.listen(PORT, () => {
   logger.info(`Express App started on http://localhost:${PORT}`);
 });
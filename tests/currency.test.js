@@ -0,0 +1,771 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { DateTime, Settings } from "luxon";
+import {
+  ADMIN_KEY,
+  loginHeaders,
+  signToken,
+  startServer,
+} from "./helpers/server.js";
+import { TEST_STORES } from "./helpers/stores.js";
+
+for (const [client, createStore] of Object.entries(TEST_STORES)) {
+  describe(`currency API (${client})`, () => {
+    let store;
+    let request;
+    let createPlayer;
+    let balanceOf;
+    let close;
+
+    before(async () => {
+      store = await createStore();
+      ({ request, createPlayer, balanceOf, close } = await startServer(store));
+    });
+
+    after(async () => {
+      await close();
+      await store.close();
+    });
+
+    describe("POST /currency/login", () => {
+      it("issues a JWT for a signed request", async () => {
+        const uuid = crypto.randomUUID();
+
+        const res = await request("POST", "/currency/login", {
+          body: { uuid, name: "Steve" },
+          headers: loginHeaders(uuid, "Steve"),
+        });
+
+        assert.equal(res.status, 200);
+        const payload = jwt.verify(res.body.token, process.env.JWT_SECRET);
+        assert.equal(payload.uuid, uuid);
+        assert.equal(payload.name, "Steve");
+      });
+
+      it("rejects unsigned, tampered and replayed requests", async () => {
+        const uuid = crypto.randomUUID();
+
+        const unsigned = await request("POST", "/currency/login", {
+          body: { uuid, name: "Steve" },
+        });
+        assert.equal(unsigned.status, 401);
+
+        const tampered = await request("POST", "/currency/login", {
+          body: { uuid, name: "Alex" },
+          headers: loginHeaders(uuid, "Steve"),
+        });
+        assert.equal(tampered.status, 401);
+        assert.equal(tampered.body.error, "Invalid server signature");
+
+        const headers = loginHeaders(uuid, "Steve");
+        const first = await request("POST", "/currency/login", {
+          body: { uuid, name: "Steve" },
+          headers,
+        });
+        const replayed = await request("POST", "/currency/login", {
+          body: { uuid, name: "Steve" },
+          headers,
+        });
+        assert.equal(first.status, 200);
+        assert.equal(replayed.status, 401);
+        assert.equal(replayed.body.error, "Replayed request");
+      });
+
+      it("rejects a replayed future-dated signature while it is valid", async (t) => {
+        const uuid = crypto.randomUUID();
+        const start = Date.now();
+        const headers = loginHeaders(uuid, "Steve", {
+          "X-Server-Timestamp": String(start + 59 * 1000),
+        });
+        const login = () =>
+          request("POST", "/currency/login", {
+            body: { uuid, name: "Steve" },
+            headers,
+          });
+
+        assert.equal((await login()).status, 200);
+
+        // 61s later the signature is 2s old and still inside the window
+        t.mock.method(Date, "now", () => start + 61 * 1000);
+        const replayed = await login();
+        assert.equal(replayed.status, 401);
+        assert.equal(replayed.body.error, "Replayed request");
+      });
+
+      it("rejects signed requests without a valid timestamp", async () => {
+        const uuid = crypto.randomUUID();
+
+        for (const timestamp of ["abc", String(Date.now() + 0.5)]) {
+          const res = await request("POST", "/currency/login", {
+            body: { uuid, name: "Steve" },
+            headers: loginHeaders(uuid, "Steve", {
+              "X-Server-Timestamp": timestamp,
+            }),
+          });
+          assert.equal(res.status, 401);
+          assert.equal(res.body.error, "Invalid server timestamp");
+        }
+
+        const expired = await request("POST", "/currency/login", {
+          body: { uuid, name: "Steve" },
+          headers: loginHeaders(uuid, "Steve", {
+            "X-Server-Timestamp": String(Date.now() - 5 * 60 * 1000),
+          }),
+        });
+        assert.equal(expired.status, 401);
+        assert.equal(expired.body.error, "Signature expired");
+      });
+
+      it("rejects a request without a name", async () => {
+        const uuid = crypto.randomUUID();
+
+        const res = await request("POST", "/currency/login", {
+          body: { uuid },
+          headers: loginHeaders(uuid, undefined),
+        });
+
+        assert.equal(res.status, 400);
+      });
+    });
+
+    describe("GET /currency/balance", () => {
+      it("returns the balance of the logged-in player", async () => {
+        const player = await createPlayer(250);
+
+        const res = await request("GET", "/currency/balance", {
+          token: player.token,
+        });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, { balance: 250 });
+      });
+
+      it("returns 404 for a player that never logged in", async () => {
+        const token = signToken({ uuid: crypto.randomUUID(), name: "Ghost" });
+
+        const res = await request("GET", "/currency/balance", { token });
+
+        assert.equal(res.status, 404);
+      });
+    });
+
+    describe("POST /currency/pay", () => {
+      it("moves money between players", async () => {
+        const sender = await createPlayer(100);
+        const recipient = await createPlayer();
+
+        const res = await request("POST", "/currency/pay", {
+          body: { to_uuid: recipient.uuid, amount: 40 },
+          token: sender.token,
+        });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, {
+          success: true,
+          new_sender_balance: 60,
+          fee: 0,
+        });
+        assert.equal(await balanceOf(recipient), 40);
+      });
+
+      it("rejects a payment larger than the balance", async () => {
+        const sender = await createPlayer(10);
+        const recipient = await createPlayer();
+
+        const res = await request("POST", "/currency/pay", {
+          body: { to_uuid: recipient.uuid, amount: 11 },
+          token: sender.token,
+        });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, "Insufficient funds");
+        assert.equal(await balanceOf(sender), 10);
+        assert.equal(await balanceOf(recipient), 0);
+      });
+
+      it("rolls back the debit when the recipient is unknown", async () => {
+        const sender = await createPlayer(100);
+
+        const res = await request("POST", "/currency/pay", {
+          body: { to_uuid: crypto.randomUUID(), amount: 30 },
+          token: sender.token,
+        });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, "Recipient not found");
+        assert.equal(await balanceOf(sender), 100);
+      });
+
+      it("rejects paying yourself", async () => {
+        const sender = await createPlayer(100);
+
+        const res = await request("POST", "/currency/pay", {
+          body: { to_uuid: sender.uuid, amount: 30 },
+          token: sender.token,
+        });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, "Cannot pay yourself");
+      });
+
+      it("rejects non-positive and non-numeric amounts", async () => {
+        const sender = await createPlayer(100);
+        const recipient = await createPlayer();
+
+        for (const amount of [0, -5, "10"]) {
+          const res = await request("POST", "/currency/pay", {
+            body: { to_uuid: recipient.uuid, amount },
+            token: sender.token,
+          });
+          assert.equal(res.status, 400);
+        }
+
+        assert.equal(await balanceOf(sender), 100);
+      });
+    });
+
+    describe("POST /currency/withdraw and /currency/deposit", () => {
+      it("issues bills that can be deposited exactly once", async () => {
+        const player = await createPlayer(500);
+
+        const withdraw = await request("POST", "/currency/withdraw", {
+          body: { count: 2, denomination: 100 },
+          token: player.token,
+        });
+
+        assert.equal(withdraw.status, 200);
+        assert.equal(withdraw.body.new_balance, 300);
+        assert.equal(withdraw.body.bills.length, 2);
+
+        const bills = withdraw.body.bills.map(({ serial, signature }) => ({
+          serial,
+          signature,
+        }));
+
+        const deposit = await request("POST", "/currency/deposit", {
+          body: { bills },
+          token: player.token,
+        });
+
+        assert.equal(deposit.status, 200);
+        assert.equal(deposit.body.deposited, 200);
+        assert.equal(deposit.body.new_balance, 500);
+
+        const again = await request("POST", "/currency/deposit", {
+          body: { bills: [bills[0]] },
+          token: player.token,
+        });
+
+        assert.equal(again.status, 400);
+        assert.match(again.body.error, /already redeemed/);
+        assert.equal(await balanceOf(player), 500);
+      });
+
+      it("rejects a bill with a forged signature", async () => {
+        const player = await createPlayer(100);
+
+        const withdraw = await request("POST", "/currency/withdraw", {
+          body: { count: 1, denomination: 100 },
+          token: player.token,
+        });
+        const [{ serial }] = withdraw.body.bills;
+
+        const res = await request("POST", "/currency/deposit", {
+          body: { bills: [{ serial, signature: "00".repeat(32) }] },
+          token: player.token,
+        });
+
+        assert.equal(res.status, 400);
+        assert.match(res.body.error, /Invalid signature/);
+        assert.equal(await balanceOf(player), 0);
+      });
+
+      it("rejects a withdrawal larger than the balance", async () => {
+        const player = await createPlayer(150);
+
+        const res = await request("POST", "/currency/withdraw", {
+          body: { count: 2, denomination: 100 },
+          token: player.token,
+        });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, "Insufficient funds");
+        assert.equal(await balanceOf(player), 150);
+      });
+
+      it("rejects an invalid bill count", async () => {
+        const player = await createPlayer(100);
+
+        const res = await request("POST", "/currency/withdraw", {
+          body: { count: 0 },
+          token: player.token,
+        });
+
+        assert.equal(res.status, 400);
+      });
+
+      it("voids the bills of a reversed withdrawal", async () => {
+        const player = await createPlayer(300);
+
+        const withdrawBills = async () => {
+          const res = await request("POST", "/currency/withdraw", {
+            body: { count: 1, denomination: 100 },
+            token: player.token,
+          });
+          const history = await request(
+            "GET",
+            "/currency/history?action=withdraw&limit=1",
+            { token: player.token }
+          );
+          const bills = res.body.bills.map(({ serial, signature }) => ({
+            serial,
+            signature,
+          }));
+          return { id: history.body.transactions[0].id, bills };
+        };
+
+        const reverse = (id) =>
+          request("POST", `/admin/transactions/${id}/reverse`, {
+            body: { reason: "Bills lost in a crash" },
+            token: ADMIN_KEY,
+          });
+
+        const reversed = await withdrawBills();
+        assert.equal((await reverse(reversed.id)).status, 200);
+        assert.equal(await balanceOf(player), 300);
+
+        const deposit = await request("POST", "/currency/deposit", {
+          body: { bills: reversed.bills },
+          token: player.token,
+        });
+        assert.equal(deposit.status, 400);
+        assert.match(deposit.body.error, /was voided/);
+        assert.equal(await balanceOf(player), 300);
+
+        // Bills already deposited cannot be taken back
+        const deposited = await withdrawBills();
+        await request("POST", "/currency/deposit", {
+          body: { bills: deposited.bills },
+          token: player.token,
+        });
+
+        const refused = await reverse(deposited.id);
+        assert.equal(refused.status, 409);
+        assert.match(refused.body.error, /already deposited/);
+        assert.equal(await balanceOf(player), 300);
+      });
+    });
+
+    describe("POST /currency/daily", () => {
+      const TIMEZONE = "Europe/Berlin";
+
+      /**
+       * Freezes luxon's clock at a Berlin wall-clock time.
+       *
+       * @param {string} iso - Local time, e.g. "2026-03-10T06:29".
+       */
+      const setBerlinTime = (iso) => {
+        const millis = DateTime.fromISO(iso, { zone: TIMEZONE }).toMillis();
+        Settings.now = () => millis;
+      };
+
+      after(() => {
+        Settings.now = () => Date.now();
+      });
+
+      const claim = (player) =>
+        request("POST", "/currency/daily", { token: player.token });
+
+      it("allows one claim per day, resetting at 06:30 Berlin time", async () => {
+        const player = await createPlayer();
+
+        setBerlinTime("2026-03-10T06:29:00");
+        assert.equal((await claim(player)).status, 200);
+
+        setBerlinTime("2026-03-10T06:29:59");
+        assert.equal((await claim(player)).status, 429);
+
+        setBerlinTime("2026-03-10T06:30:00");
+        const afterReset = await claim(player);
+        assert.equal(afterReset.status, 200);
+        assert.equal(afterReset.body.new_balance, 105);
+
+        setBerlinTime("2026-03-10T23:59:00");
+        assert.equal((await claim(player)).status, 429);
+
+        setBerlinTime("2026-03-11T06:29:00");
+        const beforeReset = await claim(player);
+        assert.equal(beforeReset.status, 429);
+        assert.match(beforeReset.body.error, /Next reset in 0h 1m/);
+
+        setBerlinTime("2026-03-11T06:30:00");
+        assert.equal((await claim(player)).status, 200);
+      });
+
+      it("raises the reward with the streak and pays milestones", async () => {
+        const player = await createPlayer();
+        const rewards = [];
+
+        for (let day = 1; day <= 7; day++) {
+          setBerlinTime(`2026-04-0${day}T12:00:00`);
+          const res = await claim(player);
+          assert.equal(res.body.streak, day);
+          rewards.push(res.body.reward);
+        }
+
+        // 50 plus the streak bonus, and a 100 milestone bonus on day 7
+        assert.deepEqual(rewards, [50, 55, 60, 65, 70, 75, 180]);
+
+        setBerlinTime("2026-04-08T12:00:00");
+        const eighth = await claim(player);
+        assert.equal(eighth.body.reward, 80);
+        assert.equal(eighth.body.milestone_bonus, 0);
+        assert.deepEqual(eighth.body.next_milestone, {
+          day: 30,
+          bonus: 500,
+          in_days: 22,
+        });
+      });
+
+      it("ends the streak when a day is missed", async () => {
+        const player = await createPlayer();
+
+        setBerlinTime("2026-05-01T12:00:00");
+        await claim(player);
+        setBerlinTime("2026-05-02T07:00:00");
+        assert.equal((await claim(player)).body.streak, 2);
+
+        // Nothing claimed in the window starting 2026-05-03 06:30
+        setBerlinTime("2026-05-04T06:30:00");
+        const res = await claim(player);
+        assert.equal(res.body.streak, 1);
+        assert.equal(res.body.reward, 50);
+      });
+
+      it("returns 404 for a player that never logged in", async () => {
+        const token = signToken({ uuid: crypto.randomUUID(), name: "Ghost" });
+
+        const res = await request("GET", "/currency/balance", { token });
+
+        assert.equal(res.status, 404);
+      });
+    });
+
+    describe("POST /currency/pay", () => {
+      it("moves money between players", async () => {
+        const sender = await createPlayer(100);
+        const recipient = await createPlayer();
+
+        const res = await request("POST", "/currency/pay", {
+          body: { to_uuid: recipient.uuid, amount: 40 },
+          token: sender.token,
+        });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, {
+          success: true,
+          new_sender_balance: 60,
+          fee: 0,
+        });
+        assert.equal(await balanceOf(recipient), 40);
+      });
+
+      it("rejects a payment larger than the balance", async () => {
+        const sender = await createPlayer(10);
+        const recipient = await createPlayer();
+
+        const res = await request("POST", "/currency/pay", {
+          body: { to_uuid: recipient.uuid, amount: 11 },
+          token: sender.token,
+        });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, "Insufficient funds");
+        assert.equal(await balanceOf(sender), 10);
+        assert.equal(await balanceOf(recipient), 0);
+      });
+
+      it("rolls back the debit when the recipient is unknown", async () => {
+        const sender = await createPlayer(100);
+
+        const res = await request("POST", "/currency/pay", {
+          body: { to_uuid: crypto.randomUUID(), amount: 30 },
+          token: sender.token,
+        });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, "Recipient not found");
+        assert.equal(await balanceOf(sender), 100);
+      });
+
+      it("rejects paying yourself", async () => {
+        const sender = await createPlayer(100);
+
+        const res = await request("POST", "/currency/pay", {
+          body: { to_uuid: sender.uuid, amount: 30 },
+          token: sender.token,
+        });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, "Cannot pay yourself");
+      });
+
+      it("rejects non-positive and non-numeric amounts", async () => {
+        const sender = await createPlayer(100);
+        const recipient = await createPlayer();
+
+        for (const amount of [0, -5, "10"]) {
+          const res = await request("POST", "/currency/pay", {
+            body: { to_uuid: recipient.uuid, amount },
+            token: sender.token,
+          });
+          assert.equal(res.status, 400);
+        }
+
+        assert.equal(await balanceOf(sender), 100);
+      });
+    });
+
+    describe("POST /currency/withdraw and /currency/deposit", () => {
+      it("issues bills that can be deposited exactly once", async () => {
+        const player = await createPlayer(500);
+
+        const withdraw = await request("POST", "/currency/withdraw", {
+          body: { count: 2, denomination: 100 },
+          token: player.token,
+        });
+
+        assert.equal(withdraw.status, 200);
+        assert.equal(withdraw.body.new_balance, 300);
+        assert.equal(withdraw.body.bills.length, 2);
+
+        const bills = withdraw.body.bills.map(({ serial, signature }) => ({
+          serial,
+          signature,
+        }));
+
+        const deposit = await request("POST", "/currency/deposit", {
+          body: { bills },
+          token: player.token,
+        });
+
+        assert.equal(deposit.status, 200);
+        assert.equal(deposit.body.deposited, 200);
+        assert.equal(deposit.body.new_balance, 500);
+
+        const again = await request("POST", "/currency/deposit", {
+          body: { bills: [bills[0]] },
+          token: player.token,
+        });
+
+        assert.equal(again.status, 400);
+        assert.match(again.body.error, /already redeemed/);
+        assert.equal(await balanceOf(player), 500);
+      });
+
+      it("rejects a bill with a forged signature", async () => {
+        const player = await createPlayer(100);
+
+        const withdraw = await request("POST", "/currency/withdraw", {
+          body: { count: 1, denomination: 100 },
+          token: player.token,
+        });
+        const [{ serial }] = withdraw.body.bills;
+
+        const res = await request("POST", "/currency/deposit", {
+          body: { bills: [{ serial, signature: "00".repeat(32) }] },
+          token: player.token,
+        });
+
+        assert.equal(res.status, 400);
+        assert.match(res.body.error, /Invalid signature/);
+        assert.equal(await balanceOf(player), 0);
+      });
+
+      it("rejects a withdrawal larger than the balance", async () => {
+        const player = await createPlayer(150);
+
+        const res = await request("POST", "/currency/withdraw", {
+          body: { count: 2, denomination: 100 },
+          token: player.token,
+        });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, "Insufficient funds");
+        assert.equal(await balanceOf(player), 150);
+      });
+
+      it("rejects an invalid bill count", async () => {
+        const player = await createPlayer(100);
+
+        const res = await request("POST", "/currency/withdraw", {
+          body: { count: 0 },
+          token: player.token,
+        });
+
+        assert.equal(res.status, 400);
+      });
+    });
+
+    describe("POST /currency/daily", () => {
+      const TIMEZONE = "Europe/Berlin";
+
+      /**
+       * Freezes luxon's clock at a Berlin wall-clock time.
+       *
+       * @param {string} iso - Local time, e.g. "2026-03-10T06:29".
+       */
+      const setBerlinTime = (iso) => {
+        const millis = DateTime.fromISO(iso, { zone: TIMEZONE }).toMillis();
+        Settings.now = () => millis;
+      };
+
+      after(() => {
+        Settings.now = () => Date.now();
+      });
+
+      const claim = (player) =>
+        request("POST", "/currency/daily", { token: player.token });
+
+      it("allows one claim per day, resetting at 06:30 Berlin time", async () => {
+        const player = await createPlayer();
+
+        setBerlinTime("2026-03-10T06:29:00");
+        assert.equal((await claim(player)).status, 200);
+
+        setBerlinTime("2026-03-10T06:29:59");
+        assert.equal((await claim(player)).status, 429);
+
+        setBerlinTime("2026-03-10T06:30:00");
+        const afterReset = await claim(player);
+        assert.equal(afterReset.status, 200);
+        assert.equal(afterReset.body.new_balance, 105);
+
+        setBerlinTime("2026-03-10T23:59:00");
+        assert.equal((await claim(player)).status, 429);
+
+        setBerlinTime("2026-03-11T06:29:00");
+        const beforeReset = await claim(player);
+        assert.equal(beforeReset.status, 429);
+        assert.match(beforeReset.body.error, /Next reset in 0h 1m/);
+
+        setBerlinTime("2026-03-11T06:30:00");
+        assert.equal((await claim(player)).status, 200);
+      });
+
+      it("raises the reward with the streak and pays milestones", async () => {
+        const player = await createPlayer();
+        const rewards = [];
+
+        for (let day = 1; day <= 7; day++) {
+          setBerlinTime(`2026-04-0${day}T12:00:00`);
+          const res = await claim(player);
+          assert.equal(res.body.streak, day);
+          rewards.push(res.body.reward);
+        }
+
+        // 50 plus the streak bonus, and a 100 milestone bonus on day 7
+        assert.deepEqual(rewards, [50, 55, 60, 65, 70, 75, 180]);
+
+        setBerlinTime("2026-04-08T12:00:00");
+        const eighth = await claim(player);
+        assert.equal(eighth.body.reward, 80);
+        assert.equal(eighth.body.milestone_bonus, 0);
+        assert.deepEqual(eighth.body.next_milestone, {
+          day: 30,
+          bonus: 500,
+          in_days: 22,
+        });
+      });
+
+      it("ends the streak when a day is missed", async () => {
+        const player = await createPlayer();
+
+        setBerlinTime("2026-05-01T12:00:00");
+        await claim(player);
+        setBerlinTime("2026-05-02T07:00:00");
+        assert.equal((await claim(player)).body.streak, 2);
+
+        // Nothing claimed in the window starting 2026-05-03 06:30
+        setBerlinTime("2026-05-04T06:30:00");
+        const res = await claim(player);
+        assert.equal(res.body.streak, 1);
+        assert.equal(res.body.reward, 50);
+      });
+
+      it("reports the claim status without claiming", async () => {
+        const player = await createPlayer();
+        const status = () =>
+          request("GET", "/currency/daily", { token: player.token });
+
+        setBerlinTime("2026-06-01T06:00:00");
+        const before = await status();
+        assert.equal(before.status, 200);
+        assert.equal(before.body.claimed, false);
+        assert.equal(before.body.streak, 0);
+        assert.equal(before.body.reward, 50);
+        assert.equal(before.body.seconds_until_reset, 30 * 60);
+        assert.equal(before.body.resets_at, "2026-06-01T04:30:00.000Z");
+
+        await claim(player);
+
+        const after = await status();
+        assert.equal(after.body.claimed, true);
+        assert.equal(after.body.streak, 1);
+        assert.equal(after.body.reward, 55);
+        assert.deepEqual(after.body.next_milestone, {
+          day: 7,
+          bonus: 100,
+          in_days: 6,
+        });
+
+        const balance = await request("GET", "/currency/balance", {
+          token: player.token,
+        });
+        assert.equal(balance.body.balance, 50);
+      });
+
+      it("returns 404 for a player that never logged in", async () => {
+        setBerlinTime("2026-03-10T12:00:00");
+        const token = signToken({ uuid: crypto.randomUUID(), name: "Ghost" });
+
+        const res = await request("POST", "/currency/daily", { token });
+
+        assert.equal(res.status, 404);
+      });
+    });
+
+    describe("/currency/mob-limit", () => {
+      it("reports no allowance left once the limit was marked", async () => {
+        const player = await createPlayer();
+        const other = await createPlayer();
+
+        const before = await request("GET", "/currency/mob-limit", {
+          token: player.token,
+        });
+        assert.equal(before.body.earned, 0);
+        assert.equal(before.body.remaining, before.body.daily_cap);
+
+        const mark = await request("POST", "/currency/mob-limit", {
+          token: player.token,
+        });
+        assert.equal(mark.status, 200);
+
+        const afterMark = await request("GET", "/currency/mob-limit", {
+          token: player.token,
+        });
+        assert.equal(afterMark.body.remaining, 0);
+        assert.ok(
+          Object.values(afterMark.body.mobs).every((mob) => mob.remaining === 0)
+        );
+
+        const untouched = await request("GET", "/currency/mob-limit", {
+          token: other.token,
+        });
+        assert.equal(untouched.body.remaining, untouched.body.daily_cap);
+      });
+    });
+  });
+}
@@ -0,0 +1,134 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ADMIN_KEY, loginHeaders, startServer } from "./helpers/server.js";
+import { TEST_STORES } from "./helpers/stores.js";
+import DEFAULT_ECONOMY from "../config/economy/defaults.js";
+import { validateEconomyConfig } from "../config/economy/validateEconomyConfig.js";
+
+describe("validateEconomyConfig", () => {
+  const withChanges = (changes) => ({
+    ...DEFAULT_ECONOMY,
+    ...changes,
+  });
+
+  it("accepts the defaults", () => {
+    assert.deepEqual(validateEconomyConfig(DEFAULT_ECONOMY), []);
+  });
+
+  it("reports every invalid setting", () => {
+    const errors = validateEconomyConfig(
+      withChanges({
+        timezone: "Mars/Olympus_Mons",
+        daily: { ...DEFAULT_ECONOMY.daily, reward: -1, reset_time: "6:30" },
+        bills: { denominations: [100, 100], default_denomination: 100 },
+        leaderboard: { ...DEFAULT_ECONOMY.leaderboard, size: 0 },
+        auth: { token_ttl: "soon", refresh_token_ttl: "later" },
+      })
+    );
+
+    assert.equal(errors.length, 7);
+  });
+
+  it("requires the default denomination to be allowed", () => {
+    const errors = validateEconomyConfig(
+      withChanges({
+        bills: { denominations: [10, 100], default_denomination: 1000 },
+      })
+    );
+
+    assert.deepEqual(errors, [
+      "bills.default_denomination must be one of bills.denominations",
+    ]);
+  });
+});
+
+describe("economy config hot reload", () => {
+  const configPath = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), "economy-")),
+    "economy.json"
+  );
+
+  let store;
+  let request;
+  let close;
+
+  const reload = () =>
+    request("POST", "/admin/economy/reload", { token: ADMIN_KEY });
+
+  before(async () => {
+    process.env.ECONOMY_CONFIG_PATH = configPath;
+    store = await TEST_STORES.sqlite();
+    ({ request, close } = await startServer(store));
+  });
+
+  after(async () => {
+    await close();
+    await store.close();
+    fs.rmSync(path.dirname(configPath), { recursive: true, force: true });
+    delete process.env.ECONOMY_CONFIG_PATH;
+  });
+
+  it("applies an edited config file without a restart", async () => {
+    const uuid = crypto.randomUUID();
+    const login = await request("POST", "/currency/login", {
+      body: { uuid, name: "Steve" },
+      headers: loginHeaders(uuid, "Steve"),
+    });
+    const { token } = login.body;
+
+    fs.writeFileSync(
+      configPath,
+      JSON.stringify({
+        daily: { reward: 75 },
+        bills: { denominations: [5, 25], default_denomination: 25 },
+      })
+    );
+
+    const res = await reload();
+    assert.equal(res.status, 200);
+    assert.equal(res.body.previous.daily.reward, 50);
+    assert.equal(res.body.economy.daily.reward, 75);
+
+    const daily = await request("POST", "/currency/daily", { token });
+    assert.equal(daily.body.new_balance, 75);
+
+    const rejected = await request("POST", "/currency/withdraw", {
+      body: { count: 1, denomination: 10 },
+      token,
+    });
+    assert.equal(rejected.status, 400);
+
+    const withdraw = await request("POST", "/currency/withdraw", {
+      body: { count: 2 },
+      token,
+    });
+    assert.equal(withdraw.status, 200);
+    assert.equal(withdraw.body.denomination, 25);
+    assert.equal(withdraw.body.new_balance, 25);
+  });
+
+  it("keeps the current config when the new one is invalid", async () => {
+    fs.writeFileSync(configPath, JSON.stringify({ leaderboard: { size: 0 } }));
+
+    const res = await reload();
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors.length, 1);
+
+    const current = await request("GET", "/admin/economy", {
+      token: ADMIN_KEY,
+    });
+    assert.equal(current.body.daily.reward, 75);
+    assert.equal(current.body.leaderboard.size, 10);
+  });
+
+  it("rejects a file that is not valid JSON", async () => {
+    fs.writeFileSync(configPath, "{ daily: ");
+
+    const res = await reload();
+    assert.equal(res.status, 400);
+  });
+});
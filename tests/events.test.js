@@ -0,0 +1,322 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import WebSocket from "ws";
+import { ADMIN_KEY, startServer } from "./helpers/server.js";
+import { TEST_STORES } from "./helpers/stores.js";
+
+for (const [client, createStore] of Object.entries(TEST_STORES)) {
+  describe(`event streams (${client})`, () => {
+    let store;
+    let request;
+    let createPlayer;
+    let close;
+    let baseUrl;
+
+    // Streams still open when a test fails, closed before the server
+    const streams = new Set();
+
+    before(async () => {
+      store = await createStore();
+      ({ request, createPlayer, close, baseUrl } = await startServer(store));
+    });
+
+    after(async () => {
+      for (const stream of streams) stream.close();
+      await close();
+      await store.close();
+    });
+
+    /**
+     * Opens a Server-Sent Events stream.
+     *
+     * @returns {Promise<{status: number, headers: Headers, next: () => Promise<Object>, close: Function}>}
+     *   `next()` resolves to the data of the next event, skipping heartbeats.
+     */
+    const openEventSource = async (path, token, headers = {}) => {
+      const controller = new AbortController();
+      const res = await fetch(baseUrl + path, {
+        headers: { Authorization: `Bearer ${token}`, ...headers },
+        signal: controller.signal,
+      });
+
+      const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = "";
+
+      const next = async () => {
+        for (;;) {
+          const end = buffer.indexOf("\n\n");
+
+          if (end !== -1) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+
+            const data = block
+              .split("\n")
+              .find((line) => line.startsWith("data: "));
+            if (data) return JSON.parse(data.slice("data: ".length));
+            continue;
+          }
+
+          const { value, done } = await reader.read();
+          if (done) throw new Error("Stream ended");
+          buffer += value;
+        }
+      };
+
+      const stream = {
+        status: res.status,
+        headers: res.headers,
+        next,
+        close: () => {
+          controller.abort();
+          streams.delete(stream);
+        },
+      };
+      streams.add(stream);
+
+      return stream;
+    };
+
+    /**
+     * Opens a WebSocket stream and waits for the handshake.
+     *
+     * @returns {Promise<{next: () => Promise<Object>, closed: Promise<number>, close: Function}>}
+     *   `closed` resolves to the close code once the server or client closes the socket.
+     */
+    const openWebSocket = async (path, token) => {
+      const socket = new WebSocket(baseUrl.replace(/^http/, "ws") + path, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      await once(socket, "open");
+
+      const messages = [];
+      socket.on("message", (data) => messages.push(JSON.parse(data)));
+
+      const next = async () => {
+        while (messages.length === 0) await once(socket, "message");
+        return messages.shift();
+      };
+
+      const stream = {
+        next,
+        closed: new Promise((resolve) => socket.on("close", resolve)),
+        close: () => {
+          socket.close();
+          streams.delete(stream);
+        },
+      };
+      streams.add(stream);
+
+      return stream;
+    };
+
+    const pay = (sender, recipient, amount) =>
+      request("POST", "/currency/pay", {
+        body: { to_uuid: recipient.uuid, amount },
+        token: sender.token,
+      });
+
+    it("tells the recipient about a payment over Server-Sent Events", async () => {
+      const sender = await createPlayer(1000);
+      const recipient = await createPlayer();
+
+      const stream = await openEventSource("/currency/events", recipient.token);
+      assert.equal(stream.status, 200);
+      assert.equal(stream.headers.get("content-type"), "text/event-stream");
+
+      await pay(sender, recipient, 100);
+
+      const event = await stream.next();
+      assert.equal(event.type, "payment_received");
+      assert.equal(event.uuid, recipient.uuid);
+      assert.equal(event.amount, 100);
+      assert.equal(event.balance, 100);
+      assert.deepEqual(event.from, { uuid: sender.uuid, name: sender.name });
+      assert.ok(Number.isInteger(event.id));
+
+      stream.close();
+    });
+
+    it("sends players only their own events", async () => {
+      const player = await createPlayer();
+      const other = await createPlayer();
+
+      const stream = await openEventSource("/currency/events", player.token);
+
+      await request("POST", "/currency/daily", { token: other.token });
+      await request("POST", "/currency/daily", { token: player.token });
+
+      const event = await stream.next();
+      assert.equal(event.type, "daily_claimed");
+      assert.equal(event.uuid, player.uuid);
+      assert.equal(event.streak, 1);
+      assert.equal(event.balance, event.amount);
+
+      stream.close();
+    });
+
+    it("replays events missed while disconnected", async () => {
+      const sender = await createPlayer(1000);
+      const player = await createPlayer();
+
+      const first = await openEventSource("/currency/events", player.token);
+      await pay(sender, player, 10);
+      const { id } = await first.next();
+      first.close();
+
+      await pay(sender, player, 20);
+      await request("POST", `/admin/players/${player.uuid}/balance`, {
+        body: { adjust: -5, reason: "test" },
+        token: ADMIN_KEY,
+      });
+
+      const resumed = await openEventSource("/currency/events", player.token, {
+        "Last-Event-ID": String(id),
+      });
+      assert.equal((await resumed.next()).amount, 20);
+
+      const adjustment = await resumed.next();
+      assert.equal(adjustment.type, "admin_adjustment");
+      assert.equal(adjustment.amount, -5);
+      assert.equal(adjustment.balance, 25);
+      resumed.close();
+
+      // IDs from before a restart cannot be resumed
+      const stale = await openEventSource(
+        "/currency/events?last_event_id=99999999",
+        player.token
+      );
+      assert.equal((await stale.next()).type, "reset");
+      stale.close();
+    });
+
+    it("streams events over a WebSocket", async () => {
+      const sender = await createPlayer(1000);
+      const recipient = await createPlayer();
+
+      const socket = await openWebSocket("/currency/events", sender.token);
+      await pay(sender, recipient, 250);
+
+      const event = await socket.next();
+      assert.equal(event.type, "payment_sent");
+      assert.deepEqual(event.to, {
+        uuid: recipient.uuid,
+        name: recipient.name,
+      });
+      assert.equal(event.balance, 750);
+
+      socket.close();
+    });
+
+    it("leaves other accounts' balances out of the global topic", async () => {
+      const player = await createPlayer();
+      const sender = await createPlayer(1000);
+      const recipient = await createPlayer();
+
+      const stream = await openEventSource(
+        "/currency/events?topic=global",
+        player.token
+      );
+
+      await pay(sender, recipient, 30);
+      await request("POST", "/currency/daily", { token: player.token });
+
+      const sent = await stream.next();
+      const received = await stream.next();
+      assert.deepEqual(
+        [sent.type, sent.uuid, received.type, received.uuid],
+        ["payment_sent", sender.uuid, "payment_received", recipient.uuid]
+      );
+      assert.equal(sent.amount, 30);
+      assert.equal("balance" in sent, false);
+      assert.equal("balance" in received, false);
+
+      const own = await stream.next();
+      assert.equal(own.type, "daily_claimed");
+      assert.equal(own.balance, own.amount);
+
+      stream.close();
+    });
+
+    it("ends a player's streams when their tokens are revoked", async () => {
+      const player = await createPlayer();
+      const other = await createPlayer();
+
+      const eventSource = await openEventSource(
+        "/currency/events?topic=global",
+        player.token
+      );
+      const socket = await openWebSocket("/currency/events", player.token);
+      const untouched = await openWebSocket("/currency/events", other.token);
+
+      const kick = await request("POST", `/admin/players/${player.uuid}/kick`, {
+        body: { reason: "Compromised account" },
+        token: ADMIN_KEY,
+      });
+      assert.equal(kick.status, 200);
+
+      assert.equal((await eventSource.next()).type, "revoked");
+      await assert.rejects(eventSource.next(), /Stream ended/);
+      eventSource.close();
+
+      assert.equal((await socket.next()).type, "revoked");
+      assert.equal(await socket.closed, 1008);
+      socket.close();
+
+      // Other players' streams stay open
+      await request("POST", "/currency/daily", { token: other.token });
+      assert.equal((await untouched.next()).type, "daily_claimed");
+      untouched.close();
+    });
+
+    it("streams every player's events to admins", async () => {
+      const sender = await createPlayer(1000);
+      const recipient = await createPlayer();
+
+      const socket = await openWebSocket("/admin/events", ADMIN_KEY);
+      await pay(sender, recipient, 40);
+
+      const sent = await socket.next();
+      const received = await socket.next();
+      assert.deepEqual(
+        [sent.type, sent.uuid, received.type, received.uuid],
+        ["payment_sent", sender.uuid, "payment_received", recipient.uuid]
+      );
+      assert.equal(received.id, sent.id + 1);
+
+      socket.close();
+    });
+
+    it("rejects streams without valid credentials", async () => {
+      const player = await createPlayer();
+
+      const socket = new WebSocket(
+        baseUrl.replace(/^http/, "ws") + "/currency/events"
+      );
+      const [, res] = await once(socket, "unexpected-response");
+      assert.equal(res.statusCode, 401);
+
+      // Aborting the refused handshake reports an error nobody needs
+      socket.on("error", () => {});
+      socket.terminate();
+
+      const asAdmin = await request("GET", "/admin/events", {
+        token: player.token,
+      });
+      assert.equal(asAdmin.status, 403);
+
+      const topic = await request("GET", "/currency/events?topic=server", {
+        token: player.token,
+      });
+      assert.equal(topic.status, 400);
+
+      const lastEventId = await request(
+        "GET",
+        "/currency/events?last_event_id=abc",
+        { token: player.token }
+      );
+      assert.equal(lastEventId.status, 400);
+    });
+  });
+}
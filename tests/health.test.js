@@ -0,0 +1,146 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers/server.js";
+import { TEST_STORES } from "./helpers/stores.js";
+import { migrateDown, migrateUp } from "../db/migrate.js";
+
+const METRICS_TOKEN = "test-metrics-token";
+
+/**
+ * Reads one sample from a Prometheus text response.
+ *
+ * @param {string} text - Body of `GET /metrics`.
+ * @param {string} series - Metric name with its labels, as rendered.
+ * @returns {number} 0 if the series was not recorded yet.
+ */
+const sample = (text, series) => {
+  const line = text.split("\n").find((l) => l.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : 0;
+};
+
+for (const [client, createStore] of Object.entries(TEST_STORES)) {
+  describe(`health and metrics (${client})`, () => {
+    let store;
+    let request;
+    let createPlayer;
+    let close;
+    let origin;
+
+    before(async () => {
+      store = await createStore();
+      let baseUrl;
+      ({ request, createPlayer, close, baseUrl } = await startServer(store));
+      origin = new URL(baseUrl).origin;
+    });
+
+    after(async () => {
+      await close();
+      await store.close();
+    });
+
+    const probe = async (path, token) => {
+      const res = await fetch(origin + path, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+      });
+      const type = res.headers.get("content-type");
+
+      return {
+        status: res.status,
+        type,
+        body: type.startsWith("application/json")
+          ? await res.json()
+          : await res.text(),
+      };
+    };
+
+    const metrics = async () => (await probe("/metrics", METRICS_TOKEN)).body;
+
+    it("reports the process as alive", async () => {
+      const res = await probe("/healthz");
+      assert.equal(res.status, 200);
+      assert.equal(res.body.status, "ok");
+    });
+
+    it("is ready only with a reachable database and a current schema", async () => {
+      assert.deepEqual((await probe("/readyz")).body, {
+        status: "ready",
+        checks: { database: "ok", migrations: "ok" },
+      });
+
+      await migrateDown(store);
+      const pending = await probe("/readyz");
+      assert.equal(pending.status, 503);
+      assert.deepEqual(pending.body.checks, {
+        database: "ok",
+        migrations: "pending",
+      });
+      await migrateUp(store);
+
+      const ping = store.ping;
+      store.ping = async () => {
+        throw new Error("Connection refused");
+      };
+      const down = await probe("/readyz");
+      store.ping = ping;
+
+      assert.equal(down.status, 503);
+      assert.deepEqual(down.body, {
+        status: "not_ready",
+        checks: { database: "unreachable", migrations: "unchecked" },
+      });
+      assert.equal((await probe("/readyz")).status, 200);
+    });
+
+    it("requires the metrics token", async () => {
+      assert.equal((await probe("/metrics")).status, 401);
+      assert.equal((await probe("/metrics", "wrong")).status, 401);
+
+      const res = await probe("/metrics", METRICS_TOKEN);
+      assert.equal(res.status, 200);
+      assert.match(res.type, /^text\/plain;.*version=0\.0\.4/);
+      assert.match(res.body, /# TYPE http_request_duration_seconds histogram/);
+    });
+
+    it("counts requests, rejected credentials and payments", async () => {
+      const players = [await createPlayer(1000), await createPlayer()];
+
+      const balanceSeries =
+        'http_requests_total{method="GET",route="/api/currency/balance",status="200"}';
+      const adminFailures = 'auth_failures_total{type="admin"}';
+      const transfers = 'economy_transfers_total{economy="default"}';
+      const amount = 'economy_transfer_amount_total{economy="default"}';
+      const before = await metrics();
+
+      await request("GET", "/currency/balance", { token: players[0].token });
+      await request("GET", "/admin/treasury", { token: "wrong" });
+      await request("POST", "/currency/pay", {
+        body: { to_uuid: players[1].uuid, amount: 250 },
+        token: players[0].token,
+      });
+
+      const now = await metrics();
+      assert.equal(
+        sample(now, balanceSeries),
+        sample(before, balanceSeries) + 1
+      );
+      assert.equal(
+        sample(now, adminFailures),
+        sample(before, adminFailures) + 1
+      );
+      assert.equal(sample(now, transfers), sample(before, transfers) + 1);
+      assert.equal(sample(now, amount), sample(before, amount) + 250);
+      assert.ok(
+        sample(
+          now,
+          'http_request_duration_seconds_count{method="GET",route="/api/currency/balance"}'
+        ) >= 1
+      );
+
+      // Only the PostgreSQL adapter manages a connection pool
+      assert.equal(
+        now.includes("# TYPE db_pool_connections gauge"),
+        client === "postgres"
+      );
+    });
+  });
+}
@@ -0,0 +1,17 @@
+/**
+ * Environment for the test suite. Imported before any app module, because
+ * middleware reads its settings when it is first loaded.
+ */
+
+Object.assign(process.env, {
+  JWT_SECRET: "test-jwt-secret",
+  SERVER_SHARED_SECRET: "test-server-secret",
+  // survival and hub share "main"; creative gets its own economy
+  GAME_SERVERS:
+    "survival:survival-key:main,hub:hub-key:main,creative:creative-key",
+  BILL_SIGNING_SECRET: "test-bill-secret",
+  ADMIN_API_KEYS: "tester:test-admin-key",
+  ALLOWED_IP_ADDRESS: "203.0.113.7",
+  ALLOWED_IP_ADDRESS_LOCAL: "127.0.0.1",
+  METRICS_TOKEN: "test-metrics-token",
+});
@@ -0,0 +1,122 @@
+import "./env.js";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { createServer } from "../../app/index.js";
+import { signLoginPayload } from "../../app/middleware/verifyServerSignature.js";
+
+export const ADMIN_KEY = "test-admin-key";
+
+/**
+ * Starts the app on a random local port.
+ *
+ * @param {import('../../db/index.js').Store} store - Store the app should use.
+ * @returns {Promise<{request: Function, createPlayer: Function, balanceOf: Function, close: Function, baseUrl: string}>}
+ *   `request(method, path, { body, token, headers })` resolves to `{ status, headers, body }`.
+ */
+export async function startServer(store) {
+  const server = createServer(store).listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  const request = async (method, path, options = {}) => {
+    const { body, token, headers = {} } = options;
+
+    const res = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  };
+
+  /**
+   * Logs a new player in through the default server, optionally funding them
+   * through the admin API.
+   *
+   * @param {number} [balance=0] - Starting balance.
+   * @param {string} [uuid] - Player UUID; random by default.
+   * @returns {Promise<{uuid: string, name: string, token: string}>}
+   */
+  const createPlayer = async (balance = 0, uuid = crypto.randomUUID()) => {
+    const name = `player_${uuid.slice(0, 8)}`;
+
+    const login = await request("POST", "/currency/login", {
+      body: { uuid, name },
+      headers: loginHeaders(uuid, name),
+    });
+    assert.equal(login.status, 200);
+
+    if (balance > 0) {
+      const funded = await request("POST", `/admin/players/${uuid}/balance`, {
+        body: { balance, reason: "test setup" },
+        token: ADMIN_KEY,
+      });
+      assert.equal(funded.status, 200);
+    }
+
+    return { uuid, name, token: login.body.token };
+  };
+
+  /**
+   * Reads a player's balance through the API.
+   *
+   * @param {{token: string}} player - Player from `createPlayer`.
+   * @returns {Promise<number>}
+   */
+  const balanceOf = async (player) =>
+    (await request("GET", "/currency/balance", { token: player.token })).body
+      .balance;
+
+  const close = () => new Promise((resolve) => server.close(resolve));
+
+  return { request, createPlayer, balanceOf, close, baseUrl };
+}
+
+// Login signing keys of the servers registered in env.js
+const SERVER_KEYS = {
+  default: "test-server-secret",
+  survival: "survival-key",
+  hub: "hub-key",
+  creative: "creative-key",
+};
+
+/**
+ * Builds the headers a game server sends with a login request.
+ *
+ * @param {string} uuid - Minecraft player's UUID.
+ * @param {string} name - Minecraft username.
+ * @param {Object} [overrides] - Replaces individual header values; an `X-Server-Timestamp` override is signed.
+ * @param {string} [server="default"] - Server signing the request; others send `X-Server-Id`.
+ * @returns {Object} `X-Server-*` headers.
+ */
+export function loginHeaders(uuid, name, overrides = {}, server = "default") {
+  const timestamp = overrides["X-Server-Timestamp"] ?? String(Date.now());
+  const nonce = crypto.randomUUID();
+  const key = SERVER_KEYS[server] ?? "unregistered-key";
+
+  return {
+    ...(server !== "default" && { "X-Server-Id": server }),
+    "X-Server-Timestamp": timestamp,
+    "X-Server-Nonce": nonce,
+    "X-Server-Signature": signLoginPayload(key, uuid, name, timestamp, nonce),
+    ...overrides,
+  };
+}
+
+/**
+ * Signs a player JWT the same way `/currency/login` does.
+ *
+ * @param {Object} payload - Token payload (`uuid`, `name`, optional `server`).
+ * @param {Object} [options] - `jsonwebtoken` sign options.
+ * @returns {string} Signed token.
+ */
+export function signToken(payload, options = { expiresIn: "10m" }) {
+  return jwt.sign(payload, process.env.JWT_SECRET, options);
+}
@@ -0,0 +1,57 @@
+import Database from "better-sqlite3";
+import { PGlite } from "@electric-sql/pglite";
+import { createSqliteStore } from "../../db/adapters/sqlite.js";
+import { createPostgresStore } from "../../db/adapters/postgres.js";
+import { migrateUp } from "../../db/migrate.js";
+
+/**
+ * Wraps PGlite in the subset of the `pg` Pool API the postgres adapter uses.
+ * PGlite has a single connection, so every "client" shares it; the tests never
+ * run two transactions at once.
+ *
+ * @param {PGlite} db - In-memory PGlite instance.
+ * @returns {Object} Pool-like object with `query`, `connect`, `end` and the pool counters.
+ */
+function createPGlitePool(db) {
+  const query = async (text, params) => {
+    // Parameterless calls may hold several statements (migrations), which only exec allows
+    const result = params
+      ? await db.query(text, params)
+      : (await db.exec(text)).at(-1);
+
+    return {
+      rows: result.rows,
+      rowCount: result.affectedRows || result.rows.length,
+    };
+  };
+
+  return {
+    query,
+    connect: async () => ({ query, release() {} }),
+    end: () => db.close(),
+    totalCount: 1,
+    idleCount: 1,
+    waitingCount: 0,
+  };
+}
+
+/**
+ * In-process databases the suite runs against, keyed by `DB_CLIENT` name.
+ * Each factory resolves to a migrated, empty store.
+ */
+export const TEST_STORES = {
+  sqlite: async () => {
+    const db = new Database(":memory:");
+    db.pragma("foreign_keys = ON");
+
+    const store = createSqliteStore(db);
+    await migrateUp(store);
+    return store;
+  },
+
+  postgres: async () => {
+    const store = createPostgresStore(createPGlitePool(new PGlite()));
+    await migrateUp(store);
+    return store;
+  },
+};
@@ -0,0 +1,218 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import jwt from "jsonwebtoken";
+import {
+  ADMIN_KEY,
+  loginHeaders,
+  signToken,
+  startServer,
+} from "./helpers/server.js";
+import { TEST_STORES } from "./helpers/stores.js";
+import {
+  compileJwtKey,
+  generateJwtKey,
+  pruneJwtKeyring,
+  rotateJwtKeyring,
+} from "../config/jwtKeys/keys.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe("JWT keyring rotation", () => {
+  const now = new Date("2025-06-01T12:00:00Z");
+
+  it("generates keys that compile for every algorithm", () => {
+    for (const alg of ["HS256", "RS256", "EdDSA"]) {
+      const { key, errors } = compileJwtKey(generateJwtKey(alg, now), alg);
+
+      assert.deepEqual(errors, []);
+      assert.equal(key.alg, alg);
+      assert.match(key.kid, /^20250601-[0-9a-f]{8}$/);
+    }
+  });
+
+  it("rejects weak secrets and keys of the wrong type", () => {
+    const rsa = generateJwtKey("RS256", now);
+
+    assert.equal(
+      compileJwtKey({ kid: "a", alg: "HS256", secret: "short" }, "k").errors
+        .length,
+      1
+    );
+    assert.match(
+      compileJwtKey({ ...rsa, alg: "EdDSA" }, "k").errors[0],
+      /not a ed25519 key/
+    );
+    assert.equal(
+      compileJwtKey({ kid: "a b", alg: "none" }, "k").errors.length,
+      2
+    );
+  });
+
+  it("retires the previous key after the overlap and prunes it later", () => {
+    const first = rotateJwtKeyring(
+      {},
+      { alg: "HS256", overlapMs: HOUR_MS, now }
+    );
+    assert.equal(first.retired, null);
+
+    const second = rotateJwtKeyring(first.keyring, {
+      alg: "EdDSA",
+      overlapMs: HOUR_MS,
+      now,
+    });
+
+    assert.equal(second.keyring.current, second.key.kid);
+    assert.equal(second.retired, first.key.kid);
+    assert.equal(
+      second.keyring.keys[0].retire_at,
+      new Date(now.getTime() + HOUR_MS).toISOString()
+    );
+
+    assert.deepEqual(pruneJwtKeyring(second.keyring, now).removed, []);
+
+    const { keyring, removed } = pruneJwtKeyring(
+      second.keyring,
+      new Date(now.getTime() + 2 * HOUR_MS)
+    );
+    assert.deepEqual(removed, [first.key.kid]);
+    assert.deepEqual(
+      keyring.keys.map((key) => key.kid),
+      [second.key.kid]
+    );
+  });
+});
+
+describe("JWT keyring on /currency/*", () => {
+  const keysPath = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), "jwt-keys-")),
+    "jwtKeys.json"
+  );
+
+  let store;
+  let request;
+  let close;
+  let keyring = {};
+
+  const login = async () => {
+    const uuid = crypto.randomUUID();
+    const res = await request("POST", "/currency/login", {
+      body: { uuid, name: "Steve" },
+      headers: loginHeaders(uuid, "Steve"),
+    });
+    return res.body.token;
+  };
+
+  const balance = (token) => request("GET", "/currency/balance", { token });
+
+  const rotate = async (alg, overlapMs = HOUR_MS) => {
+    ({ keyring } = rotateJwtKeyring(keyring, { alg, overlapMs }));
+    fs.writeFileSync(keysPath, JSON.stringify(keyring));
+
+    return request("POST", "/admin/jwt-keys/reload", { token: ADMIN_KEY });
+  };
+
+  before(async () => {
+    process.env.JWT_KEYS_PATH = keysPath;
+    store = await TEST_STORES.sqlite();
+    ({ request, close } = await startServer(store));
+  });
+
+  after(async () => {
+    await close();
+    await store.close();
+    fs.rmSync(path.dirname(keysPath), { recursive: true, force: true });
+    delete process.env.JWT_KEYS_PATH;
+  });
+
+  it("signs with JWT_SECRET until the keyring names a current key", async () => {
+    const token = await login();
+
+    assert.equal(jwt.decode(token, { complete: true }).header.kid, "legacy");
+    assert.equal((await balance(token)).status, 200);
+  });
+
+  it("keeps older tokens valid across rotations", async () => {
+    const legacy = await login();
+    const withoutKid = signToken({ uuid: crypto.randomUUID(), name: "Alex" });
+
+    for (const alg of ["RS256", "EdDSA", "HS256"]) {
+      const reloaded = await rotate(alg);
+      assert.equal(reloaded.status, 200);
+
+      const token = await login();
+      const { header } = jwt.decode(token, { complete: true });
+      assert.equal(header.alg, alg);
+      assert.equal(header.kid, keyring.current);
+
+      assert.equal((await balance(token)).status, 200);
+    }
+
+    assert.equal((await balance(legacy)).status, 200);
+    assert.equal(
+      (await request("GET", "/currency/top", { token: withoutKid })).status,
+      200
+    );
+  });
+
+  it("rejects tokens signed with a retired key", async () => {
+    await rotate("EdDSA");
+    const token = await login();
+
+    // Retire the EdDSA key immediately
+    await rotate("HS256", 0);
+
+    const res = await balance(token);
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error, "Invalid or expired token");
+  });
+
+  it("rejects a token whose header names another algorithm", async () => {
+    const { kid, secret } = keyring.keys.find(
+      (key) => key.kid === keyring.current
+    );
+    const forged = jwt.sign({ uuid: crypto.randomUUID() }, secret, {
+      algorithm: "HS512",
+      keyid: kid,
+    });
+
+    assert.equal((await balance(forged)).status, 403);
+  });
+
+  it("publishes the public keys of asymmetric keys only", async () => {
+    await rotate("RS256");
+
+    const res = await request("GET", "/currency/jwks.json");
+    assert.equal(res.status, 200);
+
+    const rsa = res.body.keys.find((key) => key.kid === keyring.current);
+    assert.equal(rsa.kty, "RSA");
+    assert.equal(rsa.d, undefined);
+    assert.ok(res.body.keys.every((key) => key.alg !== "HS256"));
+
+    const token = await login();
+    const publicKey = crypto.createPublicKey({ key: rsa, format: "jwk" });
+    assert.equal(jwt.verify(token, publicKey).name, "Steve");
+  });
+
+  it("keeps the current keyring when a reload is invalid", async () => {
+    const previous = keyring.current;
+    fs.writeFileSync(
+      keysPath,
+      JSON.stringify({ ...keyring, current: "missing" })
+    );
+
+    const res = await request("POST", "/admin/jwt-keys/reload", {
+      token: ADMIN_KEY,
+    });
+    assert.equal(res.status, 400);
+    assert.match(res.body.errors[0], /current key "missing" is not in keys/);
+
+    const keys = await request("GET", "/admin/jwt-keys", { token: ADMIN_KEY });
+    assert.equal(keys.body.keys.find((key) => key.current).kid, previous);
+    assert.ok(keys.body.keys.every((key) => key.secret === undefined));
+  });
+});
@@ -0,0 +1,205 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ADMIN_KEY, startServer } from "./helpers/server.js";
+import { TEST_STORES } from "./helpers/stores.js";
+
+// Boards are not cached until the last test turns the cache on
+const configPath = path.join(
+  fs.mkdtempSync(path.join(os.tmpdir(), "economy-")),
+  "economy.json"
+);
+const writeConfig = (cacheTtl) =>
+  fs.writeFileSync(
+    configPath,
+    JSON.stringify({ leaderboard: { cache_ttl: cacheTtl } })
+  );
+
+writeConfig("0s");
+process.env.ECONOMY_CONFIG_PATH = configPath;
+
+for (const [client, createStore] of Object.entries(TEST_STORES)) {
+  describe(`leaderboards (${client})`, () => {
+    let store;
+    let request;
+    let createPlayer;
+    let close;
+
+    before(async () => {
+      store = await createStore();
+      ({ request, createPlayer, close } = await startServer(store));
+
+      // The previous store's run leaves the cache turned on
+      writeConfig("0s");
+      await request("POST", "/admin/economy/reload", { token: ADMIN_KEY });
+    });
+
+    after(async () => {
+      await close();
+      await store.close();
+    });
+
+    const board = (player, query = "") =>
+      request("GET", `/currency/leaderboard${query}`, { token: player.token });
+
+    const setExcluded = (player, action, body = { reason: "staff" }) =>
+      request("POST", `/admin/players/${player.uuid}/leaderboard/${action}`, {
+        body,
+        token: ADMIN_KEY,
+      });
+
+    it("pages through the balance board and shows the caller's rank", async () => {
+      const players = [];
+      for (const balance of [5e6, 4e6, 3e6, 2e6, 1e6]) {
+        players.push(await createPlayer(balance));
+      }
+      const names = players.map((player) => player.name);
+
+      const res = await board(players[2], "?limit=2&page=2");
+      assert.equal(res.status, 200);
+      assert.equal(res.body.board, "balance");
+      assert.equal(res.body.total, 5);
+      assert.deepEqual(
+        res.body.entries.map((entry) => [entry.rank, entry.name, entry.value]),
+        [
+          [3, names[2], 3e6],
+          [4, names[3], 2e6],
+        ]
+      );
+
+      assert.equal(res.body.me.rank, 3);
+      assert.equal(res.body.me.value, 3e6);
+      assert.deepEqual(
+        res.body.me.neighbours.map((entry) => entry.name),
+        names
+      );
+    });
+
+    it("gives accounts with the same value the same rank", async () => {
+      const first = await createPlayer(9e6);
+      const second = await createPlayer(9e6);
+      await createPlayer(8e6);
+
+      const res = await board(first, "?limit=3");
+      assert.deepEqual(
+        res.body.entries.map((entry) => entry.rank),
+        [1, 1, 3]
+      );
+      assert.deepEqual(
+        res.body.entries
+          .slice(0, 2)
+          .map((entry) => entry.uuid)
+          .sort(),
+        [first.uuid, second.uuid].sort()
+      );
+    });
+
+    it("ranks what players earned this week", async () => {
+      const payer = await createPlayer(1000);
+      const earner = await createPlayer();
+
+      await request("POST", "/currency/pay", {
+        body: { to_uuid: earner.uuid, amount: 300 },
+        token: payer.token,
+      });
+      await request("POST", "/currency/daily", { token: earner.token });
+
+      const res = await board(payer, "?board=earned_week&limit=100");
+      const entry = res.body.entries.find((row) => row.uuid === earner.uuid);
+      assert.equal(entry.value, 350);
+      assert.equal(entry.type, "player");
+
+      // Admin corrections are not earnings
+      assert.equal(res.body.me, null);
+    });
+
+    it("ranks current daily streaks", async () => {
+      const player = await createPlayer();
+      await request("POST", "/currency/daily", { token: player.token });
+
+      const res = await board(player, "?board=daily_streak&limit=100");
+      assert.equal(res.body.me.value, 1);
+    });
+
+    it("ranks shared accounts on their own board", async () => {
+      const owner = await createPlayer(12e6);
+      const opened = await request("POST", "/currency/accounts", {
+        body: { name: "Bank of Oakvale" },
+        token: owner.token,
+      });
+      await request(
+        "POST",
+        `/currency/accounts/${opened.body.account.uuid}/deposit`,
+        { body: { amount: 11e6 }, token: owner.token }
+      );
+
+      const res = await board(owner, "?board=shared");
+      assert.deepEqual(res.body.entries[0], {
+        rank: 1,
+        uuid: opened.body.account.uuid,
+        name: "Bank of Oakvale",
+        value: 11e6,
+        type: "shared",
+      });
+      assert.ok(res.body.entries.every((entry) => entry.type === "shared"));
+      assert.equal(res.body.me, null);
+    });
+
+    it("leaves out accounts excluded by an admin", async () => {
+      const staff = await createPlayer(50e6);
+      const viewer = await createPlayer();
+
+      assert.equal((await setExcluded(staff, "exclude", {})).status, 400);
+      assert.equal(
+        (await setExcluded({ uuid: crypto.randomUUID() }, "exclude")).status,
+        404
+      );
+
+      const excluded = await setExcluded(staff, "exclude");
+      assert.deepEqual(excluded.body, { success: true, excluded: true });
+
+      const top = await request("GET", "/currency/top", {
+        token: viewer.token,
+      });
+      assert.ok(top.body.every((row) => row.name !== staff.name));
+      assert.equal((await board(staff)).body.me, null);
+
+      const list = await request("GET", "/admin/leaderboard/exclusions", {
+        token: ADMIN_KEY,
+      });
+      assert.deepEqual(list.body.exclusions, [
+        { uuid: staff.uuid, name: staff.name },
+      ]);
+
+      await setExcluded(staff, "include");
+      assert.equal((await board(viewer)).body.entries[0].uuid, staff.uuid);
+    });
+
+    it("rejects unknown boards and invalid pages", async () => {
+      const player = await createPlayer();
+
+      assert.equal((await board(player, "?board=richest")).status, 400);
+      assert.equal((await board(player, "?page=0")).status, 400);
+      assert.equal((await board(player, "?limit=500")).status, 400);
+    });
+
+    it("serves boards from the cache until it expires or an exclusion changes", async () => {
+      writeConfig("1m");
+      await request("POST", "/admin/economy/reload", { token: ADMIN_KEY });
+
+      const viewer = await createPlayer();
+      const before = await board(viewer);
+
+      const newcomer = await createPlayer(90e6);
+      const cached = await board(viewer);
+      assert.deepEqual(cached.body, before.body);
+
+      await setExcluded(viewer, "exclude");
+      const refreshed = await board(viewer);
+      assert.equal(refreshed.body.entries[0].uuid, newcomer.uuid);
+    });
+  });
+}
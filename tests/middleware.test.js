@@ -0,0 +1,263 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import jwt from "jsonwebtoken";
+import logger from "../logger.js";
+import { ADMIN_KEY, signToken, startServer } from "./helpers/server.js";
+import { TEST_STORES } from "./helpers/stores.js";
+import { IpAllowlistError } from "../config/ipAllowlist/index.js";
+import { matchesIp, parseIpRange } from "../config/ipAllowlist/ipRanges.js";
+import { loadMetricsIps } from "../app/middleware/verifyMetricsAccess.js";
+
+describe("JWT checks on /currency/*", () => {
+  let store;
+  let request;
+  let close;
+
+  const token = signToken({ uuid: crypto.randomUUID(), name: "Steve" });
+
+  before(async () => {
+    store = await TEST_STORES.sqlite();
+    ({ request, close } = await startServer(store));
+  });
+
+  after(async () => {
+    await close();
+    await store.close();
+  });
+
+  it("rejects a request without an Authorization header", async () => {
+    const res = await request("GET", "/currency/top");
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, "Missing Authorization header");
+  });
+
+  it("rejects a malformed Authorization header", async () => {
+    const res = await request("GET", "/currency/top", {
+      headers: { Authorization: "Bearer" },
+    });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, "Invalid Authorization format");
+  });
+
+  it("rejects a token signed with another secret", async () => {
+    const forged = jwt.sign({ uuid: crypto.randomUUID() }, "not-the-secret");
+
+    const res = await request("GET", "/currency/top", { token: forged });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error, "Invalid or expired token");
+  });
+
+  it("rejects an expired token", async () => {
+    const expired = signToken(
+      { uuid: crypto.randomUUID(), exp: Math.floor(Date.now() / 1000) - 60 },
+      {}
+    );
+
+    const res = await request("GET", "/currency/top", { token: expired });
+
+    assert.equal(res.status, 403);
+  });
+});
+
+describe("parseIpRange", () => {
+  it("parses addresses and CIDR ranges of both families", () => {
+    assert.deepEqual(parseIpRange("203.0.113.7"), {
+      type: "ipv4",
+      address: "203.0.113.7",
+      prefix: 32,
+    });
+    assert.deepEqual(parseIpRange("10.0.0.0/8"), {
+      type: "ipv4",
+      address: "10.0.0.0",
+      prefix: 8,
+    });
+    assert.deepEqual(parseIpRange("2001:db8::/32"), {
+      type: "ipv6",
+      address: "2001:db8::",
+      prefix: 32,
+    });
+    assert.equal(parseIpRange("::ffff:127.0.0.1").type, "ipv4");
+  });
+
+  it("rejects malformed entries", () => {
+    for (const entry of [
+      "localhost",
+      "10.0.0.0/33",
+      "2001:db8::/129",
+      "10.0.0.0/8/8",
+      "10.0.0.0/x",
+      "",
+    ]) {
+      assert.equal(parseIpRange(entry), null, entry);
+    }
+  });
+});
+
+describe("METRICS_ALLOWED_IPS", () => {
+  const original = process.env.METRICS_ALLOWED_IPS;
+
+  after(() => {
+    process.env.METRICS_ALLOWED_IPS = original ?? "";
+  });
+
+  it("parses addresses and CIDR ranges", () => {
+    process.env.METRICS_ALLOWED_IPS = "10.0.0.0/8, 192.0.2.1";
+    const list = loadMetricsIps();
+
+    assert.equal(matchesIp(list, "10.1.2.3"), true);
+    assert.equal(matchesIp(list, "192.0.2.2"), false);
+
+    process.env.METRICS_ALLOWED_IPS = "";
+    assert.equal(loadMetricsIps(), null);
+  });
+
+  it("fails on invalid entries instead of leaving them out", () => {
+    process.env.METRICS_ALLOWED_IPS = "10.0.0.0/8, prometheus";
+
+    assert.throws(
+      () => loadMetricsIps(),
+      (error) =>
+        error instanceof IpAllowlistError &&
+        error.errors.length === 1 &&
+        error.errors[0].includes('"prometheus"')
+    );
+  });
+});
+
+// The test server sees every request coming from 127.0.0.1
+describe("IP allowlist and trusted proxies on /currency/*", () => {
+  const allowlistPath = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), "ip-allowlist-")),
+    "ipAllowlist.json"
+  );
+  const originalEnv = {
+    IP_ALLOWLIST_PATH: process.env.IP_ALLOWLIST_PATH,
+    ALLOWED_IP_ADDRESS_LOCAL: process.env.ALLOWED_IP_ADDRESS_LOCAL,
+  };
+
+  let store;
+  let request;
+  let close;
+
+  const token = signToken({ uuid: crypto.randomUUID(), name: "Steve" });
+
+  /**
+   * Writes the allowlist file and reloads it through the admin API.
+   *
+   * @param {Object} allowlist - `{ allowed, trusted_proxies }`.
+   * @returns {Promise<{status: number, body: Object}>}
+   */
+  const useAllowlist = (allowlist) => {
+    fs.writeFileSync(allowlistPath, JSON.stringify(allowlist));
+    return request("POST", "/admin/ip-allowlist/reload", { token: ADMIN_KEY });
+  };
+
+  const top = (forwardedFor) =>
+    request("GET", "/currency/top", {
+      token,
+      headers: forwardedFor ? { "X-Forwarded-For": forwardedFor } : {},
+    });
+
+  before(async () => {
+    Object.assign(process.env, {
+      IP_ALLOWLIST_PATH: allowlistPath,
+      ALLOWED_IP_ADDRESS_LOCAL: "",
+    });
+
+    store = await TEST_STORES.sqlite();
+    ({ request, close } = await startServer(store));
+  });
+
+  after(async () => {
+    await close();
+    await store.close();
+    Object.assign(process.env, originalEnv);
+    fs.rmSync(path.dirname(allowlistPath), { recursive: true, force: true });
+  });
+
+  it("ignores X-Forwarded-For from a peer that is not a trusted proxy", async () => {
+    assert.equal((await useAllowlist({})).status, 200);
+
+    const res = await top("203.0.113.7");
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error, "Forbidden: Your IP is not allowed.");
+  });
+
+  it("allows the direct peer when it is on the allowlist", async () => {
+    await useAllowlist({ allowed: ["127.0.0.0/8"] });
+
+    assert.equal((await top()).status, 200);
+    assert.equal((await top("198.51.100.23")).status, 200);
+  });
+
+  it("uses the forwarded address behind a trusted proxy", async () => {
+    await useAllowlist({
+      allowed: ["203.0.113.0/24", "2001:db8::/32"],
+      trusted_proxies: ["127.0.0.1"],
+    });
+
+    assert.equal((await top("203.0.113.99")).status, 200);
+    assert.equal((await top("2001:db8::5")).status, 200);
+    assert.equal((await top("198.51.100.23")).status, 403);
+    assert.equal((await top()).status, 403);
+  });
+
+  it("takes the last untrusted hop, not what the client claims", async () => {
+    await useAllowlist({
+      allowed: ["203.0.113.7"],
+      trusted_proxies: ["127.0.0.1", "10.0.0.0/8"],
+    });
+
+    // The client made up the first entry; our proxy at 10.0.0.2 appended the real one
+    assert.equal(
+      (await top("203.0.113.7, 198.51.100.23, 10.0.0.2")).status,
+      403
+    );
+    assert.equal(
+      (await top("198.51.100.23, 203.0.113.7, 10.0.0.2")).status,
+      200
+    );
+  });
+
+  it("keeps the current allowlist when a reload has invalid entries", async () => {
+    await useAllowlist({ allowed: ["127.0.0.1"] });
+
+    const res = await useAllowlist({
+      allowed: ["127.0.0.1", "not-an-ip"],
+      trusted_proxies: "10.0.0.1",
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors.length, 1);
+
+    const current = await request("GET", "/admin/ip-allowlist", {
+      token: ADMIN_KEY,
+    });
+    assert.deepEqual(current.body, {
+      allowed: ["203.0.113.7", "127.0.0.1"],
+      trusted_proxies: [],
+    });
+  });
+
+  it("logs repeated blocks from one IP once per window", async (t) => {
+    await useAllowlist({ trusted_proxies: ["127.0.0.1"] });
+    const warn = t.mock.method(logger, "warn", () => {});
+
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await top("198.51.100.42")).status, 403);
+    }
+
+    const blocked = warn.mock.calls.filter(({ arguments: [message] }) =>
+      message.includes("198.51.100.42")
+    );
+    assert.equal(blocked.length, 1);
+  });
+});
@@ -0,0 +1,197 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { startServer } from "./helpers/server.js";
+import { TEST_STORES } from "./helpers/stores.js";
+import { getEconomy } from "../config/economy/index.js";
+import { getLastReset } from "../app/utils/currency/daily.js";
+
+// Read on first use of the economy config, so the table applies to every server below
+const configPath = path.join(
+  fs.mkdtempSync(path.join(os.tmpdir(), "economy-")),
+  "economy.json"
+);
+fs.writeFileSync(
+  configPath,
+  JSON.stringify({
+    mob_rewards: {
+      daily_cap: 20,
+      mobs: {
+        "minecraft:zombie": { reward: 3, daily_cap: 7 },
+        "minecraft:enderman": { reward: 10 },
+      },
+    },
+  })
+);
+process.env.ECONOMY_CONFIG_PATH = configPath;
+
+for (const [client, createStore] of Object.entries(TEST_STORES)) {
+  describe(`mob rewards (${client})`, () => {
+    let store;
+    let request;
+    let createPlayer;
+    let close;
+
+    before(async () => {
+      store = await createStore();
+      ({ request, createPlayer, close } = await startServer(store));
+    });
+
+    after(async () => {
+      await close();
+      await store.close();
+    });
+
+    const kill = (player, mob, headers = {}) =>
+      request("POST", "/currency/mob-reward", {
+        body: { mob },
+        token: player.token,
+        headers,
+      });
+
+    const allowanceOf = async (player) =>
+      (await request("GET", "/currency/mob-limit", { token: player.token }))
+        .body;
+
+    it("pays the reward from the table and records it", async () => {
+      const player = await createPlayer();
+
+      const res = await kill(player, "minecraft:zombie");
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, {
+        success: true,
+        mob: "minecraft:zombie",
+        reward: 3,
+        new_balance: 3,
+        remaining: 17,
+        mob_remaining: 4,
+      });
+
+      const history = await request("GET", "/currency/history", {
+        token: player.token,
+      });
+      assert.equal(history.body.transactions[0].action, "mob_reward");
+      assert.equal(history.body.transactions[0].amount, 3);
+    });
+
+    it("stops paying for a mob at its own cap", async () => {
+      const player = await createPlayer();
+
+      assert.equal((await kill(player, "minecraft:zombie")).body.reward, 3);
+      assert.equal((await kill(player, "minecraft:zombie")).body.reward, 3);
+
+      // Only 1 left under the zombie cap of 7
+      const partial = await kill(player, "minecraft:zombie");
+      assert.equal(partial.body.reward, 1);
+      assert.equal(partial.body.mob_remaining, 0);
+
+      const capped = await kill(player, "minecraft:zombie");
+      assert.equal(capped.status, 429);
+      assert.equal(capped.body.mob_remaining, 0);
+      assert.equal(capped.body.remaining, 13);
+      assert.ok(capped.body.resets_at);
+
+      assert.equal((await kill(player, "minecraft:enderman")).body.reward, 10);
+    });
+
+    it("stops paying for every mob at the daily cap", async () => {
+      const player = await createPlayer();
+
+      await kill(player, "minecraft:enderman");
+      await kill(player, "minecraft:enderman");
+
+      const res = await kill(player, "minecraft:zombie");
+      assert.equal(res.status, 429);
+      assert.equal(res.body.error, "Daily mob reward limit reached");
+      assert.equal(res.body.remaining, 0);
+
+      const balance = await request("GET", "/currency/balance", {
+        token: player.token,
+      });
+      assert.equal(balance.body.balance, 20);
+    });
+
+    it("reports the remaining allowance per mob", async () => {
+      const player = await createPlayer();
+      await kill(player, "minecraft:zombie");
+
+      const allowance = await allowanceOf(player);
+      assert.equal(allowance.daily_cap, 20);
+      assert.equal(allowance.earned, 3);
+      assert.equal(allowance.remaining, 17);
+      assert.deepEqual(allowance.mobs, {
+        "minecraft:zombie": {
+          reward: 3,
+          daily_cap: 7,
+          earned: 3,
+          remaining: 4,
+        },
+        "minecraft:enderman": {
+          reward: 10,
+          daily_cap: null,
+          earned: 0,
+          remaining: 17,
+        },
+      });
+      assert.ok(new Date(allowance.resets_at) > new Date());
+    });
+
+    it("pays nothing once the mod marked the limit reached", async () => {
+      const player = await createPlayer();
+
+      await request("POST", "/currency/mob-limit", { token: player.token });
+
+      assert.equal((await kill(player, "minecraft:enderman")).status, 429);
+      assert.equal((await allowanceOf(player)).remaining, 0);
+    });
+
+    it("keys the marked limit on the economy day", async () => {
+      const player = await createPlayer();
+      const economy = store.forEconomy("default");
+      const lastReset = getLastReset(getEconomy());
+
+      // A mark from the previous window no longer applies
+      await economy.markMobLimit(
+        player.uuid,
+        lastReset.minus({ days: 1 }).toISODate()
+      );
+      assert.equal((await kill(player, "minecraft:enderman")).status, 200);
+
+      await economy.markMobLimit(player.uuid, lastReset.toISODate());
+      assert.equal((await kill(player, "minecraft:enderman")).status, 429);
+    });
+
+    it("rejects mobs without a reward", async () => {
+      const player = await createPlayer();
+
+      const unknown = await kill(player, "minecraft:cow");
+      assert.equal(unknown.status, 400);
+      assert.equal(unknown.body.error, "No reward for mob type minecraft:cow");
+      assert.equal((await kill(player, "__proto__")).status, 400);
+      assert.equal((await kill(player, 42)).status, 400);
+      assert.equal((await allowanceOf(player)).earned, 0);
+    });
+
+    it("replays a reward sent again with the same Idempotency-Key", async () => {
+      const player = await createPlayer();
+      const headers = { "Idempotency-Key": crypto.randomUUID() };
+
+      const first = await kill(player, "minecraft:enderman", headers);
+      const second = await kill(player, "minecraft:enderman", headers);
+
+      assert.equal(second.status, 200);
+      assert.deepEqual(second.body, first.body);
+      assert.equal((await allowanceOf(player)).earned, 10);
+    });
+
+    it("keeps the ledger balanced", async () => {
+      const report = await store.reconcileLedger();
+
+      assert.deepEqual(report.drift, []);
+      assert.deepEqual(report.unbalanced, []);
+    });
+  });
+}
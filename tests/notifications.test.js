@@ -0,0 +1,269 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { setTimeout as sleep } from "timers/promises";
+import { ADMIN_KEY, loginHeaders, startServer } from "./helpers/server.js";
+import { TEST_STORES } from "./helpers/stores.js";
+
+// Notifications are kept for the default 30 days until the last test shortens it
+const configPath = path.join(
+  fs.mkdtempSync(path.join(os.tmpdir(), "economy-")),
+  "economy.json"
+);
+const writeConfig = (retention) =>
+  fs.writeFileSync(
+    configPath,
+    JSON.stringify({ notifications: { retention } })
+  );
+
+writeConfig("30d");
+process.env.ECONOMY_CONFIG_PATH = configPath;
+
+for (const [client, createStore] of Object.entries(TEST_STORES)) {
+  describe(`notifications (${client})`, () => {
+    let store;
+    let request;
+    let createPlayer;
+    let close;
+
+    before(async () => {
+      store = await createStore();
+      ({ request, createPlayer, close } = await startServer(store));
+
+      // The previous store's run leaves the retention shortened
+      writeConfig("30d");
+      await request("POST", "/admin/economy/reload", { token: ADMIN_KEY });
+    });
+
+    after(async () => {
+      await close();
+      await store.close();
+    });
+
+    const login = (uuid, name) =>
+      request("POST", "/currency/login", {
+        body: { uuid, name },
+        headers: loginHeaders(uuid, name),
+      });
+
+    const inbox = (player, query = "") =>
+      request("GET", `/currency/notifications${query}`, {
+        token: player.token,
+      });
+
+    const markRead = (player, body) =>
+      request("POST", "/currency/notifications/read", {
+        body,
+        token: player.token,
+      });
+
+    it("notifies the recipient of a payment", async () => {
+      const sender = await createPlayer(1000);
+      const recipient = await createPlayer();
+
+      await request("POST", "/currency/pay", {
+        body: { to_uuid: recipient.uuid, amount: 250 },
+        token: sender.token,
+      });
+
+      const res = await inbox(recipient);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.unread, 1);
+
+      const [notification] = res.body.notifications;
+      assert.equal(notification.type, "payment_received");
+      assert.equal(notification.amount, 250);
+      assert.deepEqual(notification.from, {
+        uuid: sender.uuid,
+        name: sender.name,
+      });
+      assert.equal(notification.message, `${sender.name} paid you $250`);
+      assert.equal(notification.read, false);
+
+      // Senders are not notified of their own payments
+      const sent = await inbox(sender);
+      assert.deepEqual(
+        sent.body.notifications.map((n) => n.type),
+        ["admin_adjustment"]
+      );
+    });
+
+    it("reports unread notifications on login", async () => {
+      const sender = await createPlayer(1000);
+      const recipient = await createPlayer();
+
+      for (const amount of [10, 20]) {
+        await request("POST", "/currency/pay", {
+          body: { to_uuid: recipient.uuid, amount },
+          token: sender.token,
+        });
+      }
+
+      const res = await login(recipient.uuid, recipient.name);
+      assert.equal(res.body.unread_notifications, 2);
+      assert.ok(res.body.token);
+    });
+
+    it("marks notifications as read by ID or all at once", async () => {
+      const sender = await createPlayer(1000);
+      const recipient = await createPlayer();
+
+      for (const amount of [1, 2, 3]) {
+        await request("POST", "/currency/pay", {
+          body: { to_uuid: recipient.uuid, amount },
+          token: sender.token,
+        });
+      }
+
+      const listed = await inbox(recipient);
+      assert.deepEqual(
+        listed.body.notifications.map((n) => n.amount),
+        [3, 2, 1]
+      );
+
+      const newest = listed.body.notifications[0].id;
+      const marked = await markRead(recipient, { ids: [newest] });
+      assert.deepEqual(marked.body, { success: true, marked: 1 });
+
+      const unread = await inbox(recipient, "?unread=true");
+      assert.equal(unread.body.unread, 2);
+      assert.deepEqual(
+        unread.body.notifications.map((n) => n.amount),
+        [2, 1]
+      );
+
+      // Marking again changes nothing
+      assert.equal(
+        (await markRead(recipient, { ids: [newest] })).body.marked,
+        0
+      );
+
+      assert.equal((await markRead(recipient, { all: true })).body.marked, 2);
+      const cleared = await inbox(recipient);
+      assert.equal(cleared.body.unread, 0);
+      assert.ok(cleared.body.notifications.every((n) => n.read));
+
+      // Other players' notifications are left alone
+      const other = await createPlayer();
+      assert.equal((await markRead(other, { ids: [newest] })).body.marked, 0);
+    });
+
+    it("notifies players of admin adjustments and freezes", async () => {
+      const player = await createPlayer(100);
+
+      await request("POST", `/admin/players/${player.uuid}/balance`, {
+        body: { adjust: -30, reason: "Refund chargeback" },
+        token: ADMIN_KEY,
+      });
+      await request("POST", `/admin/players/${player.uuid}/freeze`, {
+        body: { reason: "Investigating" },
+        token: ADMIN_KEY,
+      });
+      await request("POST", `/admin/players/${player.uuid}/unfreeze`, {
+        body: { reason: "Cleared" },
+        token: ADMIN_KEY,
+      });
+
+      // Freezing revoked the old token
+      const { token } = (await login(player.uuid, player.name)).body;
+
+      const res = await inbox({ token });
+      assert.deepEqual(
+        res.body.notifications.map((n) => [n.type, n.reason]),
+        [
+          ["account_unfrozen", "Cleared"],
+          ["account_frozen", "Investigating"],
+          ["admin_adjustment", "Refund chargeback"],
+          ["admin_adjustment", "test setup"],
+        ]
+      );
+      assert.equal(res.body.notifications[2].amount, -30);
+      assert.equal(res.body.notifications[2].balance, 70);
+      assert.equal(
+        res.body.notifications[2].message,
+        "An admin removed $30 from your balance: Refund chargeback"
+      );
+    });
+
+    it("warns the payer once about a request that expires soon", async () => {
+      const shop = await createPlayer();
+      const customer = await createPlayer();
+
+      const soon = await request("POST", "/currency/requests", {
+        body: { payer_uuid: customer.uuid, amount: 40, expires_in: 3600 },
+        token: shop.token,
+      });
+      await request("POST", "/currency/requests", {
+        body: { payer_uuid: customer.uuid, amount: 60 },
+        token: shop.token,
+      });
+
+      const first = await inbox(customer);
+      assert.equal(first.body.notifications.length, 1);
+
+      const [warning] = first.body.notifications;
+      assert.equal(warning.type, "payment_request_expiring");
+      assert.equal(warning.request_id, soon.body.request.id);
+      assert.equal(warning.amount, 40);
+      assert.deepEqual(warning.from, { uuid: shop.uuid, name: shop.name });
+      assert.match(warning.message, /request for \$40 expires in/);
+
+      const second = await inbox(customer);
+      assert.equal(second.body.notifications.length, 1);
+      assert.equal(second.body.notifications[0].id, warning.id);
+    });
+
+    it("notifies the requester when a request is paid", async () => {
+      const shop = await createPlayer();
+      const customer = await createPlayer(100);
+
+      const { id } = (
+        await request("POST", "/currency/requests", {
+          body: { payer_uuid: customer.uuid, amount: 40 },
+          token: shop.token,
+        })
+      ).body.request;
+
+      await request("POST", `/currency/requests/${id}/accept`, {
+        token: customer.token,
+      });
+
+      const [notification] = (await inbox(shop)).body.notifications;
+      assert.equal(notification.type, "payment_received");
+      assert.equal(notification.request_id, id);
+      assert.equal(
+        notification.message,
+        `${customer.name} paid your request for $40`
+      );
+    });
+
+    it("rejects invalid queries and IDs", async () => {
+      const player = await createPlayer();
+
+      assert.equal((await inbox(player, "?limit=0")).status, 400);
+      assert.equal((await inbox(player, "?limit=101")).status, 400);
+      assert.equal((await inbox(player, "?unread=yes")).status, 400);
+
+      assert.equal((await markRead(player, {})).status, 400);
+      assert.equal((await markRead(player, { ids: [] })).status, 400);
+      assert.equal((await markRead(player, { ids: ["nope"] })).status, 400);
+      assert.equal((await markRead(player, { all: "true" })).status, 400);
+    });
+
+    it("deletes notifications past the retention period on login", async () => {
+      const player = await createPlayer(100);
+      assert.equal((await inbox(player)).body.unread, 1);
+
+      writeConfig("1s");
+      await request("POST", "/admin/economy/reload", { token: ADMIN_KEY });
+      // SQLite keeps timestamps to the second
+      await sleep(2100);
+
+      const res = await login(player.uuid, player.name);
+      assert.equal(res.body.unread_notifications, 0);
+      assert.deepEqual((await inbox(player)).body.notifications, []);
+    });
+  });
+}
@@ -0,0 +1,195 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { ADMIN_KEY, startServer } from "./helpers/server.js";
+import { TEST_STORES } from "./helpers/stores.js";
+
+// Read on first use of the economy config, so the limit applies to every server below
+process.env.ECONOMY_PAYMENT_REQUEST_MAX_PENDING = "3";
+
+for (const [client, createStore] of Object.entries(TEST_STORES)) {
+  describe(`payment requests (${client})`, () => {
+    let store;
+    let request;
+    let createPlayer;
+    let balanceOf;
+    let close;
+
+    before(async () => {
+      store = await createStore();
+      ({ request, createPlayer, balanceOf, close } = await startServer(store));
+    });
+
+    after(async () => {
+      await close();
+      await store.close();
+    });
+
+    const ask = (requester, payer, body = {}, headers = {}) =>
+      request("POST", "/currency/requests", {
+        body: { payer_uuid: payer.uuid, amount: 40, ...body },
+        token: requester.token,
+        headers,
+      });
+
+    const act = (player, id, action, headers = {}) =>
+      request("POST", `/currency/requests/${id}/${action}`, {
+        token: player.token,
+        headers,
+      });
+
+    it("creates a request and lists it on both sides", async () => {
+      const shop = await createPlayer();
+      const customer = await createPlayer();
+
+      const created = await ask(shop, customer, { memo: "Diamond sword" });
+      assert.equal(created.status, 201);
+      assert.equal(created.body.request.status, "pending");
+      assert.equal(created.body.request.payer.name, customer.name);
+
+      const incoming = await request("GET", "/currency/requests/incoming", {
+        token: customer.token,
+      });
+      assert.equal(incoming.status, 200);
+      assert.deepEqual(
+        incoming.body.requests.map((row) => [row.id, row.memo]),
+        [[created.body.request.id, "Diamond sword"]]
+      );
+
+      const outgoing = await request("GET", "/currency/requests/outgoing", {
+        token: shop.token,
+      });
+      assert.equal(outgoing.body.requests[0].requester.name, shop.name);
+      assert.equal(outgoing.body.next_cursor, null);
+    });
+
+    it("rejects invalid requests", async () => {
+      const shop = await createPlayer();
+      const customer = await createPlayer();
+
+      assert.equal((await ask(shop, customer, { amount: 0 })).status, 400);
+      assert.equal((await ask(shop, shop)).status, 400);
+      assert.equal(
+        (await ask(shop, customer, { expires_in: 60 * 24 * 60 * 60 })).status,
+        400
+      );
+      assert.equal(
+        (await ask(shop, { uuid: crypto.randomUUID() })).status,
+        404
+      );
+    });
+
+    it("pays the requester when the payer accepts", async () => {
+      const shop = await createPlayer();
+      const customer = await createPlayer(100);
+      const { id } = (await ask(shop, customer)).body.request;
+
+      const res = await act(customer, id, "accept");
+      assert.equal(res.status, 200);
+      assert.equal(res.body.new_sender_balance, 60);
+      assert.equal(res.body.request.status, "accepted");
+      assert.ok(res.body.request.transaction_id);
+      assert.equal(await balanceOf(shop), 40);
+
+      const history = await request("GET", "/currency/history", {
+        token: customer.token,
+      });
+      assert.equal(history.body.transactions[0].action, "pay");
+
+      const again = await act(customer, id, "accept");
+      assert.equal(again.status, 409);
+      assert.equal(again.body.error, "Payment request is accepted");
+    });
+
+    it("keeps the request pending when the payer cannot afford it", async () => {
+      const shop = await createPlayer();
+      const customer = await createPlayer(10);
+      const { id } = (await ask(shop, customer)).body.request;
+
+      const res = await act(customer, id, "accept");
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, "Insufficient funds");
+      assert.equal(await balanceOf(customer), 10);
+
+      const incoming = await request("GET", "/currency/requests/incoming", {
+        token: customer.token,
+      });
+      assert.equal(incoming.body.requests[0].status, "pending");
+    });
+
+    it("replays an accept sent again with the same Idempotency-Key", async () => {
+      const shop = await createPlayer();
+      const customer = await createPlayer(100);
+      const { id } = (await ask(shop, customer)).body.request;
+      const headers = { "Idempotency-Key": crypto.randomUUID() };
+
+      const first = await act(customer, id, "accept", headers);
+      const second = await act(customer, id, "accept", headers);
+
+      assert.equal(second.status, 200);
+      assert.deepEqual(second.body, first.body);
+      assert.equal(await balanceOf(customer), 60);
+    });
+
+    it("lets only the payer decline and only the requester cancel", async () => {
+      const shop = await createPlayer();
+      const customer = await createPlayer(100);
+      const first = (await ask(shop, customer)).body.request;
+      const second = (await ask(shop, customer)).body.request;
+
+      assert.equal((await act(shop, first.id, "decline")).status, 404);
+      assert.equal((await act(customer, second.id, "cancel")).status, 404);
+
+      const declined = await act(customer, first.id, "decline");
+      assert.equal(declined.body.request.status, "declined");
+
+      const cancelled = await act(shop, second.id, "cancel");
+      assert.equal(cancelled.body.request.status, "cancelled");
+
+      assert.equal((await act(customer, second.id, "accept")).status, 409);
+      assert.equal(await balanceOf(customer), 100);
+
+      const filtered = await request(
+        "GET",
+        "/currency/requests/incoming?status=declined",
+        { token: customer.token }
+      );
+      assert.deepEqual(
+        filtered.body.requests.map((row) => row.id),
+        [first.id]
+      );
+    });
+
+    it("expires requests that are not answered in time", async () => {
+      const shop = await createPlayer();
+      const customer = await createPlayer(100);
+      const { id } = (await ask(shop, customer, { expires_in: 1 })).body
+        .request;
+
+      await new Promise((resolve) => setTimeout(resolve, 1100));
+
+      const res = await act(customer, id, "accept");
+      assert.equal(res.status, 409);
+      assert.equal(res.body.error, "Payment request is expired");
+
+      const expired = await request(
+        "GET",
+        "/currency/requests/outgoing?status=expired",
+        { token: shop.token }
+      );
+      assert.equal(expired.body.requests[0].id, id);
+    });
+
+    it("limits how many requests a player can have pending", async () => {
+      const shop = await createPlayer();
+      const customer = await createPlayer();
+
+      for (let i = 0; i < 3; i++) {
+        assert.equal((await ask(shop, customer)).status, 201);
+      }
+
+      const res = await ask(shop, customer);
+      assert.equal(res.status, 429);
+    });
+  });
+}
@@ -0,0 +1,288 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { ADMIN_KEY, startServer } from "./helpers/server.js";
+import { TEST_STORES } from "./helpers/stores.js";
+import { createEventBus } from "../app/utils/currency/events.js";
+import { createPaymentScheduler } from "../app/utils/currency/scheduler.js";
+
+const HOUR = 60 * 60 * 1000;
+
+// Runs are driven by calling the scheduler directly with a chosen time
+const inHours = (hours) => new Date(Date.now() + hours * HOUR);
+
+for (const [client, createStore] of Object.entries(TEST_STORES)) {
+  describe(`scheduled payments (${client})`, () => {
+    let store;
+    let request;
+    let createPlayer;
+    let balanceOf;
+    let close;
+    let scheduler;
+
+    before(async () => {
+      store = await createStore();
+      ({ request, createPlayer, balanceOf, close } = await startServer(store));
+      scheduler = createPaymentScheduler(store, createEventBus());
+    });
+
+    after(async () => {
+      await close();
+      await store.close();
+    });
+
+    const schedule = (player, body) =>
+      request("POST", "/currency/scheduled-payments", {
+        body,
+        token: player.token,
+      });
+
+    const list = async (player, query = "") =>
+      (
+        await request("GET", `/currency/scheduled-payments${query}`, {
+          token: player.token,
+        })
+      ).body;
+
+    it("runs a one-off payment once it is due", async () => {
+      const payer = await createPlayer(500);
+      const payee = await createPlayer();
+
+      const res = await schedule(payer, {
+        to_uuid: payee.uuid,
+        amount: 120,
+        memo: "Plot deposit",
+        run_at: inHours(1).toISOString(),
+      });
+      assert.equal(res.status, 201);
+
+      const created = res.body.scheduled_payment;
+      assert.equal(created.status, "active");
+      assert.equal(created.interval_seconds, null);
+      assert.deepEqual(created.to, { uuid: payee.uuid, name: payee.name });
+      assert.equal(created.memo, "Plot deposit");
+
+      // Not due yet
+      await scheduler.runDuePayments(new Date());
+      assert.equal(await balanceOf(payee), 0);
+
+      await scheduler.runDuePayments(inHours(2));
+      assert.equal(await balanceOf(payer), 380);
+      assert.equal(await balanceOf(payee), 120);
+
+      const [payment] = (await list(payer)).scheduled_payments;
+      assert.equal(payment.id, created.id);
+      assert.equal(payment.status, "completed");
+      assert.equal(payment.next_run_at, null);
+      assert.ok(payment.last_transaction_id);
+
+      // The payee is told where the money came from
+      const inbox = await request("GET", "/currency/notifications", {
+        token: payee.token,
+      });
+      const [notification] = inbox.body.notifications;
+      assert.equal(notification.type, "payment_received");
+      assert.equal(notification.scheduled_payment_id, created.id);
+      assert.equal(notification.amount, 120);
+    });
+
+    it("repeats a recurring payment every interval without paying twice", async () => {
+      const tenant = await createPlayer(1000);
+      const landlord = await createPlayer();
+
+      const res = await schedule(tenant, {
+        to_uuid: landlord.uuid,
+        amount: 100,
+        interval: "1d",
+      });
+      assert.equal(res.status, 201);
+      assert.equal(res.body.scheduled_payment.interval_seconds, 86400);
+
+      const first = inHours(24.5);
+      await scheduler.runDuePayments(first);
+      await scheduler.runDuePayments(first);
+      assert.equal(await balanceOf(landlord), 100);
+
+      const [payment] = (await list(tenant)).scheduled_payments;
+      assert.equal(payment.status, "active");
+      assert.equal(
+        new Date(payment.next_run_at).getTime(),
+        new Date(payment.starts_at).getTime() + 24 * HOUR
+      );
+
+      // Missed runs are not made up: three days later it pays once more
+      await scheduler.runDuePayments(inHours(24 * 4.5));
+      assert.equal(await balanceOf(landlord), 200);
+      assert.equal(await balanceOf(tenant), 800);
+    });
+
+    it("retries a failed run, then stops and tells the payer", async () => {
+      const payer = await createPlayer(10);
+      const payee = await createPlayer();
+
+      const { id } = (
+        await schedule(payer, {
+          to_uuid: payee.uuid,
+          amount: 50,
+          interval: "1d",
+        })
+      ).body.scheduled_payment;
+
+      // The default allows three retries, an hour apart
+      for (const hours of [25, 26.5, 28, 29.5]) {
+        await scheduler.runDuePayments(inHours(hours));
+      }
+
+      const [payment] = (await list(payer)).scheduled_payments;
+      assert.equal(payment.status, "failed");
+      assert.equal(payment.failures, 4);
+      assert.equal(payment.last_error, "Insufficient funds");
+      assert.equal(await balanceOf(payee), 0);
+
+      const inbox = await request("GET", "/currency/notifications", {
+        token: payer.token,
+      });
+      const failures = inbox.body.notifications.filter(
+        (n) => n.type === "scheduled_payment_failed"
+      );
+      assert.equal(failures.length, 4);
+      assert.equal(failures[0].scheduled_payment_id, id);
+      assert.equal(failures[0].next_run_at, null);
+      assert.match(failures[0].message, /was stopped$/);
+      assert.ok(failures[1].next_run_at);
+    });
+
+    it("lets either side cancel a payment", async () => {
+      const payer = await createPlayer(100);
+      const payee = await createPlayer();
+      const stranger = await createPlayer();
+
+      const { id } = (
+        await schedule(payer, {
+          to_uuid: payee.uuid,
+          amount: 10,
+          interval: "1h",
+        })
+      ).body.scheduled_payment;
+
+      const cancel = (player) =>
+        request("POST", `/currency/scheduled-payments/${id}/cancel`, {
+          token: player.token,
+        });
+
+      assert.equal((await cancel(stranger)).status, 404);
+
+      const res = await cancel(payee);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.scheduled_payment.status, "cancelled");
+      assert.equal((await cancel(payer)).status, 409);
+
+      await scheduler.runDuePayments(inHours(3));
+      assert.equal(await balanceOf(payee), 0);
+
+      const incoming = await list(payee, "?direction=incoming");
+      assert.deepEqual(
+        incoming.scheduled_payments.map((p) => [p.id, p.status]),
+        [[id, "cancelled"]]
+      );
+      assert.deepEqual(
+        (await list(payee, "?direction=outgoing")).scheduled_payments,
+        []
+      );
+    });
+
+    it("rejects invalid payments", async () => {
+      const payer = await createPlayer(100);
+      const payee = await createPlayer();
+      const future = inHours(1).toISOString();
+
+      const invalid = [
+        { to_uuid: "nope", amount: 10, run_at: future },
+        { to_uuid: payer.uuid, amount: 10, run_at: future },
+        { to_uuid: payee.uuid, amount: 0, run_at: future },
+        { to_uuid: payee.uuid, amount: 10 },
+        { to_uuid: payee.uuid, amount: 10, run_at: "yesterday" },
+        { to_uuid: payee.uuid, amount: 10, run_at: inHours(-1).toISOString() },
+        // Shorter than the default min_interval of an hour
+        { to_uuid: payee.uuid, amount: 10, interval: "10m" },
+      ];
+
+      for (const body of invalid) {
+        assert.equal((await schedule(payer, body)).status, 400);
+      }
+
+      const unknown = await schedule(payer, {
+        to_uuid: crypto.randomUUID(),
+        amount: 10,
+        run_at: future,
+      });
+      assert.equal(unknown.status, 404);
+
+      const query = await request(
+        "GET",
+        "/currency/scheduled-payments?status=late",
+        { token: payer.token }
+      );
+      assert.equal(query.status, 400);
+    });
+
+    it("lets admins schedule, list and cancel payments", async () => {
+      const payee = await createPlayer();
+      const server = await createPlayer(1000);
+
+      const created = await request("POST", "/admin/scheduled-payments", {
+        body: {
+          from_uuid: server.uuid,
+          to_uuid: payee.uuid,
+          amount: 25,
+          interval: "7d",
+          reason: "Weekly event prize",
+        },
+        token: ADMIN_KEY,
+      });
+      assert.equal(created.status, 201);
+
+      const { id, created_by } = created.body.scheduled_payment;
+      assert.equal(typeof created_by, "string");
+
+      const listed = await request(
+        "GET",
+        `/admin/scheduled-payments?uuid=${payee.uuid}`,
+        { token: ADMIN_KEY }
+      );
+      assert.deepEqual(
+        listed.body.scheduled_payments.map((p) => p.id),
+        [id]
+      );
+
+      const missingReason = await request(
+        "POST",
+        `/admin/scheduled-payments/${id}/cancel`,
+        { body: {}, token: ADMIN_KEY }
+      );
+      assert.equal(missingReason.status, 400);
+
+      const cancelled = await request(
+        "POST",
+        `/admin/scheduled-payments/${id}/cancel`,
+        { body: { reason: "Event over" }, token: ADMIN_KEY }
+      );
+      assert.equal(cancelled.status, 200);
+      assert.equal(cancelled.body.scheduled_payment.status, "cancelled");
+
+      // Both are on the paying account's record
+      const history = await request(
+        "GET",
+        "/currency/history?action=admin_schedule,admin_unschedule",
+        { token: server.token }
+      );
+      assert.deepEqual(
+        history.body.transactions.map((entry) => [entry.action, entry.amount]),
+        [
+          ["admin_unschedule", 0],
+          ["admin_schedule", 0],
+        ]
+      );
+    });
+  });
+}
@@ -0,0 +1,207 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import {
+  ADMIN_KEY,
+  loginHeaders,
+  signToken,
+  startServer,
+} from "./helpers/server.js";
+import { TEST_STORES } from "./helpers/stores.js";
+
+// Servers come from tests/helpers/env.js: survival and hub share the "main"
+// economy, creative has its own.
+
+for (const [client, createStore] of Object.entries(TEST_STORES)) {
+  describe(`game servers and economies (${client})`, () => {
+    let store;
+    let request;
+    let close;
+
+    before(async () => {
+      store = await createStore();
+      ({ request, close } = await startServer(store));
+    });
+
+    after(async () => {
+      await close();
+      await store.close();
+    });
+
+    /**
+     * Logs a player in through a game server.
+     *
+     * @param {string} server - Registered server ID.
+     * @param {Object} player - `{ uuid, name }`.
+     * @returns {Promise<string>} JWT for that server.
+     */
+    const login = async (server, { uuid, name }) => {
+      const res = await request("POST", "/currency/login", {
+        body: { uuid, name },
+        headers: loginHeaders(uuid, name, {}, server),
+      });
+      assert.equal(res.status, 200);
+      return res.body.token;
+    };
+
+    const newPlayer = () => {
+      const uuid = crypto.randomUUID();
+      return { uuid, name: `player_${uuid.slice(0, 8)}` };
+    };
+
+    const fund = (economy, uuid, balance) =>
+      request("POST", `/admin/players/${uuid}/balance?economy=${economy}`, {
+        body: { balance, reason: "test setup" },
+        token: ADMIN_KEY,
+      });
+
+    const balance = async (token) =>
+      (await request("GET", "/currency/balance", { token })).body.balance;
+
+    it("puts the calling server in the token", async () => {
+      const token = await login("survival", newPlayer());
+
+      assert.equal(
+        jwt.verify(token, process.env.JWT_SECRET).server,
+        "survival"
+      );
+    });
+
+    it("rejects unknown servers and keys of other servers", async () => {
+      const { uuid, name } = newPlayer();
+
+      const unknown = await request("POST", "/currency/login", {
+        body: { uuid, name },
+        headers: loginHeaders(uuid, name, {}, "skyblock"),
+      });
+      assert.equal(unknown.status, 401);
+      assert.equal(unknown.body.error, "Unknown server");
+
+      const wrongKey = await request("POST", "/currency/login", {
+        body: { uuid, name },
+        headers: loginHeaders(uuid, name, { "X-Server-Id": "creative" }),
+      });
+      assert.equal(wrongKey.status, 401);
+      assert.equal(wrongKey.body.error, "Invalid server signature");
+    });
+
+    it("shares balances between servers in the same economy", async () => {
+      const player = newPlayer();
+      const survival = await login("survival", player);
+      const hub = await login("hub", player);
+
+      assert.equal((await fund("main", player.uuid, 250)).status, 200);
+
+      assert.equal(await balance(survival), 250);
+      assert.equal(await balance(hub), 250);
+    });
+
+    it("keeps isolated economies apart", async () => {
+      const player = newPlayer();
+      const survival = await login("survival", player);
+      await fund("main", player.uuid, 250);
+
+      const creative = await login("creative", player);
+      assert.equal(await balance(creative), 0);
+      assert.equal(await balance(survival), 250);
+
+      const daily = await request("POST", "/currency/daily", {
+        token: survival,
+      });
+      assert.equal(daily.status, 200);
+
+      const creativeDaily = await request("POST", "/currency/daily", {
+        token: creative,
+      });
+      assert.equal(creativeDaily.status, 200);
+
+      await request("POST", "/currency/mob-limit", { token: survival });
+      const mobLimit = await request("GET", "/currency/mob-limit", {
+        token: creative,
+      });
+      assert.equal(mobLimit.body.remaining, mobLimit.body.daily_cap);
+    });
+
+    it("does not pay players of another economy", async () => {
+      const sender = newPlayer();
+      const recipient = newPlayer();
+      const token = await login("survival", sender);
+      await login("creative", recipient);
+      await fund("main", sender.uuid, 100);
+
+      const res = await request("POST", "/currency/pay", {
+        body: { to_uuid: recipient.uuid, amount: 40 },
+        token,
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(await balance(token), 100);
+    });
+
+    it("only redeems bills in the economy that issued them", async () => {
+      const player = newPlayer();
+      const survival = await login("survival", player);
+      const creative = await login("creative", player);
+      await fund("main", player.uuid, 100);
+
+      const withdraw = await request("POST", "/currency/withdraw", {
+        body: { count: 1, denomination: 100 },
+        token: survival,
+      });
+      assert.equal(withdraw.status, 200);
+
+      const [{ serial, signature }] = withdraw.body.bills;
+
+      const elsewhere = await request("POST", "/currency/deposit", {
+        body: { bills: [{ serial, signature }] },
+        token: creative,
+      });
+      assert.equal(elsewhere.status, 400);
+      assert.equal(await balance(creative), 0);
+
+      const home = await request("POST", "/currency/deposit", {
+        body: { bills: [{ serial, signature }] },
+        token: survival,
+      });
+      assert.equal(home.status, 200);
+      assert.equal(await balance(survival), 100);
+    });
+
+    it("scopes the leaderboard to the economy", async () => {
+      const player = newPlayer();
+      await login("creative", player);
+      await fund("creative", player.uuid, 1_000_000);
+
+      const main = await request("GET", "/currency/top", {
+        token: await login("hub", newPlayer()),
+      });
+      assert.ok(main.body.every((row) => row.name !== player.name));
+
+      const creative = await request("GET", "/currency/top", {
+        token: await login("creative", newPlayer()),
+      });
+      assert.equal(creative.body[0].name, player.name);
+    });
+
+    it("rejects tokens naming a server that is not registered", async () => {
+      const token = signToken({
+        uuid: crypto.randomUUID(),
+        name: "Ghost",
+        server: "skyblock",
+      });
+
+      const res = await request("GET", "/currency/balance", { token });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.error, "Unknown server");
+    });
+
+    it("rejects admin actions on an unknown economy", async () => {
+      const res = await fund("skyblock", crypto.randomUUID(), 10);
+
+      assert.equal(res.status, 404);
+      assert.equal(res.body.error, "Unknown economy");
+    });
+  });
+}
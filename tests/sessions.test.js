@@ -0,0 +1,152 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { ADMIN_KEY, loginHeaders, startServer } from "./helpers/server.js";
+import { TEST_STORES } from "./helpers/stores.js";
+
+for (const [client, createStore] of Object.entries(TEST_STORES)) {
+  describe(`player sessions (${client})`, () => {
+    let store;
+    let request;
+    let close;
+
+    before(async () => {
+      store = await createStore();
+      ({ request, close } = await startServer(store));
+    });
+
+    after(async () => {
+      await close();
+      await store.close();
+    });
+
+    /**
+     * Logs a new player in.
+     *
+     * @returns {Promise<{uuid: string, token: string, refresh_token: string}>}
+     */
+    const login = async (uuid = crypto.randomUUID()) => {
+      const name = `player_${uuid.slice(0, 8)}`;
+
+      const res = await request("POST", "/currency/login", {
+        body: { uuid, name },
+        headers: loginHeaders(uuid, name),
+      });
+      assert.equal(res.status, 200);
+
+      return { uuid, ...res.body };
+    };
+
+    const refresh = (refreshToken) =>
+      request("POST", "/currency/refresh", {
+        body: { refresh_token: refreshToken },
+      });
+
+    const balance = (token) => request("GET", "/currency/balance", { token });
+
+    it("returns an access token and a refresh token at login", async () => {
+      const session = await login();
+
+      const payload = jwt.verify(session.token, process.env.JWT_SECRET);
+      assert.equal(payload.ver, 0);
+      assert.match(session.refresh_token, /^default\./);
+      assert.ok(new Date(session.refresh_expires_at) > new Date());
+    });
+
+    it("rotates the refresh token on every refresh", async () => {
+      const session = await login();
+
+      const first = await refresh(session.refresh_token);
+      assert.equal(first.status, 200);
+      assert.notEqual(first.body.refresh_token, session.refresh_token);
+      assert.equal((await balance(first.body.token)).status, 200);
+
+      const second = await refresh(first.body.refresh_token);
+      assert.equal(second.status, 200);
+    });
+
+    it("revokes the whole session when a used refresh token comes back", async () => {
+      const session = await login();
+      const rotated = (await refresh(session.refresh_token)).body;
+
+      const reused = await refresh(session.refresh_token);
+      assert.equal(reused.status, 401);
+      assert.equal(reused.body.error, "Refresh token already used");
+
+      assert.equal((await refresh(rotated.refresh_token)).status, 401);
+    });
+
+    it("rejects malformed and unknown refresh tokens", async () => {
+      assert.equal((await refresh(undefined)).status, 400);
+      assert.equal((await refresh("no-separator")).status, 400);
+      assert.equal((await refresh("skyblock.abc")).status, 401);
+      assert.equal((await refresh("default.abc")).status, 401);
+    });
+
+    it("ends the session on logout", async () => {
+      const session = await login();
+      const other = (await refresh((await login(session.uuid)).refresh_token))
+        .body;
+
+      const res = await request("POST", "/currency/logout", {
+        body: { refresh_token: session.refresh_token },
+      });
+      assert.equal(res.status, 200);
+
+      assert.equal((await refresh(session.refresh_token)).status, 401);
+      assert.equal((await refresh(other.refresh_token)).status, 200);
+    });
+
+    it("revokes every token of the player on logout everywhere", async () => {
+      const session = await login();
+      const other = await login(session.uuid);
+
+      await request("POST", "/currency/logout", {
+        body: { refresh_token: session.refresh_token, all: true },
+      });
+
+      const res = await balance(other.token);
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, "Token revoked");
+      assert.equal((await refresh(other.refresh_token)).status, 401);
+    });
+
+    it("revokes outstanding tokens when the account is frozen", async () => {
+      const session = await login();
+
+      const frozen = await request(
+        "POST",
+        `/admin/players/${session.uuid}/freeze`,
+        { body: { reason: "test" }, token: ADMIN_KEY }
+      );
+      assert.equal(frozen.status, 200);
+
+      assert.equal((await balance(session.token)).status, 401);
+      assert.equal((await refresh(session.refresh_token)).status, 401);
+
+      // A new login still works and sees the frozen account
+      const again = await login(session.uuid);
+      assert.equal((await balance(again.token)).status, 200);
+    });
+
+    it("revokes outstanding tokens when an admin kicks the player", async () => {
+      const session = await login();
+
+      const kicked = await request(
+        "POST",
+        `/admin/players/${session.uuid}/kick`,
+        { body: { reason: "suspicious activity" }, token: ADMIN_KEY }
+      );
+      assert.equal(kicked.status, 200);
+
+      assert.equal((await balance(session.token)).status, 401);
+      assert.equal((await refresh(session.refresh_token)).status, 401);
+
+      const history = await request("GET", "/currency/history", {
+        token: (await login(session.uuid)).token,
+      });
+      assert.equal(history.body.transactions[0].action, "admin_kick");
+    });
+  });
+}
@@ -0,0 +1,277 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { ADMIN_KEY, startServer } from "./helpers/server.js";
+import { TEST_STORES } from "./helpers/stores.js";
+
+for (const [client, createStore] of Object.entries(TEST_STORES)) {
+  describe(`shared accounts (${client})`, () => {
+    let store;
+    let request;
+    let createPlayer;
+    let close;
+
+    before(async () => {
+      store = await createStore();
+      ({ request, createPlayer, close } = await startServer(store));
+    });
+
+    after(async () => {
+      await close();
+      await store.close();
+    });
+
+    /**
+     * Opens a shared account and funds it from its owner's balance.
+     *
+     * @returns {Promise<{owner: Object, id: string}>}
+     */
+    const openAccount = async (balance = 0) => {
+      const owner = await createPlayer(balance);
+
+      const res = await request("POST", "/currency/accounts", {
+        body: { name: "Town of Oakvale" },
+        token: owner.token,
+      });
+      assert.equal(res.status, 201);
+
+      const id = res.body.account.uuid;
+      if (balance > 0) await deposit(owner, id, balance);
+
+      return { owner, id };
+    };
+
+    const deposit = (player, id, amount) =>
+      request("POST", `/currency/accounts/${id}/deposit`, {
+        body: { amount },
+        token: player.token,
+      });
+
+    const payFrom = (player, id, to, amount, headers = {}) =>
+      request("POST", `/currency/accounts/${id}/pay`, {
+        body: { to_uuid: to.uuid, amount },
+        token: player.token,
+        headers,
+      });
+
+    const setRole = (owner, id, player, role) =>
+      request("PUT", `/currency/accounts/${id}/members/${player.uuid}`, {
+        body: { role },
+        token: owner.token,
+      });
+
+    const getAccount = (player, id) =>
+      request("GET", `/currency/accounts/${id}`, { token: player.token });
+
+    it("opens an account owned by its creator", async () => {
+      const { owner, id } = await openAccount();
+
+      const res = await getAccount(owner, id);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.account.name, "Town of Oakvale");
+      assert.equal(res.body.account.balance, 0);
+      assert.deepEqual(res.body.account.limits, { treasurer: null, member: 0 });
+      assert.deepEqual(
+        res.body.account.members.map((member) => [member.uuid, member.role]),
+        [[owner.uuid, "owner"]]
+      );
+
+      const list = await request("GET", "/currency/accounts", {
+        token: owner.token,
+      });
+      assert.deepEqual(
+        list.body.accounts.map((account) => [account.uuid, account.role]),
+        [[id, "owner"]]
+      );
+    });
+
+    it("hides the account from players who are not members", async () => {
+      const { id } = await openAccount();
+      const outsider = await createPlayer(100);
+
+      assert.equal((await getAccount(outsider, id)).status, 404);
+      assert.equal((await deposit(outsider, id, 10)).status, 404);
+      assert.equal(
+        (await getAccount(outsider, crypto.randomUUID())).status,
+        404
+      );
+    });
+
+    it("moves deposits from the member's balance into the account", async () => {
+      const { owner, id } = await openAccount();
+      await request("POST", `/admin/players/${owner.uuid}/balance`, {
+        body: { balance: 100, reason: "test setup" },
+        token: ADMIN_KEY,
+      });
+
+      const res = await deposit(owner, id, 70);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, {
+        success: true,
+        fee: 0,
+        new_balance: 30,
+        account_balance: 70,
+      });
+
+      assert.equal((await deposit(owner, id, 50)).status, 400);
+    });
+
+    it("lets the owner pay out without a limit and records who paid", async () => {
+      const { owner, id } = await openAccount(500);
+      const builder = await createPlayer();
+
+      const res = await payFrom(owner, id, builder, 400);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, {
+        success: true,
+        fee: 0,
+        account_balance: 100,
+        remaining_limit: null,
+      });
+
+      const history = await request(
+        "GET",
+        `/currency/accounts/${id}/history?action=pay`,
+        { token: owner.token }
+      );
+      const [payout, ownerDeposit] = history.body.transactions;
+      assert.equal(payout.direction, "sent");
+      assert.equal(payout.balance_after, 100);
+      assert.deepEqual(payout.counterparty, {
+        uuid: builder.uuid,
+        name: builder.name,
+      });
+      assert.deepEqual(payout.member, { uuid: owner.uuid, name: owner.name });
+      assert.equal(ownerDeposit.direction, "received");
+
+      const received = await request("GET", "/currency/history", {
+        token: builder.token,
+      });
+      assert.equal(
+        received.body.transactions[0].counterparty.name,
+        "Town of Oakvale"
+      );
+    });
+
+    it("enforces the daily spending limit of each role", async () => {
+      const { owner, id } = await openAccount(1000);
+      const treasurer = await createPlayer();
+      const member = await createPlayer();
+      const shop = await createPlayer();
+
+      assert.equal(
+        (await setRole(owner, id, treasurer, "treasurer")).status,
+        200
+      );
+      assert.equal((await setRole(owner, id, member, "member")).status, 200);
+
+      // Members can only deposit by default
+      const denied = await payFrom(member, id, shop, 1);
+      assert.equal(denied.status, 403);
+      assert.equal(denied.body.error, "Spending limit exceeded");
+
+      const limits = await request("PUT", `/currency/accounts/${id}/limits`, {
+        body: { treasurer: 300 },
+        token: owner.token,
+      });
+      assert.deepEqual(limits.body.account.limits, {
+        treasurer: 300,
+        member: 0,
+      });
+
+      const first = await payFrom(treasurer, id, shop, 200);
+      assert.equal(first.body.remaining_limit, 100);
+
+      const second = await payFrom(treasurer, id, shop, 150);
+      assert.equal(second.status, 403);
+      assert.equal(second.body.remaining, 100);
+
+      assert.equal((await payFrom(treasurer, id, shop, 100)).status, 200);
+      assert.equal((await payFrom(owner, id, shop, 500)).status, 200);
+    });
+
+    it("lets only owners manage members and limits", async () => {
+      const { owner, id } = await openAccount();
+      const treasurer = await createPlayer();
+      const other = await createPlayer();
+
+      await setRole(owner, id, treasurer, "treasurer");
+
+      assert.equal((await setRole(treasurer, id, other, "member")).status, 403);
+      assert.equal(
+        (
+          await request("PUT", `/currency/accounts/${id}/limits`, {
+            body: { member: 100 },
+            token: treasurer.token,
+          })
+        ).status,
+        403
+      );
+      assert.equal((await setRole(owner, id, other, "boss")).status, 400);
+      assert.equal(
+        (await setRole(owner, id, { uuid: crypto.randomUUID() }, "member"))
+          .status,
+        404
+      );
+
+      // Members can leave on their own
+      const left = await request(
+        "DELETE",
+        `/currency/accounts/${id}/members/${treasurer.uuid}`,
+        { token: treasurer.token }
+      );
+      assert.equal(left.status, 200);
+      assert.equal((await getAccount(treasurer, id)).status, 404);
+    });
+
+    it("keeps at least one owner", async () => {
+      const { owner, id } = await openAccount();
+
+      const demoted = await setRole(owner, id, owner, "member");
+      assert.equal(demoted.status, 409);
+
+      const left = await request(
+        "DELETE",
+        `/currency/accounts/${id}/members/${owner.uuid}`,
+        { token: owner.token }
+      );
+      assert.equal(left.status, 409);
+    });
+
+    it("lists the account on the leaderboard next to players", async () => {
+      await openAccount(2_000_000);
+      const viewer = await createPlayer();
+
+      const top = await request("GET", "/currency/top", {
+        token: viewer.token,
+      });
+      assert.deepEqual(top.body[0], {
+        name: "Town of Oakvale",
+        balance: 2_000_000,
+        type: "shared",
+      });
+      assert.ok(top.body.some((entry) => entry.type === "player"));
+    });
+
+    it("blocks payouts from an account frozen by an admin", async () => {
+      const { owner, id } = await openAccount(100);
+
+      const frozen = await request("POST", `/admin/players/${id}/freeze`, {
+        body: { reason: "test" },
+        token: ADMIN_KEY,
+      });
+      assert.equal(frozen.status, 200);
+
+      const res = await payFrom(owner, id, await createPlayer(), 10);
+      assert.equal(res.status, 403);
+      assert.equal(res.body.error, "Account is frozen");
+    });
+
+    it("keeps the ledger balanced", async () => {
+      const report = await store.reconcileLedger();
+
+      assert.deepEqual(report.drift, []);
+      assert.deepEqual(report.unbalanced, []);
+    });
+  });
+}
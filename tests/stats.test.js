@@ -0,0 +1,173 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DateTime } from "luxon";
+import { ADMIN_KEY, startServer } from "./helpers/server.js";
+import { TEST_STORES } from "./helpers/stores.js";
+import { getEconomy } from "../config/economy/index.js";
+import { listEconomies } from "../config/gameServers.js";
+import { createEventBus } from "../app/utils/currency/events.js";
+import { createPaymentScheduler } from "../app/utils/currency/scheduler.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days are rolled up once they are over, so the tests roll up from the future
+const inDays = (days) => new Date(Date.now() + days * DAY);
+
+// ISO date of today, plus `offset` days, in the economy timezone
+const isoDay = (offset = 0) =>
+  DateTime.now()
+    .setZone(getEconomy().timezone)
+    .plus({ days: offset })
+    .toISODate();
+
+for (const [client, createStore] of Object.entries(TEST_STORES)) {
+  describe(`economy stats (${client})`, () => {
+    let store;
+    let request;
+    let createPlayer;
+    let close;
+    let scheduler;
+    const players = {};
+
+    before(async () => {
+      store = await createStore();
+      ({ request, createPlayer, close } = await startServer(store));
+      scheduler = createPaymentScheduler(store, createEventBus());
+    });
+
+    after(async () => {
+      await close();
+      await store.close();
+    });
+
+    const pay = (sender, recipient, amount) =>
+      request("POST", "/currency/pay", {
+        body: { to_uuid: recipient.uuid, amount },
+        token: sender.token,
+      });
+
+    const stats = (path) =>
+      request("GET", `/admin/stats${path}`, { token: ADMIN_KEY });
+
+    it("rolls up a finished day", async () => {
+      players.alice = await createPlayer(1000);
+      players.bob = await createPlayer(500);
+      players.carol = await createPlayer();
+
+      await pay(players.alice, players.bob, 200);
+      await pay(players.bob, players.carol, 50);
+      await request("POST", "/currency/withdraw", {
+        body: { count: 1, denomination: 100 },
+        token: players.bob.token,
+      });
+
+      assert.ok((await scheduler.rollupStats(inDays(1))) >= 1);
+
+      const res = await stats(`/daily?from=${isoDay()}&to=${isoDay()}`);
+      assert.equal(res.status, 200);
+
+      const [today] = res.body.days;
+      assert.equal(today.day, isoDay());
+      assert.equal(today.supply, 1400);
+      assert.equal(today.minted, 1500);
+      assert.equal(today.burned, 100);
+      assert.equal(today.supply_change, 1400);
+      // Admin corrections do not make a player active
+      assert.equal(today.active_players, 2);
+      assert.deepEqual(today.volume, {
+        admin_set: { count: 2, amount: 1500 },
+        pay: { count: 2, amount: 250 },
+        withdraw: { count: 1, amount: 100 },
+      });
+
+      // Balances 50, 550 and 800
+      assert.deepEqual(today.distribution, {
+        players: 3,
+        gini: 0.3571,
+        percentiles: {
+          p10: 50,
+          p25: 50,
+          p50: 550,
+          p75: 800,
+          p90: 800,
+          p99: 800,
+        },
+      });
+
+      const summary = await stats("");
+      assert.equal(summary.body.supply, 1400);
+      assert.equal(summary.body.supply_change_today, 1400);
+      assert.equal(summary.body.latest_day.day, isoDay());
+    });
+
+    it("rolls up missed days once, with the distribution on the latest", async () => {
+      // Two days in each economy
+      assert.equal(
+        await scheduler.rollupStats(inDays(3)),
+        2 * listEconomies().length
+      );
+      assert.equal(await scheduler.rollupStats(inDays(3)), 0);
+
+      const res = await stats(`/daily?from=${isoDay()}&to=${isoDay(5)}`);
+      assert.deepEqual(
+        res.body.days.map((day) => [day.day, day.supply, day.active_players]),
+        [
+          [isoDay(), 1400, 2],
+          [isoDay(1), 1400, 0],
+          [isoDay(2), 1400, 0],
+        ]
+      );
+      assert.equal(res.body.days[1].distribution, null);
+      assert.equal(res.body.days[2].distribution.players, 3);
+    });
+
+    it("lists the top earners of the rolled-up days", async () => {
+      const res = await stats(
+        `/top-earners?from=${isoDay(-1)}&to=${isoDay(2)}`
+      );
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, {
+        from: isoDay(-1),
+        to: isoDay(2),
+        earners: [
+          { uuid: players.bob.uuid, name: players.bob.name, earned: 200 },
+          { uuid: players.carol.uuid, name: players.carol.name, earned: 50 },
+        ],
+      });
+
+      // Excluded accounts are left out, like on the leaderboards
+      await request(
+        "POST",
+        `/admin/players/${players.bob.uuid}/leaderboard/exclude`,
+        { body: { reason: "Staff account" }, token: ADMIN_KEY }
+      );
+
+      const limited = await stats(
+        `/top-earners?from=${isoDay()}&to=${isoDay()}&limit=1`
+      );
+      assert.deepEqual(
+        limited.body.earners.map((earner) => earner.uuid),
+        [players.carol.uuid]
+      );
+    });
+
+    it("rejects invalid ranges", async () => {
+      const invalid = [
+        "/daily?from=yesterday",
+        `/daily?from=${isoDay()}&to=${isoDay(-1)}`,
+        `/daily?from=${isoDay(-400)}`,
+        "/top-earners?limit=0",
+      ];
+
+      for (const path of invalid) {
+        assert.equal((await stats(path)).status, 400);
+      }
+
+      assert.equal((await stats("?economy=nope")).status, 404);
+      assert.equal(
+        (await request("GET", "/admin/stats", { token: "wrong" })).status,
+        403
+      );
+    });
+  });
+}
@@ -0,0 +1,275 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ADMIN_KEY, startServer } from "./helpers/server.js";
+import { TEST_STORES } from "./helpers/stores.js";
+import { createEventBus } from "../app/utils/currency/events.js";
+import { createPaymentScheduler } from "../app/utils/currency/scheduler.js";
+import { TREASURY_UUID } from "../app/utils/currency/treasury.js";
+
+const EXEMPT_UUID = crypto.randomUUID();
+
+const ECONOMY = {
+  fees: {
+    pay: { percent: 2, min: 5, max: 50 },
+    withdraw: { flat: 10 },
+    exempt: [EXEMPT_UUID],
+  },
+  wealth_tax: {
+    interval: "1d",
+    brackets: [
+      { above: 1000, percent: 10 },
+      { above: 5000, percent: 20 },
+    ],
+    exempt: [EXEMPT_UUID],
+  },
+};
+
+const configPath = path.join(
+  fs.mkdtempSync(path.join(os.tmpdir(), "economy-")),
+  "economy.json"
+);
+const writeConfig = (economy) =>
+  fs.writeFileSync(configPath, JSON.stringify(economy));
+
+writeConfig(ECONOMY);
+process.env.ECONOMY_CONFIG_PATH = configPath;
+
+for (const [client, createStore] of Object.entries(TEST_STORES)) {
+  describe(`fees and wealth tax (${client})`, () => {
+    let store;
+    let request;
+    let createPlayer;
+    let balanceOf;
+    let close;
+    let scheduler;
+
+    before(async () => {
+      store = await createStore();
+      ({ request, createPlayer, balanceOf, close } = await startServer(store));
+      scheduler = createPaymentScheduler(store, createEventBus());
+
+      // The previous store's run may leave an invalid config behind
+      writeConfig(ECONOMY);
+      await request("POST", "/admin/economy/reload", { token: ADMIN_KEY });
+    });
+
+    after(async () => {
+      await close();
+      await store.close();
+    });
+
+    const treasury = async () =>
+      (await request("GET", "/admin/treasury", { token: ADMIN_KEY })).body;
+
+    const pay = (sender, recipient, amount) =>
+      request("POST", "/currency/pay", {
+        body: { to_uuid: recipient.uuid, amount },
+        token: sender.token,
+      });
+
+    it("charges the payment fee on top and pays it into the treasury", async () => {
+      const sender = await createPlayer(10000);
+      const recipient = await createPlayer();
+      const before = (await treasury()).balance;
+
+      // 2% of 1000, within the 5 to 50 range
+      const res = await pay(sender, recipient, 1000);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.fee, 20);
+      assert.equal(res.body.new_sender_balance, 8980);
+      assert.equal(await balanceOf(recipient), 1000);
+
+      // The minimum and maximum apply
+      assert.equal((await pay(sender, recipient, 10)).body.fee, 5);
+      assert.equal((await pay(sender, recipient, 5000)).body.fee, 50);
+
+      const account = await treasury();
+      assert.equal(account.uuid, TREASURY_UUID);
+      assert.equal(account.balance, before + 75);
+
+      const history = await request("GET", "/currency/history?limit=2", {
+        token: sender.token,
+      });
+      const [fee, payment] = history.body.transactions;
+      assert.equal(fee.action, "fee");
+      assert.equal(fee.amount, 50);
+      assert.equal(fee.fee_for_id, payment.id);
+      assert.deepEqual(fee.counterparty, {
+        uuid: TREASURY_UUID,
+        name: "Treasury",
+      });
+      assert.equal(payment.action, "pay");
+      assert.equal(payment.fee_for_id, null);
+    });
+
+    it("refuses payments that cannot cover the fee", async () => {
+      const sender = await createPlayer(100);
+      const recipient = await createPlayer();
+
+      const res = await pay(sender, recipient, 100);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, "Insufficient funds");
+      assert.equal(await balanceOf(sender), 100);
+
+      assert.equal((await pay(sender, recipient, 95)).body.fee, 5);
+      assert.equal(await balanceOf(sender), 0);
+    });
+
+    it("charges exempt accounts and payments to the treasury nothing", async () => {
+      const exempt = await createPlayer(1000, EXEMPT_UUID);
+      const player = await createPlayer(1000);
+
+      assert.equal((await pay(exempt, player, 500)).body.fee, 0);
+      assert.equal(await balanceOf(exempt), 500);
+
+      const donation = await pay(player, { uuid: TREASURY_UUID }, 100);
+      assert.equal(donation.body.fee, 0);
+      assert.equal(donation.body.new_sender_balance, 1400);
+    });
+
+    it("charges the payment fee on shared account deposits and payouts", async () => {
+      const owner = await createPlayer(1000);
+      const recipient = await createPlayer();
+      const before = (await treasury()).balance;
+
+      const opened = await request("POST", "/currency/accounts", {
+        body: { name: "Town of Oakvale" },
+        token: owner.token,
+      });
+      const id = opened.body.account.uuid;
+
+      const deposit = await request(
+        "POST",
+        `/currency/accounts/${id}/deposit`,
+        {
+          body: { amount: 500 },
+          token: owner.token,
+        }
+      );
+      assert.equal(deposit.status, 200);
+      assert.equal(deposit.body.fee, 10);
+      assert.equal(deposit.body.new_balance, 490);
+      assert.equal(deposit.body.account_balance, 500);
+
+      // The account pays the fee, so it cannot pay out all of its balance
+      const payout = (amount) =>
+        request("POST", `/currency/accounts/${id}/pay`, {
+          body: { to_uuid: recipient.uuid, amount },
+          token: owner.token,
+        });
+      assert.equal((await payout(500)).status, 400);
+
+      const res = await payout(200);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.fee, 5);
+      assert.equal(res.body.account_balance, 295);
+      assert.equal(await balanceOf(recipient), 200);
+
+      assert.equal((await treasury()).balance, before + 15);
+    });
+
+    it("charges the withdrawal fee", async () => {
+      const player = await createPlayer(1000);
+
+      const res = await request("POST", "/currency/withdraw", {
+        body: { count: 2, denomination: 100 },
+        token: player.token,
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.withdrawn, 200);
+      assert.equal(res.body.fee, 10);
+      assert.equal(res.body.new_balance, 790);
+    });
+
+    it("lets admins refund a fee by reversing it", async () => {
+      const sender = await createPlayer(1000);
+      const recipient = await createPlayer();
+      await pay(sender, recipient, 500);
+
+      const history = await request("GET", "/currency/history?action=fee", {
+        token: sender.token,
+      });
+      const [fee] = history.body.transactions;
+
+      const res = await request(
+        "POST",
+        `/admin/transactions/${fee.id}/reverse`,
+        { body: { reason: "Fee charged in error" }, token: ADMIN_KEY }
+      );
+      assert.equal(res.status, 200);
+      assert.equal(await balanceOf(sender), 500);
+    });
+
+    it("collects a progressive wealth tax once per period", async () => {
+      const poor = await createPlayer(500);
+      const middle = await createPlayer(3000);
+      const rich = await createPlayer(10000);
+      const exempt = await createPlayer(10000, EXEMPT_UUID);
+      const treasuryBefore = (await treasury()).balance;
+
+      // A later period than the one the server may have taxed on startup
+      const now = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+      const collected = await scheduler.collectWealthTaxes(now);
+
+      assert.equal(await balanceOf(poor), 500);
+      // 10% of 2000
+      assert.equal(await balanceOf(middle), 2800);
+      // 10% of 4000 plus 20% of 5000
+      assert.equal(await balanceOf(rich), 8600);
+      assert.equal(await balanceOf(exempt), 10000);
+
+      assert.equal((await treasury()).balance, treasuryBefore + collected);
+      assert.ok(collected >= 1600);
+
+      // The same period is not taxed twice
+      assert.equal(await scheduler.collectWealthTaxes(now), 0);
+      assert.equal(await balanceOf(rich), 8600);
+
+      const { last_wealth_tax } = await treasury();
+      assert.equal(last_wealth_tax.collected, collected);
+
+      const inbox = await request("GET", "/currency/notifications", {
+        token: rich.token,
+      });
+      const [notification] = inbox.body.notifications;
+      assert.equal(notification.type, "wealth_tax");
+      assert.equal(notification.amount, 1400);
+      assert.equal(notification.message, "You paid $1,400 in wealth tax");
+    });
+
+    it("keeps the ledger balanced", async () => {
+      const report = await store.reconcileLedger();
+
+      assert.deepEqual(report.drift, []);
+      assert.deepEqual(report.unbalanced, []);
+    });
+
+    it("rejects invalid fee and tax settings", async () => {
+      writeConfig({
+        fees: { pay: { percent: 150, min: 10, max: 5 } },
+        wealth_tax: {
+          brackets: [
+            { above: 5000, percent: 20 },
+            { above: 1000, percent: 10 },
+          ],
+        },
+      });
+
+      const res = await request("POST", "/admin/economy/reload", {
+        token: ADMIN_KEY,
+      });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors, [
+        "fees.pay.percent must be a number from 0 to 100",
+        "fees.pay.max must not be below min",
+        "wealth_tax.brackets must be sorted by above, lowest first",
+      ]);
+
+      writeConfig(ECONOMY);
+    });
+  });
+}